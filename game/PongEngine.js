@@ -3,16 +3,43 @@
 // ===========================================
 // Runs at 60 ticks/sec. Server owns all physics via PongSim.
 // Clients only send input; server broadcasts state.
+//
+// A 2v2 match (options partner1 / partner2) is still player1 against
+// player2: they captain their teams, and results, series wins and the
+// winner passed around are by captain. Each partner plays the paddle below
+// their captain's.
 
 const PongSim = require('../public/js/pong-sim');
 const Match = require('../models/Match');
 const User = require('../models/User');
 const Season = require('../models/Season');
-const { payoutWinner, STAKE_TIERS } = require('../solana/utils');
+const Replay = require('../models/Replay');
+const { getRating, rateMatch } = require('./rating');
+const { analyzeGame, FLAG_SCORE } = require('./anticheat');
+const { MatchStats, recordPlayerStats } = require('./playerStats');
+const { STAKE_TIERS } = require('../solana/utils');
+const { createPayout, releasePayout } = require('./payouts');
 
 const TICK_RATE = 1000 / 60;
 const READY_TIMEOUT_MS = 30000; // 30 seconds to ready up
 const INPUT_RATE_LIMIT = 30;    // max direction changes/sec per player
+const SPECTATOR_INTERVAL = 3;   // spectator feed every 3rd tick = 20Hz
+const PADDLE_HIT_BUFFER = 12;   // px added to paddle hitbox for latency (client passes 0)
+const INPUT_CODES = { up: -1, stop: 0, down: 1 };
+const CHECKPOINT_TICKS = 60 * 5; // score snapshot to the Match every 5s (and on every point)
+const SERIES_LENGTHS = [1, 3, 5];
+const SERIES_INTERMISSION_MS = 10000; // between the games of a series
+const POWERUP_SPAWN_TICKS = 60 * 4;     // arcade: try to spawn a power-up every 4s of play
+
+// Paddle authority: the server integrates paddles from the direction stream.
+// Client-reported Y may pull the server paddle by RECONCILE_TOLERANCE in
+// total per RECONCILE_WINDOW_TICKS (absorbs tick-rate drift), at most once a
+// tick. Reports that imply moving faster than PADDLE_SPEED since the window
+// started (plus JITTER_TICKS of network slack, granted once per window) are
+// rejected.
+const RECONCILE_TOLERANCE = PongSim.PADDLE_SPEED * 4;
+const RECONCILE_WINDOW_TICKS = 60;
+const JITTER_TICKS = 6;
 
 class PongEngine {
   constructor(gameId, player1, player2, tier, io, activeGames, customStake, options) {
@@ -29,33 +56,93 @@ class PongEngine {
     this.skipPayout = opts.skipPayout || false;
     this.tournamentId = opts.tournamentId || null;
     this.onTournamentMatchEnd = opts.onTournamentMatchEnd || null;
+
+    // 2v2: partner1 plays beside player1, partner2 beside player2
+    this.partner1 = opts.partner1 || null;
+    this.partner2 = opts.partner2 || null;
+    this.teams = !!(this.partner1 && this.partner2);
+
+    // Set by matchmaking once the players have agreed to a rematch
+    this.rematched = false;
+
+    // Best-of-N series: games are played until one player has won a
+    // majority, and the players swap paddles after every game
+    this.bestOf = SERIES_LENGTHS.includes(opts.bestOf) ? opts.bestOf : 1;
+    this.gameNumber = 1;
+    this.seriesScore = { p1: 0, p2: 0 };   // games won by player1 / player2
+    this.games = [];                       // finished games: { player1, player2, winner, replayId }
+    this.swapped = false;                  // player1 has the right paddle this game
+    this.gameClosed = false;               // current game's replay/anti-cheat already done
+    this.intermissionTimeout = null;
+    this.analysis = null;                  // anti-cheat: each player's worst game
+
+    // Win score, paddle size and ball speed (PongSim preset or stored ruleset)
+    this.ruleset = PongSim.resolveRuleset(opts.ruleset);
+    this.arcade = !!this.ruleset.powerUps;
+    this._lastSpawnTick = 0;
+    // Obstacles and ball count (PongSim preset or stored arena)
+    this.arena = PongSim.resolveArena(opts.arena);
+
+    // Crash recovery (game/recovery.js): continue from a Match checkpoint.
+    // onReadyExpired(game) replaces the usual cancel if nobody readies up
+    // (recovery settles by the checkpoint, tournaments award a walkover)
+    this.resumed = !!opts.resumeFrom;
+    this.onReadyExpired = opts.onReadyExpired || null;
     this.tickCount = 0;
     this.broadcastInterval = 1; // broadcast every tick = 60Hz
     this.pendingSounds = [];
 
+    // Spectators (socket.io room, throttled feed)
+    this.spectatorRoom = `spectate:${gameId}`;
+    this.spectatorCount = 0;
+    this.spectatorSounds = [];
+
     // Ready system
     this.readyPhase = true;
     this.p1Ready = false;
     this.p2Ready = false;
     this.readyTimeout = null;
     this.gameStarted = false;
+    this.aborted = false;
 
     // In-game chat messages (last 20)
     this.chatMessages = [];
 
     // Simulation state via PongSim
-    this.simState = PongSim.createState();
-
-    this.input = {
-      [player1.wallet]: 'stop',
-      [player2.wallet]: 'stop',
-    };
+    this.simState = PongSim.createState(this.ruleset, this.arena, this.teams);
+    if (opts.resumeFrom) {
+      const cp = opts.resumeFrom;
+      this.gameNumber = cp.game || 1;
+      this.swapped = this.gameNumber % 2 === 0;
+      this.games = (cp.games || []).map(g => ({ ...g }));
+      this.seriesScore = { p1: (cp.series && cp.series.player1) || 0, p2: (cp.series && cp.series.player2) || 0 };
+      const p1 = cp.score.player1 || 0;
+      const p2 = cp.score.player2 || 0;
+      this.simState.score = this.swapped ? { p1: p2, p2: p1 } : { p1, p2 };
+    }
 
+    this.input = {};
     // Anti-cheat: input rate limiting (sliding window)
-    this._inputTimestamps = {
-      [player1.wallet]: [],
-      [player2.wallet]: [],
-    };
+    this._inputTimestamps = {};
+    // Last input sequence number processed per player (acked in game-state)
+    this.inputSeq = {};
+    // Paddle report travel window per player (see reconcilePaddle)
+    this._travel = {};
+    // Rejected paddle reports, persisted on the Match at game end
+    this.violations = {};
+    for (const { wallet } of this.players) {
+      this.input[wallet] = 'stop';
+      this._inputTimestamps[wallet] = [];
+      this.inputSeq[wallet] = 0;
+      this._travel[wallet] = null;
+      this.violations[wallet] = { speed: 0, drift: 0 };
+    }
+    // Rallies, hits and points for the detailed player stats
+    this.matchStats = new MatchStats(this.players.map(p => this.roleOf(p.wallet)));
+
+    // Replay recording (persisted to the Replay collection on endGame)
+    this.replay = { launches: [], paddles: [], inputs: [], powerUps: [] };
+    this._lastPaddleFrame = null;
 
     this.interval = null;
     this.disconnected = new Set();
@@ -86,10 +173,12 @@ class PongEngine {
   // =============================================
   // READY PHASE
   // =============================================
+  // p1Ready / p2Ready: every player of player1's / player2's team is ready
   startReadyPhase() {
     this.readyPhase = true;
     this.p1Ready = false;
     this.p2Ready = false;
+    this.readyWallets = new Set();
 
     this.emit('ready-phase', {
       gameId: this.gameId,
@@ -108,13 +197,17 @@ class PongEngine {
   playerReady(wallet) {
     if (!this.readyPhase) return;
 
-    if (wallet === this.player1.wallet) this.p1Ready = true;
-    if (wallet === this.player2.wallet) this.p2Ready = true;
+    if (!this.hasPlayer(wallet)) return;
+
+    this.readyWallets.add(wallet);
+    this.p1Ready = this.teamOf(this.player1).every(p => this.readyWallets.has(p.wallet));
+    this.p2Ready = this.teamOf(this.player2).every(p => this.readyWallets.has(p.wallet));
 
     this.emit('ready-status', {
       gameId: this.gameId,
       p1Ready: this.p1Ready,
       p2Ready: this.p2Ready,
+      ...(this.teams ? { ready: [...this.readyWallets] } : {}),
     });
 
     if (this.p1Ready && this.p2Ready) {
@@ -131,8 +224,16 @@ class PongEngine {
     if (this.readyTimeout) { clearTimeout(this.readyTimeout); this.readyTimeout = null; }
     this.emit('ready-expired', {
       gameId: this.gameId,
-      reason: 'Not all players readied up in time. Game cancelled.',
+      reason: this.resumed
+        ? 'Not all players readied up in time. The match is settled by the score before the restart.'
+        : this.tournamentId
+          ? 'Not all players readied up in time. The match is decided by walkover.'
+          : 'Not all players readied up in time. Game cancelled.',
     });
+    if (this.onReadyExpired) {
+      this.onReadyExpired(this);
+      return;
+    }
     Match.findOneAndUpdate({ gameId: this.gameId }, { status: 'cancelled' }).catch(() => {});
     this.activeGames.delete(this.gameId);
   }
@@ -140,37 +241,168 @@ class PongEngine {
   // =============================================
   // GAME START
   // =============================================
+  /**
+   * Stop the game without a result (a tournament match an admin ordered
+   * replayed, or one decided without being played out). Players go back to
+   * the lobby; the caller settles the Match record.
+   */
+  abort(reason) {
+    this.aborted = true;
+    this.readyPhase = false;
+    this.onTournamentMatchEnd = null;
+    clearInterval(this.interval);
+    if (this.readyTimeout) { clearTimeout(this.readyTimeout); this.readyTimeout = null; }
+    if (this.intermissionTimeout) { clearTimeout(this.intermissionTimeout); this.intermissionTimeout = null; }
+    this.simState.status = 'finished';
+    this.emit('game-aborted', { gameId: this.gameId, reason });
+    this.emitSpectators('game-aborted', { gameId: this.gameId, reason });
+    this.io.in(this.spectatorRoom).socketsLeave(this.spectatorRoom);
+    this.activeGames.delete(this.gameId);
+  }
+
   start() {
-    if (this.gameStarted) return;
+    if (this.gameStarted || this.aborted) return;
     this.gameStarted = true;
 
     const stakeAmount = this.getStakeAmount();
+    // player1/player2 here are the left/right paddles for this game
+    const left = this.sidePlayer(1);
+    const right = this.sidePlayer(2);
     this.emit('game-start', {
       gameId: this.gameId,
-      player1: { wallet: this.player1.wallet, username: this.player1.username, skin: this.player1.skin || null },
-      player2: { wallet: this.player2.wallet, username: this.player2.username, skin: this.player2.skin || null },
+      player1: { wallet: left.wallet, username: left.username, skin: left.skin || null },
+      player2: { wallet: right.wallet, username: right.username, skin: right.skin || null },
+      partners: this.partnersInfo(left, right),
       tier: this.tier,
       stake: stakeAmount,
+      ruleset: this.ruleset,
+      arena: this.arena,
+      series: this.seriesInfo(),
     });
+    if (this.gameNumber > 1) this.emitSpectators('spectate-started', this.getSpectatorSnapshot());
 
     this._launchBall();
+    this._checkpoint();
     this.interval = setInterval(() => this.tick(), TICK_RATE);
   }
 
+  // Score snapshot for crash recovery: a checkpoint marks the game as started
+  // and is what game/recovery.js awards by if this node dies mid-game.
+  _checkpoint() {
+    const score = this.score;
+    Match.updateOne({ gameId: this.gameId }, {
+      checkpoint: {
+        score: { player1: score.p1, player2: score.p2 },
+        series: { player1: this.seriesScore.p1, player2: this.seriesScore.p2 },
+        game: this.gameNumber,
+        tick: this.tickCount,
+        at: new Date(),
+      },
+    }).catch(err => console.error('Checkpoint save failed:', err.message));
+  }
+
+  // Everyone in the match: the captains, then any 2v2 partners
+  get players() {
+    return this.teams
+      ? [this.player1, this.player2, this.partner1, this.partner2]
+      : [this.player1, this.player2];
+  }
+
+  playerOf(wallet) {
+    return this.players.find(p => p.wallet === wallet) || null;
+  }
+
   hasPlayer(wallet) {
-    return this.player1.wallet === wallet || this.player2.wallet === wallet;
+    return !!this.playerOf(wallet);
+  }
+
+  // Captain (player1 / player2) of the team a wallet plays for
+  captainOf(wallet) {
+    if (!this.teams) return wallet === this.player1.wallet ? this.player1 : this.player2;
+    return wallet === this.player1.wallet || wallet === this.partner1.wallet ? this.player1 : this.player2;
+  }
+
+  // A captain and, in a 2v2, their partner
+  teamOf(captain) {
+    if (!this.teams) return [captain];
+    return [captain, captain === this.player1 ? this.partner1 : this.partner2];
+  }
+
+  // Players on the other team from a wallet
+  opponentsOf(wallet) {
+    return this.teamOf(this.captainOf(wallet) === this.player1 ? this.player2 : this.player1);
+  }
+
+  // { player1, player2 } partners for a payload whose player1 / player2 are
+  // `first` / `second` (captains, or left / right); null outside a 2v2
+  partnersInfo(first, second) {
+    if (!this.teams) return null;
+    const info = (captain) => {
+      const p = this.teamOf(captain)[1];
+      return { wallet: p.wallet, username: p.username, skin: p.skin || null };
+    };
+    return { player1: info(first), player2: info(second) };
+  }
+
+  // PongSim works in paddles: side 1 (left) is player1's unless swapped
+  sidePlayer(side) {
+    return (side === 1) !== this.swapped ? this.player1 : this.player2;
+  }
+
+  // Field a wallet fills on the Match document
+  roleOf(wallet) {
+    if (wallet === this.player1.wallet) return 'player1';
+    if (wallet === this.player2.wallet) return 'player2';
+    return wallet === this.partner1.wallet ? 'partner1' : 'partner2';
+  }
+
+  sideOf(wallet) {
+    return (this.captainOf(wallet) === this.player1) !== this.swapped ? 1 : 2;
+  }
+
+  // Paddle a wallet plays: its side's, or the one below it for a partner
+  paddleOf(wallet) {
+    const side = this.sideOf(wallet);
+    return this.captainOf(wallet).wallet === wallet ? side : side + 2;
+  }
+
+  paddlePlayer(paddle) {
+    const team = this.teamOf(this.sidePlayer(PongSim.paddleSide(paddle)));
+    return paddle > 2 ? team[1] : team[0];
+  }
+
+  // Points in the current game by player (simState.score is by paddle)
+  get score() {
+    const s = this.simState.score;
+    return this.swapped ? { p1: s.p2, p2: s.p1 } : { p1: s.p1, p2: s.p2 };
+  }
+
+  seriesInfo() {
+    if (this.bestOf === 1) return null;
+    return {
+      bestOf: this.bestOf,
+      game: this.gameNumber,
+      wins: { [this.player1.wallet]: this.seriesScore.p1, [this.player2.wallet]: this.seriesScore.p2 },
+      games: this.games.map(({ player1, player2, winner }) => ({ player1, player2, winner })),
+    };
   }
 
   // =============================================
   // INPUT HANDLING + ANTI-CHEAT
   // =============================================
-  handleInput(wallet, direction, y) {
+  handleInput(wallet, direction, y, seq) {
     // Validate player identity
-    if (wallet !== this.player1.wallet && wallet !== this.player2.wallet) return;
+    if (!this.hasPlayer(wallet)) return;
 
     // Validate direction value
     if (direction !== 'up' && direction !== 'down' && direction !== 'stop') return;
 
+    // Ack even rate-limited inputs so the client reconciles to the server paddle.
+    // Socket.io delivers in order per connection; a reconnected client restarts at 1.
+    if (Number.isInteger(seq) && seq >= 0) {
+      this.inputSeq[wallet] = seq;
+    }
+
     // Rate limit: max INPUT_RATE_LIMIT direction changes per second
     const now = Date.now();
     const timestamps = this._inputTimestamps[wallet];
@@ -184,32 +416,59 @@ class PongEngine {
     }
 
     this.input[wallet] = direction;
+    if (this.gameStarted) {
+      this.replay.inputs.push([this.tickCount, this.paddleOf(wallet), INPUT_CODES[direction]]);
+    }
 
-    // Sync paddle position from client to prevent tick-rate drift
     if (typeof y === 'number') {
-      this._syncPaddle(wallet, y);
+      this.reconcilePaddle(wallet, y);
     }
   }
 
-  // Directly set paddle Y from client-reported position (clamped to valid range)
-  _syncPaddle(wallet, y) {
-    const maxY = PongSim.CANVAS_H - PongSim.PADDLE_H;
-    const clamped = Math.max(0, Math.min(maxY, y));
-    if (wallet === this.player1.wallet) {
-      this.simState.paddle1.y = clamped;
-    } else if (wallet === this.player2.wallet) {
-      this.simState.paddle2.y = clamped;
+  // Client-reported paddle Y. The server position stays authoritative.
+  // Reports are checked against the start of a travel window, not the last
+  // report, so a burst can't stack up network slack; corrections share one
+  // RECONCILE_TOLERANCE budget per window and apply at most once a tick.
+  // Over any window the paddle moves at most PADDLE_SPEED a tick plus
+  // RECONCILE_TOLERANCE.
+  reconcilePaddle(wallet, y) {
+    if (!this.hasPlayer(wallet) || !Number.isFinite(y)) return;
+    const idx = this.paddleOf(wallet);
+    const [minY, maxY] = PongSim.paddleRange(this.simState, idx);
+    const clamped = Math.max(minY, Math.min(maxY, y));
+    const paddle = PongSim.paddleAt(this.simState, idx);
+
+    // window: { opened, from: { y, tick } (last accepted report before it
+    //           opened), last: { y, tick }, corrected, correctedTick }
+    let window = this._travel[wallet];
+    if (!window || this.tickCount - window.opened >= RECONCILE_WINDOW_TICKS) {
+      const from = window ? window.last : { y: clamped, tick: this.tickCount };
+      window = this._travel[wallet] = { opened: this.tickCount, from, last: from, corrected: 0, correctedTick: -1 };
+    }
+
+    const maxTravel = PongSim.PADDLE_SPEED * (this.tickCount - window.from.tick + JITTER_TICKS);
+    if (Math.abs(clamped - window.from.y) > maxTravel) {
+      this.violations[wallet].speed++;
+      return;
     }
+    window.last = { y: clamped, tick: this.tickCount };
+
+    if (window.correctedTick === this.tickCount) return;
+    window.correctedTick = this.tickCount;
+
+    const diff = clamped - paddle.y;
+    if (Math.abs(diff) > RECONCILE_TOLERANCE) this.violations[wallet].drift++;
+    const step = Math.sign(diff) * Math.min(Math.abs(diff), RECONCILE_TOLERANCE - window.corrected);
+    paddle.y += step;
+    window.corrected += Math.abs(step);
   }
 
   // =============================================
   // CHAT
   // =============================================
   handleChat(wallet, text) {
-    if (!text || text.length > 100) return;
-    const username = wallet === this.player1.wallet
-      ? this.player1.username
-      : this.player2.username;
+    if (!text || text.length > 100 || !this.hasPlayer(wallet)) return;
+    const { username } = this.playerOf(wallet);
 
     const msg = { from: wallet, username, text, time: Date.now() };
     this.chatMessages.push(msg);
@@ -231,9 +490,13 @@ class PongEngine {
     this.simState.sound = null;
     this.tickCount++;
     const isBroadcastTick = (this.tickCount % this.broadcastInterval === 0);
+    if (this.tickCount % CHECKPOINT_TICKS === 0) this._checkpoint();
 
-    // --- Paddle positions are synced directly from clients via _syncPaddle() ---
-    // No server-side paddle integration (prevents tick-rate oscillation)
+    // --- Integrate paddles from each player's held direction ---
+    for (const idx of PongSim.paddleIndices(this.simState)) {
+      PongSim.applyInput(this.simState, idx, this.input[this.paddlePlayer(idx).wallet]);
+    }
+    this._recordPaddles();
 
     // --- Score pause countdown ---
     if (this.simState.pauseTicks > 0) {
@@ -246,23 +509,26 @@ class PongEngine {
     }
 
     // --- Step ball physics (with latency buffer on paddle hitbox) ---
-    const result = PongSim.stepBall(this.simState, 12);
+    if (this.arcade) this._spawnPowerUp();
+    const result = PongSim.stepField(this.simState, PADDLE_HIT_BUFFER);
     if (result.sound) {
       this.simState.sound = result.sound;
     }
+    for (const idx of result.hits) this.matchStats.hit(this.roleOf(this.paddlePlayer(idx).wallet));
+
+    // --- An extra ball (arena or multi-ball) scoring doesn't stop play ---
+    for (const scorer of result.bonus) {
+      if (this._addPoint(scorer)) return;
+      this._checkpoint();
+    }
 
     // --- Handle scoring ---
     if (result.scored) {
-      if (result.scored === 2) {
-        this.simState.score.p2++;
-        this.simState.sound = 'score';
-        if (this.simState.score.p2 >= PongSim.WIN_SCORE) { this.endGame(this.player2.wallet); return; }
-      } else {
-        this.simState.score.p1++;
-        this.simState.sound = 'score';
-        if (this.simState.score.p1 >= PongSim.WIN_SCORE) { this.endGame(this.player1.wallet); return; }
-      }
+      this.simState.sound = 'score';
+      const { vx, vy } = this.simState.ball;
+      if (this._addPoint(result.scored, Math.sqrt(vx * vx + vy * vy))) return;
       PongSim.resetBallAfterScore(this.simState);
+      this._checkpoint();
       this.broadcastState();
       return;
     }
@@ -275,15 +541,141 @@ class PongEngine {
     if (isBroadcastTick) this.broadcastState();
   }
 
+  // A point for paddle `scorer`; true when it won the game. `speed` is the
+  // main ball's (an extra ball's point passes none)
+  _addPoint(scorer, speed = null) {
+    const side = scorer === 2 ? 'p2' : 'p1';
+    this.simState.score[side]++;
+
+    const roles = (s) => this.teamOf(this.sidePlayer(s)).map(p => this.roleOf(p.wallet));
+    const scorers = roles(scorer);
+    this.matchStats.point(scorer, this.simState.score, scorers, roles(3 - scorer), speed);
+
+    if (this.simState.score[side] < this.ruleset.winScore) return false;
+    this.matchStats.gameWon(scorer, scorers);
+    this.endRound(this.sidePlayer(scorer).wallet);
+    return true;
+  }
+
   // =============================================
   // BALL LAUNCH — random angle/dir generated HERE
   // =============================================
   _launchBall() {
     const angle = (Math.random() - 0.5) * Math.PI / 3;
     const dir = Math.random() > 0.5 ? 1 : -1;
+    this.replay.launches.push([this.tickCount, angle, dir]);
     PongSim.launchBall(this.simState, angle, dir);
   }
 
+  // =============================================
+  // POWER-UP SPAWN — random type/position generated HERE
+  // =============================================
+  // Spawns land in the middle of the field, away from both paddles.
+  _spawnPowerUp() {
+    if (this.tickCount - this._lastSpawnTick < POWERUP_SPAWN_TICKS) return;
+    this._lastSpawnTick = this.tickCount;
+    if (this.simState.powerUps.length >= PongSim.POWERUP_MAX) return;
+
+    const size = PongSim.POWERUP_SIZE;
+    const type = Math.floor(Math.random() * PongSim.POWERUP_TYPES.length);
+    const x = Math.round(PongSim.CANVAS_W * 0.25 + Math.random() * (PongSim.CANVAS_W * 0.5 - size));
+    const y = Math.round(size + Math.random() * (PongSim.CANVAS_H - 3 * size));
+    this.replay.powerUps.push([this.tickCount, type, x, y]);
+    PongSim.spawnPowerUp(this.simState, PongSim.POWERUP_TYPES[type], x, y);
+  }
+
+  // =============================================
+  // REPLAY — record inputs so PongSim can re-drive the game
+  // =============================================
+  // Paddle Y is what stepBall() actually reads, so it is captured at the
+  // start of every tick, but only written when a paddle moved.
+  _recordPaddles() {
+    const ys = PongSim.paddleIndices(this.simState).map(idx => PongSim.paddleAt(this.simState, idx).y);
+    const last = this._lastPaddleFrame;
+    if (last && ys.every((y, i) => last[i + 1] === y)) return;
+    const frame = [this.tickCount, ...ys];
+    this.replay.paddles.push(frame);
+    this._lastPaddleFrame = frame;
+  }
+
+  // A resumed game's timeline starts mid-match, so it is neither saved nor
+  // analysed by the anti-cheat.
+  async _saveReplay(replayId) {
+    if (!this.gameStarted || this.resumed) return;
+    try {
+      await Replay.create({
+        gameId: replayId,
+        tickRate: 1000 / TICK_RATE,
+        paddleBuffer: PADDLE_HIT_BUFFER,
+        winScore: this.ruleset.winScore,
+        ruleset: this.ruleset,
+        arena: this.arena,
+        teams: this.teams,
+        launches: this.replay.launches,
+        paddles: this.replay.paddles,
+        inputs: this.replay.inputs,
+        powerUps: this.replay.powerUps,
+        totalTicks: this.tickCount,
+        finalScore: { p1: this.simState.score.p1, p2: this.simState.score.p2 },
+      });
+    } catch (err) {
+      console.error('Replay save failed:', err.message);
+    }
+  }
+
+  // =============================================
+  // ANTI-CHEAT — analyse the timeline, persist suspicion on the Match
+  // =============================================
+  _runAnticheat() {
+    if (!this.gameStarted || this.resumed) return this.analysis;
+    let analysis;
+    try {
+      analysis = analyzeGame({
+        launches: this.replay.launches,
+        paddles: this.replay.paddles,
+        inputs: this.replay.inputs,
+        powerUps: this.replay.powerUps,
+        paddleBuffer: PADDLE_HIT_BUFFER,
+        winScore: this.ruleset.winScore,
+        ruleset: this.ruleset,
+        arena: this.arena,
+        teams: this.teams,
+        totalTicks: this.tickCount,
+      }, Object.fromEntries(PongSim.paddleIndices(this.simState)
+        .map(idx => [`player${idx}`, this.violations[this.paddlePlayer(idx).wallet]])));
+    } catch (err) {
+      console.error('Anti-cheat analysis failed:', err.message);
+      return this.analysis;
+    }
+
+    // The analysis is by paddle; map it back to players (by their role on
+    // the Match: player1, player2, partner1, partner2) and keep each
+    // player's worst game of a series
+    const game = {};
+    for (const idx of PongSim.paddleIndices(this.simState)) {
+      game[this.roleOf(this.paddlePlayer(idx).wallet)] = analysis[`player${idx}`];
+    }
+    const prev = this.analysis;
+    const worst = (key) => (prev && prev[key].score > game[key].score ? prev[key] : game[key]);
+    const byRole = {};
+    const violations = {};
+    for (const player of this.players) {
+      const role = this.roleOf(player.wallet);
+      byRole[role] = worst(role);
+      violations[role] = this.violations[player.wallet];
+    }
+    const score = Math.max(...Object.values(byRole).map(r => r.score));
+    this.analysis = { score, flagged: score >= FLAG_SCORE, ...byRole };
+
+    if (this.analysis.flagged) console.warn(`Match ${this.gameId} flagged (suspicion ${score})`);
+    Match.updateOne({ gameId: this.gameId }, {
+      violations,
+      suspicion: { score, ...byRole },
+      flagged: this.analysis.flagged,
+    }).catch(err => console.error('Suspicion save failed:', err.message));
+    return this.analysis;
+  }
+
   // =============================================
   // BROADCAST
   // =============================================
@@ -299,14 +691,142 @@ class PongEngine {
       state: PongSim.serializeState(this.simState),
       tick: this.tickCount,
       sounds,
+      ack: Object.fromEntries(PongSim.paddleIndices(this.simState)
+        .map(idx => [`p${idx}`, this.inputSeq[this.paddlePlayer(idx).wallet]])),
+    });
+
+    this.broadcastSpectatorState(sounds);
+  }
+
+  // Spectators get a throttled copy of the feed; sounds are accumulated
+  // between sends, and a score is pushed immediately so it never gets lost.
+  broadcastSpectatorState(sounds) {
+    if (this.spectatorCount === 0) return;
+    sounds.forEach(s => { if (!this.spectatorSounds.includes(s)) this.spectatorSounds.push(s); });
+    const scored = this.spectatorSounds.includes('score');
+    if (!scored && this.tickCount % SPECTATOR_INTERVAL !== 0) return;
+
+    this.emitSpectators('spectate-state', {
+      gameId: this.gameId,
+      state: PongSim.serializeState(this.simState),
+      tick: this.tickCount,
+      sounds: this.spectatorSounds,
     });
+    this.spectatorSounds = [];
+  }
+
+  // =============================================
+  // SPECTATORS
+  // =============================================
+  getSpectatorSnapshot() {
+    const left = this.sidePlayer(1);
+    const right = this.sidePlayer(2);
+    return {
+      gameId: this.gameId,
+      player1: { username: left.username, skin: left.skin || null },
+      player2: { username: right.username, skin: right.skin || null },
+      partners: this.partnersInfo(left, right),
+      tier: this.tier,
+      stake: this.getStakeAmount(),
+      tournamentId: this.tournamentId,
+      state: PongSim.serializeState(this.simState),
+      spectators: this.spectatorCount,
+      ruleset: this.ruleset,
+      arena: this.arena,
+      series: this.seriesInfo(),
+    };
+  }
+
+  // Recount from the socket.io room (sockets leave rooms on disconnect).
+  // fetchSockets goes through the adapter, so spectators on other nodes count.
+  async updateSpectatorCount() {
+    const sockets = await this.io.in(this.spectatorRoom).fetchSockets().catch(() => []);
+    this.spectatorCount = sockets.length;
+
+    const data = { gameId: this.gameId, count: this.spectatorCount };
+    this.emit('spectator-count', data);
+    this.emitSpectators('spectator-count', data);
+  }
+
+  // =============================================
+  // SERIES — a game was won; the match ends once the series is decided
+  // =============================================
+  endRound(winnerWallet) {
+    clearInterval(this.interval);
+    this._recordGame(winnerWallet);
+
+    const needed = Math.floor(this.bestOf / 2) + 1;
+    if (this.seriesScore.p1 >= needed || this.seriesScore.p2 >= needed) {
+      this.endGame(winnerWallet);
+      return;
+    }
+
+    // Set up the next game now so a checkpoint taken during the
+    // intermission already describes it
+    const finished = this.games[this.games.length - 1];
+    this.gameNumber++;
+    this.swapped = !this.swapped;
+    this.resumed = false;
+    this.gameStarted = false;
+    this.gameClosed = false;
+    this.simState = PongSim.createState(this.ruleset, this.arena, this.teams);
+    this.matchStats.newGame();
+    this.tickCount = 0;
+    this._lastSpawnTick = 0;
+    this.pendingSounds = [];
+    this.replay = { launches: [], paddles: [], inputs: [], powerUps: [] };
+    this._lastPaddleFrame = null;
+    for (const { wallet } of this.players) {
+      this.input[wallet] = 'stop';
+      this.inputSeq[wallet] = 0;
+      this._travel[wallet] = null;
+    }
+    this._checkpoint();
+
+    const data = {
+      gameId: this.gameId,
+      winner: winnerWallet,
+      game: { player1: finished.player1, player2: finished.player2, winner: finished.winner },
+      series: this.seriesInfo(),
+      seconds: SERIES_INTERMISSION_MS / 1000,
+    };
+    this.emit('series-intermission', data);
+    this.emitSpectators('series-intermission', data);
+    this.intermissionTimeout = setTimeout(() => {
+      this.intermissionTimeout = null;
+      this.start();
+    }, SERIES_INTERMISSION_MS);
+  }
+
+  // Close out the game in play: replay, anti-cheat and its per-game score.
+  // A forfeited game is recorded but doesn't count toward the series.
+  _recordGame(winnerWallet, { forfeit = false } = {}) {
+    const score = this.score;
+    const replayId = this.gameStarted && !this.resumed ? this._replayId() : null;
+    this._saveReplay(replayId);
+    this._runAnticheat();
+    this.gameClosed = true;
+
+    this.games.push({ player1: score.p1, player2: score.p2, winner: winnerWallet, replayId, ...(forfeit ? { forfeit } : {}) });
+    if (!forfeit) this.seriesScore[winnerWallet === this.player1.wallet ? 'p1' : 'p2']++;
+    if (this.bestOf > 1) {
+      Match.updateOne({ gameId: this.gameId }, { games: this.games })
+        .catch(err => console.error('Series game save failed:', err.message));
+    }
+  }
+
+  _replayId() {
+    return replayIdOf(this.gameId, this.gameNumber);
   }
 
   // =============================================
   // END GAME
   // =============================================
-  async endGame(winnerWallet) {
+  // awarded: crash recovery settled the match without it being played out
+  // here (game/recovery.js), so this engine's detailed stats are partial
+  async endGame(winnerWallet, { awarded = false } = {}) {
     clearInterval(this.interval);
+    if (this.intermissionTimeout) { clearTimeout(this.intermissionTimeout); this.intermissionTimeout = null; }
     this.simState.status = 'finished';
     this.simState.winner = winnerWallet;
 
@@ -314,28 +834,59 @@ class PongEngine {
       ? this.player2.wallet
       : this.player1.wallet;
 
+    const winners = this.teamOf(this.captainOf(winnerWallet)).map(p => p.wallet);
+    const losers = this.teamOf(this.captainOf(loserWallet)).map(p => p.wallet);
+
+    // Forfeit mid-game: the unfinished game still gets its replay and analysis
+    if (this.gameStarted && !this.gameClosed) this._recordGame(winnerWallet, { forfeit: true });
+    const analysis = this.analysis;
+    // Only the winners' play can hold the payout — a suspicious loser still gets flagged
+    const winnerSuspicion = analysis
+      ? Math.max(...winners.map(w => analysis[this.roleOf(w)].score))
+      : 0;
+    const holdPayout = winnerSuspicion >= FLAG_SCORE;
+
+    // A series is scored in games won, a single game in points
+    const score = this.bestOf > 1 ? { ...this.seriesScore } : this.score;
+
     this.emit('game-over', {
       gameId: this.gameId,
       winner: winnerWallet,
       loser: loserWallet,
-      score: this.simState.score,
+      score,
+      series: this.seriesInfo(),
       player1: { wallet: this.player1.wallet, username: this.player1.username },
       player2: { wallet: this.player2.wallet, username: this.player2.username },
+      partners: this.partnersInfo(this.player1, this.player2),
+      winners,
+      losers,
       tournamentId: this.tournamentId || null,
     });
 
+    this.emitSpectators('spectate-over', {
+      gameId: this.gameId,
+      winnerUsername: winners.map(w => this.playerOf(w).username).join(' & '),
+      score,
+      series: this.seriesInfo(),
+    });
+    this.io.in(this.spectatorRoom).socketsLeave(this.spectatorRoom);
+    this.spectatorCount = 0;
+
+    // Rallies, hits and points from a partial game would skew season averages
+    if (!awarded) this._saveStats(winners).catch(err => console.error('Match stats save failed:', err.message));
+
     if (this.skipPayout) {
       // Tournament match — skip payout, just update stats and match record
       try {
         await Match.findOneAndUpdate({ gameId: this.gameId }, {
           winner: winnerWallet,
-          score: { player1: this.simState.score.p1, player2: this.simState.score.p2 },
+          score: { player1: score.p1, player2: score.p2 },
+          games: this.games,
           status: 'completed',
           completedAt: new Date(),
         });
-        await User.findOneAndUpdate({ wallet: winnerWallet }, { $inc: { 'stats.wins': 1 } });
-        await User.findOneAndUpdate({ wallet: loserWallet }, { $inc: { 'stats.losses': 1 } });
-        await awardXp(winnerWallet, loserWallet, this.tier);
+        await this._creditPlayers(winners, losers);
+        await this._updateRatings(winnerWallet, loserWallet);
       } catch (err) {
         console.error('Tournament match DB update failed:', err.message);
       }
@@ -350,35 +901,74 @@ class PongEngine {
       return;
     }
 
+    if (!this.getStakeAmount()) {
+      // Unstaked match (free arcade queue) — no payout and no rating change
+      try {
+        await Match.findOneAndUpdate({ gameId: this.gameId }, {
+          winner: winnerWallet,
+          score: { player1: score.p1, player2: score.p2 },
+          games: this.games,
+          status: 'completed',
+          completedAt: new Date(),
+        });
+        await this._creditPlayers(winners, losers);
+      } catch (err) {
+        console.error('Unstaked match DB update failed:', err.message);
+      }
+      setTimeout(() => { this.activeGames.delete(this.gameId); }, 300000);
+      return;
+    }
+
     try {
       const stakeAmount = this.getStakeAmount();
-      const totalPot = stakeAmount * 2;
-      const result = await payoutWinner(winnerWallet, totalPot);
 
       await Match.findOneAndUpdate({ gameId: this.gameId }, {
         winner: winnerWallet,
-        score: { player1: this.simState.score.p1, player2: this.simState.score.p2 },
-        payoutTx: result.payoutTx,
+        score: { player1: score.p1, player2: score.p2 },
+        games: this.games,
         status: 'completed',
         completedAt: new Date(),
       });
 
-      await User.findOneAndUpdate({ wallet: winnerWallet }, {
-        $inc: { 'stats.wins': 1, 'stats.totalEarnings': result.winnerShare }
-      });
-      await User.findOneAndUpdate({ wallet: loserWallet }, {
-        $inc: { 'stats.losses': 1 }
-      });
-
-      await awardXp(winnerWallet, loserWallet, this.tier);
-
-      this.emit('payout-complete', {
+      // Pot is held for the tier's dispute window (game/payouts.js); a
+      // flagged winner goes straight to review. Every player of a 2v2 staked,
+      // and the winning team splits the pot.
+      const payout = await createPayout({
         gameId: this.gameId,
+        tier: this.tier,
         winner: winnerWallet,
-        payoutTx: result.payoutTx,
-        winnerShare: result.winnerShare,
-        burned: result.burnShare,
+        loser: loserWallet,
+        ...(this.teams ? { winners, losers } : {}),
+        stakeAmount,
+        flagged: holdPayout,
       });
+
+      await this._creditPlayers(winners, losers);
+      await this._updateRatings(winnerWallet, loserWallet);
+
+      if (payout.status === 'pending' && payout.releaseAt <= new Date()) {
+        // No hold for this tier — pay out right away. The payout job
+        // notifies both players once the transfer lands.
+        const { job } = await releasePayout(this.gameId, { by: 'auto' });
+        if (job.status !== 'completed') {
+          this.emit('payout-queued', {
+            gameId: this.gameId,
+            winner: winnerWallet,
+            reason: 'The network is slow — your payout is queued and will be retried automatically.',
+          });
+        }
+      } else {
+        this.emit('payout-held', {
+          gameId: this.gameId,
+          winner: winnerWallet,
+          loser: loserWallet,
+          releaseAt: payout.releaseAt,
+          disputed: payout.status === 'disputed',
+          reason: payout.status === 'disputed'
+            ? 'This match is under anti-cheat review. The payout will be sent once it is cleared.'
+            : `Payout releases at ${payout.releaseAt.toISOString()} unless the match is disputed.`,
+        });
+      }
     } catch (err) {
       console.error('Payout failed:', err.message);
       this.emit('payout-error', { gameId: this.gameId, error: err.message });
@@ -390,25 +980,71 @@ class PongEngine {
     }, 300000);
   }
 
+  // Detailed stats: on the Match and into each player's season totals
+  async _saveStats(winners) {
+    const players = this.players.map(p => ({ role: this.roleOf(p.wallet), wallet: p.wallet }));
+    const season = await recordPlayerStats(this.matchStats, players, winners);
+    await Match.updateOne({ gameId: this.gameId }, { stats: { season, ...this.matchStats.summary() } });
+  }
+
+  // Wins / losses and XP for every player, winners paired with losers
+  async _creditPlayers(winners, losers) {
+    for (let i = 0; i < winners.length; i++) {
+      await User.findOneAndUpdate({ wallet: winners[i] }, { $inc: { 'stats.wins': 1 } });
+      await User.findOneAndUpdate({ wallet: losers[i] }, { $inc: { 'stats.losses': 1 } });
+      await awardXp(winners[i], losers[i], this.tier);
+    }
+  }
+
+  // =============================================
+  // SKILL RATING
+  // =============================================
+  // Ratings are 1v1 only: 2v2 matches leave them alone
+  async _updateRatings(winnerWallet, loserWallet) {
+    if (this.teams) return;
+    try {
+      const result = await updateRatings(winnerWallet, loserWallet);
+      if (!result) return;
+      const p1Won = winnerWallet === this.player1.wallet;
+      const p1 = p1Won ? result.winner : result.loser;
+      const p2 = p1Won ? result.loser : result.winner;
+      await Match.updateOne({ gameId: this.gameId }, {
+        ratingChange: { player1: p1.change, player2: p2.change },
+      });
+      this.emit('rating-update', {
+        gameId: this.gameId,
+        ratings: {
+          [this.player1.wallet]: p1,
+          [this.player2.wallet]: p2,
+        },
+      });
+    } catch (err) {
+      console.error('Rating update error:', err.message);
+    }
+  }
+
   // =============================================
   // FORFEIT
   // =============================================
+  // A 2v2 team forfeits when any of its players drops
   forfeit(disconnectedWallet) {
-    const winnerWallet = disconnectedWallet === this.player1.wallet
-      ? this.player2.wallet
-      : this.player1.wallet;
+    const winnerWallet = this.opponentsOf(disconnectedWallet)[0].wallet;
     clearInterval(this.interval);
     if (this.readyTimeout) { clearTimeout(this.readyTimeout); this.readyTimeout = null; }
+    if (this.intermissionTimeout) { clearTimeout(this.intermissionTimeout); this.intermissionTimeout = null; }
     this.emit('game-forfeit', { gameId: this.gameId, winner: winnerWallet, reason: 'opponent disconnected' });
     this.endGame(winnerWallet);
   }
 
   // =============================================
-  // EMIT TO BOTH PLAYERS
+  // EMIT TO ALL PLAYERS
   // =============================================
   emit(event, data) {
-    this.io.to(this.player1.socketId).emit(event, data);
-    this.io.to(this.player2.socketId).emit(event, data);
+    for (const player of this.players) this.io.to(player.socketId).emit(event, data);
+  }
+
+  emitSpectators(event, data) {
+    this.io.to(this.spectatorRoom).emit(event, data);
   }
 }
 
@@ -480,4 +1116,52 @@ async function awardXp(winnerWallet, loserWallet, tier) {
   }
 }
 
-module.exports = { PongEngine, STAKE_TIERS, WIN_SCORE: PongSim.WIN_SCORE, CANVAS_W: PongSim.CANVAS_W, CANVAS_H: PongSim.CANVAS_H, READY_TIMEOUT_MS, calcLevel };
+// ===========================================
+// Series replay ids
+// ===========================================
+// Game 1 keeps the match's gameId so single games are unchanged; later
+// games of a series are `<gameId>-g<N>`. Players swap paddles every game,
+// so in even-numbered games player1 has the right paddle.
+function replayIdOf(gameId, gameNumber) {
+  return gameNumber === 1 ? gameId : `${gameId}-g${gameNumber}`;
+}
+
+/** { gameId, gameNumber, swapped } for a replay id. */
+function parseReplayId(replayId) {
+  const m = /^(.+)-g(\d+)$/.exec(replayId);
+  const gameNumber = m ? parseInt(m[2], 10) : 1;
+  return { gameId: m ? m[1] : replayId, gameNumber, swapped: gameNumber % 2 === 0 };
+}
+
+// ===========================================
+// Skill rating (Glicko-2) helper
+// ===========================================
+// Returns { winner, loser } with { rating, change } for each, or null if
+// either player no longer exists.
+async function updateRatings(winnerWallet, loserWallet) {
+  const [winner, loser] = await Promise.all([
+    User.findOne({ wallet: winnerWallet }).select('stats'),
+    User.findOne({ wallet: loserWallet }).select('stats'),
+  ]);
+  if (!winner || !loser) return null;
+
+  const before = { winner: getRating(winner), loser: getRating(loser) };
+  const after = rateMatch(before.winner, before.loser);
+
+  const save = (wallet, r) => User.updateOne({ wallet }, {
+    $set: {
+      'stats.rating': Math.round(r.rating),
+      'stats.ratingDeviation': Math.round(r.rd * 10) / 10,
+      'stats.ratingVolatility': r.vol,
+    },
+    $inc: { 'stats.ratedGames': 1 },
+  });
+  await Promise.all([save(winnerWallet, after.winner), save(loserWallet, after.loser)]);
+
+  return {
+    winner: { rating: Math.round(after.winner.rating), change: Math.round(after.winner.rating - before.winner.rating) },
+    loser: { rating: Math.round(after.loser.rating), change: Math.round(after.loser.rating - before.loser.rating) },
+  };
+}
+
+module.exports = { PongEngine, STAKE_TIERS, WIN_SCORE: PongSim.WIN_SCORE, CANVAS_W: PongSim.CANVAS_W, CANVAS_H: PongSim.CANVAS_H, READY_TIMEOUT_MS, SERIES_LENGTHS, SERIES_INTERMISSION_MS, RECONCILE_TOLERANCE, calcLevel, replayIdOf, parseReplayId };
@@ -0,0 +1,200 @@
+// ===========================================
+// Anti-Cheat — Post-game anomaly analysis
+// ===========================================
+// Re-drives a finished game from its replay timeline (see PongReplay) and
+// looks for play no human produces:
+//   - reaction: moving toward where the ball will arrive too soon after it
+//     turns toward a player
+//   - velocity: paddle moving faster than PADDLE_SPEED allows between ticks
+//   - tracking: paddle centre glued to the ball while it approaches
+// Each player (paddle) gets a 0-100 suspicion score plus human-readable
+// reasons. A 2v2 replay is analysed per paddle, the same way.
+
+const PongSim = require('../public/js/pong-sim');
+const PongReplay = require('../public/js/pong-replay');
+
+// Suspicion at/above this flags the match. Play-pattern heuristics are capped
+// below it so a flag needs two independent signals; only rejected speed
+// reports (hard evidence of a modified client) can flag on their own.
+const FLAG_SCORE = 50;
+
+// Reaction time (ticks @ 60Hz)
+const REACTION_WINDOW = 60;       // ignore inputs more than 1s after the turn
+const MIN_HUMAN_REACTION = 8;     // ~133ms; a median below this is suspect
+const MIN_REACTION_SAMPLES = 8;
+
+// Paddle velocity: server reconciliation may nudge a paddle a little past
+// PADDLE_SPEED in one tick, so only count clearly impossible jumps.
+const MAX_PADDLE_STEP = PongSim.PADDLE_SPEED * 3;
+
+// Perfect tracking
+const TRACK_EPSILON = 3;          // px between paddle centre and ball centre
+const TRACK_RATIO_SUSPECT = 0.6;
+const MIN_TRACK_SAMPLES = 300;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Walk the replay once and collect raw per-player measurements.
+ */
+function collectMetrics(replay) {
+  const player = PongReplay.createPlayer(replay);
+  const inputs = replay.inputs || [];
+  const half = PongSim.CANVAS_W / 2;
+
+  let state = player.getState();
+  const paddles = PongSim.paddleIndices(state);
+  const metrics = {};
+  const prevY = {};
+  // Open approach per player: { tick, paddleCentre, reach, arrivalY, lowest, highest }
+  // (reach: half the paddle's height, which arcade power-ups change;
+  // lowest / highest: ball centres the paddle's range can cover)
+  const open = {};
+  for (const idx of paddles) {
+    metrics[idx] = { approaches: [], reactions: [], maxStep: 0, impossibleSteps: 0, trackTicks: 0, trackHits: 0 };
+    prevY[idx] = PongSim.paddleAt(state, idx).y;
+    open[idx] = null;
+  }
+
+  while (!player.isFinished()) {
+    player.step();
+    state = player.getState();
+    const tick = player.getTick();
+    const ball = state.ball;
+    const live = !state.paused && state.pauseTicks === 0;
+    const ballCentre = ball.y + PongSim.BALL_SIZE / 2;
+
+    for (const idx of paddles) {
+      const m = metrics[idx];
+      const y = PongSim.paddleAt(state, idx).y;
+      const paddleH = PongSim.paddleHeight(state, idx);
+      const left = PongSim.paddleSide(idx) === 1;
+      const toward = live && (left ? ball.vx < 0 : ball.vx > 0);
+
+      // An approach runs from the ball turning toward the player until it
+      // turns away or a point is scored; its last ball Y is where it arrived.
+      if (toward) {
+        if (!open[idx]) {
+          const range = PongSim.paddleRange(state, idx);
+          open[idx] = {
+            tick, paddleCentre: y + paddleH / 2, reach: paddleH / 2, arrivalY: ballCentre,
+            lowest: range[0], highest: range[1] + paddleH,
+          };
+        }
+        open[idx].arrivalY = ballCentre;
+      } else if (open[idx]) {
+        m.approaches.push(open[idx]);
+        open[idx] = null;
+      }
+
+      const step = Math.abs(y - prevY[idx]);
+      if (step > m.maxStep) m.maxStep = step;
+      if (step > MAX_PADDLE_STEP) m.impossibleSteps++;
+      prevY[idx] = y;
+
+      // Tracking only counts while the ball is live and on this player's half
+      if (toward && (left ? ball.x < half : ball.x > half)) {
+        m.trackTicks++;
+        const paddleCentre = y + paddleH / 2;
+        if (Math.abs(paddleCentre - ballCentre) <= TRACK_EPSILON) m.trackHits++;
+      }
+    }
+  }
+
+  // Reaction = ticks from the turn to the first input heading toward the
+  // arrival point. Approaches the paddle already covered need no reaction.
+  for (const idx of paddles) {
+    const m = metrics[idx];
+    const own = inputs.filter(i => i[1] === idx);
+    let k = 0;
+    for (const a of m.approaches) {
+      // In a 2v2, a ball arriving in the other half is the partner's
+      if (a.arrivalY < a.lowest || a.arrivalY > a.highest) continue;
+      const needed = a.arrivalY - a.paddleCentre;
+      if (Math.abs(needed) < a.reach) continue;
+      const wanted = needed < 0 ? -1 : 1;
+      while (k < own.length && own[k][0] <= a.tick) k++;
+      for (let j = k; j < own.length && own[j][0] - a.tick <= REACTION_WINDOW; j++) {
+        if (own[j][2] === wanted) {
+          m.reactions.push(own[j][0] - a.tick);
+          break;
+        }
+      }
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Turn one player's measurements (+ engine-reported violations) into a score.
+ */
+function scorePlayer(m, violations) {
+  const reasons = [];
+  let score = 0;
+
+  const medianReaction = median(m.reactions);
+  if (m.reactions.length >= MIN_REACTION_SAMPLES && medianReaction < MIN_HUMAN_REACTION) {
+    score += 40;
+    reasons.push(`Median reaction ${medianReaction} ticks (${Math.round(medianReaction * 1000 / 60)}ms) over ${m.reactions.length} approaches`);
+  }
+
+  if (m.impossibleSteps > 0) {
+    score += Math.min(40, m.impossibleSteps * 10);
+    reasons.push(`${m.impossibleSteps} paddle moves faster than ${MAX_PADDLE_STEP}px/tick (max ${m.maxStep}px)`);
+  }
+
+  const speedViolations = (violations && violations.speed) || 0;
+  if (speedViolations > 0) {
+    score += Math.min(50, speedViolations * 10);
+    reasons.push(`${speedViolations} rejected paddle reports (speed)`);
+  }
+
+  const trackRatio = m.trackTicks > 0 ? m.trackHits / m.trackTicks : 0;
+  if (m.trackTicks >= MIN_TRACK_SAMPLES && trackRatio >= TRACK_RATIO_SUSPECT) {
+    score += Math.round(40 * Math.min(1, (trackRatio - TRACK_RATIO_SUSPECT) / (1 - TRACK_RATIO_SUSPECT) + 0.5));
+    reasons.push(`Paddle within ${TRACK_EPSILON}px of the ball on ${Math.round(trackRatio * 100)}% of approach ticks`);
+  }
+
+  return {
+    score: Math.min(100, score),
+    reasons,
+    evidence: {
+      reactionSamples: m.reactions.length,
+      medianReaction,
+      fastReactions: m.reactions.filter(r => r < MIN_HUMAN_REACTION).length,
+      maxPaddleStep: m.maxStep,
+      impossibleSteps: m.impossibleSteps,
+      trackRatio: Math.round(trackRatio * 1000) / 1000,
+      trackSamples: m.trackTicks,
+      violations: violations || { speed: 0, drift: 0 },
+    },
+  };
+}
+
+/**
+ * Analyse a finished game.
+ * replay: { launches, paddles, inputs, powerUps, paddleBuffer, winScore, ruleset, arena, teams, totalTicks }
+ * violations: { player1, player2 } from PongEngine.reconcilePaddle, keyed
+ *   by paddle (plus player3 / player4 in a 2v2)
+ * Returns { score, flagged, player1, player2 } (and player3 / player4).
+ */
+function analyzeGame(replay, violations) {
+  const metrics = collectMetrics(replay);
+  const v = violations || {};
+  const result = {};
+  let score = 0;
+  for (const idx of Object.keys(metrics)) {
+    const player = scorePlayer(metrics[idx], v[`player${idx}`]);
+    result[`player${idx}`] = player;
+    score = Math.max(score, player.score);
+  }
+  return { score, flagged: score >= FLAG_SCORE, ...result };
+}
+
+module.exports = { analyzeGame, FLAG_SCORE };
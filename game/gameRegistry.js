@@ -0,0 +1,93 @@
+// ===========================================
+// Game Registry — This node's PongEngines plus a cluster-wide directory
+// ===========================================
+// A Map of gameId -> PongEngine for the games this node runs (PongEngine
+// removes itself with delete() as before). Adding a game pins it to this
+// node; a summary of every game on every node is kept in the shared `games`
+// directory for "already in a game" checks, the live list and routing.
+
+const REFRESH_MS = 1000;
+
+class GameRegistry extends Map {
+  constructor(cluster) {
+    super();
+    this.cluster = cluster;
+    this.directory = cluster.map('games');  // gameId -> summary
+    this.published = new Map();             // gameId -> last summary JSON
+    this.refreshInterval = null;
+  }
+
+  set(gameId, game) {
+    super.set(gameId, game);
+    this.cluster.pin(`game:${gameId}`);
+    this._publish(gameId, game);
+    if (!this.refreshInterval) {
+      this.refreshInterval = setInterval(() => this.refresh(), REFRESH_MS);
+    }
+    return this;
+  }
+
+  delete(gameId) {
+    const had = super.delete(gameId);
+    if (had) {
+      this.cluster.unpin(`game:${gameId}`);
+      this.directory.delete(gameId);
+      this.published.delete(gameId);
+    }
+    return had;
+  }
+
+  /** Node that runs a game (or holds its pending escrow), if any. */
+  ownerOf(gameId) {
+    return this.cluster.ownerOf(`game:${gameId}`);
+  }
+
+  /** Whether a wallet is mid-rally in any game on any node. */
+  isPlaying(wallet) {
+    for (const g of this.directory.values()) {
+      if (g.status === 'live' && playersOf(g).some(p => p.wallet === wallet)) return true;
+    }
+    return false;
+  }
+
+  /** Re-publish summaries that changed (score, status, spectators). */
+  refresh() {
+    for (const [gameId, game] of this) this._publish(gameId, game);
+  }
+
+  _publish(gameId, game) {
+    const summary = summarize(game);
+    const json = JSON.stringify(summary);
+    if (this.published.get(gameId) === json) return;
+    this.published.set(gameId, json);
+    this.directory.set(gameId, summary);
+  }
+}
+
+// Captains, then the partners of a 2v2
+function playersOf(summary) {
+  return summary.partners
+    ? [summary.player1, summary.player2, summary.partners.player1, summary.partners.player2]
+    : [summary.player1, summary.player2];
+}
+
+function summarize(game) {
+  const player = (p) => ({ wallet: p.wallet, username: p.username });
+  return {
+    gameId: game.gameId,
+    player1: player(game.player1),
+    player2: player(game.player2),
+    partners: game.teams ? { player1: player(game.partner1), player2: player(game.partner2) } : null,
+    tier: game.tier,
+    score: game.score,
+    bestOf: game.bestOf || 1,
+    series: game.bestOf > 1 ? { ...game.seriesScore } : null,
+    // A series between games is still live: its players are taken
+    status: game.simState.status === 'finished' ? 'finished'
+      : game.gameStarted || game.gameNumber > 1 ? 'live' : 'starting',
+    spectators: game.spectatorCount || 0,
+    tournamentId: game.tournamentId || null,
+  };
+}
+
+module.exports = { GameRegistry };
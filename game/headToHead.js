@@ -0,0 +1,64 @@
+// ===========================================
+// Head-to-Head — Two players' record against each other
+// ===========================================
+// Built from their completed 1v1 matches that were settled with a winner
+// (2v2s are team results and are left out; so are refunded and cancelled
+// matches, e.g. recovery ties and games that never started), always from
+// the first wallet's side. Net $PONG counts the opponent's stake won or lost
+// per staked match, before fees; tournament games (paid from the prize
+// pool) count as zero.
+
+const Match = require('../models/Match');
+
+/**
+ * Summarize a pair's settled matches (others are skipped) for `wallet`:
+ * { matches, wins, losses, netPong, lastPlayed, avgMargin, rematches }.
+ * avgMargin is the mean of (own score - opponent score): points, or games
+ * won for a series.
+ */
+function summarize(all, wallet) {
+  const matches = all.filter(settled);
+  const record = { matches: matches.length, wins: 0, losses: 0, netPong: 0, lastPlayed: null, avgMargin: 0, rematches: 0 };
+  let margin = 0;
+  for (const m of matches) {
+    const won = m.winner === wallet;
+    if (won) record.wins++;
+    else record.losses++;
+
+    if (m.tier !== 'tournament') record.netPong += (won ? 1 : -1) * (m.stakeAmount || 0);
+
+    const score = m.score || {};
+    const own = m.player1 === wallet ? score.player1 : score.player2;
+    const theirs = m.player1 === wallet ? score.player2 : score.player1;
+    margin += (own || 0) - (theirs || 0);
+
+    if (m.rematchOf) record.rematches++;
+    if (m.completedAt && (!record.lastPlayed || m.completedAt > record.lastPlayed)) record.lastPlayed = m.completedAt;
+  }
+  if (matches.length) record.avgMargin = Math.round((margin / matches.length) * 100) / 100;
+  return record;
+}
+
+// Played out to a winner, and the pot not handed back
+function settled(m) {
+  return m.status !== 'cancelled' && !!m.winner && m.payoutStatus !== 'refunded';
+}
+
+/** `wallet`'s head-to-head record against `opponent`. */
+async function headToHead(wallet, opponent) {
+  const matches = await Match.find({
+    $or: [
+      { player1: wallet, player2: opponent },
+      { player1: opponent, player2: wallet },
+    ],
+    partner1: null,
+    status: 'completed',
+    winner: { $ne: null },
+    payoutStatus: { $ne: 'refunded' },
+  })
+    .select('player1 player2 winner score stakeAmount tier payoutStatus rematchOf completedAt')
+    .lean();
+  return { wallet, opponent, ...summarize(matches, wallet) };
+}
+
+module.exports = { headToHead, summarize };
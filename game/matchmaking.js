@@ -1,13 +1,19 @@
 // ===========================================
-// Matchmaking — Tier-Based Queue + Duel + Tournament System
+// Matchmaking — Tier-Based Queue + Duel + 2v2 Team + Tournament System
 // ===========================================
 
-const { PongEngine } = require('./PongEngine');
-const { STAKE_TIERS, buildEscrowTransaction, buildCustomEscrowTransaction, verifyEscrowTx, refundPlayer, payoutWinner } = require('../solana/utils');
+const { PongEngine, SERIES_LENGTHS } = require('./PongEngine');
+const PongSim = require('../public/js/pong-sim');
+const { STAKE_TIERS, buildEscrowTransaction, buildCustomEscrowTransaction, verifyPayment } = require('../solana/utils');
+const { queueAndRun, registerJobHandlers } = require('./payoutJobs');
 const Match = require('../models/Match');
 const User = require('../models/User');
 const Skin = require('../models/Skin');
 const Tournament = require('../models/Tournament');
+const tournamentFormats = require('./tournamentFormats');
+const prizePools = require('./prizePools');
+const { getRating } = require('./rating');
+const { cluster } = require('../state/cluster');
 const crypto = require('crypto');
 
 /**
@@ -29,29 +35,260 @@ async function getPlayerSkin(wallet) {
 const SKIP_ESCROW = process.env.SKIP_ESCROW === 'true';
 if (SKIP_ESCROW) console.log('⚠ SKIP_ESCROW mode: games start without token escrow');
 
-// Valid tiers: USD-based tiers + legacy tiers
-const VALID_TIERS = ['t5', 't10', 't25', 't50', 't100', 't250', 't500', 't1000', 'low', 'medium', 'high', 'duel'];
+// Valid tiers: USD-based tiers + legacy tiers, and the unstaked free tier
+const VALID_TIERS = ['t5', 't10', 't25', 't50', 't100', 't250', 't500', 't1000', 'low', 'medium', 'high', 'duel', 'free'];
+const FREE_TIER = 'free';
 
-// Queues per tier (created dynamically)
-const queues = {};
-VALID_TIERS.forEach(t => { queues[t] = []; });
+// Queue modes and the PongSim ruleset each plays; players are only paired
+// within a mode. The free tier is arcade only.
+const QUEUE_MODES = { classic: 'classic', arcade: 'arcade' };
+const FREE_TIER_MODES = ['arcade'];
 
-// Pending matches waiting for escrow
+// Series length asked for by a client: omitted means a single game; null if invalid
+function parseBestOf(value) {
+  if (value == null) return 1;
+  const bestOf = Number(value);
+  return SERIES_LENGTHS.includes(bestOf) ? bestOf : null;
+}
+const BEST_OF_ERROR = `Series must be best of ${SERIES_LENGTHS.join(', ')}`;
+
+// Ruleset preset asked for by a client: omitted means Classic; null if unknown
+function parseRuleset(value) {
+  if (value == null) return PongSim.DEFAULT_RULESET;
+  return Object.prototype.hasOwnProperty.call(PongSim.RULESETS, value) ? value : null;
+}
+const RULESET_ERROR = 'Unknown ruleset';
+
+// Arena preset asked for by a client: omitted means Open Court; null if unknown
+function parseArena(value) {
+  if (value == null) return PongSim.DEFAULT_ARENA;
+  return Object.prototype.hasOwnProperty.call(PongSim.ARENAS, value) ? value : null;
+}
+const ARENA_ERROR = 'Unknown arena';
+
+// Queued players, shared by every node (one entry per wallet):
+// wallet -> { wallet, username, socketId, tier, mode, stakeAmount, rating, joinedAt }
+const queue = cluster.map('queue');
+
+// Pending matches waiting for escrow (held by the node that created the
+// match, which is pinned as the game's owner)
 const pendingEscrow = new Map();
 
 // Pending duel invites: duelId -> { challenger, target, stakeAmount, createdAt }
-const pendingDuels = new Map();
+const pendingDuels = cluster.map('duels');
+
+// Open custom-stake lobbies: lobbyId -> { wallet, username, socketId, stakeAmount, bestOf, ruleset, arena, team, createdAt }
+// (team: { teamId, partner } for a 2v2 lobby opened by a team captain)
+const openLobbies = cluster.map('lobbies');
+
+// 2v2 teams, shared by every node: teamId -> { teamId, captain, partner, invited, createdAt }
+// (captain / partner: { wallet, username, socketId }; partner is null and
+// invited { wallet, username } until a friend accepts)
+const teams = cluster.map('teams');
+
+// Queued 2v2 teams, shared by every node (one entry per team):
+// teamId -> { teamId, captain, partner, tier, stakeAmount, rating, joinedAt }
+const teamQueue = cluster.map('teamQueue');
 
-// Open custom-stake lobbies: lobbyId -> { wallet, username, socketId, stakeAmount, createdAt }
-const openLobbies = new Map();
+// Rematch offers on finished games held by this node (the game's owner):
+// gameId -> { from, doubleOrNothing, stakeAmount, accepted: Set of wallets, timeout }
+const rematchOffers = new Map();
+const REMATCH_OFFER_MS = 30000;
 
-// Open tournaments: tournamentId -> tournament doc (in-memory mirror)
+// Tournaments run by this node: tournamentId -> tournament doc (in-memory mirror)
 const openTournaments = new Map();
 
+// Every node's open tournaments: tournamentId -> list entry (see tournamentSummary)
+const tournamentDirectory = cluster.map('tournaments');
+
+// Rating-window matchmaking: players are only paired with opponents inside
+// BOTH players' windows. Windows widen the longer a player waits, and after
+// RATING_WINDOW_MAX_WAIT_MS anyone in the tier is fair game.
+const RATING_WINDOW_BASE = 100;
+const RATING_WINDOW_GROWTH = 10;          // rating points per second waited
+const RATING_WINDOW_MAX_WAIT_MS = 90000;
+const QUEUE_SWEEP_MS = 2000;
+let queueSweepInterval = null;
+
+// A tournament taken over after its node died waits this long for players
+// to reconnect before replaying the round's unfinished games
+const TOURNAMENT_RESUME_DELAY_MS = 30000;
+
+// Unfinished matches of a round are settled once it has run this long
+// (see "TOURNAMENT NO-SHOWS & STALLS")
+const ROUND_DEADLINE_BASE_MS = 5 * 60 * 1000;
+const ROUND_DEADLINE_PER_GAME_MS = 8 * 60 * 1000;
+
+function ratingWindow(player, now) {
+  const waited = now - player.joinedAt;
+  if (waited >= RATING_WINDOW_MAX_WAIT_MS) return Infinity;
+  return RATING_WINDOW_BASE + RATING_WINDOW_GROWTH * (waited / 1000);
+}
+
 /**
- * Broadcast current lobby list to all connected sockets.
+ * Find the best pair in a tier queue: the longest-waiting player who has an
+ * acceptable opponent, matched with the closest-rated such opponent.
+ * Returns [p1, p2] or null.
  */
-function broadcastLobbies(io) {
+function findQueuePair(queue, now) {
+  for (let i = 0; i < queue.length; i++) {
+    const a = queue[i];
+    const windowA = ratingWindow(a, now);
+    let best = null;
+    let bestDiff = Infinity;
+    for (let j = 0; j < queue.length; j++) {
+      if (i === j) continue;
+      const b = queue[j];
+      const diff = Math.abs(a.rating - b.rating);
+      if (diff > windowA || diff > ratingWindow(b, now)) continue;
+      if (diff < bestDiff) { best = b; bestDiff = diff; }
+    }
+    if (best) return [a, best];
+  }
+  return null;
+}
+
+/** Players waiting in one tier, longest-waiting first. */
+function queuedIn(tier, mode = 'classic') {
+  return [...queue.values()]
+    .filter(p => p.tier === tier && (p.mode || 'classic') === mode)
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+/**
+ * Pair off as many players in a tier queue as the rating windows allow.
+ */
+async function matchQueue(io, tier, activeGames, mode = 'classic') {
+  let pair;
+  while ((pair = findQueuePair(queuedIn(tier, mode), Date.now()))) {
+    // Every node sweeps the queue; only one can take both players
+    let claimed;
+    try {
+      claimed = await queue.takeAll([pair[0].wallet, pair[1].wallet]);
+    } catch (err) {
+      // The store is down: leave both queued for the next sweep
+      console.error(`Queue ${tier}/${mode}: claim failed:`, err.message);
+      return;
+    }
+    // Lost the race: takeAll refreshed the queue, so the next pair differs
+    if (!claimed) continue;
+    const [p1, p2] = claimed;
+    console.log(`Queue ${tier}/${mode}: paired ${p1.username} (${p1.rating}) vs ${p2.username} (${p2.rating})`);
+    // Use the custom stake amount for USD-based tiers
+    try {
+      await createMatch(io, p1, p2, tier, activeGames, p1.stakeAmount, { ruleset: QUEUE_MODES[mode] });
+    } catch (err) {
+      console.error('createMatch failed:', err.message);
+      io.to(p1.socketId).emit('match-error', { error: 'Match creation failed. Please try again.' });
+      io.to(p2.socketId).emit('match-error', { error: 'Match creation failed. Please try again.' });
+    }
+  }
+}
+
+// =============================================
+// 2v2 TEAMS — a captain and the friend they invited
+// =============================================
+/** The team a wallet captains or partners, if any. */
+function findTeam(wallet) {
+  for (const team of teams.values()) {
+    if (team.captain.wallet === wallet || (team.partner && team.partner.wallet === wallet)) return team;
+  }
+  return null;
+}
+
+function teamMembers(team) {
+  return team.partner ? [team.captain, team.partner] : [team.captain];
+}
+
+// Tell the members (and anyone invited) where the team stands
+function sendTeamUpdate(io, team) {
+  const data = {
+    team: {
+      teamId: team.teamId,
+      captain: { wallet: team.captain.wallet, username: team.captain.username },
+      partner: team.partner && { wallet: team.partner.wallet, username: team.partner.username },
+      invited: team.invited,
+      queued: teamQueue.has(team.teamId),
+    },
+  };
+  teamMembers(team).forEach(p => io.to(p.socketId).emit('team-update', data));
+}
+
+// Take a team out of the team queue and close its lobbies
+function withdrawTeam(io, team) {
+  if (teamQueue.has(team.teamId)) {
+    teamQueue.delete(team.teamId);
+    teamMembers(team).forEach(p => io.to(p.socketId).emit('team-queue-left'));
+  }
+  let lobbyCleaned = false;
+  for (const [lobbyId, lobby] of openLobbies) {
+    if (lobby.team && lobby.team.teamId === team.teamId) {
+      openLobbies.delete(lobbyId);
+      io.to(lobby.socketId).emit('lobby-cancelled');
+      lobbyCleaned = true;
+    }
+  }
+  if (lobbyCleaned) broadcastLobbies(io);
+}
+
+// A partner leaving frees the slot; a captain leaving breaks the team up
+function leaveTeam(io, team, wallet) {
+  withdrawTeam(io, team);
+  if (team.captain.wallet === wallet) {
+    teams.delete(team.teamId);
+    teamMembers(team).forEach(p => io.to(p.socketId).emit('team-update', {
+      team: null,
+      reason: p.wallet === wallet ? null : `${team.captain.username} left the team`,
+    }));
+    return;
+  }
+  const partner = team.partner;
+  team.partner = null;
+  teams.set(team.teamId, team);
+  io.to(partner.socketId).emit('team-update', { team: null, reason: null });
+  io.to(team.captain.socketId).emit('team-left', { username: partner.username });
+  sendTeamUpdate(io, team);
+}
+
+/** Teams waiting in one tier's 2v2 queue, longest-waiting first. */
+function teamsQueuedIn(tier) {
+  return [...teamQueue.values()]
+    .filter(t => t.tier === tier)
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+/**
+ * Pair off queued teams like players (by their average rating); the
+ * captains face off and every player escrows the stake.
+ */
+async function matchTeamQueue(io, tier, activeGames) {
+  let pair;
+  while ((pair = findQueuePair(teamsQueuedIn(tier), Date.now()))) {
+    let claimed;
+    try {
+      claimed = await teamQueue.takeAll([pair[0].teamId, pair[1].teamId]);
+    } catch (err) {
+      console.error(`Team queue ${tier}: claim failed:`, err.message);
+      return;
+    }
+    if (!claimed) continue;
+    const [a, b] = claimed;
+    console.log(`Team queue ${tier}: paired ${a.captain.username} & ${a.partner.username} vs ${b.captain.username} & ${b.partner.username}`);
+    try {
+      await startCustomStakeMatch(io, a.captain, b.captain, a.stakeAmount, activeGames, {
+        tier,
+        partners: { player1: a.partner, player2: b.partner },
+      });
+    } catch (err) {
+      console.error('Team match creation failed:', err.message);
+      for (const p of [a.captain, a.partner, b.captain, b.partner]) {
+        io.to(p.socketId).emit('match-error', { error: 'Match creation failed. Please try again.' });
+      }
+    }
+  }
+}
+
+function getLobbyList() {
   const list = [];
   for (const [lobbyId, lobby] of openLobbies) {
     list.push({
@@ -59,18 +296,36 @@ function broadcastLobbies(io) {
       wallet: lobby.wallet,
       username: lobby.username,
       stakeAmount: lobby.stakeAmount,
+      bestOf: lobby.bestOf || 1,
+      ruleset: PongSim.resolveRuleset(lobby.ruleset),
+      arena: PongSim.resolveArena(lobby.arena),
+      team: lobby.team ? { partnerUsername: lobby.team.partner.username } : null,
       createdAt: lobby.createdAt,
     });
   }
-  io.emit('lobby-update', { lobbies: list });
+  return list;
+}
+
+/**
+ * Broadcast current lobby list to all connected sockets.
+ */
+function broadcastLobbies(io) {
+  io.emit('lobby-update', { lobbies: getLobbyList() });
 }
 
 /**
  * Shared helper to start a custom-stake match between two players.
  * Used by duel-accept, lobby-join, and escrow-submit flows.
+ * partners: { player1, player2 } teammates of p1 / p2 for a 2v2 (team
+ * lobbies and the team queue, which also passes its stake tier); every
+ * player escrows the stake. rematch: Match chain fields (see startRematch).
  */
-async function startCustomStakeMatch(io, p1, p2, stakeAmount, activeGames) {
+async function startCustomStakeMatch(io, p1, p2, stakeAmount, activeGames, { bestOf = 1, ruleset, arena, partners = null, tier = 'duel', rematch = null } = {}) {
   const gameId = crypto.randomUUID();
+  const rules = PongSim.resolveRuleset(ruleset);
+  const field = PongSim.resolveArena(arena);
+  const slots = escrowSlots({ player1: p1, player2: p2, partner1: partners && partners.player1, partner2: partners && partners.player2 });
+  const everyone = slots.map(([, player]) => player);
 
   await Match.create({
     gameId,
@@ -78,107 +333,563 @@ async function startCustomStakeMatch(io, p1, p2, stakeAmount, activeGames) {
     player2: p2.wallet,
     player1Username: p1.username,
     player2Username: p2.username,
-    tier: 'duel',
+    ...(partners ? {
+      partner1: partners.player1.wallet,
+      partner2: partners.player2.wallet,
+      partner1Username: partners.player1.username,
+      partner2Username: partners.player2.username,
+    } : {}),
+    tier,
     stakeAmount,
+    bestOf,
+    ruleset: rules,
+    arena: field,
+    ...rematch,
     status: SKIP_ESCROW ? 'in-progress' : 'pending-escrow',
   });
 
   if (SKIP_ESCROW) {
-    const [p1Skin, p2Skin] = await Promise.all([
-      getPlayerSkin(p1.wallet),
-      getPlayerSkin(p2.wallet),
-    ]);
-    p1.skin = p1Skin;
-    p2.skin = p2Skin;
+    const skins = await Promise.all(everyone.map(p => getPlayerSkin(p.wallet)));
+    everyone.forEach((p, i) => { p.skin = skins[i]; });
 
-    const game = new PongEngine(gameId, p1, p2, 'duel', io, activeGames, stakeAmount);
+    const game = new PongEngine(gameId, p1, p2, tier, io, activeGames, stakeAmount, {
+      bestOf, ruleset: rules, arena: field,
+      ...(partners ? { partner1: partners.player1, partner2: partners.player2 } : {}),
+    });
     activeGames.set(gameId, game);
 
     const countdownData = {
-      gameId, seconds: 30, tier: 'duel',
-      player1: { wallet: p1.wallet, username: p1.username, skin: p1Skin },
-      player2: { wallet: p2.wallet, username: p2.username, skin: p2Skin },
+      gameId, seconds: 30, tier,
+      player1: { wallet: p1.wallet, username: p1.username, skin: p1.skin },
+      player2: { wallet: p2.wallet, username: p2.username, skin: p2.skin },
+      partners: game.partnersInfo(p1, p2),
       stakeAmount,
+      bestOf,
+      ruleset: rules,
+      arena: field,
       useReadySystem: true,
     };
-    io.to(p1.socketId).emit('game-countdown', countdownData);
-    io.to(p2.socketId).emit('game-countdown', countdownData);
+    game.emit('game-countdown', countdownData);
+
+    game.startReadyPhase();
+    return;
+  }
+
+  // Production: build escrow transactions
+  const txs = [];
+  for (const player of everyone) {
+    try {
+      txs.push(await buildCustomEscrowTransaction(player.wallet, stakeAmount));
+    } catch (err) {
+      for (const other of everyone) {
+        io.to(other.socketId).emit('match-error', {
+          error: other === player ? err.message
+            : partners ? 'A player cannot stake. Match cancelled.' : 'Opponent cannot stake. Match cancelled.',
+        });
+      }
+      await Match.findOneAndUpdate({ gameId }, { status: 'cancelled' });
+      return;
+    }
+  }
+
+  const pending = {
+    player1: p1,
+    player2: p2,
+    tier,
+    stakeAmount,
+    bestOf,
+    ruleset: rules,
+    arena: field,
+  };
+  if (partners) Object.assign(pending, { partner1: partners.player1, partner2: partners.player2 });
+  slots.forEach(([slot]) => { pending[`${slot}Escrowed`] = false; });
+  pendingEscrow.set(gameId, pending);
+  cluster.pin(`game:${gameId}`);
+
+  // In a 2v2 `opponent` is the other captain; `teammate` and `opponents` fill in the rest
+  const sides = partners ? [[p1, partners.player1], [p2, partners.player2]] : [[p1], [p2]];
+  const brief = (player) => ({ wallet: player.wallet, username: player.username });
+  slots.forEach(([slot, player], i) => {
+    const ours = sides[0].includes(player) ? sides[0] : sides[1];
+    const theirs = ours === sides[0] ? sides[1] : sides[0];
+    io.to(player.socketId).emit('match-found', {
+      gameId,
+      opponent: brief(theirs[0]),
+      ...(partners ? { teammate: brief(ours.find(p => p !== player)), opponents: theirs.map(brief) } : {}),
+      tier,
+      stake: stakeAmount,
+      bestOf,
+      ruleset: rules,
+      arena: field,
+      escrowTransaction: txs[i].transaction,
+      yourSlot: slot,
+    });
+  });
+
+  setTimeout(() => {
+    if (pendingEscrow.get(gameId) === pending) {
+      pendingEscrow.delete(gameId);
+      cluster.unpin(`game:${gameId}`);
+      Match.findOneAndUpdate({ gameId }, { status: 'cancelled' }).catch(() => {});
+      refundEscrowed(gameId, pending);
+      everyone.forEach(p => io.to(p.socketId).emit('match-cancelled', { gameId, reason: 'Escrow timeout' }));
+    }
+  }, 60000);
+}
+
+// Escrow slots of a pending match: [slot, player] for p1 / p2, plus p3 / p4
+// for the partners of a 2v2 (partner1 / partner2)
+function escrowSlots(pending) {
+  const slots = [['p1', pending.player1], ['p2', pending.player2]];
+  if (pending.partner1) slots.push(['p3', pending.partner1], ['p4', pending.partner2]);
+  return slots;
+}
+const ESCROW_TX_FIELDS = { p1: 'player1EscrowTx', p2: 'player2EscrowTx', p3: 'partner1EscrowTx', p4: 'partner2EscrowTx' };
+
+// Refund every stake already escrowed for a pending match that timed out
+function refundEscrowed(gameId, pending) {
+  const stakeAmount = pending.stakeAmount || STAKE_TIERS[pending.tier];
+  for (const [slot, player] of escrowSlots(pending)) {
+    if (pending[`${slot}Escrowed`]) queueEscrowRefund(gameId, player.wallet, stakeAmount);
+  }
+}
+
+/**
+ * One-time setup: the queue sweep and the handlers for events that run on
+ * the node owning a game or tournament (see state/cluster.js). In those
+ * handlers `socket` may stand in for a socket connected to another node.
+ */
+function initMatchmaking(io, onlineUsers, activeGames) {
+
+  // Re-check queues periodically so waiting players' windows can widen into a match
+  if (!queueSweepInterval) {
+    queueSweepInterval = setInterval(() => {
+      for (const tier of VALID_TIERS) {
+        for (const mode of Object.keys(QUEUE_MODES)) {
+          if (queuedIn(tier, mode).length >= 2) matchQueue(io, tier, activeGames, mode);
+        }
+        if (teamsQueuedIn(tier).length >= 2) matchTeamQueue(io, tier, activeGames);
+      }
+    }, QUEUE_SWEEP_MS);
+  }
+
+  // Player submits escrow transaction
+  cluster.on('escrow-submit', async (socket, { gameId, txSignature }) => {
+    const pending = pendingEscrow.get(gameId);
+    if (!pending) return socket.emit('escrow-error', { error: 'No pending match' });
+
+    const slots = escrowSlots(pending);
+    const mine = slots.find(([, player]) => player.wallet === socket.wallet);
+    if (!mine) return;
+    const [who] = mine;
+    if (pending[`${who}Escrowed`]) return;
+    // One submission at a time: a second transfer sent while the first is
+    // being verified would be consumed without ever being recorded
+    if (pending[`${who}Verifying`]) return socket.emit('escrow-error', { error: 'Your escrow is already being verified' });
+    pending[`${who}Verifying`] = true;
+    const notify = (status) => slots.forEach(([, player]) => {
+      io.to(player.socketId).emit('escrow-status', { gameId, player: who, status });
+    });
+
+    notify('verifying');
+
+    const stakeAmount = pending.stakeAmount || STAKE_TIERS[pending.tier];
+    console.log(`Verifying escrow tx for ${socket.wallet}: ${txSignature}`);
+    const verified = await verifyPayment(txSignature, {
+      amount: stakeAmount, wallet: socket.wallet, purpose: 'match-escrow', ref: gameId,
+    });
+    pending[`${who}Verifying`] = false;
+
+    // Cancelled or timed out while we were verifying: nothing will refund
+    // this stake unless we do
+    if (pendingEscrow.get(gameId) !== pending) {
+      if (verified.ok) {
+        queueEscrowRefund(gameId, socket.wallet, stakeAmount);
+        socket.emit('escrow-error', { error: 'The match was cancelled. Your $PONG is being refunded.' });
+      }
+      return;
+    }
+    if (!verified.ok) {
+      notify('failed');
+      return socket.emit('escrow-error', { error: verified.reason });
+    }
+
+    pending[`${who}Escrowed`] = true;
+    await Match.findOneAndUpdate({ gameId }, { [ESCROW_TX_FIELDS[who]]: txSignature });
+
+    notify('confirmed');
+
+    // The last two stakes can land together; only one of them starts the game
+    if (pendingEscrow.get(gameId) === pending && slots.every(([slot]) => pending[`${slot}Escrowed`])) {
+      pendingEscrow.delete(gameId);
+
+      const skins = await Promise.all(slots.map(([, player]) => getPlayerSkin(player.wallet)));
+      slots.forEach(([, player], i) => { player.skin = skins[i]; });
+
+      const customStake = pending.stakeAmount || null;
+      const game = new PongEngine(
+        gameId,
+        pending.player1,
+        pending.player2,
+        pending.tier,
+        io,
+        activeGames,
+        customStake,
+        {
+          bestOf: pending.bestOf, ruleset: pending.ruleset, arena: pending.arena,
+          ...(pending.partner1 ? { partner1: pending.partner1, partner2: pending.partner2 } : {}),
+        }
+      );
+      activeGames.set(gameId, game);
+      await Match.findOneAndUpdate({ gameId }, { status: 'in-progress' });
+
+      const countdownData = {
+        gameId, seconds: 30, tier: pending.tier,
+        player1: { wallet: pending.player1.wallet, username: pending.player1.username, skin: pending.player1.skin },
+        player2: { wallet: pending.player2.wallet, username: pending.player2.username, skin: pending.player2.skin },
+        partners: game.partnersInfo(pending.player1, pending.player2),
+        stakeAmount: customStake || STAKE_TIERS[pending.tier],
+        bestOf: game.bestOf,
+        ruleset: game.ruleset,
+        arena: game.arena,
+        useReadySystem: true,
+      };
+      game.emit('game-countdown', countdownData);
+
+      // Start ready phase instead of auto-start
+      game.startReadyPhase();
+    }
+  });
+
+  // Player cancels pending escrow: refund everyone else who already escrowed
+  cluster.on('escrow-cancel', async (socket, { gameId }) => {
+    const pending = pendingEscrow.get(gameId);
+    if (!pending) return;
+    pendingEscrow.delete(gameId);
+    cluster.unpin(`game:${gameId}`);
+    await Match.findOneAndUpdate({ gameId }, { status: 'cancelled' });
+
+    const stakeAmount = pending.stakeAmount || STAKE_TIERS[pending.tier];
+    for (const [slot, player] of escrowSlots(pending)) {
+      if (pending[`${slot}Escrowed`] && socket.wallet !== player.wallet) {
+        queueEscrowRefund(gameId, player.wallet, stakeAmount);
+        io.to(player.socketId).emit('match-cancelled', {
+          gameId,
+          reason: `${pending.partner1 ? 'A player' : 'Opponent'} cancelled. Your $PONG is being refunded.`,
+        });
+      } else {
+        io.to(player.socketId).emit('match-cancelled', { gameId, reason: 'Match cancelled' });
+      }
+    }
+  });
+
+  // === READY SYSTEM ===
+  cluster.on('player-ready', (socket, { gameId }) => {
+    const game = activeGames.get(gameId);
+    if (!game || !game.readyPhase) return;
+    if (!socket.wallet) return;
+    game.playerReady(socket.wallet);
+  });
+
+  // === IN-GAME CHAT === (rate limited on the sender's node)
+  cluster.on('game-chat', (socket, { gameId, text }) => {
+    const game = activeGames.get(gameId);
+    if (!game) return;
+    if (!socket.wallet || !game.hasPlayer(socket.wallet)) return;
+    game.handleChat(socket.wallet, text.substring(0, 100));
+  });
+
+  // === REMATCH === (on the node still holding the finished game)
+  cluster.on('rematch-request', async (socket, { gameId, doubleOrNothing = false }) => {
+    const game = activeGames.get(gameId);
+    const error = rematchError(game, socket.wallet, onlineUsers, activeGames);
+    if (error) return socket.emit('rematch-error', { error });
+    const double = !!doubleOrNothing;
+    if (double && !game.getStakeAmount()) {
+      return socket.emit('rematch-error', { error: 'Double or nothing needs a staked match' });
+    }
+
+    const open = rematchOffers.get(gameId);
+    if (open) {
+      // Both sides asking for the same rematch is an accept
+      if (open.from !== socket.wallet && open.doubleOrNothing === double) {
+        return acceptRematch(io, socket, game, open, onlineUsers, activeGames);
+      }
+      return socket.emit('rematch-error', { error: 'A rematch offer is already open' });
+    }
+
+    const offer = {
+      from: socket.wallet,
+      doubleOrNothing: double,
+      stakeAmount: game.getStakeAmount() * (double ? 2 : 1),
+      accepted: new Set([socket.wallet]),
+      timeout: setTimeout(() => {
+        if (rematchOffers.get(gameId) !== offer) return;
+        rematchOffers.delete(gameId);
+        game.emit('rematch-expired', { gameId });
+      }, REMATCH_OFFER_MS),
+    };
+    rematchOffers.set(gameId, offer);
+
+    const from = game.playerOf(socket.wallet);
+    socket.emit('rematch-sent', { gameId, doubleOrNothing: double, stakeAmount: offer.stakeAmount });
+    game.players.filter(p => p.wallet !== socket.wallet).forEach(p => {
+      io.to(p.socketId).emit('rematch-incoming', {
+        gameId,
+        from: from.wallet,
+        fromUsername: from.username,
+        doubleOrNothing: double,
+        stakeAmount: offer.stakeAmount,
+      });
+    });
+  });
+
+  cluster.on('rematch-accept', async (socket, { gameId }) => {
+    const offer = rematchOffers.get(gameId);
+    if (!offer) return socket.emit('rematch-error', { error: 'Rematch offer expired or not found' });
+    const game = activeGames.get(gameId);
+    const error = rematchError(game, socket.wallet, onlineUsers, activeGames);
+    if (error) return socket.emit('rematch-error', { error });
+    await acceptRematch(io, socket, game, offer, onlineUsers, activeGames);
+  });
+
+  cluster.on('rematch-decline', (socket, { gameId }) => {
+    const offer = rematchOffers.get(gameId);
+    const game = activeGames.get(gameId);
+    if (!offer || !game || !game.hasPlayer(socket.wallet) || offer.from === socket.wallet) return;
+    clearTimeout(offer.timeout);
+    rematchOffers.delete(gameId);
+    game.emit('rematch-declined', { gameId, byUsername: game.playerOf(socket.wallet).username });
+  });
+
+  // === TOURNAMENTS === (run on the node that created the tournament)
+
+  cluster.on('tournament-join', async (socket, { tournamentId }) => {
+    if (!socket.wallet) return socket.emit('tournament-error', { error: 'Not authenticated' });
+
+    const tournament = openTournaments.get(tournamentId);
+    if (!tournament) return socket.emit('tournament-error', { error: 'Tournament not found' });
+    if (tournament.status !== 'waiting') return socket.emit('tournament-error', { error: 'Tournament already started' });
+    if (tournament.players.length >= tournament.maxPlayers) return socket.emit('tournament-error', { error: 'Tournament is full' });
+    if (tournament.players.some(p => p.wallet === socket.wallet)) return socket.emit('tournament-error', { error: 'Already in this tournament' });
+
+    // Check not in another tournament
+    for (const [, t] of tournamentDirectory) {
+      if (t.tournamentId !== tournamentId && (t.status === 'waiting' || t.status === 'escrow' || t.status === 'in-progress') && t.players.some(p => p.wallet === socket.wallet)) {
+        return socket.emit('tournament-error', { error: 'You are already in another tournament' });
+      }
+    }
+    const entryError = await prizePools.entryError(tournament, socket.wallet);
+    if (entryError) return socket.emit('tournament-error', { error: entryError });
+    // The lookup yields; the tournament may have filled or started meanwhile
+    if (tournament.status !== 'waiting' || tournament.players.length >= tournament.maxPlayers
+      || tournament.players.some(p => p.wallet === socket.wallet)) {
+      return socket.emit('tournament-error', { error: 'Tournament is no longer open' });
+    }
+
+    tournament.players.push({
+      wallet: socket.wallet,
+      username: socket.username || 'Anon',
+      socketId: socket.id,
+      escrowed: false,
+      seed: tournament.players.length,
+    });
+
+    await Tournament.findOneAndUpdate({ tournamentId }, { players: tournament.players });
+    broadcastTournaments(io);
+
+    // Notify all tournament players
+    tournament.players.forEach(p => {
+      io.to(p.socketId).emit('tournament-joined', {
+        tournamentId,
+        players: tournament.players.map(pp => ({ wallet: pp.wallet, username: pp.username })),
+      });
+    });
+
+    // If full, start escrow phase
+    if (tournament.players.length >= tournament.maxPlayers) {
+      await startTournamentEscrow(io, tournament, onlineUsers, activeGames);
+    }
+  });
+
+  cluster.on('tournament-leave', async (socket, { tournamentId }) => {
+    if (!socket.wallet) return;
+    const tournament = openTournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'waiting') return;
+
+    // Creator leaving = cancel
+    if (tournament.creator === socket.wallet) {
+      tournament.status = 'cancelled';
+      await Tournament.findOneAndUpdate({ tournamentId }, { status: 'cancelled' });
+      openTournaments.delete(tournamentId);
+      prizePools.refundPrizePool(tournament);
+      tournament.players.forEach(p => {
+        io.to(p.socketId).emit('tournament-cancelled', { tournamentId, reason: 'Creator left' });
+      });
+      broadcastTournaments(io);
+      return;
+    }
+
+    tournament.players = tournament.players.filter(p => p.wallet !== socket.wallet);
+    await Tournament.findOneAndUpdate({ tournamentId }, { players: tournament.players });
+    broadcastTournaments(io);
+
+    tournament.players.forEach(p => {
+      io.to(p.socketId).emit('tournament-joined', {
+        tournamentId,
+        players: tournament.players.map(pp => ({ wallet: pp.wallet, username: pp.username })),
+      });
+    });
+  });
+
+  cluster.on('tournament-cancel', async (socket, { tournamentId }) => {
+    if (!socket.wallet) return;
+    const tournament = openTournaments.get(tournamentId);
+    if (!tournament) return;
+    if (tournament.creator !== socket.wallet) return socket.emit('tournament-error', { error: 'Only the creator can cancel' });
+    if (tournament.status !== 'waiting') return socket.emit('tournament-error', { error: 'Cannot cancel after tournament started' });
+
+    tournament.status = 'cancelled';
+    await Tournament.findOneAndUpdate({ tournamentId }, { status: 'cancelled' });
+    openTournaments.delete(tournamentId);
+    prizePools.refundPrizePool(tournament);
+    tournament.players.forEach(p => {
+      io.to(p.socketId).emit('tournament-cancelled', { tournamentId, reason: 'Cancelled by creator' });
+    });
+    broadcastTournaments(io);
+  });
+
+  // Admin override checked by requestTournamentOverride (routes/admin.js)
+  cluster.on('tournament-admin-override', async (socket, { tournamentId, round, match, action, winner, note }) => {
+    const tournament = openTournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'in-progress' || tournament.currentRound !== round) return;
+    const ctx = { io, activeGames, onlineUsers };
+    if (action === 'advance') {
+      const m = tournament.bracket[round][match];
+      const username = m && (winner === m.player1Wallet ? m.player1Username : m.player2Username);
+      await awardMatch(tournament, match, winner, {
+        action: 'admin-advance', by: 'admin', note, reason: `An admin advanced ${username}`,
+      }, ctx);
+    } else if (action === 'replay') {
+      await replayMatch(tournament, match, {
+        action: 'admin-replay', by: 'admin', note, reason: 'An admin ordered the match replayed',
+      }, ctx);
+    }
+  });
+
+  cluster.on('tournament-escrow-submit', async (socket, { tournamentId, txSignature }) => {
+    if (!socket.wallet) return;
+    const tournament = openTournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'escrow') return socket.emit('tournament-error', { error: 'Not in escrow phase' });
+
+    const player = tournament.players.find(p => p.wallet === socket.wallet);
+    if (!player) return;
+    if (player.escrowed) return;
+    // One submission at a time, as for match escrow
+    if (player.verifying) return socket.emit('tournament-error', { error: 'Your escrow is already being verified' });
+    player.verifying = true;
 
-    game.startReadyPhase();
-    return;
-  }
+    // Notify verifying
+    tournament.players.forEach(p => {
+      io.to(p.socketId).emit('tournament-escrow-status', { tournamentId, wallet: socket.wallet, status: 'verifying' });
+    });
 
-  // Production: build escrow transactions
-  let p1Tx, p2Tx;
-  try {
-    p1Tx = await buildCustomEscrowTransaction(p1.wallet, stakeAmount);
-  } catch (err) {
-    io.to(p1.socketId).emit('match-error', { error: err.message });
-    io.to(p2.socketId).emit('match-error', { error: 'Opponent cannot stake. Match cancelled.' });
-    await Match.findOneAndUpdate({ gameId }, { status: 'cancelled' });
-    return;
-  }
-  try {
-    p2Tx = await buildCustomEscrowTransaction(p2.wallet, stakeAmount);
-  } catch (err) {
-    io.to(p2.socketId).emit('match-error', { error: err.message });
-    io.to(p1.socketId).emit('match-error', { error: 'Opponent cannot stake. Match cancelled.' });
-    await Match.findOneAndUpdate({ gameId }, { status: 'cancelled' });
-    return;
-  }
+    const verified = await verifyPayment(txSignature, {
+      amount: tournament.stakeAmount, wallet: socket.wallet, purpose: 'tournament-escrow', ref: tournamentId,
+    });
+    player.verifying = false;
+
+    // Cancelled (e.g. the escrow timeout) while we were verifying: the
+    // cancellation only refunded players already marked escrowed
+    if (openTournaments.get(tournamentId) !== tournament || tournament.status !== 'escrow') {
+      if (verified.ok) {
+        queueTournamentRefund(tournament, socket.wallet);
+        socket.emit('tournament-error', { error: 'The tournament was cancelled. Your $PONG is being refunded.' });
+      }
+      return;
+    }
+    if (!verified.ok) {
+      tournament.players.forEach(p => {
+        io.to(p.socketId).emit('tournament-escrow-status', { tournamentId, wallet: socket.wallet, status: 'failed' });
+      });
+      return socket.emit('tournament-error', { error: `Escrow verification failed: ${verified.reason}` });
+    }
 
-  pendingEscrow.set(gameId, {
-    player1: p1,
-    player2: p2,
-    tier: 'duel',
-    stakeAmount,
-    p1Escrowed: false,
-    p2Escrowed: false,
-  });
+    player.escrowed = true;
+    player.escrowTx = txSignature;
 
-  io.to(p1.socketId).emit('match-found', {
-    gameId,
-    opponent: { wallet: p2.wallet, username: p2.username },
-    tier: 'duel',
-    stake: stakeAmount,
-    escrowTransaction: p1Tx.transaction,
-    yourSlot: 'p1',
-  });
+    tournament.players.forEach(p => {
+      io.to(p.socketId).emit('tournament-escrow-status', { tournamentId, wallet: socket.wallet, status: 'confirmed' });
+    });
 
-  io.to(p2.socketId).emit('match-found', {
-    gameId,
-    opponent: { wallet: p1.wallet, username: p1.username },
-    tier: 'duel',
-    stake: stakeAmount,
-    escrowTransaction: p2Tx.transaction,
-    yourSlot: 'p2',
+    await Tournament.findOneAndUpdate({ tournamentId }, { players: tournament.players });
+
+    // Check if all escrowed (the last two can land together; only one starts it)
+    if (tournament.status === 'escrow' && tournament.players.every(p => p.escrowed)) {
+      await startTournament(io, tournament, activeGames, onlineUsers);
+    }
   });
 
-  setTimeout(() => {
-    if (pendingEscrow.has(gameId)) {
-      pendingEscrow.delete(gameId);
-      Match.findOneAndUpdate({ gameId }, { status: 'cancelled' }).catch(() => {});
-      io.to(p1.socketId).emit('match-cancelled', { gameId, reason: 'Escrow timeout' });
-      io.to(p2.socketId).emit('match-cancelled', { gameId, reason: 'Escrow timeout' });
+  // Waiting-phase disconnect (in-game DC handled by PongEngine)
+  cluster.on('tournament-disconnect', (socket, { tournamentId }) => {
+    const t = openTournaments.get(tournamentId);
+    if (!t || t.status !== 'waiting') return;
+    const idx = t.players.findIndex(p => p.wallet === socket.wallet);
+    if (idx === -1) return;
+
+    if (t.creator === socket.wallet) {
+      // Creator DC = cancel
+      t.status = 'cancelled';
+      Tournament.findOneAndUpdate({ tournamentId }, { status: 'cancelled' }).catch(() => {});
+      openTournaments.delete(tournamentId);
+      prizePools.refundPrizePool(t);
+      t.players.forEach(p => {
+        io.to(p.socketId).emit('tournament-cancelled', { tournamentId, reason: 'Creator disconnected' });
+      });
+      broadcastTournaments(io);
+    } else {
+      t.players.splice(idx, 1);
+      Tournament.findOneAndUpdate({ tournamentId }, { players: t.players }).catch(() => {});
+      broadcastTournaments(io);
+      t.players.forEach(p => {
+        io.to(p.socketId).emit('tournament-joined', {
+          tournamentId,
+          players: t.players.map(pp => ({ wallet: pp.wallet, username: pp.username })),
+        });
+      });
     }
-  }, 60000);
+  });
 }
 
+/**
+ * Per-connection handlers. Events about a game or tournament are routed to
+ * the node that owns it; everything else runs here against shared state.
+ */
 function setupMatchmaking(io, socket, onlineUsers, activeGames) {
+  const toGame = (event) => socket.on(event, (payload = {}) => {
+    cluster.route(activeGames.ownerOf(payload.gameId), event, socket, payload);
+  });
+  const toTournament = (event) => socket.on(event, (payload = {}) => {
+    cluster.route(cluster.ownerOf(`tournament:${payload.tournamentId}`), event, socket, payload);
+  });
 
   // Player joins a matchmaking queue
-  socket.on('queue-join', async ({ tier, pongAmount }) => {
+  socket.on('queue-join', async ({ tier, pongAmount, mode = 'classic' }) => {
     if (!VALID_TIERS.includes(tier)) {
       return socket.emit('queue-error', { error: 'Invalid tier' });
     }
+    if (!Object.prototype.hasOwnProperty.call(QUEUE_MODES, mode)) {
+      return socket.emit('queue-error', { error: 'Invalid mode' });
+    }
+    if (tier === FREE_TIER && !FREE_TIER_MODES.includes(mode)) {
+      return socket.emit('queue-error', { error: 'Free play is only available in arcade mode' });
+    }
     if (!socket.wallet) {
       return socket.emit('queue-error', { error: 'Not authenticated' });
     }
 
     // Prevent double-queueing
-    for (const t of Object.keys(queues)) {
-      queues[t] = queues[t].filter(p => p.wallet !== socket.wallet);
-    }
+    queue.delete(socket.wallet);
 
     // Auto-cancel any open lobby when joining queue
     for (const [lobbyId, lobby] of openLobbies) {
@@ -192,177 +903,82 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
 
     // Calculate stake: use pongAmount from client for USD tiers, or legacy STAKE_TIERS
     let stakeAmount;
-    if (pongAmount && pongAmount > 0) {
+    if (tier === FREE_TIER) {
+      stakeAmount = 0;
+    } else if (pongAmount && pongAmount > 0) {
       // Client sends PONG display units, convert to base units
       stakeAmount = pongAmount * (10 ** 6); // PONG has 6 decimals
     } else {
       stakeAmount = STAKE_TIERS[tier] || 0;
     }
 
+    let rating;
+    try {
+      rating = getRating(await User.findOne({ wallet: socket.wallet }).select('stats'));
+    } catch {
+      rating = getRating(null);
+    }
+
     const player = {
       wallet: socket.wallet,
       username: socket.username || 'Anon',
       socketId: socket.id,
       tier,
+      mode,
       stakeAmount,
+      rating: Math.round(rating.rating),
+      joinedAt: Date.now(),
     };
 
-    queues[tier].push(player);
-    socket.emit('queue-joined', { tier, position: queues[tier].length });
-    console.log(`${player.username} joined ${tier} queue (${queues[tier].length} in queue, stake: ${stakeAmount})`);
-
-    if (queues[tier].length >= 2) {
-      const p1 = queues[tier].shift();
-      const p2 = queues[tier].shift();
-      // Use the custom stake amount for USD-based tiers
-      try {
-        await createMatch(io, p1, p2, tier, activeGames, p1.stakeAmount);
-      } catch (err) {
-        console.error('createMatch failed:', err.message);
-        io.to(p1.socketId).emit('match-error', { error: 'Match creation failed. Please try again.' });
-        io.to(p2.socketId).emit('match-error', { error: 'Match creation failed. Please try again.' });
-      }
-    }
+    // Keyed by wallet, so a queue-join that landed while we read the rating is replaced
+    await queue.set(socket.wallet, player);
+    const waiting = queuedIn(tier, mode).length;
+    socket.emit('queue-joined', { tier, mode, position: waiting, rating: player.rating });
+    console.log(`${player.username} joined ${tier}/${mode} queue (${waiting} in queue, stake: ${stakeAmount}, rating: ${player.rating})`);
+
+    if (waiting >= 2) await matchQueue(io, tier, activeGames, mode);
   });
 
   // Player leaves queue
   socket.on('queue-leave', () => {
-    for (const tier of Object.keys(queues)) {
-      queues[tier] = queues[tier].filter(p => p.wallet !== socket.wallet);
-    }
+    queue.delete(socket.wallet);
     socket.emit('queue-left');
   });
 
-  // Player submits escrow transaction
-  socket.on('escrow-submit', async ({ gameId, txSignature }) => {
-    const pending = pendingEscrow.get(gameId);
-    if (!pending) return socket.emit('escrow-error', { error: 'No pending match' });
-
-    const isP1 = socket.wallet === pending.player1.wallet;
-    const isP2 = socket.wallet === pending.player2.wallet;
-    if (!isP1 && !isP2) return;
-
-    const who = isP1 ? 'p1' : 'p2';
-    io.to(pending.player1.socketId).emit('escrow-status', { gameId, player: who, status: 'verifying' });
-    io.to(pending.player2.socketId).emit('escrow-status', { gameId, player: who, status: 'verifying' });
-
-    const stakeAmount = pending.stakeAmount || STAKE_TIERS[pending.tier];
-    console.log(`Verifying escrow tx for ${socket.wallet}: ${txSignature}`);
-    const verified = await verifyEscrowTx(txSignature, stakeAmount, socket.wallet);
-    if (!verified) {
-      io.to(pending.player1.socketId).emit('escrow-status', { gameId, player: who, status: 'failed' });
-      io.to(pending.player2.socketId).emit('escrow-status', { gameId, player: who, status: 'failed' });
-      return socket.emit('escrow-error', { error: 'Transaction failed on-chain. Make sure you have enough $PONG and SOL.' });
-    }
-
-    if (isP1) pending.p1Escrowed = true;
-    if (isP2) pending.p2Escrowed = true;
-
-    const update = isP1
-      ? { player1EscrowTx: txSignature }
-      : { player2EscrowTx: txSignature };
-    await Match.findOneAndUpdate({ gameId }, update);
-
-    io.to(pending.player1.socketId).emit('escrow-status', { gameId, player: who, status: 'confirmed' });
-    io.to(pending.player2.socketId).emit('escrow-status', { gameId, player: who, status: 'confirmed' });
-
-    if (pending.p1Escrowed && pending.p2Escrowed) {
-      pendingEscrow.delete(gameId);
-
-      const [p1Skin, p2Skin] = await Promise.all([
-        getPlayerSkin(pending.player1.wallet),
-        getPlayerSkin(pending.player2.wallet),
-      ]);
-      pending.player1.skin = p1Skin;
-      pending.player2.skin = p2Skin;
-
-      const customStake = pending.stakeAmount || null;
-      const game = new PongEngine(
-        gameId,
-        pending.player1,
-        pending.player2,
-        pending.tier,
-        io,
-        activeGames,
-        customStake
-      );
-      activeGames.set(gameId, game);
-      await Match.findOneAndUpdate({ gameId }, { status: 'in-progress' });
-
-      const countdownData = {
-        gameId, seconds: 30, tier: pending.tier,
-        player1: { wallet: pending.player1.wallet, username: pending.player1.username, skin: p1Skin },
-        player2: { wallet: pending.player2.wallet, username: pending.player2.username, skin: p2Skin },
-        stakeAmount: customStake || STAKE_TIERS[pending.tier],
-        useReadySystem: true,
-      };
-      io.to(pending.player1.socketId).emit('game-countdown', countdownData);
-      io.to(pending.player2.socketId).emit('game-countdown', countdownData);
-
-      // Start ready phase instead of auto-start
-      game.startReadyPhase();
-    }
-  });
-
-  // Player cancels pending escrow
-  socket.on('escrow-cancel', async ({ gameId }) => {
-    const pending = pendingEscrow.get(gameId);
-    if (!pending) return;
-    pendingEscrow.delete(gameId);
-    await Match.findOneAndUpdate({ gameId }, { status: 'cancelled' });
-
-    if (pending.p1Escrowed && socket.wallet !== pending.player1.wallet) {
-      const stakeAmount = pending.stakeAmount || STAKE_TIERS[pending.tier];
-      refundPlayer(pending.player1.wallet, stakeAmount).catch(err => {
-        console.error('Refund P1 failed:', err.message);
-      });
-      io.to(pending.player1.socketId).emit('match-cancelled', { gameId, reason: 'Opponent cancelled. Your $PONG is being refunded.' });
-    } else {
-      io.to(pending.player1.socketId).emit('match-cancelled', { gameId, reason: 'Match cancelled' });
-    }
-
-    if (pending.p2Escrowed && socket.wallet !== pending.player2.wallet) {
-      const stakeAmount = pending.stakeAmount || STAKE_TIERS[pending.tier];
-      refundPlayer(pending.player2.wallet, stakeAmount).catch(err => {
-        console.error('Refund P2 failed:', err.message);
-      });
-      io.to(pending.player2.socketId).emit('match-cancelled', { gameId, reason: 'Opponent cancelled. Your $PONG is being refunded.' });
-    } else {
-      io.to(pending.player2.socketId).emit('match-cancelled', { gameId, reason: 'Match cancelled' });
-    }
-  });
+  // Escrow and ready-up are handled by the node holding the match
+  toGame('escrow-submit');
+  toGame('escrow-cancel');
+  toGame('player-ready');
 
-  // === READY SYSTEM ===
-  socket.on('player-ready', ({ gameId }) => {
-    const game = activeGames.get(gameId);
-    if (!game || !game.readyPhase) return;
-    if (!socket.wallet) return;
-    game.playerReady(socket.wallet);
-  });
+  // Rematches are arranged by the node holding the finished game
+  toGame('rematch-request');
+  toGame('rematch-accept');
+  toGame('rematch-decline');
 
   // === IN-GAME CHAT ===
   // Rate limit: 1 msg/sec per player
   const chatLastSent = new Map();
 
-  socket.on('game-chat', ({ gameId, text }) => {
-    const game = activeGames.get(gameId);
-    if (!game) return;
-    if (!socket.wallet || !game.hasPlayer(socket.wallet)) return;
-    if (!text || typeof text !== 'string') return;
+  socket.on('game-chat', ({ gameId, text } = {}) => {
+    if (!socket.wallet || !text || typeof text !== 'string') return;
 
     const now = Date.now();
     const lastSent = chatLastSent.get(socket.wallet) || 0;
     if (now - lastSent < 1000) return; // rate limit
     chatLastSent.set(socket.wallet, now);
 
-    game.handleChat(socket.wallet, text.substring(0, 100));
+    cluster.route(activeGames.ownerOf(gameId), 'game-chat', socket, { gameId, text });
   });
 
   // === DUEL INVITE SYSTEM ===
-  socket.on('duel-invite', async ({ targetWallet, stakeAmount }) => {
+  socket.on('duel-invite', async ({ targetWallet, stakeAmount, bestOf, ruleset }) => {
     if (!socket.wallet) return socket.emit('duel-error', { error: 'Not authenticated' });
     if (!targetWallet || !stakeAmount) return socket.emit('duel-error', { error: 'Missing parameters' });
     if (stakeAmount <= 0) return socket.emit('duel-error', { error: 'Invalid stake amount' });
+    const series = parseBestOf(bestOf);
+    if (!series) return socket.emit('duel-error', { error: BEST_OF_ERROR });
+    const rulesetId = parseRuleset(ruleset);
+    if (!rulesetId) return socket.emit('duel-error', { error: RULESET_ERROR });
 
     // Check if target is online
     const targetInfo = onlineUsers.get(targetWallet);
@@ -377,13 +993,11 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
     if (!user.friends.includes(targetWallet)) return socket.emit('duel-error', { error: 'You must be friends to duel' });
 
     // Check neither is in an active game
-    for (const [, game] of activeGames) {
-      if (game.hasPlayer(socket.wallet) && game.state.status === 'playing') {
-        return socket.emit('duel-error', { error: 'You are already in a game' });
-      }
-      if (game.hasPlayer(targetWallet) && game.state.status === 'playing') {
-        return socket.emit('duel-error', { error: 'Opponent is already in a game' });
-      }
+    if (activeGames.isPlaying(socket.wallet)) {
+      return socket.emit('duel-error', { error: 'You are already in a game' });
+    }
+    if (activeGames.isPlaying(targetWallet)) {
+      return socket.emit('duel-error', { error: 'Opponent is already in a game' });
     }
 
     const duelId = crypto.randomUUID();
@@ -391,6 +1005,8 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
       challenger: { wallet: socket.wallet, username: socket.username, socketId: socket.id },
       target: { wallet: targetWallet, username: targetInfo.username, socketId: targetInfo.socketId },
       stakeAmount,
+      bestOf: series,
+      ruleset: rulesetId,
       createdAt: Date.now(),
     });
 
@@ -400,14 +1016,15 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
       from: socket.wallet,
       fromUsername: socket.username,
       stakeAmount,
+      bestOf: series,
+      ruleset: PongSim.resolveRuleset(rulesetId),
     });
 
     socket.emit('duel-sent', { duelId, targetUsername: targetInfo.username });
 
     // Timeout duel invite after 30s
-    setTimeout(() => {
-      if (pendingDuels.has(duelId)) {
-        pendingDuels.delete(duelId);
+    setTimeout(async () => {
+      if (await pendingDuels.take(duelId)) {
         socket.emit('duel-expired', { duelId });
         io.to(targetInfo.socketId).emit('duel-expired', { duelId });
       }
@@ -415,24 +1032,31 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
   });
 
   socket.on('duel-accept', async ({ duelId }) => {
-    const duel = pendingDuels.get(duelId);
-    if (!duel) return socket.emit('duel-error', { error: 'Duel invite expired or not found' });
-    if (socket.wallet !== duel.target.wallet) return;
+    const invite = pendingDuels.get(duelId);
+    if (!invite) return socket.emit('duel-error', { error: 'Duel invite expired or not found' });
+    if (socket.wallet !== invite.target.wallet) return;
 
-    pendingDuels.delete(duelId);
+    // Only one node can take the invite (accept vs. expiry vs. decline)
+    const duel = await pendingDuels.take(duelId);
+    if (!duel) return socket.emit('duel-error', { error: 'Duel invite expired or not found' });
 
     // Update socket IDs (may have changed)
     const challengerInfo = onlineUsers.get(duel.challenger.wallet);
     if (challengerInfo) duel.challenger.socketId = challengerInfo.socketId;
+    duel.target.socketId = socket.id;
 
-    await startCustomStakeMatch(io, duel.challenger, duel.target, duel.stakeAmount, activeGames);
+    await startCustomStakeMatch(io, duel.challenger, duel.target, duel.stakeAmount, activeGames, {
+      bestOf: duel.bestOf,
+      ruleset: duel.ruleset,
+    });
   });
 
-  socket.on('duel-decline', ({ duelId }) => {
-    const duel = pendingDuels.get(duelId);
+  socket.on('duel-decline', async ({ duelId }) => {
+    const invite = pendingDuels.get(duelId);
+    if (!invite) return;
+    if (socket.wallet !== invite.target.wallet) return;
+    const duel = await pendingDuels.take(duelId);
     if (!duel) return;
-    if (socket.wallet !== duel.target.wallet) return;
-    pendingDuels.delete(duelId);
 
     io.to(duel.challenger.socketId).emit('duel-declined', {
       duelId,
@@ -442,9 +1066,20 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
 
   // === CUSTOM STAKE LOBBIES ===
 
-  socket.on('lobby-create', async ({ stakeAmount }) => {
+  // team: a 2v2 lobby, opened by the captain of a full team
+  socket.on('lobby-create', async ({ stakeAmount, bestOf, ruleset, arena, team }) => {
     if (!socket.wallet) return socket.emit('lobby-error', { error: 'Not authenticated' });
     if (!stakeAmount || stakeAmount <= 0) return socket.emit('lobby-error', { error: 'Invalid stake amount' });
+    const series = parseBestOf(bestOf);
+    if (!series) return socket.emit('lobby-error', { error: BEST_OF_ERROR });
+    const rulesetId = parseRuleset(ruleset);
+    if (!rulesetId) return socket.emit('lobby-error', { error: RULESET_ERROR });
+    const arenaId = parseArena(arena);
+    if (!arenaId) return socket.emit('lobby-error', { error: ARENA_ERROR });
+    const squad = team ? findTeam(socket.wallet) : null;
+    if (team && (!squad || squad.captain.wallet !== socket.wallet || !squad.partner)) {
+      return socket.emit('lobby-error', { error: 'Only the captain of a full team can open a 2v2 lobby' });
+    }
 
     // Check not already in a lobby
     for (const [, lobby] of openLobbies) {
@@ -454,17 +1089,13 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
     }
 
     // Check not in queue
-    for (const t of Object.keys(queues)) {
-      if (queues[t].some(p => p.wallet === socket.wallet)) {
-        return socket.emit('lobby-error', { error: 'Leave the queue before creating a lobby' });
-      }
+    if (queue.has(socket.wallet)) {
+      return socket.emit('lobby-error', { error: 'Leave the queue before creating a lobby' });
     }
 
     // Check not in active game
-    for (const [, game] of activeGames) {
-      if (game.hasPlayer(socket.wallet) && game.state.status === 'playing') {
-        return socket.emit('lobby-error', { error: 'You are already in a game' });
-      }
+    if (activeGames.isPlaying(socket.wallet)) {
+      return socket.emit('lobby-error', { error: 'You are already in a game' });
     }
 
     const lobbyId = crypto.randomUUID();
@@ -473,6 +1104,10 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
       username: socket.username || 'Anon',
       socketId: socket.id,
       stakeAmount,
+      bestOf: series,
+      ruleset: rulesetId,
+      arena: arenaId,
+      team: squad ? { teamId: squad.teamId, partner: squad.partner } : null,
       createdAt: Date.now(),
     });
 
@@ -493,19 +1128,29 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
   socket.on('lobby-join', async ({ lobbyId }) => {
     if (!socket.wallet) return socket.emit('lobby-error', { error: 'Not authenticated' });
 
-    const lobby = openLobbies.get(lobbyId);
-    if (!lobby) return socket.emit('lobby-error', { error: 'Lobby no longer exists' });
-    if (lobby.wallet === socket.wallet) return socket.emit('lobby-error', { error: 'Cannot join your own lobby' });
+    const listed = openLobbies.get(lobbyId);
+    if (!listed) return socket.emit('lobby-error', { error: 'Lobby no longer exists' });
+    if (listed.wallet === socket.wallet) return socket.emit('lobby-error', { error: 'Cannot join your own lobby' });
 
     // Check not in active game
-    for (const [, game] of activeGames) {
-      if (game.hasPlayer(socket.wallet) && game.state.status === 'playing') {
-        return socket.emit('lobby-error', { error: 'You are already in a game' });
+    if (activeGames.isPlaying(socket.wallet)) {
+      return socket.emit('lobby-error', { error: 'You are already in a game' });
+    }
+
+    // A 2v2 lobby takes another full team, joined by its captain
+    const squad = listed.team ? findTeam(socket.wallet) : null;
+    if (listed.team) {
+      if (!squad || squad.captain.wallet !== socket.wallet || !squad.partner) {
+        return socket.emit('lobby-error', { error: 'Only the captain of a full team can join a 2v2 lobby' });
+      }
+      if (activeGames.isPlaying(squad.partner.wallet)) {
+        return socket.emit('lobby-error', { error: 'Your teammate is already in a game' });
       }
     }
 
-    // Remove lobby
-    openLobbies.delete(lobbyId);
+    // Remove lobby — another player may be joining it through another node
+    const lobby = await openLobbies.take(lobbyId);
+    if (!lobby) return socket.emit('lobby-error', { error: 'Lobby no longer exists' });
 
     // Also cancel any lobby the joiner has open
     for (const [id, l] of openLobbies) {
@@ -526,183 +1171,213 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
     const p1 = { wallet: lobby.wallet, username: lobby.username, socketId: lobby.socketId };
     const p2 = { wallet: socket.wallet, username: socket.username || 'Anon', socketId: socket.id };
 
-    await startCustomStakeMatch(io, p1, p2, lobby.stakeAmount, activeGames);
+    await startCustomStakeMatch(io, p1, p2, lobby.stakeAmount, activeGames, {
+      bestOf: lobby.bestOf || 1,
+      ruleset: lobby.ruleset,
+      arena: lobby.arena,
+      partners: lobby.team ? {
+        player1: withCurrentSocket(lobby.team.partner, onlineUsers),
+        player2: withCurrentSocket(squad.partner, onlineUsers),
+      } : null,
+    });
   });
 
   socket.on('lobby-list-request', () => {
-    const list = [];
-    for (const [lobbyId, lobby] of openLobbies) {
-      list.push({
-        lobbyId,
-        wallet: lobby.wallet,
-        username: lobby.username,
-        stakeAmount: lobby.stakeAmount,
-        createdAt: lobby.createdAt,
-      });
-    }
-    socket.emit('lobby-list', { lobbies: list });
+    socket.emit('lobby-list', { lobbies: getLobbyList() });
   });
 
-  // === TOURNAMENT SOCKET HANDLERS ===
+  // === 2v2 TEAMS ===
 
-  socket.on('tournament-create', async ({ stakeAmount, maxPlayers }) => {
-    if (!socket.wallet) return socket.emit('tournament-error', { error: 'Not authenticated' });
-    if (!stakeAmount || stakeAmount <= 0) return socket.emit('tournament-error', { error: 'Invalid stake amount' });
-    if (!maxPlayers || maxPlayers < 2) return socket.emit('tournament-error', { error: 'Need at least 2 players' });
+  // Captain invites a friend (inviting creates the team)
+  socket.on('team-invite', async ({ targetWallet } = {}) => {
+    if (!socket.wallet) return socket.emit('team-error', { error: 'Not authenticated' });
+    if (!targetWallet || targetWallet === socket.wallet) return socket.emit('team-error', { error: 'Invalid player' });
 
-    // Check not already in a tournament
-    for (const [, t] of openTournaments) {
-      if (t.status === 'waiting' && t.players.some(p => p.wallet === socket.wallet)) {
-        return socket.emit('tournament-error', { error: 'You are already in a tournament' });
-      }
+    const targetInfo = onlineUsers.get(targetWallet);
+    if (!targetInfo) return socket.emit('team-error', { error: 'Player is offline' });
+
+    const user = await User.findOne({ wallet: socket.wallet });
+    if (!user) return socket.emit('team-error', { error: 'User not found' });
+    if (!user.friends.includes(targetWallet)) return socket.emit('team-error', { error: 'You can only team up with friends' });
+
+    let team = findTeam(socket.wallet);
+    if (team && team.captain.wallet !== socket.wallet) {
+      return socket.emit('team-error', { error: 'Only the team captain can invite' });
+    }
+    if (team && team.partner) return socket.emit('team-error', { error: 'Your team is already full' });
+    const theirs = findTeam(targetWallet);
+    if (theirs && theirs.partner) return socket.emit('team-error', { error: 'That player is already in a team' });
+
+    if (!team) {
+      team = {
+        teamId: crypto.randomUUID(),
+        captain: { wallet: socket.wallet, username: socket.username || 'Anon', socketId: socket.id },
+        partner: null,
+        invited: null,
+        createdAt: Date.now(),
+      };
     }
+    team.invited = { wallet: targetWallet, username: targetInfo.username };
+    await teams.set(team.teamId, team);
 
-    const tournamentId = crypto.randomUUID();
-    const tournament = await Tournament.create({
-      tournamentId,
-      creator: socket.wallet,
-      creatorUsername: socket.username || 'Anon',
-      maxPlayers,
-      stakeAmount,
-      status: 'waiting',
-      players: [{
-        wallet: socket.wallet,
-        username: socket.username || 'Anon',
-        socketId: socket.id,
-        escrowed: false,
-        seed: 0,
-      }],
+    io.to(targetInfo.socketId).emit('team-invite-incoming', {
+      teamId: team.teamId,
+      from: socket.wallet,
+      fromUsername: socket.username,
     });
-
-    openTournaments.set(tournamentId, tournament);
-    socket.emit('tournament-created', { tournamentId });
-    broadcastTournaments(io);
-    console.log(`${socket.username} created tournament ${tournamentId} (${maxPlayers} players, ${stakeAmount} stake)`);
+    sendTeamUpdate(io, team);
   });
 
-  socket.on('tournament-join', async ({ tournamentId }) => {
-    if (!socket.wallet) return socket.emit('tournament-error', { error: 'Not authenticated' });
-
-    const tournament = openTournaments.get(tournamentId);
-    if (!tournament) return socket.emit('tournament-error', { error: 'Tournament not found' });
-    if (tournament.status !== 'waiting') return socket.emit('tournament-error', { error: 'Tournament already started' });
-    if (tournament.players.length >= tournament.maxPlayers) return socket.emit('tournament-error', { error: 'Tournament is full' });
-    if (tournament.players.some(p => p.wallet === socket.wallet)) return socket.emit('tournament-error', { error: 'Already in this tournament' });
-
-    // Check not in another tournament
-    for (const [, t] of openTournaments) {
-      if (t.tournamentId !== tournamentId && (t.status === 'waiting' || t.status === 'escrow' || t.status === 'in-progress') && t.players.some(p => p.wallet === socket.wallet)) {
-        return socket.emit('tournament-error', { error: 'You are already in another tournament' });
-      }
+  socket.on('team-accept', async ({ teamId } = {}) => {
+    const team = teams.get(teamId);
+    if (!team || !team.invited || team.invited.wallet !== socket.wallet) {
+      return socket.emit('team-error', { error: 'Team invite expired or not found' });
     }
+    if (team.partner) return socket.emit('team-error', { error: 'That team is already full' });
 
-    tournament.players.push({
-      wallet: socket.wallet,
-      username: socket.username || 'Anon',
-      socketId: socket.id,
-      escrowed: false,
-      seed: tournament.players.length,
-    });
+    // A team of one (an invite still out) gives way to the one joined
+    const current = findTeam(socket.wallet);
+    if (current && current.partner) return socket.emit('team-error', { error: 'Leave your current team first' });
+    if (current) leaveTeam(io, current, socket.wallet);
 
-    await Tournament.findOneAndUpdate({ tournamentId }, { players: tournament.players });
-    broadcastTournaments(io);
+    team.partner = { wallet: socket.wallet, username: socket.username || 'Anon', socketId: socket.id };
+    team.invited = null;
+    await teams.set(teamId, team);
+    sendTeamUpdate(io, team);
+  });
 
-    // Notify all tournament players
-    tournament.players.forEach(p => {
-      io.to(p.socketId).emit('tournament-joined', {
-        tournamentId,
-        players: tournament.players.map(pp => ({ wallet: pp.wallet, username: pp.username })),
-      });
-    });
+  socket.on('team-decline', async ({ teamId } = {}) => {
+    const team = teams.get(teamId);
+    if (!team || !team.invited || team.invited.wallet !== socket.wallet) return;
+    team.invited = null;
+    await teams.set(teamId, team);
+    io.to(team.captain.socketId).emit('team-invite-declined', { byUsername: socket.username });
+    sendTeamUpdate(io, team);
+  });
 
-    // If full, start escrow phase
-    if (tournament.players.length >= tournament.maxPlayers) {
-      await startTournamentEscrow(io, tournament, onlineUsers, activeGames);
-    }
+  socket.on('team-leave', () => {
+    const team = findTeam(socket.wallet);
+    if (team) leaveTeam(io, team, socket.wallet);
   });
 
-  socket.on('tournament-leave', async ({ tournamentId }) => {
-    if (!socket.wallet) return;
-    const tournament = openTournaments.get(tournamentId);
-    if (!tournament || tournament.status !== 'waiting') return;
+  // Captain queues the team; pongAmount is the per-player stake, as in queue-join
+  socket.on('team-queue-join', async ({ tier, pongAmount } = {}) => {
+    if (!socket.wallet) return socket.emit('team-error', { error: 'Not authenticated' });
+    if (!VALID_TIERS.includes(tier)) return socket.emit('team-error', { error: 'Invalid tier' });
+    if (tier === FREE_TIER) return socket.emit('team-error', { error: '2v2 queues are staked' });
 
-    // Creator leaving = cancel
-    if (tournament.creator === socket.wallet) {
-      tournament.status = 'cancelled';
-      await Tournament.findOneAndUpdate({ tournamentId }, { status: 'cancelled' });
-      openTournaments.delete(tournamentId);
-      tournament.players.forEach(p => {
-        io.to(p.socketId).emit('tournament-cancelled', { tournamentId, reason: 'Creator left' });
-      });
-      broadcastTournaments(io);
-      return;
+    const team = findTeam(socket.wallet);
+    if (!team || team.captain.wallet !== socket.wallet) {
+      return socket.emit('team-error', { error: 'Only the team captain can queue' });
+    }
+    if (!team.partner) return socket.emit('team-error', { error: 'Invite a teammate first' });
+    const members = teamMembers(team).map(p => withCurrentSocket(p, onlineUsers));
+    if (members.some(p => activeGames.isPlaying(p.wallet))) {
+      return socket.emit('team-error', { error: 'Your team is already in a game' });
     }
 
-    tournament.players = tournament.players.filter(p => p.wallet !== socket.wallet);
-    await Tournament.findOneAndUpdate({ tournamentId }, { players: tournament.players });
-    broadcastTournaments(io);
-
-    tournament.players.forEach(p => {
-      io.to(p.socketId).emit('tournament-joined', {
-        tournamentId,
-        players: tournament.players.map(pp => ({ wallet: pp.wallet, username: pp.username })),
-      });
-    });
-  });
-
-  socket.on('tournament-cancel', async ({ tournamentId }) => {
-    if (!socket.wallet) return;
-    const tournament = openTournaments.get(tournamentId);
-    if (!tournament) return;
-    if (tournament.creator !== socket.wallet) return socket.emit('tournament-error', { error: 'Only the creator can cancel' });
-    if (tournament.status !== 'waiting') return socket.emit('tournament-error', { error: 'Cannot cancel after tournament started' });
+    const stakeAmount = pongAmount && pongAmount > 0 ? pongAmount * (10 ** 6) : STAKE_TIERS[tier] || 0;
+    let ratings;
+    try {
+      const users = await Promise.all(members.map(p => User.findOne({ wallet: p.wallet }).select('stats')));
+      ratings = users.map(u => getRating(u).rating);
+    } catch {
+      ratings = members.map(() => getRating(null).rating);
+    }
 
-    tournament.status = 'cancelled';
-    await Tournament.findOneAndUpdate({ tournamentId }, { status: 'cancelled' });
-    openTournaments.delete(tournamentId);
-    tournament.players.forEach(p => {
-      io.to(p.socketId).emit('tournament-cancelled', { tournamentId, reason: 'Cancelled by creator' });
+    // Queued as a team only
+    members.forEach(p => queue.delete(p.wallet));
+    const [captain, partner] = members;
+    await teamQueue.set(team.teamId, {
+      teamId: team.teamId,
+      captain,
+      partner,
+      tier,
+      stakeAmount,
+      rating: Math.round((ratings[0] + ratings[1]) / 2),
+      joinedAt: Date.now(),
     });
-    broadcastTournaments(io);
+    const waiting = teamsQueuedIn(tier).length;
+    members.forEach(p => io.to(p.socketId).emit('team-queue-joined', { tier, position: waiting }));
+    console.log(`Team ${captain.username} & ${partner.username} joined ${tier} 2v2 queue (${waiting} teams, stake: ${stakeAmount})`);
+
+    if (waiting >= 2) await matchTeamQueue(io, tier, activeGames);
   });
 
-  socket.on('tournament-escrow-submit', async ({ tournamentId, txSignature }) => {
-    if (!socket.wallet) return;
-    const tournament = openTournaments.get(tournamentId);
-    if (!tournament || tournament.status !== 'escrow') return socket.emit('tournament-error', { error: 'Not in escrow phase' });
+  socket.on('team-queue-leave', () => {
+    const team = findTeam(socket.wallet);
+    if (!team || !teamQueue.has(team.teamId)) return;
+    teamQueue.delete(team.teamId);
+    teamMembers(team).forEach(p => io.to(p.socketId).emit('team-queue-left'));
+  });
 
-    const player = tournament.players.find(p => p.wallet === socket.wallet);
-    if (!player) return;
-    if (player.escrowed) return;
+  // === TOURNAMENT SOCKET HANDLERS ===
 
-    // Notify verifying
-    tournament.players.forEach(p => {
-      io.to(p.socketId).emit('tournament-escrow-status', { tournamentId, wallet: socket.wallet, status: 'verifying' });
-    });
+  socket.on('tournament-create', async (payload = {}) => {
+    if (!socket.wallet) return socket.emit('tournament-error', { error: 'Not authenticated' });
+    const { error, settings } = tournamentSettings(payload);
+    if (error) return socket.emit('tournament-error', { error });
+    const { stakeAmount, maxPlayers, bestOf, format, prizeSplit, prizePool, entryRules } = settings;
 
-    const verified = await verifyEscrowTx(txSignature, tournament.stakeAmount, socket.wallet);
-    if (!verified) {
-      tournament.players.forEach(p => {
-        io.to(p.socketId).emit('tournament-escrow-status', { tournamentId, wallet: socket.wallet, status: 'failed' });
-      });
-      return socket.emit('tournament-error', { error: 'Escrow verification failed' });
+    // Check not already in a tournament
+    for (const [, t] of tournamentDirectory) {
+      if (t.status === 'waiting' && t.players.some(p => p.wallet === socket.wallet)) {
+        return socket.emit('tournament-error', { error: 'You are already in a tournament' });
+      }
     }
+    const entryError = prizePools.entryRuleError(
+      entryRules && await User.findOne({ wallet: socket.wallet }).select('stats.level createdAt discordId').lean(),
+      entryRules
+    );
+    if (entryError) return socket.emit('tournament-error', { error: entryError });
 
-    player.escrowed = true;
-    player.escrowTx = txSignature;
+    // A sponsored tournament opens once the creator's prize pool deposit verifies
+    const tournamentId = crypto.randomUUID();
+    if (prizePool.source === 'sponsor') {
+      prizePool.sponsorWallet = socket.wallet;
+      const deposit = await prizePools.collectSponsorDeposit(prizePool, tournamentId);
+      if (deposit.error) return socket.emit('tournament-error', { error: deposit.error });
+      if (deposit.escrowTransaction) {
+        return socket.emit('tournament-sponsor-required', {
+          event: 'tournament-create', payload, escrowTransaction: deposit.escrowTransaction, amount: prizePool.amount,
+        });
+      }
+    }
 
-    tournament.players.forEach(p => {
-      io.to(p.socketId).emit('tournament-escrow-status', { tournamentId, wallet: socket.wallet, status: 'confirmed' });
+    const tournament = await Tournament.create({
+      tournamentId,
+      creator: socket.wallet,
+      creatorUsername: socket.username || 'Anon',
+      maxPlayers,
+      stakeAmount,
+      bestOf,
+      format,
+      prizeSplit,
+      prizePool,
+      entryRules,
+      status: 'waiting',
+      players: [{
+        wallet: socket.wallet,
+        username: socket.username || 'Anon',
+        socketId: socket.id,
+        escrowed: false,
+        seed: 0,
+      }],
     });
 
-    await Tournament.findOneAndUpdate({ tournamentId }, { players: tournament.players });
-
-    // Check if all escrowed
-    if (tournament.players.every(p => p.escrowed)) {
-      await startTournament(io, tournament, activeGames, onlineUsers);
-    }
+    // This node runs the tournament; joins from other nodes are routed here
+    openTournaments.set(tournamentId, tournament);
+    cluster.pin(`tournament:${tournamentId}`);
+    socket.emit('tournament-created', { tournamentId });
+    broadcastTournaments(io);
+    console.log(`${socket.username} created ${format} tournament ${tournamentId} (${maxPlayers} players, ${prizePool.source === 'stakes' ? `${stakeAmount} stake` : `${prizePool.amount} sponsored pool`})`);
   });
 
+  toTournament('tournament-join');
+  toTournament('tournament-leave');
+  toTournament('tournament-cancel');
+  toTournament('tournament-escrow-submit');
+
   socket.on('tournament-list-request', () => {
     const list = getTournamentList();
     socket.emit('tournament-list', { tournaments: list });
@@ -710,9 +1385,8 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
 
   // Clean up on disconnect
   socket.on('disconnect', () => {
-    for (const tier of Object.keys(queues)) {
-      queues[tier] = queues[tier].filter(p => p.wallet !== socket.wallet);
-    }
+    queue.delete(socket.wallet);
+
     // Remove any open lobbies from disconnecting player
     let lobbyCleaned = false;
     for (const [lobbyId, lobby] of openLobbies) {
@@ -723,41 +1397,97 @@ function setupMatchmaking(io, socket, onlineUsers, activeGames) {
     }
     if (lobbyCleaned) broadcastLobbies(io);
 
+    // Leaving a 2v2 team (a captain's disconnect breaks it up)
+    const team = socket.wallet && findTeam(socket.wallet);
+    if (team) leaveTeam(io, team, socket.wallet);
+
     // Handle tournament disconnect (waiting phase only — in-game DC handled by PongEngine)
     if (socket.wallet) {
-      for (const [tournamentId, t] of openTournaments) {
-        if (t.status !== 'waiting') continue;
-        const idx = t.players.findIndex(p => p.wallet === socket.wallet);
-        if (idx === -1) continue;
-
-        if (t.creator === socket.wallet) {
-          // Creator DC = cancel
-          t.status = 'cancelled';
-          Tournament.findOneAndUpdate({ tournamentId }, { status: 'cancelled' }).catch(() => {});
-          openTournaments.delete(tournamentId);
-          t.players.forEach(p => {
-            io.to(p.socketId).emit('tournament-cancelled', { tournamentId, reason: 'Creator disconnected' });
-          });
-          broadcastTournaments(io);
-        } else {
-          t.players.splice(idx, 1);
-          Tournament.findOneAndUpdate({ tournamentId }, { players: t.players }).catch(() => {});
-          broadcastTournaments(io);
-          t.players.forEach(p => {
-            io.to(p.socketId).emit('tournament-joined', {
-              tournamentId,
-              players: t.players.map(pp => ({ wallet: pp.wallet, username: pp.username })),
-            });
-          });
-        }
+      for (const [tournamentId, t] of tournamentDirectory) {
+        if (t.status !== 'waiting' || !t.players.some(p => p.wallet === socket.wallet)) continue;
+        cluster.route(cluster.ownerOf(`tournament:${tournamentId}`), 'tournament-disconnect', socket, { tournamentId });
       }
     }
   });
 }
 
-async function createMatch(io, player1, player2, tier, activeGames, customStakeAmount) {
+// A player entry with their current socket (they may have reconnected since)
+function withCurrentSocket(player, onlineUsers) {
+  const info = onlineUsers.get(player.wallet);
+  return info ? { ...player, socketId: info.socketId } : player;
+}
+
+// =============================================
+// REMATCH — run it back from the post-game screen
+// =============================================
+/** Why a player cannot ask for (or accept) a rematch of this game, if anything. */
+function rematchError(game, wallet, onlineUsers, activeGames) {
+  if (!game || game.simState.status !== 'finished') return 'That game is no longer available for a rematch';
+  if (!wallet || !game.hasPlayer(wallet)) return 'You did not play in that game';
+  if (game.tournamentId) return 'Tournament matches cannot be rematched';
+  if (game.rematched) return 'A rematch has already been arranged';
+  if (game.players.some(p => !onlineUsers.has(p.wallet))) return 'A player has left';
+  if (game.players.some(p => activeGames.isPlaying(p.wallet))) return 'A player is already in another game';
+  return null;
+}
+
+// Starts the rematch once every player of the game has accepted
+async function acceptRematch(io, socket, game, offer, onlineUsers, activeGames) {
+  offer.accepted.add(socket.wallet);
+  if (!game.players.every(p => offer.accepted.has(p.wallet))) {
+    game.emit('rematch-status', { gameId: game.gameId, accepted: [...offer.accepted] });
+    return;
+  }
+  clearTimeout(offer.timeout);
+  rematchOffers.delete(game.gameId);
+  game.rematched = true;
+  try {
+    await startRematch(io, game, offer, onlineUsers, activeGames);
+  } catch (err) {
+    console.error('Rematch creation failed:', err.message);
+    game.emit('match-error', { error: 'Rematch creation failed. Please try again.' });
+  }
+}
+
+/**
+ * Same players, sides, tier and settings as the finished game, at the same
+ * stake (or double it) with fresh escrow. The new Match records the chain:
+ * rematchOf (this game), rematchChain (the chain's first game), rematchNumber.
+ */
+async function startRematch(io, game, offer, onlineUsers, activeGames) {
+  const previous = await Match.findOne({ gameId: game.gameId }).select('rematchChain rematchNumber').lean();
+  const rematch = {
+    rematchOf: game.gameId,
+    rematchChain: (previous && previous.rematchChain) || game.gameId,
+    rematchNumber: ((previous && previous.rematchNumber) || 0) + 1,
+    doubleOrNothing: offer.doubleOrNothing,
+  };
+  const [p1, p2, partner1, partner2] = game.players.map(p => withCurrentSocket(
+    { wallet: p.wallet, username: p.username, socketId: p.socketId }, onlineUsers
+  ));
+  console.log(`Rematch of ${game.gameId}: ${p1.username} vs ${p2.username}${offer.doubleOrNothing ? ' (double or nothing)' : ''}`);
+
+  // Queue matches go back through createMatch; duels, lobbies and 2v2s keep their options
+  if (game.tier === 'duel' || game.teams) {
+    await startCustomStakeMatch(io, p1, p2, offer.stakeAmount, activeGames, {
+      bestOf: game.bestOf,
+      ruleset: game.ruleset,
+      arena: game.arena,
+      partners: game.teams ? { player1: partner1, player2: partner2 } : null,
+      tier: game.tier,
+      rematch,
+    });
+  } else {
+    await createMatch(io, p1, p2, game.tier, activeGames, offer.stakeAmount, { ruleset: game.ruleset, rematch });
+  }
+}
+
+async function createMatch(io, player1, player2, tier, activeGames, customStakeAmount, { ruleset, rematch = null } = {}) {
   const gameId = crypto.randomUUID();
-  const stakeAmount = customStakeAmount || STAKE_TIERS[tier] || 0;
+  const stakeAmount = tier === FREE_TIER ? 0 : customStakeAmount || STAKE_TIERS[tier] || 0;
+  const rules = PongSim.resolveRuleset(ruleset);
+  // Nothing to escrow for an unstaked match
+  const skipEscrow = SKIP_ESCROW || stakeAmount === 0;
 
   await Match.create({
     gameId,
@@ -767,10 +1497,12 @@ async function createMatch(io, player1, player2, tier, activeGames, customStakeA
     player2Username: player2.username,
     tier,
     stakeAmount,
-    status: SKIP_ESCROW ? 'in-progress' : 'pending-escrow'
+    ruleset: rules,
+    ...rematch,
+    status: skipEscrow ? 'in-progress' : 'pending-escrow'
   });
 
-  if (SKIP_ESCROW) {
+  if (skipEscrow) {
     const [p1Skin, p2Skin] = await Promise.all([
       getPlayerSkin(player1.wallet),
       getPlayerSkin(player2.wallet),
@@ -778,7 +1510,7 @@ async function createMatch(io, player1, player2, tier, activeGames, customStakeA
     player1.skin = p1Skin;
     player2.skin = p2Skin;
 
-    const game = new PongEngine(gameId, player1, player2, tier, io, activeGames, stakeAmount);
+    const game = new PongEngine(gameId, player1, player2, tier, io, activeGames, stakeAmount, { ruleset: rules });
     activeGames.set(gameId, game);
 
     const countdownData = {
@@ -786,6 +1518,7 @@ async function createMatch(io, player1, player2, tier, activeGames, customStakeA
       player1: { wallet: player1.wallet, username: player1.username, skin: p1Skin },
       player2: { wallet: player2.wallet, username: player2.username, skin: p2Skin },
       stakeAmount,
+      ruleset: rules,
       useReadySystem: true,
     };
     io.to(player1.socketId).emit('game-countdown', countdownData);
@@ -816,16 +1549,19 @@ async function createMatch(io, player1, player2, tier, activeGames, customStakeA
     return;
   }
 
-  pendingEscrow.set(gameId, {
-    player1, player2, tier, stakeAmount,
+  const pending = {
+    player1, player2, tier, stakeAmount, ruleset: rules,
     p1Escrowed: false, p2Escrowed: false,
-  });
+  };
+  pendingEscrow.set(gameId, pending);
+  cluster.pin(`game:${gameId}`);
 
   io.to(player1.socketId).emit('match-found', {
     gameId,
     opponent: { wallet: player2.wallet, username: player2.username },
     tier,
     stake: stakeAmount,
+    ruleset: rules,
     escrowTransaction: p1Tx.transaction,
     yourSlot: 'p1',
   });
@@ -835,14 +1571,17 @@ async function createMatch(io, player1, player2, tier, activeGames, customStakeA
     opponent: { wallet: player1.wallet, username: player1.username },
     tier,
     stake: stakeAmount,
+    ruleset: rules,
     escrowTransaction: p2Tx.transaction,
     yourSlot: 'p2',
   });
 
   setTimeout(() => {
-    if (pendingEscrow.has(gameId)) {
+    if (pendingEscrow.get(gameId) === pending) {
       pendingEscrow.delete(gameId);
+      cluster.unpin(`game:${gameId}`);
       Match.findOneAndUpdate({ gameId }, { status: 'cancelled' }).catch(() => {});
+      refundEscrowed(gameId, pending);
       io.to(player1.socketId).emit('match-cancelled', { gameId, reason: 'Escrow timeout' });
       io.to(player2.socketId).emit('match-cancelled', { gameId, reason: 'Escrow timeout' });
     }
@@ -853,31 +1592,71 @@ async function createMatch(io, player1, player2, tier, activeGames, customStakeA
 // TOURNAMENT HELPERS
 // ===========================================
 
-function getTournamentList() {
-  const list = [];
-  for (const [tournamentId, t] of openTournaments) {
-    if (t.status === 'waiting' || t.status === 'escrow' || t.status === 'in-progress') {
-      list.push({
-        tournamentId,
-        creator: t.creator,
-        creatorUsername: t.creatorUsername,
-        maxPlayers: t.maxPlayers,
-        currentPlayers: t.players.length,
-        stakeAmount: t.stakeAmount,
-        status: t.status,
-        players: t.players.map(p => ({ wallet: p.wallet, username: p.username })),
-        createdAt: t.createdAt,
-      });
-    }
+/**
+ * Validate the settings a tournament is created with (instant or scheduled).
+ * Returns { settings } with defaults filled in, or { error }. Free
+ * tournaments (a treasury or sponsor prize pool) have no stake.
+ */
+function tournamentSettings(payload, { admin = false } = {}) {
+  const {
+    maxPlayers, bestOf,
+    format = tournamentFormats.DEFAULT_FORMAT,
+    prizeSplit = tournamentFormats.DEFAULT_PRIZE_SPLIT,
+  } = payload;
+  const pool = prizePools.parsePrizePool(payload, { admin });
+  if (pool.error) return { error: pool.error };
+  const free = pool.prizePool.source !== 'stakes';
+  const stakeAmount = free ? 0 : payload.stakeAmount;
+  if (!free && (!stakeAmount || stakeAmount <= 0)) return { error: 'Invalid stake amount' };
+  if (!maxPlayers || maxPlayers < 2) return { error: 'Need at least 2 players' };
+  const series = parseBestOf(bestOf);
+  if (!series) return { error: BEST_OF_ERROR };
+  if (!tournamentFormats.FORMATS[format]) return { error: 'Unknown tournament format' };
+  if (!tournamentFormats.isValidPrizeSplit(prizeSplit, maxPlayers)) {
+    return { error: 'Prize split must be whole percentages, largest first, adding up to 100, with no more places than players' };
   }
-  return list;
+  return { settings: { stakeAmount, maxPlayers, bestOf: series, format, prizeSplit, prizePool: pool.prizePool, entryRules: pool.entryRules } };
+}
+
+function tournamentSummary(t) {
+  return {
+    tournamentId: t.tournamentId,
+    creator: t.creator,
+    creatorUsername: t.creatorUsername,
+    maxPlayers: t.maxPlayers,
+    currentPlayers: t.players.length,
+    stakeAmount: t.stakeAmount,
+    bestOf: t.bestOf || 1,
+    format: t.format || tournamentFormats.DEFAULT_FORMAT,
+    prizeSplit: t.prizeSplit && t.prizeSplit.length ? [...t.prizeSplit] : tournamentFormats.DEFAULT_PRIZE_SPLIT,
+    ...prizePools.poolSummary(t),
+    status: t.status,
+    players: t.players.map(p => ({ wallet: p.wallet, username: p.username })),
+    createdAt: t.createdAt,
+  };
+}
+
+function getTournamentList() {
+  return [...tournamentDirectory.values()]
+    .filter(t => t.status === 'waiting' || t.status === 'escrow' || t.status === 'in-progress');
 }
 
 function broadcastTournaments(io) {
+  // Mirror this node's tournaments into the shared directory first
+  for (const [, t] of openTournaments) tournamentDirectory.set(t.tournamentId, tournamentSummary(t));
+  for (const tournamentId of tournamentDirectory.keys()) {
+    if (tournamentDirectory.writerOf(tournamentId) === cluster.nodeId && !openTournaments.has(tournamentId)) {
+      tournamentDirectory.delete(tournamentId);
+      cluster.unpin(`tournament:${tournamentId}`);
+    }
+  }
   io.emit('tournament-update', { tournaments: getTournamentList() });
 }
 
 async function startTournamentEscrow(io, tournament, onlineUsers, activeGames) {
+  // Free entry: nothing to escrow
+  if (prizePools.isFree(tournament)) return startTournament(io, tournament, activeGames, onlineUsers);
+
   tournament.status = 'escrow';
   await Tournament.findOneAndUpdate({ tournamentId: tournament.tournamentId }, { status: 'escrow' });
   broadcastTournaments(io);
@@ -926,20 +1705,30 @@ async function startTournamentEscrow(io, tournament, onlineUsers, activeGames) {
 async function startTournament(io, tournament, activeGames, onlineUsers) {
   tournament.status = 'in-progress';
   tournament.startedAt = new Date();
-  tournament.totalPot = tournament.stakeAmount * tournament.players.length;
+  tournament.totalPot = prizePools.tournamentPot(tournament);
 
-  // Shuffle players randomly for seeding
-  const shuffled = [...tournament.players];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  // Seed by rating, then wins; top seeds get any byes and meet late
+  const records = new Map();
+  try {
+    const users = await User.find({ wallet: { $in: tournament.players.map(p => p.wallet) } }).select('wallet stats');
+    tournament.players.forEach(p => {
+      const user = users.find(u => u.wallet === p.wallet);
+      records.set(p.wallet, { rating: getRating(user).rating, wins: (user && user.stats && user.stats.wins) || 0 });
+    });
+  } catch (err) {
+    console.error('Tournament seeding lookup failed:', err.message);
   }
-  shuffled.forEach((p, i) => { p.seed = i; });
-  tournament.players = shuffled;
+  const seeded = tournamentFormats.seed(tournament.players, records);
+  seeded.forEach((p, i) => {
+    p.seed = i;
+    p.rating = records.has(p.wallet) ? Math.round(records.get(p.wallet).rating) : null;
+  });
+  tournament.players = seeded;
 
-  // Generate bracket with byes
-  const bracket = generateBracket(shuffled);
+  // Lay out the bracket for the tournament's format
+  const { bracket, swissRounds = null } = tournamentFormats.generate(tournament.format, seeded);
   tournament.bracket = bracket;
+  tournament.swissRounds = swissRounds;
   tournament.currentRound = 0;
 
   await Tournament.findOneAndUpdate({ tournamentId: tournament.tournamentId }, {
@@ -948,6 +1737,7 @@ async function startTournament(io, tournament, activeGames, onlineUsers) {
     totalPot: tournament.totalPot,
     players: tournament.players,
     bracket: tournament.bracket,
+    swissRounds,
     currentRound: 0,
   });
 
@@ -960,15 +1750,13 @@ async function startTournament(io, tournament, activeGames, onlineUsers) {
     if (info) p.socketId = info.socketId;
 
     io.to(p.socketId).emit('tournament-starting', {
-      tournamentId: tournament.tournamentId,
-      bracket: sanitizeBracket(tournament.bracket),
-      players: tournament.players.map(pp => ({ wallet: pp.wallet, username: pp.username, seed: pp.seed })),
-      currentRound: 0,
+      ...bracketState(tournament),
+      players: tournament.players.map(pp => ({ wallet: pp.wallet, username: pp.username, seed: pp.seed, rating: pp.rating })),
     });
   });
 
   // Process byes in round 0, then start actual matches
-  processRoundByes(tournament);
+  tournamentFormats.startRound(tournament);
 
   // Start round matches after a short delay
   setTimeout(() => {
@@ -976,117 +1764,6 @@ async function startTournament(io, tournament, activeGames, onlineUsers) {
   }, 3000);
 }
 
-/**
- * Generate single-elimination bracket with byes for non-power-of-2 counts.
- * Returns array of rounds, where each round is an array of match objects.
- */
-function generateBracket(players) {
-  const n = players.length;
-  // Find next power of 2
-  let bracketSize = 1;
-  while (bracketSize < n) bracketSize *= 2;
-
-  const totalRounds = Math.log2(bracketSize);
-  const bracket = [];
-
-  // Round 0: pair players, add byes where needed
-  const numByes = bracketSize - n;
-  const round0 = [];
-
-  for (let i = 0; i < bracketSize / 2; i++) {
-    const p1Index = i;
-    const p2Index = bracketSize - 1 - i;
-
-    const p1 = p1Index < n ? players[p1Index] : null;
-    const p2 = p2Index < n ? players[p2Index] : null;
-
-    if (p1 && p2) {
-      round0.push({
-        player1Wallet: p1.wallet,
-        player2Wallet: p2.wallet,
-        player1Username: p1.username,
-        player2Username: p2.username,
-        gameId: null,
-        winner: null,
-        status: 'pending',
-      });
-    } else if (p1 && !p2) {
-      // p1 gets a bye
-      round0.push({
-        player1Wallet: p1.wallet,
-        player2Wallet: null,
-        player1Username: p1.username,
-        player2Username: 'BYE',
-        gameId: null,
-        winner: p1.wallet,
-        status: 'bye',
-      });
-    } else if (!p1 && p2) {
-      // p2 gets a bye
-      round0.push({
-        player1Wallet: null,
-        player2Wallet: p2.wallet,
-        player1Username: 'BYE',
-        player2Username: p2.username,
-        gameId: null,
-        winner: p2.wallet,
-        status: 'bye',
-      });
-    }
-  }
-  bracket.push(round0);
-
-  // Create empty slots for subsequent rounds
-  for (let r = 1; r < totalRounds; r++) {
-    const matchesInRound = bracketSize / Math.pow(2, r + 1);
-    const round = [];
-    for (let i = 0; i < matchesInRound; i++) {
-      round.push({
-        player1Wallet: null,
-        player2Wallet: null,
-        player1Username: null,
-        player2Username: null,
-        gameId: null,
-        winner: null,
-        status: 'pending',
-      });
-    }
-    bracket.push(round);
-  }
-
-  return bracket;
-}
-
-function processRoundByes(tournament) {
-  const round = tournament.bracket[tournament.currentRound];
-  // Advance bye winners to next round
-  round.forEach((match, matchIndex) => {
-    if (match.status === 'bye' && match.winner) {
-      advanceWinnerToNextRound(tournament, matchIndex, match.winner);
-    }
-  });
-}
-
-function advanceWinnerToNextRound(tournament, matchIndex, winnerWallet) {
-  const nextRound = tournament.currentRound + 1;
-  if (nextRound >= tournament.bracket.length) return; // was the final
-
-  const nextMatchIndex = Math.floor(matchIndex / 2);
-  const nextMatch = tournament.bracket[nextRound][nextMatchIndex];
-  if (!nextMatch) return;
-
-  const winnerPlayer = tournament.players.find(p => p.wallet === winnerWallet);
-  const winnerUsername = winnerPlayer ? winnerPlayer.username : 'Unknown';
-
-  if (matchIndex % 2 === 0) {
-    nextMatch.player1Wallet = winnerWallet;
-    nextMatch.player1Username = winnerUsername;
-  } else {
-    nextMatch.player2Wallet = winnerWallet;
-    nextMatch.player2Username = winnerUsername;
-  }
-}
-
 async function startRoundMatches(tournament, io, activeGames, onlineUsers) {
   const round = tournament.bracket[tournament.currentRound];
   const pendingMatches = round.filter(m => m.status === 'pending' && m.player1Wallet && m.player2Wallet);
@@ -1097,6 +1774,9 @@ async function startRoundMatches(tournament, io, activeGames, onlineUsers) {
     return;
   }
 
+  tournament.roundDeadlineAt = new Date(Date.now() + roundDeadlineMs(tournament));
+  armRoundDeadline(tournament, { io, activeGames, onlineUsers });
+
   for (const match of pendingMatches) {
     await startTournamentMatch(tournament, match, io, activeGames, onlineUsers);
   }
@@ -1110,21 +1790,19 @@ async function startTournamentMatch(tournament, match, io, activeGames, onlineUs
   const p1Info = onlineUsers.get(match.player1Wallet);
   const p2Info = onlineUsers.get(match.player2Wallet);
 
-  if (!p1Info) {
-    // p1 offline — p2 wins by forfeit
-    match.winner = match.player2Wallet;
-    match.status = 'completed';
-    const matchIndex = tournament.bracket[tournament.currentRound].indexOf(match);
-    advanceWinnerToNextRound(tournament, matchIndex, match.winner);
-    await saveTournamentState(tournament);
-    checkRoundComplete(tournament, io, activeGames, onlineUsers);
-    return;
-  }
-  if (!p2Info) {
-    match.winner = match.player1Wallet;
-    match.status = 'completed';
+  if (!p1Info || !p2Info) {
+    // A player is offline — the other wins by forfeit (both: the better seed)
     const matchIndex = tournament.bracket[tournament.currentRound].indexOf(match);
-    advanceWinnerToNextRound(tournament, matchIndex, match.winner);
+    const bothOffline = !p1Info && !p2Info;
+    const winner = bothOffline ? betterSeed(tournament, match) : p1Info ? match.player1Wallet : match.player2Wallet;
+    match.decidedBy = 'forfeit';
+    recordDecision(tournament, {
+      match: matchIndex, action: 'forfeit', winner,
+      reason: bothOffline
+        ? 'Both players offline; the better seed advances'
+        : `${p1Info ? match.player2Username : match.player1Username} was offline when the match started`,
+    });
+    tournamentFormats.recordResult(tournament, matchIndex, winner);
     await saveTournamentState(tournament);
     checkRoundComplete(tournament, io, activeGames, onlineUsers);
     return;
@@ -1147,6 +1825,7 @@ async function startTournamentMatch(tournament, match, io, activeGames, onlineUs
     player2Username: p2.username,
     tier: 'tournament',
     stakeAmount: tournament.stakeAmount,
+    bestOf: tournament.bestOf || 1,
     tournamentId: tournament.tournamentId,
     status: 'in-progress',
   });
@@ -1157,9 +1836,11 @@ async function startTournamentMatch(tournament, match, io, activeGames, onlineUs
   const game = new PongEngine(gameId, p1, p2, 'tournament', io, activeGames, tournament.stakeAmount, {
     skipPayout: true,
     tournamentId: tournament.tournamentId,
+    bestOf: tournament.bestOf || 1,
     onTournamentMatchEnd: (winnerWallet, completedGameId) => {
       handleTournamentMatchEnd(tournament, matchIndex, winnerWallet, io, activeGames, onlineUsers);
     },
+    onReadyExpired: (expired) => awardWalkover(tournament, matchIndex, expired, { io, activeGames, onlineUsers }),
   });
   activeGames.set(gameId, game);
 
@@ -1174,6 +1855,7 @@ async function startTournamentMatch(tournament, match, io, activeGames, onlineUs
     player1: { wallet: p1.wallet, username: p1.username, skin: p1Skin },
     player2: { wallet: p2.wallet, username: p2.username, skin: p2Skin },
     stakeAmount: tournament.stakeAmount,
+    bestOf: game.bestOf,
     useReadySystem: true,
     tournamentId: tournament.tournamentId,
     roundNumber: tournament.currentRound,
@@ -1185,31 +1867,23 @@ async function startTournamentMatch(tournament, match, io, activeGames, onlineUs
 }
 
 async function handleTournamentMatchEnd(tournament, matchIndex, winnerWallet, io, activeGames, onlineUsers) {
-  const round = tournament.bracket[tournament.currentRound];
-  const match = round[matchIndex];
-
-  match.winner = winnerWallet;
-  match.status = 'completed';
-
-  // Mark loser as eliminated
-  const loserWallet = match.player1Wallet === winnerWallet ? match.player2Wallet : match.player1Wallet;
-  const loserPlayer = tournament.players.find(p => p.wallet === loserWallet);
-  if (loserPlayer) loserPlayer.eliminatedRound = tournament.currentRound;
-
-  // Advance winner
-  advanceWinnerToNextRound(tournament, matchIndex, winnerWallet);
+  // Route both players on (an elimination loser with nowhere to go is out)
+  const loserWallet = tournamentFormats.recordResult(tournament, matchIndex, winnerWallet);
 
   await saveTournamentState(tournament);
   broadcastBracketUpdate(tournament, io);
 
-  // Notify winner they're advancing (if not finals)
-  if (tournament.currentRound < tournament.bracket.length - 1) {
-    const winnerInfo = onlineUsers.get(winnerWallet);
-    if (winnerInfo) {
-      io.to(winnerInfo.socketId).emit('tournament-waiting', {
-        tournamentId: tournament.tournamentId,
-        message: 'You won! Waiting for other matches to finish...',
-      });
+  // Players still in wait for the rest of the round
+  const roundDone = tournament.bracket[tournament.currentRound].every(m => m.status === 'completed' || m.status === 'bye');
+  if (!roundDone) {
+    const loser = tournament.players.find(p => p.wallet === loserWallet);
+    const waiting = [[winnerWallet, 'You won! Waiting for other matches to finish...']];
+    if (loser && loser.eliminatedRound == null) {
+      waiting.push([loserWallet, "You lost this one, but you're still in. Waiting for other matches to finish..."]);
+    }
+    for (const [wallet, message] of waiting) {
+      const info = onlineUsers.get(wallet);
+      if (info) io.to(info.socketId).emit('tournament-waiting', { tournamentId: tournament.tournamentId, message });
     }
   }
 
@@ -1221,19 +1895,16 @@ function checkRoundComplete(tournament, io, activeGames, onlineUsers) {
   const allDone = round.every(m => m.status === 'completed' || m.status === 'bye');
   if (!allDone) return;
 
-  // Check if this was the final round
-  if (tournament.currentRound >= tournament.bracket.length - 1) {
-    // Tournament complete!
-    const finalMatch = round[0];
-    finishTournament(tournament, finalMatch.winner, io);
+  // Decided yet? (a double elimination grand final can end it before the reset)
+  const champion = tournamentFormats.champion(tournament);
+  if (champion) {
+    finishTournament(tournament, champion, io);
     return;
   }
 
-  // Advance to next round
+  // Advance to next round: pair it (Swiss) and process any byes
   tournament.currentRound++;
-
-  // Process any byes in the new round
-  processRoundByes(tournament);
+  tournamentFormats.startRound(tournament);
 
   broadcastBracketUpdate(tournament, io);
 
@@ -1241,17 +1912,12 @@ function checkRoundComplete(tournament, io, activeGames, onlineUsers) {
   tournament.players.forEach(p => {
     if (p.eliminatedRound != null) return;
     const info = onlineUsers.get(p.wallet);
-    if (info) {
-      io.to(info.socketId).emit('tournament-bracket-update', {
-        tournamentId: tournament.tournamentId,
-        bracket: sanitizeBracket(tournament.bracket),
-        currentRound: tournament.currentRound,
-      });
-    }
+    if (info) io.to(info.socketId).emit('tournament-bracket-update', bracketState(tournament));
   });
 
   // Start next round matches after 10s delay
   setTimeout(() => {
+    if (openTournaments.get(tournament.tournamentId) !== tournament) return;
     saveTournamentState(tournament).then(() => {
       startRoundMatches(tournament, io, activeGames, onlineUsers);
     });
@@ -1266,20 +1932,36 @@ async function finishTournament(tournament, winnerWallet, io) {
   const winnerPlayer = tournament.players.find(p => p.wallet === winnerWallet);
   tournament.winnerUsername = winnerPlayer ? winnerPlayer.username : 'Unknown';
 
-  let payoutResult = null;
-  try {
-    payoutResult = await payoutWinner(winnerWallet, tournament.totalPot);
-    tournament.payoutTx = payoutResult.payoutTx;
+  // Each paid place is its own payout job; earnings are credited by the job
+  // handler whenever the transfer lands (now or on a retry), so the places
+  // are stored before any job runs
+  tournament.placements = tournamentFormats.placements(tournament);
+  await saveTournamentState(tournament);
 
-    // Update winner earnings
-    await User.findOneAndUpdate({ wallet: winnerWallet }, {
-      $inc: { 'stats.totalEarnings': payoutResult.winnerShare },
-    });
-  } catch (err) {
-    console.error('Tournament payout failed:', err.message);
+  const split = tournament.placements.length > 1;
+  for (const place of tournament.placements) {
+    try {
+      const job = await queueAndRun({
+        key: split ? `tournament:${tournament.tournamentId}:payout:${place.place}` : `tournament:${tournament.tournamentId}:payout`,
+        purpose: 'tournament-payout',
+        kind: prizePools.isFree(tournament) ? 'prize' : 'payout',
+        wallet: place.wallet,
+        amount: place.amount,
+        tournamentId: tournament.tournamentId,
+      });
+      if (job.status === 'completed') {
+        place.payoutTx = job.signature;
+        place.prize = job.shares.winnerShare;
+      }
+    } catch (err) {
+      console.error(`Tournament payout failed for place ${place.place}:`, err.message);
+    }
   }
+  const champion = tournament.placements[0];
+  tournament.payoutTx = champion.payoutTx;
 
   await saveTournamentState(tournament);
+  clearRoundDeadline(tournament.tournamentId);
   openTournaments.delete(tournament.tournamentId);
   broadcastTournaments(io);
 
@@ -1291,45 +1973,330 @@ async function finishTournament(tournament, winnerWallet, io) {
       winner: winnerWallet,
       winnerUsername: tournament.winnerUsername,
       totalPot: tournament.totalPot,
-      payoutTx: payoutResult ? payoutResult.payoutTx : null,
-      winnerShare: payoutResult ? payoutResult.winnerShare : 0,
-      bracket: sanitizeBracket(tournament.bracket),
+      payoutTx: champion.payoutTx,
+      winnerShare: champion.prize || 0,
+      placements: tournament.placements.map(sanitizePlacement),
+      ...bracketState(tournament),
     });
   });
 
   console.log(`Tournament ${tournament.tournamentId} complete! Winner: ${tournament.winnerUsername} (${tournament.totalPot} pot)`);
 }
 
-async function cancelTournamentWithRefunds(io, tournament) {
+// Queue the refund of one player's tournament stake
+function queueTournamentRefund(tournament, wallet) {
+  queueAndRun({
+    key: `tournament:${tournament.tournamentId}:refund:${wallet}`,
+    purpose: 'tournament-refund',
+    kind: 'refund',
+    wallet,
+    amount: tournament.stakeAmount,
+    tournamentId: tournament.tournamentId,
+  }).catch(err => {
+    console.error(`Tournament refund failed for ${wallet}:`, err.message);
+  });
+}
+
+async function cancelTournamentWithRefunds(io, tournament, reason = 'Not all players escrowed in time. Refunds issued.') {
   tournament.status = 'cancelled';
   await Tournament.findOneAndUpdate({ tournamentId: tournament.tournamentId }, { status: 'cancelled' });
+  clearRoundDeadline(tournament.tournamentId);
   openTournaments.delete(tournament.tournamentId);
+  prizePools.refundPrizePool(tournament);
 
-  // Refund escrowed players
+  // Refund escrowed players (queued, so a failed transfer is retried)
   for (const p of tournament.players) {
-    if (p.escrowed) {
-      refundPlayer(p.wallet, tournament.stakeAmount).catch(err => {
-        console.error(`Tournament refund failed for ${p.wallet}:`, err.message);
-      });
-    }
+    if (p.escrowed) queueTournamentRefund(tournament, p.wallet);
     io.to(p.socketId).emit('tournament-cancelled', {
       tournamentId: tournament.tournamentId,
-      reason: 'Not all players escrowed in time. Refunds issued.',
+      reason,
     });
   }
 
   broadcastTournaments(io);
 }
 
+/**
+ * Run a scheduled tournament on this node once its start time has come and
+ * it has been claimed (status 'escrow', see game/scheduledTournaments.js).
+ * Everyone left in it has checked in, stake escrowed.
+ */
+async function startScheduledTournament(io, tournament, activeGames, onlineUsers) {
+  tournament.players.forEach(p => {
+    const info = onlineUsers.get(p.wallet);
+    if (info) p.socketId = info.socketId;
+  });
+  if (tournament.players.length < 2) {
+    await cancelTournamentWithRefunds(io, tournament, 'Not enough players checked in. Refunds issued.');
+    return;
+  }
+  openTournaments.set(tournament.tournamentId, tournament);
+  cluster.pin(`tournament:${tournament.tournamentId}`);
+  await startTournament(io, tournament, activeGames, onlineUsers);
+}
+
+/**
+ * Take over an in-progress tournament whose node died (game/recovery.js).
+ * Games of the current round that were still running are replayed from the
+ * start once players have had time to reconnect; finished ones stand.
+ */
+async function resumeTournament(io, tournament, activeGames, onlineUsers) {
+  openTournaments.set(tournament.tournamentId, tournament);
+  cluster.pin(`tournament:${tournament.tournamentId}`);
+
+  const round = tournament.bracket[tournament.currentRound] || [];
+  for (const match of round.filter(m => m.status === 'in-progress')) {
+    if (match.gameId) {
+      await Match.updateOne({ gameId: match.gameId, status: 'in-progress' }, {
+        status: 'cancelled',
+        recovery: { action: 'replay', reason: 'tournament-resumed', node: cluster.nodeId, at: new Date() },
+      });
+    }
+    match.status = 'pending';
+    match.gameId = null;
+  }
+
+  tournament.players.forEach(p => {
+    const info = onlineUsers.get(p.wallet);
+    if (info) p.socketId = info.socketId;
+  });
+  await saveTournamentState(tournament);
+  broadcastTournaments(io);
+  broadcastBracketUpdate(tournament, io);
+
+  setTimeout(() => {
+    if (openTournaments.get(tournament.tournamentId) !== tournament) return;
+    startRoundMatches(tournament, io, activeGames, onlineUsers);
+  }, TOURNAMENT_RESUME_DELAY_MS);
+}
+
+// ===========================================
+// TOURNAMENT NO-SHOWS & STALLS
+// ===========================================
+// A bracket match that isn't played out still needs a winner, or its round
+// (and the whole tournament) waits forever:
+//
+//   walkover        a player never readied up; the one who did advances
+//                   (neither did: the better seed)
+//   deadline        the round ran past roundDeadlineAt; unfinished matches go
+//                   to whoever leads (series games, then points), else the
+//                   better seed
+//   admin-advance   an admin sent a player through
+//   admin-replay    an admin had the match started again
+//
+// Offline forfeits at the start of a match (both offline: the better seed)
+// are logged alongside. Games cut short this way are aborted and their Match
+// cancelled: nobody is rated on them. Deadlines run on the node that owns the
+// tournament.
+
+const roundDeadlines = new Map();  // tournamentId -> timeout
+
+function roundDeadlineMs(tournament) {
+  return ROUND_DEADLINE_BASE_MS + ROUND_DEADLINE_PER_GAME_MS * (tournament.bestOf || 1);
+}
+
+function clearRoundDeadline(tournamentId) {
+  clearTimeout(roundDeadlines.get(tournamentId));
+  roundDeadlines.delete(tournamentId);
+}
+
+function armRoundDeadline(tournament, ctx) {
+  const { tournamentId } = tournament;
+  const round = tournament.currentRound;
+  clearRoundDeadline(tournamentId);
+  const delay = Math.max(0, new Date(tournament.roundDeadlineAt).getTime() - Date.now());
+  roundDeadlines.set(tournamentId, setTimeout(() => {
+    roundDeadlines.delete(tournamentId);
+    if (openTournaments.get(tournamentId) !== tournament || tournament.currentRound !== round) return;
+    settleRound(tournament, ctx).catch(err => {
+      console.error(`Round deadline failed for tournament ${tournamentId}:`, err.message);
+    });
+  }, delay));
+}
+
+// Append to the tournament's decision log (and the server log)
+function recordDecision(tournament, decision) {
+  const entry = { at: new Date(), round: tournament.currentRound, by: 'system', ...decision };
+  console.log(`Tournament ${tournament.tournamentId} round ${entry.round + 1} match ${entry.match + 1}: ${entry.action} (${entry.reason})`);
+  Tournament.updateOne({ tournamentId: tournament.tournamentId }, { $push: { decisions: entry } }).catch(err => {
+    console.error(`Decision log failed for tournament ${tournament.tournamentId}:`, err.message);
+  });
+}
+
+// The better-seeded player of a match (seed 0 is the top seed)
+function betterSeed(tournament, match) {
+  const seed = (wallet) => {
+    const p = tournament.players.find(pp => pp.wallet === wallet);
+    return p && p.seed != null ? p.seed : Infinity;
+  };
+  return seed(match.player2Wallet) < seed(match.player1Wallet) ? match.player2Wallet : match.player1Wallet;
+}
+
+// Who is ahead in a game: series games won, then points (null if level)
+function leaderOf(game) {
+  for (const s of [game.seriesScore, game.score]) {
+    if (s.p1 !== s.p2) return s.p1 > s.p2 ? game.player1.wallet : game.player2.wallet;
+  }
+  return null;
+}
+
+/**
+ * Decide a bracket match of the current round without playing it out. A game
+ * still running for it is aborted first; the result then goes through
+ * handleTournamentMatchEnd like a played one.
+ */
+async function awardMatch(tournament, matchIndex, winner, decision, ctx) {
+  const match = tournament.bracket[tournament.currentRound][matchIndex];
+  if (!match || match.decidedBy || match.status === 'completed' || match.status === 'bye') return;
+  match.decidedBy = decision.action;  // claimed: a walkover and the deadline can race
+
+  const game = match.gameId && ctx.activeGames.get(match.gameId);
+  if (game) game.abort(decision.reason);
+  if (match.gameId) {
+    await Match.updateOne({ gameId: match.gameId, status: 'in-progress' }, { status: 'cancelled' });
+  }
+
+  recordDecision(tournament, { match: matchIndex, winner, ...decision });
+  await handleTournamentMatchEnd(tournament, matchIndex, winner, ctx.io, ctx.activeGames, ctx.onlineUsers);
+}
+
+// onReadyExpired for bracket games: the player who readied up advances
+function awardWalkover(tournament, matchIndex, game, ctx) {
+  ctx.activeGames.delete(game.gameId);
+  const match = tournament.bracket[tournament.currentRound][matchIndex];
+  if (!match || match.gameId !== game.gameId) return;
+
+  const ready = [match.player1Wallet, match.player2Wallet].filter(w => game.readyWallets.has(w));
+  const winner = ready.length === 1 ? ready[0] : betterSeed(tournament, match);
+  const absent = ready.length === 1
+    ? (winner === match.player1Wallet ? match.player2Username : match.player1Username)
+    : null;
+  const reason = absent ? `${absent} never readied up` : 'Neither player readied up; the better seed advances';
+  awardMatch(tournament, matchIndex, winner, { action: 'walkover', reason }, ctx).catch(err => {
+    console.error(`Walkover failed for tournament ${tournament.tournamentId}:`, err.message);
+  });
+}
+
+// The round deadline passed: settle every match still open
+async function settleRound(tournament, ctx) {
+  const round = tournament.currentRound;
+  const matches = tournament.bracket[round];
+  for (let i = 0; i < matches.length && tournament.currentRound === round; i++) {
+    const match = matches[i];
+    if (match.status !== 'pending' && match.status !== 'in-progress') continue;
+    if (!match.player1Wallet || !match.player2Wallet) continue;
+
+    const game = match.gameId && ctx.activeGames.get(match.gameId);
+    const leader = game ? leaderOf(game) : null;
+    await awardMatch(tournament, i, leader || betterSeed(tournament, match), {
+      action: 'deadline',
+      reason: leader
+        ? 'The round deadline passed; the player ahead advances'
+        : 'The round deadline passed with the match level; the better seed advances',
+    }, ctx);
+  }
+}
+
+/**
+ * Start a current-round match again from scratch. The replay gets at least
+ * a full round's time before the deadline.
+ */
+async function replayMatch(tournament, matchIndex, decision, ctx) {
+  const match = tournament.bracket[tournament.currentRound][matchIndex];
+  if (!match || match.decidedBy || match.status === 'completed' || match.status === 'bye') return;
+
+  const game = match.gameId && ctx.activeGames.get(match.gameId);
+  if (game) game.abort('An admin ordered this match replayed. A new game is starting.');
+  if (match.gameId) {
+    await Match.updateOne({ gameId: match.gameId, status: 'in-progress' }, { status: 'cancelled' });
+  }
+  match.status = 'pending';
+  match.gameId = null;
+  recordDecision(tournament, { match: matchIndex, winner: null, ...decision });
+
+  const earliest = Date.now() + roundDeadlineMs(tournament);
+  if (!tournament.roundDeadlineAt || new Date(tournament.roundDeadlineAt).getTime() < earliest) {
+    tournament.roundDeadlineAt = new Date(earliest);
+    armRoundDeadline(tournament, ctx);
+  }
+  await startTournamentMatch(tournament, match, ctx.io, ctx.activeGames, ctx.onlineUsers);
+}
+
+/**
+ * Check an admin override against the stored tournament and send it to the
+ * node running it ('tournament-admin-override'). `action` is 'advance'
+ * (with `winner`) or 'replay'. Returns {} or { status, error }.
+ */
+async function requestTournamentOverride(tournamentId, matchIndex, { action, winner, note }) {
+  const t = await Tournament.findOne({ tournamentId }).lean();
+  if (!t) return { status: 404, error: 'Tournament not found' };
+  if (t.status !== 'in-progress') return { status: 409, error: 'Tournament is not in progress' };
+
+  const match = (t.bracket[t.currentRound] || [])[matchIndex];
+  if (!match) return { status: 404, error: 'No such match in the current round' };
+  if (match.status === 'completed' || match.status === 'bye') return { status: 409, error: 'Match already decided' };
+  if (!match.player1Wallet || !match.player2Wallet) return { status: 409, error: 'Match is waiting for a player' };
+  if (action === 'advance' && winner !== match.player1Wallet && winner !== match.player2Wallet) {
+    return { status: 400, error: 'Winner must be one of the match players' };
+  }
+
+  const owner = cluster.ownerOf(`tournament:${tournamentId}`);
+  if (!owner) return { status: 409, error: 'No server is running this tournament' };
+  cluster.route(owner, 'tournament-admin-override', { id: null, wallet: null, username: 'admin' }, {
+    tournamentId, round: t.currentRound, match: matchIndex, action, winner,
+    note: note ? String(note).slice(0, 200) : null,
+  });
+  return {};
+}
+
+// Refund a stake escrowed for a match that never started
+function queueEscrowRefund(gameId, wallet, amount) {
+  queueAndRun({
+    key: `escrow:${gameId}:refund:${wallet}`,
+    purpose: 'escrow-refund',
+    kind: 'refund',
+    wallet,
+    amount,
+    gameId,
+  }).catch(err => {
+    console.error(`Escrow refund failed for ${wallet}:`, err.message);
+  });
+}
+
+// Tournament prize landed (possibly on a retry after finishTournament returned)
+registerJobHandlers('tournament-payout', {
+  async completed(job) {
+    // The place's payoutTx already set means earnings were credited on an earlier run
+    let t = await Tournament.findOneAndUpdate(
+      { tournamentId: job.tournamentId, placements: { $elemMatch: { wallet: job.wallet, payoutTx: null } } },
+      { $set: { 'placements.$.payoutTx': job.signature, 'placements.$.prize': job.shares.winnerShare } }
+    );
+    if (!t) {
+      // Tournaments from before prize splits paid the champion alone
+      t = await Tournament.findOneAndUpdate(
+        { tournamentId: job.tournamentId, 'placements.0': { $exists: false }, payoutTx: null },
+        { payoutTx: job.signature }
+      );
+    }
+    if (!t) return;
+    if (job.wallet === t.winner) await Tournament.updateOne({ tournamentId: job.tournamentId }, { payoutTx: job.signature });
+    await User.findOneAndUpdate({ wallet: job.wallet }, {
+      $inc: { 'stats.totalEarnings': job.shares.winnerShare },
+    });
+  },
+});
+
 async function saveTournamentState(tournament) {
   await Tournament.findOneAndUpdate({ tournamentId: tournament.tournamentId }, {
     status: tournament.status,
     players: tournament.players,
     bracket: tournament.bracket,
     currentRound: tournament.currentRound,
+    roundDeadlineAt: tournament.roundDeadlineAt,
     winner: tournament.winner,
     winnerUsername: tournament.winnerUsername,
     payoutTx: tournament.payoutTx,
+    placements: tournament.placements,
     totalPot: tournament.totalPot,
     startedAt: tournament.startedAt,
     completedAt: tournament.completedAt,
@@ -1345,17 +2312,44 @@ function sanitizeBracket(bracket) {
     winner: match.winner,
     status: match.status,
     gameId: match.gameId,
+    stage: match.stage || null,
+    decidedBy: match.decidedBy || null,
   })));
 }
 
+function sanitizePlacement(p) {
+  return { place: p.place, wallet: p.wallet, username: p.username, share: p.share, prize: p.prize, payoutTx: p.payoutTx };
+}
+
+// What clients need to draw the bracket, and the standings that decide
+// round robin and Swiss
+function bracketState(tournament) {
+  return {
+    tournamentId: tournament.tournamentId,
+    format: tournament.format || tournamentFormats.DEFAULT_FORMAT,
+    bracket: sanitizeBracket(tournament.bracket),
+    currentRound: tournament.currentRound,
+    roundDeadlineAt: tournament.roundDeadlineAt || null,
+    totalRounds: tournamentFormats.totalRounds(tournament),
+    standings: tournamentFormats.standings(tournament),
+    winner: tournament.winner || null,
+  };
+}
+
 function broadcastBracketUpdate(tournament, io) {
   tournament.players.forEach(p => {
-    io.to(p.socketId).emit('tournament-bracket-update', {
-      tournamentId: tournament.tournamentId,
-      bracket: sanitizeBracket(tournament.bracket),
-      currentRound: tournament.currentRound,
-    });
+    io.to(p.socketId).emit('tournament-bracket-update', bracketState(tournament));
   });
 }
 
-module.exports = { setupMatchmaking, openTournaments, queues, openLobbies };
+module.exports = {
+  initMatchmaking, setupMatchmaking, openTournaments, tournamentDirectory, queue, openLobbies, teams, teamQueue,
+  // crash recovery (game/recovery.js)
+  getPlayerSkin, queueEscrowRefund, cancelTournamentWithRefunds, resumeTournament,
+  // admin overrides (routes/admin.js)
+  requestTournamentOverride,
+  // rating-window pairing
+  ratingWindow, findQueuePair,
+  // scheduled tournaments (game/scheduledTournaments.js)
+  tournamentSettings, startScheduledTournament,
+};
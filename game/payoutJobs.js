@@ -0,0 +1,263 @@
+// ===========================================
+// Payout Jobs — Durable queue for treasury transfers
+// ===========================================
+// Every transfer out of the treasury (match pot, tournament prize, refund)
+// is a PayoutJob keyed by what it pays for, e.g. `match:<gameId>:payout`.
+// Queuing the same key again returns the existing job, so nothing is paid
+// twice no matter how often a caller retries.
+//
+// A job's signature is saved before its transaction is sent. Before sending
+// again the runner asks the chain about every signature it already sent:
+// one that landed completes the job; one that may still land (blockhash not
+// yet expired) makes it wait rather than resend. Failed sends back off
+// exponentially; after MAX_ATTEMPTS the job is 'failed' and waits for an
+// admin (Payout Jobs tab) to retry it or record a manual transfer.
+
+const PayoutJob = require('../models/PayoutJob');
+const ConsumedSignature = require('../models/ConsumedSignature');
+const { payoutWinner, refundPlayer, getSignatureState, verifyTransferTo, splitPot } = require('../solana/utils');
+const { incrementStat } = require('../models/Stats');
+
+const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 15000;            // 15s, 30s, 1m, 2m ... capped below
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+// A sent transaction can still land until its blockhash expires (~60-90s)
+const SIGNATURE_EXPIRY_MS = 2 * 60 * 1000;
+// A job left 'sending' this long belongs to a run that crashed
+const STALE_LOCK_MS = 5 * 60 * 1000;
+// Completed jobs whose side effects haven't been applied after this are retried
+const UNHANDLED_GRACE_MS = 60 * 1000;
+
+// purpose -> { completed(job), failed(job) }
+const handlers = new Map();
+
+function registerJobHandlers(purpose, { completed, failed } = {}) {
+  handlers.set(purpose, { completed, failed });
+}
+
+function backoff(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// =============================================
+// QUEUE
+// =============================================
+/**
+ * Queue a transfer. Idempotent on `key` — an existing job is returned as-is.
+ * spec: { key, purpose, kind: 'payout'|'prize'|'refund', wallet, amount, gameId?, tournamentId? }
+ */
+async function queueJob(spec) {
+  const { key, purpose, kind, wallet, amount, gameId = null, tournamentId = null } = spec;
+  try {
+    return await PayoutJob.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, purpose, kind, wallet, amount, gameId, tournamentId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    // Two callers upserting the same key at once: the loser reads the winner's job
+    if (err.code === 11000) return PayoutJob.findOne({ key });
+    throw err;
+  }
+}
+
+/** Queue a job and try it immediately. Resolves with the job as it stands afterwards. */
+async function queueAndRun(spec) {
+  await queueJob(spec);
+  return runJob(spec.key);
+}
+
+// =============================================
+// RUN
+// =============================================
+/**
+ * Attempt a job once if it is due. Never throws for chain errors — those
+ * reschedule the job. Resolves with the job's current state.
+ */
+async function runJob(key) {
+  const now = new Date();
+  const job = await PayoutJob.findOneAndUpdate(
+    { key, $or: [
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+    ] },
+    { $set: { status: 'sending', lockedAt: now } },
+    { new: true }
+  );
+  // Not due, already running elsewhere, or finished
+  if (!job) return PayoutJob.findOne({ key });
+
+  // Did an earlier attempt land after all?
+  let check;
+  try {
+    check = await checkSignatures(job);
+  } catch (err) {
+    // Can't see the chain — resending now could pay twice
+    return reschedule(job, backoff(1), `Signature check failed: ${err.message}`);
+  }
+  if (check.landed) return completeJob(job, check.landed);
+  if (check.inFlight) {
+    return reschedule(job, SIGNATURE_EXPIRY_MS / 2, 'Waiting for an earlier transaction to confirm or expire');
+  }
+  if (job.attempts >= MAX_ATTEMPTS) return failJob(job);
+
+  job.attempts++;
+  try {
+    const onSignature = async (sig) => {
+      job.signatures.push(sig);
+      job.lastSentAt = new Date();
+      await job.save();
+    };
+    let sig;
+    if (job.kind === 'payout') {
+      const result = await payoutWinner(job.wallet, job.amount, { onSignature });
+      sig = result.payoutTx;
+    } else {
+      // Prizes from a sponsored pool and refunds are plain transfers, no burn or fee
+      sig = await refundPlayer(job.wallet, job.amount, { onSignature });
+    }
+    return completeJob(job, sig, { sentNow: true });
+  } catch (err) {
+    console.error(`Payout job ${key} attempt ${job.attempts} failed:`, err.message);
+    return reschedule(job, backoff(job.attempts), err.message);
+  }
+}
+
+/**
+ * { landed: sig } if any sent signature confirmed, { inFlight: true } if one
+ * might still confirm, otherwise {} (safe to send a new transaction).
+ */
+async function checkSignatures(job) {
+  let inFlight = false;
+  const recent = job.lastSentAt && Date.now() - job.lastSentAt.getTime() < SIGNATURE_EXPIRY_MS;
+  for (const sig of job.signatures) {
+    const state = await getSignatureState(sig);
+    if (state === 'confirmed') return { landed: sig };
+    if (state === 'pending' || (state === 'unknown' && recent)) inFlight = true;
+  }
+  return { inFlight };
+}
+
+async function reschedule(job, delayMs, error) {
+  job.status = 'queued';
+  job.lockedAt = undefined;
+  job.lastError = error;
+  job.nextAttemptAt = new Date(Date.now() + delayMs);
+  await job.save();
+  return job;
+}
+
+async function completeJob(job, sig, { sentNow = false, manual = null } = {}) {
+  job.status = 'completed';
+  job.signature = sig;
+  job.lockedAt = undefined;
+  job.lastError = undefined;
+  job.completedAt = new Date();
+  if (manual) job.manual = manual;
+  if (job.kind === 'payout') {
+    job.shares = splitPot(job.amount);
+    // payoutWinner tracks the burn itself; a recovered or manual payout didn't get that far
+    if (!sentNow) incrementStat('totalBurned', job.shares.burnShare).catch(() => {});
+  } else if (job.kind === 'prize') {
+    job.shares = { winnerShare: job.amount, burnShare: 0, feeShare: 0 };
+  }
+  await job.save();
+  await runHandler(job);
+  return job;
+}
+
+async function failJob(job) {
+  job.status = 'failed';
+  job.lockedAt = undefined;
+  await job.save();
+  console.error(`Payout job ${job.key} failed after ${job.attempts} attempts: ${job.lastError}`);
+  const handler = handlers.get(job.purpose);
+  if (handler && handler.failed) {
+    await Promise.resolve(handler.failed(job)).catch(err => {
+      console.error(`Payout job ${job.key} failure handler error:`, err.message);
+    });
+  }
+  return job;
+}
+
+// Completion side effects (DB updates, notifications). Retried by the sweep
+// until they succeed, so handlers must be idempotent.
+async function runHandler(job) {
+  const handler = handlers.get(job.purpose);
+  try {
+    if (handler && handler.completed) await handler.completed(job);
+    job.handled = true;
+    await job.save();
+  } catch (err) {
+    console.error(`Payout job ${job.key} completion handler error:`, err.message);
+  }
+}
+
+// =============================================
+// SWEEP — called from the payout worker
+// =============================================
+async function processDueJobs(limit = 20) {
+  const now = Date.now();
+  const due = await PayoutJob.find({ $or: [
+    { status: 'queued', nextAttemptAt: { $lte: new Date(now) } },
+    { status: 'sending', lockedAt: { $lte: new Date(now - STALE_LOCK_MS) } },
+  ] }).select('key').limit(limit);
+  for (const { key } of due) {
+    await runJob(key).catch(err => console.error(`Payout job ${key} error:`, err.message));
+  }
+
+  const unhandled = await PayoutJob.find({
+    status: 'completed',
+    handled: false,
+    completedAt: { $lte: new Date(now - UNHANDLED_GRACE_MS) },
+  }).limit(limit);
+  for (const job of unhandled) await runHandler(job);
+}
+
+// =============================================
+// ADMIN
+// =============================================
+/** Give a failed job a fresh set of attempts and run it now. */
+async function retryJob(key) {
+  const job = await PayoutJob.findOneAndUpdate(
+    { key, status: 'failed' },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return null;
+  return runJob(key);
+}
+
+/**
+ * Record a transfer support sent by hand. The signature must be a confirmed
+ * transfer of what the job owes (a payout: the winner's share) into the
+ * job's wallet, not already used by another job or payment; the job's
+ * normal completion side effects then run.
+ */
+async function resolveJobManually(key, signature, note) {
+  const job = await PayoutJob.findOne({ key });
+  if (!job) throw new Error('Job not found');
+  if (job.status === 'completed' || job.status === 'sending') {
+    throw new Error(`Job is ${job.status}`);
+  }
+  const amount = job.kind === 'payout' ? splitPot(job.amount).winnerShare : job.amount;
+  const verified = await verifyTransferTo(signature, amount, job.wallet, { attempts: 1 });
+  if (!verified.ok) throw new Error(verified.reason);
+
+  try {
+    await ConsumedSignature.create({ signature, purpose: 'manual-payout', wallet: job.wallet, amount, ref: key });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Already recorded for this job by an earlier attempt that didn't finish
+    const prior = await ConsumedSignature.findOne({ signature });
+    if (!prior || prior.ref !== key) throw new Error('This transaction has already been used');
+  }
+  return completeJob(job, signature, { manual: { note, resolvedAt: new Date() } });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  registerJobHandlers,
+  queueJob, queueAndRun, runJob, processDueJobs,
+  retryJob, resolveJobManually,
+};
@@ -0,0 +1,360 @@
+// ===========================================
+// Payouts — Dispute window, release & refund
+// ===========================================
+// Staked pots are not paid the moment a game ends. PongEngine.endGame()
+// records a Payout that stays 'pending' for the tier's hold period, during
+// which the loser can open a dispute. A background worker releases expired
+// pending payouts; disputed ones wait for an admin to release or refund.
+// The transfers themselves go through the durable job queue in payoutJobs.js.
+//
+// In a 2v2 every player staked: the pot is all four stakes and is split
+// evenly between the winning teammates, one transfer each.
+
+const Payout = require('../models/Payout');
+const PayoutJob = require('../models/PayoutJob');
+const Match = require('../models/Match');
+const User = require('../models/User');
+const { getConfig, setConfig } = require('../models/ServerConfig');
+const { registerJobHandlers, queueJob, runJob, retryJob, processDueJobs } = require('./payoutJobs');
+
+const PAYOUT_TIERS = ['t5', 't10', 't25', 't50', 't100', 't250', 't500', 't1000', 'low', 'medium', 'high', 'duel'];
+
+// Default hold (seconds) per tier; unlisted tiers pay out immediately.
+// Override per tier with ServerConfig key `payoutHold.<tier>`.
+const DEFAULT_HOLD_SECONDS = {
+  t100: 300,
+  t250: 600,
+  t500: 1800,
+  t1000: 3600,
+};
+
+const WORKER_INTERVAL_MS = 15000;
+let workerInterval = null;
+// Set by startPayoutWorker so job handlers can reach online players
+let notifyIo = null;
+let notifyUsers = null;
+
+// A 1v1 pot is one transfer; a 2v2 pot one per winner
+const payoutJobKey = (gameId, wallet) => (wallet ? `match:${gameId}:payout:${wallet}` : `match:${gameId}:payout`);
+const refundJobKey = (gameId, wallet) => `match:${gameId}:refund:${wallet}`;
+
+// Everyone on each side of a payout (older payouts only have winner / loser)
+const winnersOf = (payout) => (payout.winners && payout.winners.length ? payout.winners : [payout.winner]);
+const losersOf = (payout) => (payout.losers && payout.losers.length ? payout.losers : [payout.loser]);
+
+// =============================================
+// CONFIG
+// =============================================
+async function getHoldSeconds(tier) {
+  const raw = await getConfig(`payoutHold.${tier}`).catch(() => null);
+  const seconds = parseInt(raw, 10);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds;
+  return DEFAULT_HOLD_SECONDS[tier] || 0;
+}
+
+async function getAllHoldSeconds() {
+  const holds = {};
+  for (const tier of PAYOUT_TIERS) holds[tier] = await getHoldSeconds(tier);
+  return holds;
+}
+
+async function setHoldSeconds(tier, seconds) {
+  if (!PAYOUT_TIERS.includes(tier)) throw new Error(`Unknown tier: ${tier}`);
+  const value = Math.max(0, parseInt(seconds, 10) || 0);
+  await setConfig(`payoutHold.${tier}`, value);
+}
+
+// =============================================
+// CREATE — called from PongEngine.endGame
+// =============================================
+/**
+ * Record the pot for a finished staked match.
+ * winners / losers: every player of each 2v2 team (winner / loser are the
+ * captains); omitted for a 1v1.
+ * flagged: anti-cheat suspects the winner — opens the dispute immediately.
+ */
+async function createPayout({ gameId, tier, winner, loser, winners, losers, stakeAmount, flagged }) {
+  const holdSeconds = await getHoldSeconds(tier);
+  const now = new Date();
+  const players = (winners || [winner]).length + (losers || [loser]).length;
+  const payout = await Payout.create({
+    gameId,
+    tier,
+    winner,
+    loser,
+    ...(winners ? { winners, losers } : {}),
+    stakeAmount,
+    totalPot: stakeAmount * players,
+    status: flagged ? 'disputed' : 'pending',
+    releaseAt: new Date(now.getTime() + holdSeconds * 1000),
+    dispute: flagged
+      ? { openedBy: 'anticheat', reason: 'Flagged by anti-cheat analysis', openedAt: now }
+      : undefined,
+  });
+
+  await Match.updateOne({ gameId }, {
+    payoutStatus: flagged ? 'held' : 'pending',
+    payoutReleaseAt: payout.releaseAt,
+  });
+  return payout;
+}
+
+// =============================================
+// DISPUTE — opened by a losing player inside the window
+// =============================================
+async function openDispute(gameId, wallet, reason) {
+  const payout = await Payout.findOne({ gameId });
+  if (!payout) throw new PayoutError(404, 'No payout for this match');
+  if (!losersOf(payout).includes(wallet)) throw new PayoutError(403, 'Only the losing player can dispute this match');
+  if (payout.status === 'disputed') throw new PayoutError(409, 'This match is already under review');
+
+  const updated = await Payout.findOneAndUpdate(
+    { gameId, status: 'pending', releaseAt: { $gt: new Date() } },
+    { $set: {
+      status: 'disputed',
+      dispute: { openedBy: wallet, reason: String(reason || '').slice(0, 500), openedAt: new Date() },
+    } },
+    { new: true }
+  );
+  if (!updated) throw new PayoutError(409, 'The dispute window for this match has closed');
+
+  await Match.updateOne({ gameId }, { payoutStatus: 'held' });
+  return updated;
+}
+
+// Move a pending payout into review (admin hold). Already-disputed is a no-op.
+async function holdPayout(gameId, reason) {
+  const payout = await Payout.findOneAndUpdate(
+    { gameId, status: 'pending' },
+    { $set: { status: 'disputed', dispute: { openedBy: 'admin', reason, openedAt: new Date() } } },
+    { new: true }
+  );
+  if (payout) await Match.updateOne({ gameId }, { payoutStatus: 'held' });
+  return payout || Payout.findOne({ gameId, status: 'disputed' });
+}
+
+// =============================================
+// RELEASE / REFUND
+// =============================================
+// Queue the transfer (re-arming it if an earlier run gave up) and try it now
+async function sendJob(spec) {
+  const existing = await queueJob(spec);
+  return existing.status === 'failed' ? retryJob(spec.key) : runJob(spec.key);
+}
+
+/**
+ * Pay the pot to the winner (split between the winners of a 2v2).
+ * by 'auto' only releases undisputed payouts whose window has expired;
+ * by 'admin' also releases disputed ones and re-runs failed ones.
+ * Resolves with { payout, job, jobs }; job.status is 'completed' if every
+ * transfer went through now, otherwise the queue keeps retrying them.
+ */
+async function releasePayout(gameId, { by = 'auto', note = '' } = {}) {
+  const claimable = by === 'admin'
+    ? { gameId, status: { $in: ['pending', 'disputed', 'failed'] } }
+    : { gameId, status: 'pending', releaseAt: { $lte: new Date() } };
+  // Claim first so the worker and an admin can't both pay the same pot
+  const payout = await Payout.findOneAndUpdate(claimable, {
+    $set: { status: 'processing', resolution: { action: 'release', by, note } },
+  }, { new: true });
+  if (!payout) throw new PayoutError(409, 'Payout is not releasable');
+
+  try {
+    const winners = winnersOf(payout);
+    const jobs = [];
+    for (const wallet of winners) {
+      const spec = {
+        key: winners.length > 1 ? payoutJobKey(gameId, wallet) : payoutJobKey(gameId),
+        purpose: 'match-payout',
+        kind: 'payout',
+        wallet,
+        amount: payout.totalPot / winners.length,
+        gameId,
+      };
+      jobs.push(await sendJob(spec));
+    }
+    const job = jobs.find(j => j.status !== 'completed') || jobs[0];
+    return { payout: await Payout.findOne({ gameId }), job, jobs };
+  } catch (err) {
+    payout.status = 'failed';
+    payout.lastError = err.message;
+    await payout.save().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Return each player's stake and void the result. XP and rating changes
+ * from the match are left alone; wins/losses are reversed.
+ * Resolves with { payout, jobs }.
+ */
+async function refundPayout(gameId, { note = '' } = {}) {
+  // A payout transfer that is queued, in flight or done rules out a refund.
+  // A failed one has had every signature checked, so nothing was sent.
+  const payoutJobs = await PayoutJob.find({ gameId, purpose: 'match-payout' });
+  if (payoutJobs.some(j => j.status !== 'failed')) {
+    throw new PayoutError(409, 'Pot has already been sent to the winner');
+  }
+
+  const payout = await Payout.findOneAndUpdate(
+    { gameId, status: { $in: ['pending', 'disputed', 'failed'] } },
+    { $set: { status: 'processing', resolution: { action: 'refund', by: 'admin', note } } },
+    { new: true }
+  );
+  if (!payout) throw new PayoutError(409, 'Payout is not refundable');
+
+  try {
+    const jobs = [];
+    for (const wallet of [...winnersOf(payout), ...losersOf(payout)]) {
+      const spec = {
+        key: refundJobKey(gameId, wallet),
+        purpose: 'match-refund',
+        kind: 'refund',
+        wallet,
+        amount: payout.stakeAmount,
+        gameId,
+      };
+      jobs.push(await sendJob(spec));
+    }
+    return { payout: await Payout.findOne({ gameId }), jobs };
+  } catch (err) {
+    payout.status = 'failed';
+    payout.lastError = err.message;
+    await payout.save().catch(() => {});
+    throw err;
+  }
+}
+
+// =============================================
+// JOB HANDLERS — applied once the transfer has landed
+// =============================================
+registerJobHandlers('match-payout', {
+  async completed(job) {
+    // A 2v2 pot settles once every winner's transfer has landed
+    const jobs = await PayoutJob.find({ gameId: job.gameId, purpose: 'match-payout' });
+    const pending = await Payout.findOne({ gameId: job.gameId });
+    if (!pending || jobs.length < winnersOf(pending).length || jobs.some(j => j.status !== 'completed')) return;
+
+    // Only the first completion flips the payout, so a re-run handler
+    // never credits earnings twice
+    const payout = await Payout.findOneAndUpdate(
+      { gameId: job.gameId, status: { $ne: 'released' } },
+      { $set: {
+        status: 'released',
+        payoutTx: job.signature,
+        winnerShare: job.shares.winnerShare,
+        'resolution.resolvedAt': new Date(),
+      }, $unset: { lastError: 1 } },
+      { new: true }
+    );
+    if (!payout) return;
+
+    await Match.updateOne({ gameId: job.gameId }, {
+      payoutTx: job.signature,
+      payoutStatus: payout.resolution?.by === 'admin' ? 'released' : 'paid',
+    });
+    for (const sent of jobs) {
+      await User.findOneAndUpdate({ wallet: sent.wallet }, {
+        $inc: { 'stats.totalEarnings': sent.shares.winnerShare }
+      });
+    }
+    console.log(`Payout released for ${job.gameId}: ${job.signature}`);
+    notify([...winnersOf(payout), ...losersOf(payout)], 'payout-complete', {
+      gameId: job.gameId,
+      winner: payout.winner,
+      payoutTx: job.signature,
+      winnerShare: job.shares.winnerShare,
+      burned: job.shares.burnShare,
+    });
+  },
+  async failed(job) {
+    await Payout.updateOne({ gameId: job.gameId, status: 'processing' }, {
+      status: 'failed', lastError: job.lastError,
+    });
+  },
+});
+
+registerJobHandlers('match-refund', {
+  async completed(job) {
+    const jobs = await PayoutJob.find({ gameId: job.gameId, purpose: 'match-refund' });
+    const pending = await Payout.findOne({ gameId: job.gameId });
+    const players = pending ? winnersOf(pending).length + losersOf(pending).length : 2;
+    if (jobs.length < players || jobs.some(j => j.status !== 'completed')) return;
+
+    const payout = await Payout.findOneAndUpdate(
+      { gameId: job.gameId, status: { $ne: 'refunded' } },
+      { $set: {
+        status: 'refunded',
+        refundTxs: jobs.map(j => j.signature),
+        'resolution.resolvedAt': new Date(),
+      }, $unset: { lastError: 1 } },
+      { new: true }
+    );
+    if (!payout) return;
+
+    await Match.updateOne({ gameId: job.gameId }, { payoutStatus: 'refunded' });
+    for (const wallet of winnersOf(payout)) await User.updateOne({ wallet }, { $inc: { 'stats.wins': -1 } });
+    for (const wallet of losersOf(payout)) await User.updateOne({ wallet }, { $inc: { 'stats.losses': -1 } });
+  },
+  async failed(job) {
+    await Payout.updateOne({ gameId: job.gameId, status: 'processing' }, {
+      status: 'failed', lastError: job.lastError,
+    });
+  },
+});
+
+// =============================================
+// WORKER — retry queued transfers, release expired undisputed payouts
+// =============================================
+function startPayoutWorker(io, onlineUsers) {
+  if (workerInterval) return;
+  notifyIo = io;
+  notifyUsers = onlineUsers;
+  workerInterval = setInterval(async () => {
+    if (Payout.db.readyState !== 1) return;
+    try {
+      await processDueJobs();
+    } catch (err) {
+      console.error('Payout job sweep failed:', err.message);
+    }
+
+    let due;
+    try {
+      due = await Payout.find({ status: 'pending', releaseAt: { $lte: new Date() } }).limit(20);
+    } catch (err) {
+      console.error('Payout worker query failed:', err.message);
+      return;
+    }
+    for (const p of due) {
+      try {
+        await releasePayout(p.gameId, { by: 'auto' });
+      } catch (err) {
+        console.error(`Payout release failed for ${p.gameId}:`, err.message);
+      }
+    }
+  }, WORKER_INTERVAL_MS);
+}
+
+function notify(wallets, event, data) {
+  if (!notifyIo || !notifyUsers) return;
+  for (const wallet of wallets) {
+    const info = notifyUsers.get(wallet);
+    if (info) notifyIo.to(info.socketId).emit(event, data);
+  }
+}
+
+// Error with an HTTP status so routes can pass it straight through
+class PayoutError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = {
+  PAYOUT_TIERS,
+  PayoutError,
+  getHoldSeconds, getAllHoldSeconds, setHoldSeconds,
+  createPayout, openDispute, holdPayout, releasePayout, refundPayout,
+  startPayoutWorker,
+};
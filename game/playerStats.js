@@ -0,0 +1,199 @@
+// ===========================================
+// Player Stats — Detailed per-match stats, aggregated per player and season
+// ===========================================
+// PongEngine keeps a MatchStats for every match: each player's paddle hits,
+// points won and lost and comebacks, the rallies played and how fast the
+// ball was going when a point was scored. At game end it is saved on the
+// Match (`stats`) and added to every player's PlayerStats for the active
+// season.
+//
+// A rally is every paddle hit between a launch and the main ball scoring
+// (hits on extra balls count toward it; their points don't end it). A
+// comeback win is a game won after trailing by COMEBACK_DEFICIT points.
+
+const Match = require('../models/Match');
+const Season = require('../models/Season');
+const PlayerStats = require('../models/PlayerStats');
+
+const COMEBACK_DEFICIT = 3;
+const TREND_MATCHES = 50;   // most recent matches returned for charts
+const ROLES = ['player1', 'player2', 'partner1', 'partner2'];
+const CAPTAIN_ROLE = { player1: 'player1', player2: 'player2', partner1: 'player1', partner2: 'player2' };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+class MatchStats {
+  /** roles: the Match fields of everyone playing (see PongEngine.roleOf). */
+  constructor(roles) {
+    this.rallies = 0;
+    this.rallyHits = 0;
+    this.longestRally = 0;
+    this.scoreSpeedTotal = 0;
+    this.scoredBalls = 0;
+    this.players = {};
+    for (const role of roles) {
+      this.players[role] = { paddleHits: 0, pointsScored: 0, pointsConceded: 0, comebackWins: 0 };
+    }
+    this.newGame();
+  }
+
+  // Each game of a series starts level
+  newGame() {
+    this.rally = 0;
+    this.deficit = { 1: 0, 2: 0 };   // most points each side has trailed by
+  }
+
+  hit(role) {
+    this.players[role].paddleHits++;
+    this.rally++;
+  }
+
+  /**
+   * A point for `side` (1 = left paddle), `score` being { p1, p2 } after it.
+   * `speed` is the main ball's at scoring, which ends the rally; null for a
+   * point scored by an extra ball.
+   */
+  point(side, score, scorers, conceders, speed = null) {
+    scorers.forEach(role => this.players[role].pointsScored++);
+    conceders.forEach(role => this.players[role].pointsConceded++);
+    this.deficit[1] = Math.max(this.deficit[1], score.p2 - score.p1);
+    this.deficit[2] = Math.max(this.deficit[2], score.p1 - score.p2);
+    if (speed === null) return;
+
+    this.rallies++;
+    this.rallyHits += this.rally;
+    this.longestRally = Math.max(this.longestRally, this.rally);
+    this.rally = 0;
+    this.scoreSpeedTotal += speed;
+    this.scoredBalls++;
+  }
+
+  gameWon(side, winners) {
+    if (this.deficit[side] < COMEBACK_DEFICIT) return;
+    winners.forEach(role => this.players[role].comebackWins++);
+  }
+
+  /** The match's figures as stored on Match.stats. */
+  summary() {
+    return {
+      rallies: this.rallies,
+      rallyHits: this.rallyHits,
+      longestRally: this.longestRally,
+      avgScoreSpeed: this.scoredBalls ? round2(this.scoreSpeedTotal / this.scoredBalls) : 0,
+      ...this.players,
+    };
+  }
+}
+
+async function activeSeasonNumber() {
+  const season = await Season.findOne({ active: true }).select('seasonNumber').lean();
+  return season ? season.seasonNumber : 0;
+}
+
+/**
+ * Add a finished match to each player's PlayerStats for the active season.
+ * players: [{ role, wallet }]; winners: wallets. Resolves to the season.
+ */
+async function recordPlayerStats(stats, players, winners) {
+  const season = await activeSeasonNumber();
+  await Promise.all(players.map(({ role, wallet }) => {
+    const p = stats.players[role];
+    const won = winners.includes(wallet);
+    return PlayerStats.findOneAndUpdate({ wallet, season }, {
+      $inc: {
+        matches: 1,
+        wins: won ? 1 : 0,
+        losses: won ? 0 : 1,
+        rallies: stats.rallies,
+        rallyHits: stats.rallyHits,
+        paddleHits: p.paddleHits,
+        pointsScored: p.pointsScored,
+        pointsConceded: p.pointsConceded,
+        comebackWins: p.comebackWins,
+        scoreSpeedTotal: stats.scoreSpeedTotal,
+        scoredBalls: stats.scoredBalls,
+      },
+      $max: { longestRally: stats.longestRally },
+      $set: { updatedAt: new Date() },
+    }, { upsert: true });
+  }));
+  return season;
+}
+
+/** Sum PlayerStats docs (one season, or all of a wallet's) with averages. */
+function totals(docs) {
+  const sum = (field) => docs.reduce((n, d) => n + (d[field] || 0), 0);
+  const matches = sum('matches');
+  const rallies = sum('rallies');
+  const scoredBalls = sum('scoredBalls');
+  const pointsScored = sum('pointsScored');
+  const pointsConceded = sum('pointsConceded');
+  return {
+    matches,
+    wins: sum('wins'),
+    losses: sum('losses'),
+    winRate: matches ? round2((sum('wins') / matches) * 100) : 0,
+    rallies,
+    avgRally: rallies ? round2(sum('rallyHits') / rallies) : 0,
+    longestRally: docs.reduce((n, d) => Math.max(n, d.longestRally || 0), 0),
+    paddleHits: sum('paddleHits'),
+    hitsPerMatch: matches ? round2(sum('paddleHits') / matches) : 0,
+    pointsScored,
+    pointsConceded,
+    pointDiff: pointsScored - pointsConceded,
+    comebackWins: sum('comebackWins'),
+    avgScoreSpeed: scoredBalls ? round2(sum('scoreSpeedTotal') / scoredBalls) : 0,
+  };
+}
+
+// One match of the trend, from `wallet`'s side
+function trendPoint(match, wallet) {
+  const role = ROLES.find(r => match[r] === wallet);
+  const s = match.stats;
+  const mine = s[role] || {};
+  return {
+    gameId: match.gameId,
+    completedAt: match.completedAt,
+    won: match.winner === match[CAPTAIN_ROLE[role]],
+    paddleHits: mine.paddleHits || 0,
+    pointsScored: mine.pointsScored || 0,
+    pointsConceded: mine.pointsConceded || 0,
+    comebackWins: mine.comebackWins || 0,
+    rallies: s.rallies || 0,
+    avgRally: s.rallies ? round2(s.rallyHits / s.rallies) : 0,
+    longestRally: s.longestRally || 0,
+    avgScoreSpeed: s.avgScoreSpeed || 0,
+  };
+}
+
+/**
+ * A wallet's detailed stats: totals (all time, or for `season`), a row per
+ * season played, and its last TREND_MATCHES matches oldest first for charts.
+ */
+async function detailedStats(wallet, { season = null } = {}) {
+  const docs = await PlayerStats.find({ wallet }).sort({ season: -1 }).lean();
+  const seasons = await Season.find({ seasonNumber: { $in: docs.map(d => d.season) } })
+    .select('seasonNumber name')
+    .lean();
+  const nameOf = (n) => (seasons.find(x => x.seasonNumber === n) || {}).name || (n ? `Season ${n}` : 'Off-season');
+
+  const matches = await Match.find({
+    $or: ROLES.map(role => ({ [role]: wallet })),
+    status: 'completed',
+    ...(season === null ? { 'stats.season': { $exists: true } } : { 'stats.season': season }),
+  })
+    .sort({ completedAt: -1 })
+    .limit(TREND_MATCHES)
+    .select('gameId player1 player2 partner1 partner2 winner stats completedAt')
+    .lean();
+
+  return {
+    wallet,
+    season,
+    totals: totals(season === null ? docs : docs.filter(d => d.season === season)),
+    seasons: docs.map(d => ({ season: d.season, name: nameOf(d.season), ...totals([d]) })),
+    trend: matches.reverse().map(m => trendPoint(m, wallet)),
+  };
+}
+
+module.exports = { MatchStats, recordPlayerStats, detailedStats, totals, COMEBACK_DEFICIT };
@@ -0,0 +1,137 @@
+// ===========================================
+// Prize Pools — Who funds a tournament's prizes, and who may enter a free one
+// ===========================================
+// Where a tournament's pot (prizePool.source) comes from:
+//
+//   stakes     every player escrows stakeAmount; the pot is the stakes,
+//              paid out 90% after burn and fee
+//   treasury   free entry; an admin puts up the pool from the treasury
+//   sponsor    free entry; a sponsor deposits the pool up front, refunded
+//              if the tournament never finishes
+//
+// Free pools are paid in full ('prize' payout jobs, no burn or fee). Free
+// entry invites farming with fresh accounts, so free tournaments carry entry
+// rules (minimum level, account age, linked Discord) checked when a player
+// joins or registers.
+
+const User = require('../models/User');
+const { buildCustomEscrowTransaction, verifyPayment } = require('../solana/utils');
+const { queueAndRun } = require('./payoutJobs');
+
+const SKIP_ESCROW = process.env.SKIP_ESCROW === 'true';
+
+const POOL_SOURCES = ['stakes', 'treasury', 'sponsor'];
+const DEFAULT_ENTRY_RULES = { minLevel: 5, minAccountAgeDays: 7, requireDiscord: true };
+const MAX_ACCOUNT_AGE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isFree = (t) => !!(t.prizePool && t.prizePool.source && t.prizePool.source !== 'stakes');
+
+/** The pot a tournament pays out: the sponsored pool, or everyone's stakes. */
+function tournamentPot(t) {
+  return isFree(t) ? t.prizePool.amount : t.stakeAmount * t.players.length;
+}
+
+/**
+ * Check the prize pool and entry rules a tournament is created with.
+ * Treasury pools are for admins only. Returns { prizePool, entryRules } or
+ * { error }.
+ */
+function parsePrizePool({ prizePool, entryRules }, { admin = false } = {}) {
+  const source = (prizePool && prizePool.source) || 'stakes';
+  if (!POOL_SOURCES.includes(source)) return { error: 'Unknown prize pool' };
+  if (source === 'stakes') return { prizePool: { source, amount: 0 }, entryRules: null };
+  if (source === 'treasury' && !admin) return { error: 'Only admins can fund a prize pool from the treasury' };
+
+  const amount = Number(prizePool.amount);
+  if (!Number.isSafeInteger(amount) || amount <= 0) return { error: 'Invalid prize pool amount' };
+
+  const rules = { ...DEFAULT_ENTRY_RULES, ...entryRules };
+  const minLevel = Number(rules.minLevel);
+  const minAccountAgeDays = Number(rules.minAccountAgeDays);
+  if (!Number.isInteger(minLevel) || minLevel < 0) return { error: 'Invalid minimum level' };
+  if (!Number.isInteger(minAccountAgeDays) || minAccountAgeDays < 0 || minAccountAgeDays > MAX_ACCOUNT_AGE_DAYS) {
+    return { error: `Account age must be 0-${MAX_ACCOUNT_AGE_DAYS} days` };
+  }
+
+  const pool = { source, amount, sponsor: String(prizePool.sponsor || '').trim().slice(0, 40) || null };
+  if (source === 'sponsor') {
+    pool.sponsorWallet = prizePool.sponsorWallet || null;
+    pool.depositTx = prizePool.depositTx || null;
+  }
+  return { prizePool: pool, entryRules: { minLevel, minAccountAgeDays, requireDiscord: !!rules.requireDiscord } };
+}
+
+/** Why `user` can't enter a tournament with these entry rules, or null. */
+function entryRuleError(user, rules, now = Date.now()) {
+  if (!rules) return null;
+  if (!user) return 'Create a profile before entering free tournaments';
+  const level = (user.stats && user.stats.level) || 1;
+  if (level < rules.minLevel) return `Free tournaments need level ${rules.minLevel} (you are level ${level})`;
+  const ageDays = (now - new Date(user.createdAt).getTime()) / DAY_MS;
+  if (ageDays < rules.minAccountAgeDays) return `Free tournaments need an account at least ${rules.minAccountAgeDays} days old`;
+  if (rules.requireDiscord && !user.discordId) return 'Link your Discord account to enter free tournaments';
+  return null;
+}
+
+/** Why `wallet` can't enter tournament `t`, or null. Staked tournaments have no rules. */
+async function entryError(t, wallet) {
+  if (!isFree(t)) return null;
+  const user = await User.findOne({ wallet }).select('stats.level createdAt discordId').lean();
+  return entryRuleError(user, t.entryRules);
+}
+
+/**
+ * Take the sponsor's deposit for a new sponsored tournament. Without a
+ * deposit signature, returns { escrowTransaction } for the sponsor to sign;
+ * with one, verifies it and returns {}. Returns { error } if it fails.
+ */
+async function collectSponsorDeposit(prizePool, tournamentId) {
+  if (SKIP_ESCROW) return {};
+  if (!prizePool.sponsorWallet) return { error: 'Sponsor wallet required' };
+  if (!prizePool.depositTx) {
+    try {
+      const tx = await buildCustomEscrowTransaction(prizePool.sponsorWallet, prizePool.amount);
+      return { escrowTransaction: tx.transaction };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  const verified = await verifyPayment(prizePool.depositTx, {
+    amount: prizePool.amount, wallet: prizePool.sponsorWallet, purpose: 'tournament-sponsor', ref: tournamentId,
+  });
+  return verified.ok ? {} : { error: `Sponsor deposit verification failed: ${verified.reason}` };
+}
+
+/** Return a sponsor's deposit for a tournament that was called off. */
+function refundPrizePool(t) {
+  const pool = t.prizePool;
+  if (!pool || pool.source !== 'sponsor' || !pool.depositTx) return;
+  queueAndRun({
+    key: `tournament:${t.tournamentId}:sponsor-refund`,
+    purpose: 'tournament-refund',
+    kind: 'refund',
+    wallet: pool.sponsorWallet,
+    amount: pool.amount,
+    tournamentId: t.tournamentId,
+  }).catch(err => {
+    console.error(`Sponsor refund failed for tournament ${t.tournamentId}:`, err.message);
+  });
+}
+
+/** What clients see of the pool (no sponsor wallet or deposit). */
+function poolSummary(t) {
+  if (!isFree(t)) return { prizePool: { source: 'stakes' }, entryRules: null };
+  const { source, amount, sponsor } = t.prizePool;
+  const rules = t.entryRules || {};
+  return {
+    prizePool: { source, amount, sponsor: sponsor || null },
+    entryRules: { minLevel: rules.minLevel, minAccountAgeDays: rules.minAccountAgeDays, requireDiscord: !!rules.requireDiscord },
+  };
+}
+
+module.exports = {
+  DEFAULT_ENTRY_RULES,
+  isFree, tournamentPot, parsePrizePool, entryRuleError, entryError,
+  collectSponsorDeposit, refundPrizePool, poolSummary,
+};
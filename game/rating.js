@@ -0,0 +1,125 @@
+// ===========================================
+// Skill Rating — Glicko-2
+// ===========================================
+// Each finished match is treated as its own rating period.
+// Reference: Mark Glickman, "Example of the Glicko-2 system" (2013).
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 30;
+
+const TAU = 0.5;            // constrains volatility change per period
+const SCALE = 173.7178;     // Glicko <-> Glicko-2 scale factor
+const EPSILON = 0.000001;   // volatility iteration convergence
+
+/**
+ * Read a player's rating from a User doc (or stats object), with defaults
+ * for players who have never played a rated match.
+ */
+function getRating(user) {
+  const stats = (user && user.stats) || user || {};
+  return {
+    rating: stats.rating ?? DEFAULT_RATING,
+    rd: stats.ratingDeviation ?? DEFAULT_RD,
+    vol: stats.ratingVolatility ?? DEFAULT_VOLATILITY,
+  };
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muJ, phiJ) {
+  return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+}
+
+/**
+ * Rate one player over a rating period.
+ * results: [{ opponent: { rating, rd }, score }], score 1 = win, 0 = loss.
+ * Returns the player's new { rating, rd, vol }.
+ */
+function ratePeriod(player, results) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+  const sigma = player.vol;
+
+  let vInv = 0;
+  let sum = 0;   // sum of g(phiJ) * (score - E)
+  for (const { opponent, score } of results) {
+    const muJ = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const phiJ = opponent.rd / SCALE;
+    const gJ = g(phiJ);
+    const e = expectedScore(mu, muJ, phiJ);
+    vInv += gJ * gJ * e * (1 - e);
+    sum += gJ * (score - e);
+  }
+  const v = 1 / vInv;
+  const delta = v * sum;
+
+  // New volatility (Illinois algorithm)
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  const newSigma = Math.exp(A / 2);
+
+  // New deviation and rating
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * sum;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.max(MIN_RD, Math.min(DEFAULT_RD, newPhi * SCALE)),
+    vol: newSigma,
+  };
+}
+
+/** Rate one player against one opponent (a one-game rating period). */
+function rate(player, opponent, score) {
+  return ratePeriod(player, [{ opponent, score }]);
+}
+
+/**
+ * Rate both sides of a finished match.
+ * Returns { winner, loser } with the new ratings for each.
+ */
+function rateMatch(winner, loser) {
+  return {
+    winner: rate(winner, loser, 1),
+    loser: rate(loser, winner, 0),
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING, DEFAULT_RD, DEFAULT_VOLATILITY,
+  getRating, rate, ratePeriod, rateMatch,
+};
@@ -0,0 +1,271 @@
+// ===========================================
+// Crash Recovery — Settle matches and tournaments whose node went away
+// ===========================================
+// A running match or tournament lives in the memory of the node that owns
+// it. If that process dies, its Match / Tournament documents stay
+// 'pending-escrow' or 'in-progress' with the players' stakes in treasury.
+//
+// Every node sweeps for orphans: not pinned by any live node and untouched
+// for ORPHAN_GRACE_MS. The first sweep after a restart is the startup pass.
+// An orphan is claimed on its document (so exactly one node acts) and the
+// decision is recorded in its `recovery` field:
+//
+//   pending-escrow                 refund whatever was escrowed
+//   in-progress, no checkpoint     never started: refund both stakes
+//   in-progress, checkpointed      resume if both players are online within
+//                                  RESUME_WINDOW_MS of the last checkpoint,
+//                                  else award the leader by the checkpoint
+//                                  (series games first, then points;
+//                                  refund both on a tie)
+//   tournament waiting / escrow    cancel, refunding escrowed players
+//   tournament in-progress         resume from the saved bracket
+//
+// Tournament games are handled with their tournament, not on their own.
+// A 2v2 is settled like any match, with all four players and stakes.
+
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const { PongEngine } = require('./PongEngine');
+const { cluster } = require('../state/cluster');
+const {
+  getPlayerSkin, queueEscrowRefund, cancelTournamentWithRefunds, resumeTournament,
+} = require('./matchmaking');
+
+const SWEEP_MS = 15000;
+// Nothing written for this long (and no live owner) means nobody runs it
+const ORPHAN_GRACE_MS = 30000;
+// How long after the last checkpoint a game may still be resumed
+const RESUME_WINDOW_MS = 2 * 60 * 1000;
+
+let sweepInterval = null;
+
+// Match fields of everyone who played: the captains, then any 2v2 partners
+function rolesOf(match) {
+  return match.partner1 ? ['player1', 'player2', 'partner1', 'partner2'] : ['player1', 'player2'];
+}
+
+// =============================================
+// DECISIONS
+// =============================================
+/**
+ * What to do with an orphaned (non-tournament) match.
+ * `available`: both players are online and not playing another game.
+ * Returns { action: 'refund'|'resume'|'award'|'wait', reason, winner? }.
+ */
+function decide(match, { now = Date.now(), available = false } = {}) {
+  if (match.status === 'pending-escrow') return { action: 'refund', reason: 'escrow-incomplete' };
+
+  const cp = match.checkpoint;
+  if (!cp || !cp.at) return { action: 'refund', reason: 'not-started' };
+
+  if (now - new Date(cp.at).getTime() < RESUME_WINDOW_MS) {
+    return available
+      ? { action: 'resume', reason: 'players-online' }
+      : { action: 'wait', reason: 'waiting-for-players' };
+  }
+  return settleByCheckpoint(match);
+}
+
+/** Award the checkpoint leader, or refund both stakes on a tie. */
+function settleByCheckpoint(match) {
+  const cp = match.checkpoint || {};
+  const series = cp.series || {};
+  const points = cp.score || {};
+  // Games won decide a series; points only break a tie in games
+  const lead = ((series.player1 || 0) - (series.player2 || 0)) || ((points.player1 || 0) - (points.player2 || 0));
+  if (lead === 0) return { action: 'refund', reason: 'tied-at-checkpoint' };
+  return {
+    action: 'award',
+    reason: 'led-at-checkpoint',
+    winner: lead > 0 ? match.player1 : match.player2,
+  };
+}
+
+function isOrphan(doc, key, cutoff) {
+  if (cluster.ownerOf(key)) return false;
+  const touched = Math.max(
+    new Date(doc.createdAt).getTime(),
+    doc.checkpoint && doc.checkpoint.at ? new Date(doc.checkpoint.at).getTime() : 0,
+    // A scheduled tournament is claimed to start long after it was created
+    doc.startedAt ? new Date(doc.startedAt).getTime() : 0,
+    doc.recovery && doc.recovery.at ? new Date(doc.recovery.at).getTime() : 0
+  );
+  return touched < cutoff;
+}
+
+// Record the decision unless another node recorded one within the grace
+// period (or the document moved on). Resolves to the updated doc or null.
+function claim(Model, filter, { action, reason }) {
+  return Model.findOneAndUpdate(
+    { ...filter, 'recovery.at': { $not: { $gte: new Date(Date.now() - ORPHAN_GRACE_MS) } } },
+    { recovery: { action, reason, node: cluster.nodeId, at: new Date() } },
+    { new: true }
+  );
+}
+
+// =============================================
+// MATCHES
+// =============================================
+async function recoverMatch(match, ctx) {
+  const { onlineUsers, activeGames } = ctx;
+  const available = rolesOf(match).map(role => match[role])
+    .every(w => onlineUsers.has(w) && !activeGames.isPlaying(w));
+  const decision = decide(match, { available });
+  if (decision.action === 'wait') return null;
+
+  const claimed = await claim(Match, { gameId: match.gameId, status: match.status }, decision).lean();
+  if (!claimed) return null;
+  console.log(`Recovery: match ${match.gameId} (${match.status}) -> ${decision.action} (${decision.reason})`);
+
+  if (decision.action === 'refund') await refundMatch(claimed, ctx);
+  else if (decision.action === 'resume') await resumeMatch(claimed, ctx);
+  else engineFor(claimed, ctx).endGame(decision.winner, { awarded: true });
+  return decision;
+}
+
+async function refundMatch(match, { io, onlineUsers }) {
+  const escrowed = rolesOf(match).filter(role => match[`${role}EscrowTx`]).map(role => match[role]);
+  escrowed.forEach(wallet => queueEscrowRefund(match.gameId, wallet, match.stakeAmount));
+
+  await Match.updateOne({ gameId: match.gameId }, {
+    status: 'cancelled',
+    ...(escrowed.length ? { payoutStatus: 'refunded' } : {}),
+  });
+
+  for (const wallet of rolesOf(match).map(role => match[role])) {
+    const info = onlineUsers.get(wallet);
+    if (!info) continue;
+    io.to(info.socketId).emit('match-cancelled', {
+      gameId: match.gameId,
+      reason: escrowed.includes(wallet)
+        ? 'The server restarted before this match finished. Your $PONG is being refunded.'
+        : 'The server restarted before this match finished.',
+    });
+  }
+}
+
+// A PongEngine holding the checkpoint (and series so far), for the players' current sockets
+function engineFor(match, { io, onlineUsers, activeGames }, options = {}) {
+  const player = (role) => {
+    const wallet = match[role];
+    const info = onlineUsers.get(wallet);
+    return { wallet, username: match[`${role}Username`], socketId: info ? info.socketId : null };
+  };
+  return new PongEngine(match.gameId, player('player1'), player('player2'), match.tier, io, activeGames, match.stakeAmount, {
+    ...(match.partner1 ? { partner1: player('partner1'), partner2: player('partner2') } : {}),
+    bestOf: match.bestOf || 1,
+    ruleset: match.ruleset,
+    arena: match.arena,
+    resumeFrom: { ...match.checkpoint, games: match.games || [] },
+    ...options,
+  });
+}
+
+async function resumeMatch(match, ctx) {
+  const game = engineFor(match, ctx, {
+    // Nobody readied up: settle as if the players had never come back
+    onReadyExpired: (expired) => {
+      const decision = settleByCheckpoint(match);
+      Match.updateOne({ gameId: match.gameId }, {
+        recovery: { action: decision.action, reason: 'resume-expired', node: cluster.nodeId, at: new Date() },
+      }).catch(err => console.error('Recovery record failed:', err.message));
+      if (decision.action === 'award') return expired.endGame(decision.winner, { awarded: true });
+      ctx.activeGames.delete(match.gameId);
+      refundMatch(match, ctx).catch(err => console.error(`Recovery refund failed for ${match.gameId}:`, err.message));
+    },
+  });
+  const { player1, player2 } = game;
+  const skins = await Promise.all(game.players.map(p => getPlayerSkin(p.wallet)));
+  game.players.forEach((p, i) => { p.skin = skins[i]; });
+  ctx.activeGames.set(match.gameId, game);
+
+  const countdownData = {
+    gameId: match.gameId, seconds: 30, tier: match.tier,
+    player1: { wallet: player1.wallet, username: player1.username, skin: player1.skin },
+    player2: { wallet: player2.wallet, username: player2.username, skin: player2.skin },
+    partners: game.partnersInfo(player1, player2),
+    stakeAmount: match.stakeAmount,
+    bestOf: game.bestOf,
+    ruleset: game.ruleset,
+    arena: game.arena,
+    useReadySystem: true,
+    resumed: true,
+    score: game.score,
+    series: game.seriesInfo(),
+  };
+  game.emit('game-countdown', countdownData);
+  game.startReadyPhase();
+}
+
+// =============================================
+// TOURNAMENTS
+// =============================================
+async function recoverTournament(tournament, { io, onlineUsers, activeGames }) {
+  const decision = tournament.status === 'in-progress'
+    ? { action: 'resume', reason: 'bracket-saved' }
+    : { action: 'cancel', reason: `${tournament.status}-interrupted` };
+
+  const claimed = await claim(Tournament, { tournamentId: tournament.tournamentId, status: tournament.status }, decision);
+  if (!claimed) return null;
+  console.log(`Recovery: tournament ${tournament.tournamentId} (${tournament.status}) -> ${decision.action}`);
+
+  if (decision.action === 'resume') {
+    await resumeTournament(io, claimed, activeGames, onlineUsers);
+  } else {
+    claimed.players.forEach(p => {
+      const info = onlineUsers.get(p.wallet);
+      if (info) p.socketId = info.socketId;
+    });
+    await cancelTournamentWithRefunds(io, claimed, 'The server restarted before the tournament began. Refunds issued.');
+  }
+  return decision;
+}
+
+// =============================================
+// SWEEP
+// =============================================
+async function sweep(ctx) {
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+  const matches = await Match.find({
+    status: { $in: ['pending-escrow', 'in-progress'] },
+    tier: { $ne: 'tournament' },
+    createdAt: { $lt: new Date(cutoff) },
+  }).lean();
+  for (const match of matches) {
+    if (!isOrphan(match, `game:${match.gameId}`, cutoff)) continue;
+    try {
+      await recoverMatch(match, ctx);
+    } catch (err) {
+      console.error(`Recovery failed for match ${match.gameId}:`, err.message);
+    }
+  }
+
+  const tournaments = await Tournament.find({
+    status: { $in: ['waiting', 'escrow', 'in-progress'] },
+    createdAt: { $lt: new Date(cutoff) },
+  }).lean();
+  for (const t of tournaments) {
+    if (!isOrphan(t, `tournament:${t.tournamentId}`, cutoff)) continue;
+    try {
+      await recoverTournament(t, ctx);
+    } catch (err) {
+      console.error(`Recovery failed for tournament ${t.tournamentId}:`, err.message);
+    }
+  }
+}
+
+function startRecoveryWorker(io, onlineUsers, activeGames) {
+  if (sweepInterval) return;
+  sweepInterval = setInterval(async () => {
+    // Pins must be hydrated, or every live game would look orphaned
+    if (Match.db.readyState !== 1 || !cluster.started) return;
+    try {
+      await sweep({ io, onlineUsers, activeGames });
+    } catch (err) {
+      console.error('Recovery sweep failed:', err.message);
+    }
+  }, SWEEP_MS);
+}
+
+module.exports = { decide, sweep, startRecoveryWorker };
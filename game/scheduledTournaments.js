@@ -0,0 +1,493 @@
+// ===========================================
+// Scheduled Tournaments — Registration, check-in and a timed start
+// ===========================================
+// An instant tournament starts as soon as maxPlayers join. A scheduled one
+// (created by an admin or a player) is announced ahead of time and lives
+// only in its Tournament document until it starts, so it survives restarts
+// and any node can take sign-ups:
+//
+//   registrationOpensAt .. startsAt   players register (nothing staked yet)
+//   checkInOpensAt .. startsAt        registered players check in by
+//                                     escrowing their stake (just confirming,
+//                                     for a free tournament)
+//   startsAt                          one node claims it, drops everyone who
+//                                     didn't check in and runs it like an
+//                                     instant tournament (cancelled with
+//                                     refunds if fewer than 2 checked in)
+//
+// Registered players are reminded over socket and on Discord when check-in
+// opens, and those still not checked in LAST_CALL_MS before the start.
+
+const crypto = require('crypto');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const { buildCustomEscrowTransaction, verifyPayment } = require('../solana/utils');
+const { queueAndRun } = require('./payoutJobs');
+const { cluster } = require('../state/cluster');
+const { tournamentSettings, startScheduledTournament } = require('./matchmaking');
+const prizePools = require('./prizePools');
+
+const SKIP_ESCROW = process.env.SKIP_ESCROW === 'true';
+
+const SWEEP_MS = 15000;
+const DEFAULT_CHECK_IN_MINUTES = 15;
+const MIN_CHECK_IN_MINUTES = 5;
+const MAX_CHECK_IN_MINUTES = 60;
+const MIN_LEAD_MS = 10 * 60 * 1000;                 // earliest start: 10 minutes out
+const MAX_LEAD_MS = 30 * 24 * 60 * 60 * 1000;       // latest: 30 days out
+const LAST_CALL_MS = 5 * 60 * 1000;
+const UPCOMING_LIMIT = 50;
+const ADMIN_CREATOR = 'admin';
+
+let sweepInterval = null;
+// Set by startScheduler so registration changes and reminders reach players
+let notifyIo = null;
+let notifyUsers = null;
+let runGames = null;
+
+class ScheduleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// =============================================
+// CREATE
+// =============================================
+/**
+ * Check a requested schedule: { startsAt, registrationOpensAt?, checkInMinutes? }.
+ * Returns the stored dates; throws ScheduleError(400) if it doesn't work.
+ */
+function parseSchedule({ startsAt, registrationOpensAt, checkInMinutes = DEFAULT_CHECK_IN_MINUTES }, now = Date.now()) {
+  const start = new Date(startsAt);
+  if (!startsAt || isNaN(start)) throw new ScheduleError(400, 'A start time is required');
+  if (start.getTime() < now + MIN_LEAD_MS) throw new ScheduleError(400, `Start time must be at least ${MIN_LEAD_MS / 60000} minutes away`);
+  if (start.getTime() > now + MAX_LEAD_MS) throw new ScheduleError(400, 'Start time must be within 30 days');
+
+  const minutes = Number(checkInMinutes);
+  if (!Number.isInteger(minutes) || minutes < MIN_CHECK_IN_MINUTES || minutes > MAX_CHECK_IN_MINUTES) {
+    throw new ScheduleError(400, `Check-in must last ${MIN_CHECK_IN_MINUTES}-${MAX_CHECK_IN_MINUTES} minutes`);
+  }
+  const checkInOpensAt = new Date(start.getTime() - minutes * 60000);
+
+  const opens = registrationOpensAt ? new Date(registrationOpensAt) : new Date(now);
+  if (isNaN(opens)) throw new ScheduleError(400, 'Invalid registration time');
+  if (opens > checkInOpensAt) throw new ScheduleError(400, 'Registration must open before check-in');
+
+  return { startsAt: start, registrationOpensAt: opens, checkInOpensAt };
+}
+
+function registration(player) {
+  return {
+    wallet: player.wallet,
+    username: player.username || 'Anon',
+    socketId: player.socketId,
+    escrowed: false,
+    checkedIn: false,
+    registeredAt: new Date(),
+    seed: 0,
+  };
+}
+
+/**
+ * Announce a tournament. host: the creating player ({ wallet, username,
+ * socketId }), registered straight away if registration is open and they
+ * meet any entry rules; omitted for an admin event. Resolves { tournament },
+ * or { escrowTransaction } when a player sponsoring the prize pool still has
+ * to sign their deposit. Throws ScheduleError(400) for bad settings.
+ */
+async function scheduleTournament(payload, host = null) {
+  const { error, settings } = tournamentSettings(payload, { admin: !host });
+  if (error) throw new ScheduleError(400, error);
+  const schedule = parseSchedule(payload);
+
+  const tournamentId = crypto.randomUUID();
+  const { prizePool } = settings;
+  if (prizePool.source === 'sponsor') {
+    // A player sponsors from their own wallet; an admin records a deposit the sponsor already sent
+    if (host) prizePool.sponsorWallet = host.wallet;
+    else if (!prizePool.depositTx) throw new ScheduleError(400, 'Sponsor deposit transaction required');
+    const deposit = await prizePools.collectSponsorDeposit(prizePool, tournamentId);
+    if (deposit.error) throw new ScheduleError(400, deposit.error);
+    if (deposit.escrowTransaction) return { escrowTransaction: deposit.escrowTransaction };
+  }
+  const hostRegisters = host && schedule.registrationOpensAt <= new Date()
+    && !prizePools.entryRuleError(
+      settings.entryRules && await User.findOne({ wallet: host.wallet }).select('stats.level createdAt discordId').lean(),
+      settings.entryRules
+    );
+
+  const tournament = await Tournament.create({
+    tournamentId,
+    creator: host ? host.wallet : ADMIN_CREATOR,
+    creatorUsername: host ? host.username || 'Anon' : 'Pong Arena',
+    name: String(payload.name || '').trim().slice(0, 60) || null,
+    ...settings,
+    ...schedule,
+    status: 'scheduled',
+    players: hostRegisters ? [registration(host)] : [],
+  });
+  console.log(`Tournament ${tournament.tournamentId} scheduled for ${schedule.startsAt.toISOString()} by ${tournament.creatorUsername}`);
+  broadcastUpcoming();
+  return { tournament };
+}
+
+// =============================================
+// REGISTRATION & CHECK-IN
+// =============================================
+// Why an update guarded on the tournament's state matched nothing
+async function refusal(tournamentId, wallet, now = new Date()) {
+  const t = await Tournament.findOne({ tournamentId }).lean();
+  if (!t || !t.startsAt) return new ScheduleError(404, 'Tournament not found');
+  if (t.status !== 'scheduled') return new ScheduleError(409, t.status === 'cancelled' ? 'Tournament was cancelled' : 'Tournament has already started');
+  const player = t.players.find(p => p.wallet === wallet);
+  if (new Date(t.registrationOpensAt) > now) return new ScheduleError(409, 'Registration is not open yet');
+  if (player && player.checkedIn) return new ScheduleError(409, 'Already checked in');
+  if (player) return new ScheduleError(409, 'Already registered');
+  if (t.players.length >= t.maxPlayers) return new ScheduleError(409, 'Tournament is full');
+  return new ScheduleError(409, 'Not registered for this tournament');
+}
+
+async function register(tournamentId, player) {
+  const now = new Date();
+  const open = await Tournament.findOne({ tournamentId, status: 'scheduled' }).select('prizePool entryRules').lean();
+  const entryError = open && await prizePools.entryError(open, player.wallet);
+  if (entryError) throw new ScheduleError(403, entryError);
+
+  const t = await Tournament.findOneAndUpdate({
+    tournamentId,
+    status: 'scheduled',
+    registrationOpensAt: { $lte: now },
+    startsAt: { $gt: now },
+    'players.wallet': { $ne: player.wallet },
+    $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] },
+  }, { $push: { players: registration(player) } }, { new: true });
+  if (!t) throw await refusal(tournamentId, player.wallet, now);
+  broadcastUpcoming();
+  return t;
+}
+
+// Return a stake taken at check-in. The escrow tx is in the key: a player
+// may check in, withdraw and check in again.
+function refundCheckIn(tournament, wallet, escrowTx) {
+  queueAndRun({
+    key: `tournament:${tournament.tournamentId}:refund:${wallet}:${escrowTx}`,
+    purpose: 'tournament-refund',
+    kind: 'refund',
+    wallet,
+    amount: tournament.stakeAmount,
+    tournamentId: tournament.tournamentId,
+  }).catch(err => {
+    console.error(`Check-in refund failed for ${wallet}:`, err.message);
+  });
+}
+
+/** Withdraw before the start; a stake already escrowed is refunded. */
+async function unregister(tournamentId, wallet) {
+  const before = await Tournament.findOneAndUpdate(
+    { tournamentId, status: 'scheduled', 'players.wallet': wallet },
+    { $pull: { players: { wallet } } }
+  );
+  if (!before) throw await refusal(tournamentId, wallet);
+  const player = before.players.find(p => p.wallet === wallet);
+  if (player.escrowed) refundCheckIn(before, wallet, player.escrowTx);
+  broadcastUpcoming();
+}
+
+// The tournament if `wallet` can check in to it now
+async function checkInOpen(tournamentId, wallet) {
+  const now = new Date();
+  const t = await Tournament.findOne({ tournamentId }).lean();
+  if (!t || t.status !== 'scheduled') throw await refusal(tournamentId, wallet, now);
+  const player = t.players.find(p => p.wallet === wallet);
+  if (!player) throw new ScheduleError(409, 'Not registered for this tournament');
+  if (player.checkedIn) throw new ScheduleError(409, 'Already checked in');
+  if (new Date(t.checkInOpensAt) > now) throw new ScheduleError(409, 'Check-in is not open yet');
+  return t;
+}
+
+/** The stake escrow transaction a player signs to check in; null if there is nothing to stake. */
+async function checkInTransaction(tournamentId, wallet) {
+  const t = await checkInOpen(tournamentId, wallet);
+  if (SKIP_ESCROW || prizePools.isFree(t)) return null;
+  const tx = await buildCustomEscrowTransaction(wallet, t.stakeAmount);
+  return { escrowTransaction: tx.transaction, stakeAmount: t.stakeAmount };
+}
+
+/**
+ * Check a player in once their escrow transaction verifies. If the
+ * tournament started (or they withdrew) meanwhile, the stake goes back.
+ */
+async function checkIn(tournamentId, wallet, txSignature) {
+  const t = await checkInOpen(tournamentId, wallet);
+  const staked = !SKIP_ESCROW && !prizePools.isFree(t);
+  if (staked) {
+    const verified = await verifyPayment(txSignature, {
+      amount: t.stakeAmount, wallet, purpose: 'tournament-escrow', ref: tournamentId,
+    });
+    if (!verified.ok) throw new ScheduleError(400, `Escrow verification failed: ${verified.reason}`);
+  }
+
+  const updated = await Tournament.findOneAndUpdate(
+    { tournamentId, status: 'scheduled', players: { $elemMatch: { wallet, checkedIn: false } } },
+    { $set: {
+      'players.$.checkedIn': true,
+      'players.$.escrowed': staked,
+      'players.$.escrowTx': staked ? txSignature : null,
+    } },
+    { new: true }
+  );
+  if (!updated) {
+    if (staked) refundCheckIn(t, wallet, txSignature);
+    throw new ScheduleError(409, 'Check-in closed before your stake was confirmed. It has been refunded.');
+  }
+  broadcastUpcoming();
+  return updated;
+}
+
+/** Call an event off before it starts (its creator or an admin), refunding check-ins. */
+async function cancelScheduled(tournamentId, { wallet = null, reason = 'Cancelled by the organiser' } = {}) {
+  const t = await Tournament.findOneAndUpdate(
+    { tournamentId, status: 'scheduled', ...(wallet ? { creator: wallet } : {}) },
+    { status: 'cancelled' },
+    { new: true }
+  );
+  if (!t) throw new ScheduleError(409, 'Only an upcoming tournament can be cancelled, by its creator');
+  prizePools.refundPrizePool(t);
+
+  for (const p of t.players) {
+    if (p.escrowed) refundCheckIn(t, p.wallet, p.escrowTx);
+    notify(p.wallet, 'tournament-cancelled', { tournamentId, reason: `${reason}. Any stakes were refunded.` });
+  }
+  broadcastUpcoming();
+  return t;
+}
+
+// =============================================
+// LISTING
+// =============================================
+function upcomingSummary(t) {
+  return {
+    tournamentId: t.tournamentId,
+    name: t.name,
+    creator: t.creator,
+    creatorUsername: t.creatorUsername,
+    stakeAmount: t.stakeAmount,
+    maxPlayers: t.maxPlayers,
+    bestOf: t.bestOf || 1,
+    format: t.format,
+    prizeSplit: t.prizeSplit,
+    ...prizePools.poolSummary(t),
+    startsAt: t.startsAt,
+    registrationOpensAt: t.registrationOpensAt,
+    checkInOpensAt: t.checkInOpensAt,
+    registered: t.players.length,
+    checkedIn: t.players.filter(p => p.checkedIn).length,
+    players: t.players.map(p => ({ wallet: p.wallet, username: p.username, checkedIn: !!p.checkedIn })),
+  };
+}
+
+/** Scheduled tournaments that haven't started, soonest first. */
+async function upcoming() {
+  const list = await Tournament.find({ status: 'scheduled' }).sort({ startsAt: 1 }).limit(UPCOMING_LIMIT).lean();
+  return list.map(upcomingSummary);
+}
+
+function broadcastUpcoming() {
+  if (!notifyIo) return;
+  upcoming()
+    .then(tournaments => notifyIo.emit('scheduled-tournaments', { tournaments }))
+    .catch(err => console.error('Upcoming tournaments broadcast failed:', err.message));
+}
+
+// =============================================
+// REMINDERS
+// =============================================
+function notify(wallet, event, data) {
+  const info = notifyUsers && notifyUsers.get(wallet);
+  if (info) notifyIo.to(info.socketId).emit(event, data);
+}
+
+// Post to the community channel's webhook (DISCORD_WEBHOOK_URL), pinging
+// the players who linked Discord. Best effort: failures are only logged.
+async function postToDiscord(text, wallets) {
+  const url = process.env.DISCORD_WEBHOOK_URL;
+  if (!url) return;
+  try {
+    const linked = await User.find({ wallet: { $in: wallets }, discordId: { $ne: null } }).select('discordId').lean();
+    const mentions = linked.map(u => `<@${u.discordId}>`).join(' ');
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        content: `${text}${mentions ? `\n${mentions}` : ''}`.slice(0, 2000),
+        allowed_mentions: { parse: ['users'] },
+      }),
+    });
+    if (!res.ok) console.error(`Discord reminder failed: HTTP ${res.status}`);
+  } catch (err) {
+    console.error('Discord reminder failed:', err.message);
+  }
+}
+
+const REMINDERS = {
+  'check-in': {
+    recipients: (t) => t.players,
+    message: (t, title) => `Check-in is open for ${title}. Check in (and escrow your stake) before it starts at ${t.startsAt.toISOString()} or you'll be dropped.`,
+  },
+  'last-call': {
+    recipients: (t) => t.players.filter(p => !p.checkedIn),
+    message: (t, title) => `Last call: ${title} starts in ${LAST_CALL_MS / 60000} minutes and you haven't checked in yet.`,
+  },
+};
+
+const titleOf = (t) => t.name || `${t.creatorUsername}'s tournament`;
+
+// Send one reminder, once: the node that records it sends it
+async function remind(tournamentId, kind) {
+  const t = await Tournament.findOneAndUpdate(
+    { tournamentId, status: 'scheduled', remindersSent: { $ne: kind } },
+    { $addToSet: { remindersSent: kind } },
+    { new: true }
+  );
+  if (!t) return;
+  const recipients = REMINDERS[kind].recipients(t);
+  if (!recipients.length) return;
+
+  const message = REMINDERS[kind].message(t, titleOf(t));
+  recipients.forEach(p => notify(p.wallet, 'tournament-reminder', { tournamentId, kind, message, startsAt: t.startsAt }));
+  await postToDiscord(`**${titleOf(t)}** — ${message}`, recipients.map(p => p.wallet));
+}
+
+// =============================================
+// START
+// =============================================
+// Claim a tournament whose start time has come, dropping the no-shows in the
+// same update so exactly one node starts it with exactly who checked in
+async function start(tournamentId) {
+  const now = new Date();
+  const before = await Tournament.findOneAndUpdate(
+    { tournamentId, status: 'scheduled', startsAt: { $lte: now } },
+    { status: 'escrow', startedAt: now, $pull: { players: { checkedIn: { $ne: true } } } }
+  );
+  if (!before) return;
+  const tournament = await Tournament.findOne({ tournamentId });
+  if (!tournament) return;
+
+  const noShows = before.players.filter(p => !p.checkedIn);
+  noShows.forEach(p => notify(p.wallet, 'tournament-reminder', {
+    tournamentId,
+    kind: 'dropped',
+    message: `${titleOf(before)} has started. You didn't check in, so you were dropped.`,
+  }));
+  console.log(`Scheduled tournament ${tournamentId} starting: ${tournament.players.length} checked in, ${noShows.length} dropped`);
+
+  await startScheduledTournament(notifyIo, tournament, runGames, notifyUsers);
+  broadcastUpcoming();
+}
+
+// =============================================
+// SWEEP
+// =============================================
+async function sweep(now = new Date()) {
+  const due = (filter) => Tournament.find({ status: 'scheduled', ...filter }).select('tournamentId').lean();
+
+  for (const { tournamentId } of await due({ checkInOpensAt: { $lte: now }, remindersSent: { $ne: 'check-in' } })) {
+    await remind(tournamentId, 'check-in');
+  }
+  const lastCall = new Date(now.getTime() + LAST_CALL_MS);
+  for (const { tournamentId } of await due({ startsAt: { $lte: lastCall }, remindersSent: { $ne: 'last-call' } })) {
+    await remind(tournamentId, 'last-call');
+  }
+  for (const { tournamentId } of await due({ startsAt: { $lte: now } })) {
+    await start(tournamentId).catch(err => console.error(`Scheduled tournament ${tournamentId} failed to start:`, err.message));
+  }
+}
+
+function startScheduler(io, onlineUsers, activeGames) {
+  notifyIo = io;
+  notifyUsers = onlineUsers;
+  runGames = activeGames;
+  if (sweepInterval) return;
+  sweepInterval = setInterval(async () => {
+    if (Tournament.db.readyState !== 1 || !cluster.started) return;
+    try {
+      await sweep();
+    } catch (err) {
+      console.error('Tournament scheduler sweep failed:', err.message);
+    }
+  }, SWEEP_MS);
+}
+
+// =============================================
+// SOCKET HANDLERS
+// =============================================
+/**
+ * Per-connection handlers. Nothing here needs the node that will run the
+ * tournament: it all goes through the Tournament document.
+ */
+function setupScheduledTournaments(socket) {
+  const handle = (event, fn) => socket.on(event, async (payload = {}) => {
+    if (!socket.wallet) return socket.emit('scheduled-tournament-error', { error: 'Not authenticated' });
+    try {
+      await fn(payload);
+    } catch (err) {
+      if (!(err instanceof ScheduleError)) console.error(`${event} failed:`, err.message);
+      socket.emit('scheduled-tournament-error', { error: err instanceof ScheduleError ? err.message : 'Something went wrong' });
+    }
+  });
+  const player = () => ({ wallet: socket.wallet, username: socket.username, socketId: socket.id });
+
+  socket.on('scheduled-tournament-list', async () => {
+    try {
+      socket.emit('scheduled-tournaments', { tournaments: await upcoming() });
+    } catch (err) {
+      console.error('Upcoming tournaments failed:', err.message);
+    }
+  });
+
+  handle('scheduled-tournament-create', async (payload) => {
+    const { tournament, escrowTransaction } = await scheduleTournament(payload, player());
+    if (escrowTransaction) {
+      return socket.emit('tournament-sponsor-required', {
+        event: 'scheduled-tournament-create', payload, escrowTransaction, amount: payload.prizePool.amount,
+      });
+    }
+    socket.emit('scheduled-tournament-created', { tournamentId: tournament.tournamentId, startsAt: tournament.startsAt });
+  });
+
+  handle('scheduled-tournament-register', async ({ tournamentId }) => {
+    await register(tournamentId, player());
+    socket.emit('scheduled-tournament-registered', { tournamentId });
+  });
+
+  handle('scheduled-tournament-unregister', async ({ tournamentId }) => {
+    await unregister(tournamentId, socket.wallet);
+    socket.emit('scheduled-tournament-unregistered', { tournamentId });
+  });
+
+  handle('scheduled-tournament-cancel', async ({ tournamentId }) => {
+    await cancelScheduled(tournamentId, { wallet: socket.wallet, reason: 'Cancelled by its creator' });
+  });
+
+  handle('scheduled-tournament-check-in', async ({ tournamentId }) => {
+    const tx = await checkInTransaction(tournamentId, socket.wallet);
+    if (!tx) {
+      await checkIn(tournamentId, socket.wallet, null);
+      return socket.emit('scheduled-tournament-checked-in', { tournamentId });
+    }
+    socket.emit('scheduled-tournament-escrow-required', { tournamentId, ...tx });
+  });
+
+  handle('scheduled-tournament-escrow-submit', async ({ tournamentId, txSignature }) => {
+    await checkIn(tournamentId, socket.wallet, txSignature);
+    socket.emit('scheduled-tournament-checked-in', { tournamentId });
+  });
+}
+
+module.exports = {
+  ScheduleError,
+  parseSchedule, scheduleTournament, register, unregister, checkIn, cancelScheduled, upcoming,
+  sweep, startScheduler, setupScheduledTournaments,
+};
@@ -0,0 +1,462 @@
+// ===========================================
+// Tournament Formats — Brackets, results and standings per format
+// ===========================================
+// Every format is played as tournament.bracket: an array of rounds, each an
+// array of matches, run one round at a time by matchmaking.js (a round
+// starts once the previous one is complete). This module decides who meets
+// whom and where results send the players:
+//
+//   single-elimination  power-of-two bracket with byes; losers are out
+//   double-elimination  winners and losers brackets side by side in the
+//                       rounds; a second loss knocks you out, and the losers
+//                       bracket champion must beat the winners bracket
+//                       champion twice (grand final, then a reset)
+//   round-robin         everyone plays everyone once (circle method)
+//   swiss               ceil(log2 n) rounds, each pairing players on the
+//                       same record without rematches where possible
+//
+// Elimination brackets route players with per-match pointers: winnerTo /
+// loserTo { round, match, slot } (single elimination works them out from
+// the match's position). A match left with one player when its round starts
+// is a bye; with none it is an empty bye that sends nobody on. Round robin
+// and Swiss are decided by standings: wins (a bye counts as one), then the
+// opponents' combined wins (Buchholz), then seed.
+//
+// Players are seeded by rating (then wins), and the finishing order pays
+// out by the tournament's prizeSplit: percentages of the pot for 1st, 2nd...
+
+const FORMATS = {
+  'single-elimination': 'Single Elimination',
+  'double-elimination': 'Double Elimination',
+  'round-robin': 'Round Robin',
+  'swiss': 'Swiss',
+};
+const DEFAULT_FORMAT = 'single-elimination';
+const DEFAULT_PRIZE_SPLIT = [100];
+const MAX_PRIZE_PLACES = 8;
+
+// =============================================
+// MATCHES
+// =============================================
+function openMatch(fields = {}) {
+  return {
+    player1Wallet: null,
+    player2Wallet: null,
+    player1Username: null,
+    player2Username: null,
+    gameId: null,
+    winner: null,
+    status: 'pending',
+    ...fields,
+  };
+}
+
+// Two players, or one with a bye (either may be null)
+function pairMatch(p1, p2, fields = {}) {
+  if (p1 && p2) {
+    return openMatch({
+      player1Wallet: p1.wallet, player2Wallet: p2.wallet,
+      player1Username: p1.username, player2Username: p2.username,
+      ...fields,
+    });
+  }
+  const p = p1 || p2;
+  return openMatch({
+    player1Wallet: p1 ? p1.wallet : null, player2Wallet: p2 ? p2.wallet : null,
+    player1Username: p1 ? p1.username : 'BYE', player2Username: p2 ? p2.username : 'BYE',
+    winner: p.wallet,
+    status: 'bye',
+    ...fields,
+  });
+}
+
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size *= 2;
+  return size;
+}
+
+// Seeds in bracket order, so the top two can only meet in the final, the
+// top four in the semis and so on: 8 -> 0 7 3 4 1 6 2 5
+function bracketOrder(size) {
+  let order = [0];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(s => [s, n - 1 - s]);
+  }
+  return order;
+}
+
+// First round of an elimination bracket: seed i meets seed size-1-i, missing
+// seeds being byes for the top ones
+function eliminationOpeners(players, size, fields = {}) {
+  const at = (i) => (i < players.length ? players[i] : null);
+  const order = bracketOrder(size);
+  const round = [];
+  for (let i = 0; i < size; i += 2) round.push(pairMatch(at(order[i]), at(order[i + 1]), fields));
+  return round;
+}
+
+// =============================================
+// SINGLE ELIMINATION
+// =============================================
+const singleElimination = {
+  generate(players) {
+    const size = nextPowerOfTwo(players.length);
+    const bracket = [eliminationOpeners(players, size)];
+    for (let r = 1; r < Math.log2(size); r++) {
+      bracket.push(Array.from({ length: size / Math.pow(2, r + 1) }, () => openMatch()));
+    }
+    return { bracket };
+  },
+
+  routes(tournament, round, index) {
+    if (round + 1 >= tournament.bracket.length) return {};
+    return { winnerTo: { round: round + 1, match: Math.floor(index / 2), slot: (index % 2) + 1 } };
+  },
+
+  champion(tournament) {
+    const final = tournament.bracket[tournament.bracket.length - 1][0];
+    return isDone(final) ? final.winner : null;
+  },
+
+  eliminates: true,
+};
+
+// =============================================
+// DOUBLE ELIMINATION
+// =============================================
+// For a bracket of size 2^k: winners round r is played in round r, losers
+// round j in round j + 1, the grand final in round 2k - 1 and its reset in
+// round 2k. Losers round 0 pairs the first-round losers; odd losers rounds
+// take in the losers of winners round (j + 1) / 2, even ones halve the field.
+const doubleElimination = {
+  generate(players) {
+    const size = Math.max(2, nextPowerOfTwo(players.length));
+    const k = Math.log2(size);
+    const bracket = Array.from({ length: 2 * k + 1 }, () => []);
+    const add = (round, match) => {
+      bracket[round].push(match);
+      return { round, match: bracket[round].length - 1 };
+    };
+
+    const winners = [eliminationOpeners(players, size, { stage: 'winners' }).map(m => add(0, m))];
+    for (let r = 1; r < k; r++) {
+      winners.push(Array.from({ length: size / Math.pow(2, r + 1) }, () => add(r, openMatch({ stage: 'winners' }))));
+    }
+    const losers = [];
+    for (let j = 0; j < 2 * (k - 1); j++) {
+      const count = j === 0 ? size / 4 : j % 2 === 1 ? losers[j - 1].length : losers[j - 1].length / 2;
+      losers.push(Array.from({ length: count }, () => add(j + 1, openMatch({ stage: 'losers' }))));
+    }
+    const final = add(2 * k - 1, openMatch({ stage: 'final' }));
+    const reset = add(2 * k, openMatch({ stage: 'reset' }));
+
+    const at = (pos) => bracket[pos.round][pos.match];
+    const to = (pos, slot) => ({ round: pos.round, match: pos.match, slot });
+    const halving = (list, i) => to(list[Math.floor(i / 2)], (i % 2) + 1);
+
+    winners.forEach((round, r) => round.forEach((pos, i) => {
+      at(pos).winnerTo = r + 1 < k ? halving(winners[r + 1], i) : to(final, 1);
+      if (k === 1) at(pos).loserTo = to(final, 2);
+      else if (r === 0) at(pos).loserTo = halving(losers[0], i);
+      // Drop-ins land in reverse order, away from the players they just met
+      else at(pos).loserTo = to(losers[2 * r - 1][(r % 2 ? round.length - 1 - i : i)], 2);
+    }));
+    losers.forEach((round, j) => round.forEach((pos, i) => {
+      if (j === losers.length - 1) at(pos).winnerTo = to(final, 2);
+      else at(pos).winnerTo = j % 2 === 0 ? to(losers[j + 1][i], 1) : halving(losers[j + 1], i);
+    }));
+    // The reset keeps the final's players; it is only played if the losers
+    // bracket champion (slot 2) takes the grand final
+    at(final).winnerTo = to(reset, 2);
+    at(final).loserTo = to(reset, 1);
+
+    return { bracket };
+  },
+
+  routes(tournament, round, index) {
+    const match = tournament.bracket[round][index];
+    return { winnerTo: pointer(match.winnerTo), loserTo: pointer(match.loserTo) };
+  },
+
+  champion(tournament) {
+    const rounds = tournament.bracket;
+    const final = rounds[rounds.length - 2][0];
+    const reset = rounds[rounds.length - 1][0];
+    if (final.status === 'completed' && final.winner === final.player1Wallet) return final.winner;
+    return isDone(reset) ? reset.winner : null;
+  },
+
+  eliminates: true,
+};
+
+// =============================================
+// ROUND ROBIN
+// =============================================
+const roundRobin = {
+  // Circle method: the first player stays put and the rest rotate one place
+  generate(players) {
+    const circle = players.length % 2 ? [...players, null] : [...players];
+    const n = circle.length;
+    const bracket = [];
+    for (let r = 0; r < n - 1; r++) {
+      const round = [];
+      for (let i = 0; i < n / 2; i++) {
+        const a = circle[i];
+        const b = circle[n - 1 - i];
+        if (a || b) round.push(pairMatch(a, b));
+      }
+      bracket.push(round);
+      circle.splice(1, 0, circle.pop());
+    }
+    return { bracket };
+  },
+
+  routes() { return {}; },
+
+  champion(tournament) {
+    if (tournament.currentRound < tournament.bracket.length - 1) return null;
+    return standings(tournament)[0].wallet;
+  },
+
+  eliminates: false,
+};
+
+// =============================================
+// SWISS
+// =============================================
+const swiss = {
+  generate(players) {
+    const n = players.length;
+    const swissRounds = Math.min(n - 1, Math.max(1, Math.ceil(Math.log2(n))));
+    // Round one: top half against bottom half, the last seed sits out if odd
+    const half = Math.floor(n / 2);
+    const round = [];
+    for (let i = 0; i < half; i++) round.push(pairMatch(players[i], players[i + half]));
+    if (n % 2) round.push(pairMatch(players[n - 1], null));
+    return { bracket: [round], swissRounds };
+  },
+
+  // Pair the next round from the standings: the bye goes to the lowest
+  // ranked player without one, then each player in order meets the best
+  // ranked player left that they haven't played (anyone left, if none)
+  pair(tournament) {
+    const table = tally(tournament);
+    const order = standings(tournament).map(row => table.get(row.wallet));
+    const round = [];
+    if (order.length % 2) {
+      const byes = new Set(tournament.bracket.flat().filter(m => m.status === 'bye').map(m => m.winner));
+      const idx = order.map(row => row.wallet).reverse().findIndex(w => !byes.has(w));
+      const sitting = order.splice(order.length - 1 - Math.max(0, idx), 1)[0];
+      round.push(pairMatch(sitting.player, null));
+    }
+    const pairs = [];
+    while (order.length) {
+      const top = order.shift();
+      let i = order.findIndex(row => !top.opponents.includes(row.wallet));
+      if (i === -1) i = 0;
+      pairs.push(pairMatch(top.player, order.splice(i, 1)[0].player));
+    }
+    tournament.bracket.push([...pairs, ...round]);
+  },
+
+  routes() { return {}; },
+
+  champion(tournament) {
+    if (tournament.currentRound < tournament.swissRounds - 1) return null;
+    return standings(tournament)[0].wallet;
+  },
+
+  eliminates: false,
+};
+
+const FORMAT_RULES = {
+  'single-elimination': singleElimination,
+  'double-elimination': doubleElimination,
+  'round-robin': roundRobin,
+  'swiss': swiss,
+};
+
+function rulesOf(tournament) {
+  return FORMAT_RULES[tournament.format] || FORMAT_RULES[DEFAULT_FORMAT];
+}
+
+// =============================================
+// PLAYING A TOURNAMENT
+// =============================================
+function isDone(match) {
+  return match.status === 'completed' || match.status === 'bye';
+}
+
+// Stored pointers may be mongoose subdocs; empty ones mean nowhere
+function pointer(p) {
+  return p && p.round != null ? { round: p.round, match: p.match, slot: p.slot } : null;
+}
+
+function place(tournament, to, wallet) {
+  if (!to || !wallet) return;
+  const match = tournament.bracket[to.round][to.match];
+  const player = tournament.players.find(p => p.wallet === wallet);
+  match[`player${to.slot}Wallet`] = wallet;
+  match[`player${to.slot}Username`] = player ? player.username : 'Unknown';
+}
+
+/**
+ * Lay out a new tournament for `players` (in seed order).
+ * Returns { bracket } plus format-specific fields (swissRounds).
+ */
+function generate(format, players) {
+  return (FORMAT_RULES[format] || FORMAT_RULES[DEFAULT_FORMAT]).generate(players);
+}
+
+/**
+ * Get tournament.currentRound ready to play: pair it (Swiss), turn matches
+ * short of players into byes and send bye winners on.
+ */
+function startRound(tournament) {
+  const rules = rulesOf(tournament);
+  if (!tournament.bracket[tournament.currentRound] && rules.pair) rules.pair(tournament);
+
+  const round = tournament.bracket[tournament.currentRound];
+  round.forEach((match, index) => {
+    if (match.status === 'pending' && !(match.player1Wallet && match.player2Wallet)) {
+      match.winner = match.player1Wallet || match.player2Wallet || null;
+      if (!match.player1Wallet) match.player1Username = 'BYE';
+      if (!match.player2Wallet) match.player2Username = 'BYE';
+      match.status = 'bye';
+    }
+    if (match.status === 'bye') place(tournament, rules.routes(tournament, tournament.currentRound, index).winnerTo, match.winner);
+  });
+}
+
+/**
+ * Record the winner of match `index` in the current round and route both
+ * players on. Returns the loser's wallet; in an elimination format a loser
+ * with nowhere to go is marked eliminated.
+ */
+function recordResult(tournament, index, winnerWallet) {
+  const rules = rulesOf(tournament);
+  const match = tournament.bracket[tournament.currentRound][index];
+  match.winner = winnerWallet;
+  match.status = 'completed';
+
+  const loserWallet = match.player1Wallet === winnerWallet ? match.player2Wallet : match.player1Wallet;
+  const { winnerTo, loserTo } = rules.routes(tournament, tournament.currentRound, index);
+  place(tournament, winnerTo, winnerWallet);
+  place(tournament, loserTo, loserWallet);
+
+  if (rules.eliminates && !loserTo) {
+    const loser = tournament.players.find(p => p.wallet === loserWallet);
+    if (loser) loser.eliminatedRound = tournament.currentRound;
+  }
+  return loserWallet;
+}
+
+/** Winner of the tournament once it is decided (checked as each round completes). */
+function champion(tournament) {
+  return rulesOf(tournament).champion(tournament);
+}
+
+/** Rounds the tournament is played over (Swiss rounds are paired as they come). */
+function totalRounds(tournament) {
+  return tournament.format === 'swiss' ? tournament.swissRounds : tournament.bracket.length;
+}
+
+// wallet -> { wallet, username, seed, wins, losses, opponents, player }
+function tally(tournament) {
+  const table = new Map(tournament.players.map(p => [p.wallet, {
+    wallet: p.wallet, username: p.username, seed: p.seed, wins: 0, losses: 0, opponents: [], player: p,
+  }]));
+  for (const match of tournament.bracket.flat()) {
+    if (match.status === 'bye' && match.winner && table.has(match.winner)) table.get(match.winner).wins++;
+    if (match.status !== 'completed' || !match.winner) continue;
+    const loserWallet = match.player1Wallet === match.winner ? match.player2Wallet : match.player1Wallet;
+    const winner = table.get(match.winner);
+    const loser = table.get(loserWallet);
+    if (!winner || !loser) continue;
+    winner.wins++;
+    loser.losses++;
+    winner.opponents.push(loser.wallet);
+    loser.opponents.push(winner.wallet);
+  }
+  return table;
+}
+
+/**
+ * Players ranked by wins, then Buchholz (opponents' combined wins), then
+ * seed: [{ wallet, username, seed, wins, losses, buchholz }].
+ */
+function standings(tournament) {
+  const table = tally(tournament);
+  return [...table.values()]
+    .map(row => ({
+      wallet: row.wallet,
+      username: row.username,
+      seed: row.seed,
+      wins: row.wins,
+      losses: row.losses,
+      buchholz: row.opponents.reduce((n, w) => n + table.get(w).wins, 0),
+    }))
+    .sort((a, b) => b.wins - a.wins || b.buchholz - a.buchholz || a.seed - b.seed);
+}
+
+// =============================================
+// SEEDING & PRIZES
+// =============================================
+/**
+ * Order players for seeding: highest rating first, then most wins, then
+ * whoever joined first. records: wallet -> { rating, wins }.
+ */
+function seed(players, records) {
+  const record = (p) => records.get(p.wallet) || { rating: 0, wins: 0 };
+  return players
+    .map((p, joined) => ({ p, joined, ...record(p) }))
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins || a.joined - b.joined)
+    .map(({ p }) => p);
+}
+
+/** A prizeSplit is whole percentages, largest first, adding up to 100. */
+function isValidPrizeSplit(split, maxPlayers) {
+  return Array.isArray(split)
+    && split.length >= 1
+    && split.length <= Math.min(MAX_PRIZE_PLACES, maxPlayers)
+    && split.every((pct, i) => Number.isInteger(pct) && pct > 0 && (i === 0 || pct <= split[i - 1]))
+    && split.reduce((n, pct) => n + pct, 0) === 100;
+}
+
+/**
+ * Finishing order: the champion, then everyone else by how late they went
+ * out (still in beats out), then standings. Call once there's a champion.
+ */
+function finishingOrder(tournament) {
+  const eliminated = new Map(tournament.players.map(p => [p.wallet, p.eliminatedRound ?? Infinity]));
+  const rank = new Map(standings(tournament).map((row, i) => [row.wallet, i]));
+  const rest = tournament.players
+    .filter(p => p.wallet !== tournament.winner)
+    .sort((a, b) => eliminated.get(b.wallet) - eliminated.get(a.wallet) || rank.get(a.wallet) - rank.get(b.wallet));
+  return [tournament.players.find(p => p.wallet === tournament.winner), ...rest];
+}
+
+/**
+ * The paid places: [{ place, wallet, username, share, amount }], amount
+ * being share% of the pot. Rounding dust goes to the champion.
+ */
+function placements(tournament) {
+  const split = tournament.prizeSplit && tournament.prizeSplit.length ? tournament.prizeSplit : DEFAULT_PRIZE_SPLIT;
+  const places = finishingOrder(tournament).slice(0, split.length).map((p, i) => ({
+    place: i + 1,
+    wallet: p.wallet,
+    username: p.username,
+    share: split[i],
+    amount: Math.floor(tournament.totalPot * split[i] / 100),
+  }));
+  places[0].amount += tournament.totalPot - places.reduce((n, p) => n + p.amount, 0);
+  return places;
+}
+
+module.exports = {
+  FORMATS, DEFAULT_FORMAT, DEFAULT_PRIZE_SPLIT,
+  generate, startRound, recordResult, champion, totalRounds, standings,
+  seed, isValidPrizeSplit, placements,
+};
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Every player-signed transaction the server has accepted as payment
+// (escrow stake, sponsor deposit, crate, skin), and every transfer an admin
+// recorded as settling a payout job by hand. The unique index is what stops
+// one transfer being submitted twice — see verifyPayment in solana/utils.js.
+const consumedSignatureSchema = new mongoose.Schema({
+  signature: { type: String, required: true, unique: true },
+  purpose: {
+    type: String,
+    enum: ['match-escrow', 'tournament-escrow', 'tournament-sponsor', 'crate', 'skin', 'manual-payout'],
+    required: true
+  },
+  wallet: { type: String, required: true },
+  amount: { type: Number, required: true },  // base units
+  ref: String,                               // gameId / tournamentId / crateId / skinId / payout job key
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('ConsumedSignature', consumedSignatureSchema);
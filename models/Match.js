@@ -6,18 +6,105 @@ const matchSchema = new mongoose.Schema({
   player2: { type: String, required: true },
   player1Username: String,
   player2Username: String,
-  tier: { type: String, enum: ['low', 'medium', 'high', 'duel', 'tournament', 't5', 't10', 't25', 't50', 't100', 't250', 't500', 't1000'], required: true },
+  partner1: { type: String, default: null },      // 2v2: player1's teammate (player1 / player2 captain the teams)
+  partner2: { type: String, default: null },
+  partner1Username: String,
+  partner2Username: String,
+  tier: { type: String, enum: ['low', 'medium', 'high', 'duel', 'tournament', 't5', 't10', 't25', 't50', 't100', 't250', 't500', 't1000', 'free'], required: true },
   tournamentId: { type: String, default: null },
   stakeAmount: { type: Number, required: true },  // lamports of $PONG
-  score: {
+  bestOf: { type: Number, default: 1 },           // series length (PongEngine SERIES_LENGTHS)
+  ruleset: {                                      // PongSim ruleset played; unset means Classic
+    id: String,
+    name: String,
+    winScore: Number,
+    paddleH: Number,
+    ballSpeedInitial: Number,
+    ballSpeedIncrement: Number,
+    ballMaxSpeed: Number,
+    powerUps: Boolean,
+  },
+  arena: {                                        // PongSim arena played in; unset means Open Court
+    id: String,
+    name: String,
+    balls: Number,
+    obstacles: [new mongoose.Schema({ x: Number, y: Number, w: Number, h: Number, vy: Number, minY: Number, maxY: Number }, { _id: false })],
+  },
+  score: {                                        // points, or games won for a series
     player1: { type: Number, default: 0 },
     player2: { type: Number, default: 0 }
   },
+  games: [{                                       // per-game scores, in order
+    player1: Number,
+    player2: Number,
+    winner: String,
+    replayId: String,                             // Replay gameId (the match's for game 1)
+    forfeit: Boolean                              // unfinished when the series was forfeited
+  }],
   winner: { type: String, default: null },        // wallet of winner
+  rematchOf: { type: String, default: null },     // gameId this match is a rematch of
+  rematchChain: { type: String, default: null },  // gameId of the first match in a rematch chain
+  rematchNumber: { type: Number, default: 0 },    // 1 for the first rematch, 2 for the next...
+  doubleOrNothing: { type: Boolean, default: false },
   player1EscrowTx: String,                        // on-chain tx signature
   player2EscrowTx: String,
+  partner1EscrowTx: String,
+  partner2EscrowTx: String,
   payoutTx: String,                               // winner payout tx
   burnTx: String,                                 // burn tx
+  violations: {                                   // rejected client paddle reports (see PongEngine.reconcilePaddle)
+    player1: { speed: { type: Number, default: 0 }, drift: { type: Number, default: 0 } },
+    player2: { speed: { type: Number, default: 0 }, drift: { type: Number, default: 0 } },
+    partner1: { speed: Number, drift: Number },
+    partner2: { speed: Number, drift: Number }
+  },
+  flagged: { type: Boolean, default: false },     // needs anti-cheat review
+  suspicion: {                                    // game/anticheat.js analysis
+    score: { type: Number, default: 0 },
+    player1: mongoose.Schema.Types.Mixed,         // { score, reasons, evidence }
+    player2: mongoose.Schema.Types.Mixed,
+    partner1: mongoose.Schema.Types.Mixed,
+    partner2: mongoose.Schema.Types.Mixed
+  },
+  payoutStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'held', 'released', 'refunded'],
+    default: 'pending'
+  },
+  payoutReleaseAt: Date,                          // end of the dispute window (see models/Payout)
+  review: {                                       // admin decision on a flagged match
+    action: { type: String, enum: ['hold', 'release'] },
+    note: String,
+    reviewedAt: Date
+  },
+  stats: {                                        // game/playerStats.js MatchStats, saved at game end
+    season: Number,                               // Season.seasonNumber, 0 outside a season
+    rallies: Number,
+    rallyHits: Number,
+    longestRally: Number,
+    avgScoreSpeed: Number,                        // px/tick when points were scored
+    player1: { paddleHits: Number, pointsScored: Number, pointsConceded: Number, comebackWins: Number },
+    player2: { paddleHits: Number, pointsScored: Number, pointsConceded: Number, comebackWins: Number },
+    partner1: { paddleHits: Number, pointsScored: Number, pointsConceded: Number, comebackWins: Number },
+    partner2: { paddleHits: Number, pointsScored: Number, pointsConceded: Number, comebackWins: Number }
+  },
+  ratingChange: {                                 // Glicko-2 rating delta applied at game end
+    player1: Number,
+    player2: Number
+  },
+  checkpoint: {                                   // score snapshot saved by PongEngine while live
+    score: { player1: Number, player2: Number },  // points in the current game
+    series: { player1: Number, player2: Number }, // games won so far
+    game: Number,
+    tick: Number,
+    at: Date
+  },
+  recovery: {                                     // what game/recovery.js did after the owning node died
+    action: { type: String, enum: ['refund', 'resume', 'award', 'replay'] },
+    reason: String,
+    node: String,
+    at: Date
+  },
   status: {
     type: String,
     enum: ['pending-escrow', 'in-progress', 'completed', 'cancelled'],
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One per staked match. The pot sits in the treasury while the payout is
+// 'pending' (dispute window) or 'disputed', and game/payouts.js either
+// releases it to the winner or refunds every stake.
+const payoutSchema = new mongoose.Schema({
+  gameId: { type: String, required: true, unique: true },  // same gameId as Match
+  tier: { type: String, required: true },
+  winner: { type: String, required: true },      // wallet
+  loser: { type: String, required: true },
+  winners: [String],                             // 2v2: both teams' wallets; winner / loser are the captains
+  losers: [String],
+  stakeAmount: { type: Number, required: true }, // per player, lamports of $PONG
+  totalPot: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'disputed', 'processing', 'released', 'refunded', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  releaseAt: { type: Date, required: true, index: true },  // end of the dispute window
+  dispute: {
+    openedBy: String,                            // wallet, or 'anticheat'
+    reason: String,
+    openedAt: Date
+  },
+  resolution: {
+    action: { type: String, enum: ['release', 'refund'] },
+    by: { type: String, enum: ['auto', 'admin'] },
+    note: String,
+    resolvedAt: Date
+  },
+  payoutTx: String,
+  winnerShare: Number,                           // per winner in a 2v2
+  refundTxs: [String],
+  lastError: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Payout', payoutSchema);
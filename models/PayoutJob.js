@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One per on-chain treasury transfer (see game/payoutJobs.js). `key` names
+// what the transfer pays for, so queuing the same payout twice is a no-op.
+const payoutJobSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },  // e.g. match:<gameId>:payout
+  purpose: {
+    type: String,
+    enum: ['match-payout', 'match-refund', 'escrow-refund', 'tournament-payout', 'tournament-refund'],
+    required: true
+  },
+  kind: { type: String, enum: ['payout', 'prize', 'refund'], required: true },  // prize: a sponsored pool, paid in full
+  wallet: { type: String, required: true },    // recipient
+  amount: { type: Number, required: true },    // payout: total pot (a tournament place's share); prize: the place's share; refund: stake
+  gameId: { type: String, default: null, index: true },
+  tournamentId: { type: String, default: null, index: true },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now, index: true },
+  lockedAt: Date,                              // set while a run owns the job
+  signatures: [String],                        // every transaction sent, oldest first
+  lastSentAt: Date,
+  lastError: String,
+  signature: String,                           // the transaction that landed
+  shares: {                                    // payouts and prizes
+    winnerShare: Number,
+    burnShare: Number,
+    feeShare: Number
+  },
+  handled: { type: Boolean, default: false },  // completion side effects applied
+  manual: {                                    // resolved by an admin
+    note: String,
+    resolvedAt: Date
+  },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+
+module.exports = mongoose.model('PayoutJob', payoutJobSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Detailed per-player totals for one season (game/playerStats.js).
+// season is the Season.seasonNumber the matches were played in, 0 when
+// no season was active; all-time figures are the sum of a wallet's docs.
+const playerStatsSchema = new mongoose.Schema({
+  wallet: { type: String, required: true },
+  season: { type: Number, default: 0 },
+  matches: { type: Number, default: 0 },
+  wins: { type: Number, default: 0 },
+  losses: { type: Number, default: 0 },
+  rallies: { type: Number, default: 0 },          // points played out by the main ball
+  rallyHits: { type: Number, default: 0 },        // paddle hits (both sides) in those rallies
+  longestRally: { type: Number, default: 0 },
+  paddleHits: { type: Number, default: 0 },       // the player's own returns
+  pointsScored: { type: Number, default: 0 },
+  pointsConceded: { type: Number, default: 0 },
+  comebackWins: { type: Number, default: 0 },     // games won from COMEBACK_DEFICIT points down
+  scoreSpeedTotal: { type: Number, default: 0 },  // sum of ball speeds (px/tick) at scoring
+  scoredBalls: { type: Number, default: 0 },      // points that speed was measured for
+  updatedAt: { type: Date, default: Date.now },
+});
+
+playerStatsSchema.index({ wallet: 1, season: 1 }, { unique: true });
+
+module.exports = mongoose.model('PlayerStats', playerStatsSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Compact per-game replay. Kept out of the Match document so history/list
+// queries don't drag thousands of paddle frames along with every match.
+const replaySchema = new mongoose.Schema({
+  gameId: { type: String, required: true, unique: true },  // same gameId as Match
+  version: { type: Number, default: 1 },
+  tickRate: { type: Number, default: 60 },
+  paddleBuffer: { type: Number, default: 0 },  // hitbox buffer the server passed to stepBall
+  winScore: { type: Number, required: true },
+  ruleset: {              // PongSim ruleset the game was played with; unset means Classic
+    id: String,
+    name: String,
+    winScore: Number,
+    paddleH: Number,
+    ballSpeedInitial: Number,
+    ballSpeedIncrement: Number,
+    ballMaxSpeed: Number,
+    powerUps: Boolean,
+  },
+  arena: {                // PongSim arena the game was played in; unset means Open Court
+    id: String,
+    name: String,
+    balls: Number,
+    obstacles: [new mongoose.Schema({ x: Number, y: Number, w: Number, h: Number, vy: Number, minY: Number, maxY: Number }, { _id: false })],
+  },
+  teams: { type: Boolean, default: false },  // 2v2: four paddles (PongSim createState teams)
+  launches: [[Number]],   // [tick, angle, direction] — one per _launchBall()
+  paddles: [[Number]],    // [tick, paddle1Y, paddle2Y(, paddle3Y, paddle4Y)] — only written when a paddle moved
+  inputs: [[Number]],     // [tick, paddleIndex, direction] — direction: -1 up, 0 stop, 1 down
+  powerUps: [[Number]],   // [tick, typeIndex, x, y] — arcade spawns (PongSim.POWERUP_TYPES)
+  totalTicks: { type: Number, default: 0 },
+  finalScore: {
+    p1: { type: Number, default: 0 },
+    p2: { type: Number, default: 0 }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Replay', replaySchema);
@@ -1,15 +1,60 @@
 const mongoose = require('mongoose');
 
+// Where a bracket match sends a player (see game/tournamentFormats.js)
+const slotSchema = new mongoose.Schema({
+  round: Number,
+  match: Number,
+  slot: { type: Number, enum: [1, 2] },
+}, { _id: false });
+
+// A bracket match decided without being played out, or an admin override
+const decisionSchema = new mongoose.Schema({
+  at: Date,
+  round: Number,
+  match: Number,
+  action: { type: String, enum: ['forfeit', 'walkover', 'deadline', 'admin-advance', 'admin-replay'] },
+  winner: { type: String, default: null },               // null for replays
+  reason: String,
+  by: { type: String, enum: ['system', 'admin'], default: 'system' },
+  note: { type: String, default: null },                 // the admin's note
+}, { _id: false });
+
 const tournamentSchema = new mongoose.Schema({
   tournamentId: { type: String, required: true, unique: true },
-  creator: { type: String, required: true },           // wallet
+  creator: { type: String, required: true },           // wallet ('admin' for admin-scheduled events)
   creatorUsername: { type: String, required: true },
+  name: { type: String, default: null },                 // scheduled events: shown in the upcoming list
   maxPlayers: { type: Number, required: true, min: 2 }, // flexible, no max
-  stakeAmount: { type: Number, required: true },         // per player, base units
+  stakeAmount: { type: Number, required: true },         // per player, base units (0 for free entry)
+  bestOf: { type: Number, default: 1 },                  // series length of every bracket match
+  format: {
+    type: String,
+    enum: ['single-elimination', 'double-elimination', 'round-robin', 'swiss'],
+    default: 'single-elimination',
+  },
+  swissRounds: { type: Number, default: null },         // swiss: rounds to play (paired one at a time)
+  prizeSplit: { type: [Number], default: [100] },        // % of the pot for 1st, 2nd... (largest first, sums to 100)
   totalPot: { type: Number, default: 0 },
+  // Who funds the prizes (game/prizePools.js): the players' stakes, or a
+  // treasury / sponsor pool for a free tournament
+  prizePool: {
+    source: { type: String, enum: ['stakes', 'treasury', 'sponsor'], default: 'stakes' },
+    amount: { type: Number, default: 0 },               // free pools, base units
+    sponsor: { type: String, default: null },           // name shown to players
+    sponsorWallet: { type: String, default: null },     // sponsor: paid the deposit, refunded on cancel
+    depositTx: { type: String, default: null },
+  },
+  entryRules: {                                          // free tournaments only
+    type: new mongoose.Schema({
+      minLevel: Number,
+      minAccountAgeDays: Number,
+      requireDiscord: Boolean,
+    }, { _id: false }),
+    default: null,
+  },
   status: {
     type: String,
-    enum: ['waiting', 'escrow', 'in-progress', 'completed', 'cancelled'],
+    enum: ['scheduled', 'waiting', 'escrow', 'in-progress', 'completed', 'cancelled'],
     default: 'waiting',
   },
   players: [{
@@ -18,10 +63,20 @@ const tournamentSchema = new mongoose.Schema({
     socketId: String,
     escrowTx: String,
     escrowed: { type: Boolean, default: false },
-    seed: Number,
+    seed: Number,                                      // 0 = top seed (highest rating at the start)
+    rating: { type: Number, default: null },
     eliminatedRound: { type: Number, default: null },
+    checkedIn: { type: Boolean, default: false },       // scheduled: stake escrowed during check-in
+    registeredAt: { type: Date, default: null },
   }],
-  // bracket[roundIndex] = array of match objects
+  // Scheduled tournaments (game/scheduledTournaments.js); null for instant ones
+  startsAt: { type: Date, default: null },
+  registrationOpensAt: { type: Date, default: null },
+  checkInOpensAt: { type: Date, default: null },
+  remindersSent: [String],                               // 'check-in', 'last-call'
+  // bracket[roundIndex] = array of match objects. Double elimination plays
+  // its winners and losers brackets in the same rounds (stage tells them
+  // apart) and routes players with winnerTo / loserTo.
   bracket: [[{
     player1Wallet: String,
     player2Wallet: String,
@@ -30,14 +85,40 @@ const tournamentSchema = new mongoose.Schema({
     gameId: String,
     winner: String,
     status: { type: String, enum: ['pending', 'bye', 'in-progress', 'completed'], default: 'pending' },
+    stage: { type: String, enum: ['winners', 'losers', 'final', 'reset', null], default: null },
+    winnerTo: { type: slotSchema, default: null },
+    loserTo: { type: slotSchema, default: null },
+    // Set when the match wasn't played out (see decisions below)
+    decidedBy: { type: String, enum: ['forfeit', 'walkover', 'deadline', 'admin-advance', null], default: null },
   }]],
   currentRound: { type: Number, default: 0 },
+  roundDeadlineAt: { type: Date, default: null },       // unfinished matches of the current round are settled then
+  // Every match decided without being played, and every admin override
+  // (see "TOURNAMENT NO-SHOWS & STALLS" in game/matchmaking.js)
+  decisions: [decisionSchema],
   winner: { type: String, default: null },
   winnerUsername: { type: String, default: null },
-  payoutTx: { type: String, default: null },
+  payoutTx: { type: String, default: null },            // the champion's prize
+  placements: [{                                         // paid places, set when the tournament finishes
+    place: Number,
+    wallet: String,
+    username: String,
+    share: Number,                                       // % of the pot
+    amount: Number,                                      // base units of the pot (before burn / fee)
+    prize: { type: Number, default: null },              // what landed in the wallet
+    payoutTx: { type: String, default: null },
+  }],
+  recovery: {                                          // what game/recovery.js did after the owning node died
+    action: { type: String, enum: ['cancel', 'resume'] },
+    reason: String,
+    node: String,
+    at: Date,
+  },
   createdAt: { type: Date, default: Date.now },
   startedAt: { type: Date, default: null },
   completedAt: { type: Date, default: null },
 });
 
+tournamentSchema.index({ status: 1, startsAt: 1 });
+
 module.exports = mongoose.model('Tournament', tournamentSchema);
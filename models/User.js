@@ -34,6 +34,10 @@ const userSchema = new mongoose.Schema({
     bestWinStreak: { type: Number, default: 0 },
     seasonXp: { type: Number, default: 0 },
     seasonLevel: { type: Number, default: 1 },
+    rating: { type: Number, default: 1500 },          // Glicko-2 skill rating
+    ratingDeviation: { type: Number, default: 350 },  // uncertainty (high = few games)
+    ratingVolatility: { type: Number, default: 0.06 },
+    ratedGames: { type: Number, default: 0 },
   },
   createdAt: { type: Date, default: Date.now }
 });
@@ -46,6 +46,8 @@ const PRICE_REFRESH_MS = 60000;
 const TIER_USD_AMOUNTS = { t5: 5, t10: 10, t25: 25, t50: 50, t100: 100, t250: 250, t500: 500, t1000: 1000 };
 // Legacy compat
 const TIER_PONG_AMOUNTS = { low: 10000, medium: 50000, high: 200000 };
+// Unstaked queue tier (arcade mode only)
+const FREE_TIER = 'free';
 
 function getTierPongAmount(tier) {
   const usd = TIER_USD_AMOUNTS[tier];
@@ -62,6 +64,10 @@ let unreadCounts = {};
 let duelTargetWallet = null;
 let pendingDuelId = null;
 
+// --- 2v2 team state ---
+let myTeam = null;        // { teamId, captain, partner, invited, queued } from 'team-update'
+let teamQueued = false;
+
 // --- Inventory state ---
 let dashInventory = [];
 
@@ -74,6 +80,12 @@ let lobbyFilterMax = Infinity;
 // --- Game opponent for post-game add ---
 let lastGameOpponent = null;
 
+// --- Spectator state ---
+let spectatingGameId = null;
+
+// --- Match the player can still dispute (payout in its hold window) ---
+let disputeGameId = null;
+
 // --- Leaderboard ---
 let currentLbSort = 'earnings';
 
@@ -176,6 +188,13 @@ function formatPongShort(pong) {
   return pong.toLocaleString('en-US', { maximumFractionDigits: 0 });
 }
 
+// Skill rating; "?" marks a provisional rating (still high deviation)
+function formatRating(stats) {
+  const rating = Math.round(stats?.rating ?? 1500);
+  const rd = stats?.ratingDeviation ?? 350;
+  return rd > 150 ? `${rating}?` : String(rating);
+}
+
 function updateAllUsdDisplays() {
   // Update all USD-based tier buttons (modal)
   Object.keys(TIER_USD_AMOUNTS).forEach(tier => {
@@ -219,6 +238,7 @@ const TAB_ROUTES = {
   '/history': 'history',
   '/settings': 'settings',
   '/tokenomics': 'tokenomics',
+  '/stats': 'stats',
 };
 const ROUTE_PATHS = {};
 Object.entries(TAB_ROUTES).forEach(([path, tab]) => { ROUTE_PATHS[tab] = path; });
@@ -232,6 +252,7 @@ socket.on('connect', () => {
     socket.emit('register', { wallet: currentUser.wallet, username: currentUser.username });
     socket.emit('lobby-list-request');
     socket.emit('tournament-list-request');
+    socket.emit('scheduled-tournament-list');
   }
 });
 
@@ -249,6 +270,7 @@ async function checkMaintenanceMode() {
     const data = await res.json();
     maintenanceModeActive = !!data.maintenance;
     maintenanceAllowedWallets = data.allowedWallets || [];
+    WalletManager.setLedgerMode(data.ledger);
     return maintenanceModeActive;
   } catch {
     return false;
@@ -438,6 +460,7 @@ function showApp() {
   socket.emit('register', { wallet: currentUser.wallet, username: currentUser.username });
   socket.emit('lobby-list-request');
   socket.emit('tournament-list-request');
+  socket.emit('scheduled-tournament-list');
   const canvas = document.getElementById('game-canvas');
   GameClient.init(canvas, currentUser.wallet);
   startPriceRefresh();
@@ -458,6 +481,7 @@ function initDashboard() {
   document.getElementById('online-count').classList.remove('hidden');
   socket.emit('lobby-list-request');
   socket.emit('tournament-list-request');
+  socket.emit('scheduled-tournament-list');
   applyWalletLocks();
 }
 
@@ -478,6 +502,20 @@ function closeStakePicker() {
   document.getElementById('stake-modal').classList.add('hidden');
 }
 
+// Quick Play queue mode: 'classic' or 'arcade' (power-ups, adds the free tier)
+let queueMode = 'classic';
+function setQueueMode(mode) {
+  queueMode = mode;
+  document.querySelectorAll('[data-queue-mode]').forEach(btn => {
+    const active = btn.dataset.queueMode === mode;
+    btn.classList.toggle('bg-purple-600', active);
+    btn.classList.toggle('text-white', active);
+    btn.classList.toggle('bg-gray-800', !active);
+    btn.classList.toggle('text-gray-400', !active);
+  });
+  document.getElementById('free-arcade-btn').classList.toggle('hidden', mode !== 'arcade');
+}
+
 // Wallet lock blur — blur cards that need wallet, show overlay
 function applyWalletLocks() {
   if (currentUser) {
@@ -569,6 +607,7 @@ function switchTab(tab, pushState) {
   if (tab === 'cosmetics') loadCosmetics();
   if (tab === 'shop') loadShop();
   if (tab === 'history') loadHistory();
+  if (tab === 'stats') loadStats();
   if (tab === 'leaderboard') loadLeaderboard(currentLbSort);
   // opponents tab removed — now integrated into friends tab
   if (tab === 'settings') loadSettings();
@@ -655,6 +694,7 @@ function loadProfile() {
   document.getElementById('stat-wins').textContent = currentUser.stats?.wins || 0;
   document.getElementById('stat-losses').textContent = currentUser.stats?.losses || 0;
   document.getElementById('stat-earnings').textContent = formatPong(currentUser.stats?.totalEarnings || 0);
+  document.getElementById('stat-rating').textContent = formatRating(currentUser.stats);
 
   const editPreview = document.getElementById('edit-pfp-preview');
   const editLabel = document.getElementById('edit-pfp-label');
@@ -1139,6 +1179,7 @@ async function showProfilePopup(wallet) {
     document.getElementById('popup-wins').textContent = u.stats?.wins || 0;
     document.getElementById('popup-losses').textContent = u.stats?.losses || 0;
     document.getElementById('popup-earnings').textContent = formatPong(u.stats?.totalEarnings || 0);
+    document.getElementById('popup-rating').textContent = formatRating(u.stats);
 
     // Hide add button if already friends or self
     const addBtn = document.getElementById('popup-add-btn');
@@ -1150,12 +1191,39 @@ async function showProfilePopup(wallet) {
     challengeBtn.classList.toggle('hidden', isSelf || !isFriend);
     msgBtn.classList.toggle('hidden', isSelf || !isFriend);
 
+    const h2hEl = document.getElementById('popup-h2h');
+    h2hEl.classList.add('hidden');
+    if (currentUser && !isSelf) showHeadToHead(wallet, h2hEl, () => popupWallet === wallet);
+
     document.getElementById('profile-popup').classList.remove('hidden');
   } catch (err) {
     console.error('Profile popup error:', err);
   }
 }
 
+// One line on your record against `opponent` ("3W - 1L · +12.00 $PONG · ..."),
+// or "First meeting". `stillWanted` guards against a newer popup or match.
+async function showHeadToHead(opponent, el, stillWanted = () => true) {
+  try {
+    const res = await fetch(`/api/profile/head-to-head/${currentUser.wallet}/${opponent}`, {
+      headers: { Authorization: getAuthHeader() }
+    }).then(r => r.json());
+    const h = res.headToHead;
+    if (!h || !stillWanted()) return;
+    if (!h.matches) {
+      el.textContent = 'First meeting';
+    } else {
+      const net = (h.netPong >= 0 ? '+' : '-') + formatPong(Math.abs(h.netPong));
+      const margin = (h.avgMargin >= 0 ? '+' : '') + h.avgMargin;
+      const last = h.lastPlayed ? ` · last played ${formatDateSeparator(h.lastPlayed)}` : '';
+      el.textContent = `Head-to-head: ${h.wins}W - ${h.losses}L · ${net} $PONG · avg margin ${margin}${last}`;
+    }
+    el.classList.remove('hidden');
+  } catch (err) {
+    console.error('Head-to-head error:', err);
+  }
+}
+
 function closeProfilePopup() {
   document.getElementById('profile-popup').classList.add('hidden');
   popupWallet = null;
@@ -1181,6 +1249,15 @@ function popupMessage() {
   openDmPanel(popupWallet, username);
 }
 
+function popupStats() {
+  if (!popupWallet) return;
+  const wallet = popupWallet;
+  const username = document.getElementById('popup-username').textContent;
+  closeProfilePopup();
+  switchTab('stats');
+  loadStats(wallet, username);
+}
+
 // ===========================================
 // FRIENDS (with autocomplete search)
 // ===========================================
@@ -1311,6 +1388,11 @@ function renderFriendList(friends) {
             ${isOnline ? '' : 'disabled title="Player is offline"'} title="Challenge">
             <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"/></svg>
           </button>
+          <button onclick="inviteToTeam('${f.wallet}')"
+            class="${isOnline ? 'text-emerald-400 hover:text-emerald-300 hover:bg-emerald-500/10' : 'text-gray-700 cursor-not-allowed'} p-1.5 rounded-lg transition"
+            ${isOnline ? '' : 'disabled title="Player is offline"'} title="Team up (2v2)">
+            <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"/></svg>
+          </button>
           <button onclick="removeFriend('${f.wallet}')" class="text-red-400/50 hover:text-red-400 hover:bg-red-500/10 p-1.5 rounded-lg transition" title="Remove">
             <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>
           </button>
@@ -1684,6 +1766,49 @@ function emitDmTyping() {
   dmTypingEmitTimeout = setTimeout(() => { dmTypingEmitTimeout = null; }, 2000);
 }
 
+// ===========================================
+// RULESETS & ARENAS
+// ===========================================
+
+// Fill every <select data-ruleset-select> with the PongSim presets
+function initRulesetSelects() {
+  const options = Object.entries(PongSim.RULESETS)
+    .map(([id, r]) => `<option value="${id}">${esc(r.name)} — first to ${r.winScore}</option>`)
+    .join('');
+  document.querySelectorAll('[data-ruleset-select]').forEach(sel => { sel.innerHTML = options; });
+}
+
+// Short label for a non-default ruleset ('' for Classic)
+function rulesetLabel(ruleset) {
+  if (!ruleset || ruleset.id === PongSim.DEFAULT_RULESET) return '';
+  return ruleset.name;
+}
+
+// Fill every <select data-arena-select> with the PongSim arenas
+function initArenaSelects() {
+  const options = Object.entries(PongSim.ARENAS)
+    .map(([id, a]) => `<option value="${id}">${esc(a.name)}</option>`)
+    .join('');
+  document.querySelectorAll('[data-arena-select]').forEach(sel => { sel.innerHTML = options; });
+}
+
+// Short label for a non-default arena ('' for Open Court)
+function arenaLabel(arena) {
+  if (!arena || arena.id === PongSim.DEFAULT_ARENA) return '';
+  return arena.name;
+}
+
+function initMatchOptionSelects() {
+  initRulesetSelects();
+  initArenaSelects();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initMatchOptionSelects);
+} else {
+  initMatchOptionSelects();
+}
+
 // ===========================================
 // DUEL INVITE
 // ===========================================
@@ -1721,7 +1846,9 @@ function sendDuelInvite() {
   const pongAmount = Math.round(usdInput / pongPriceUsd);
   const baseUnits = pongAmount * 1e6; // convert to base units (6 decimals)
 
-  socket.emit('duel-invite', { targetWallet: duelTargetWallet, stakeAmount: baseUnits });
+  const bestOf = parseInt(document.getElementById('duel-bestof-select').value) || 1;
+  const ruleset = document.getElementById('duel-ruleset-select').value;
+  socket.emit('duel-invite', { targetWallet: duelTargetWallet, stakeAmount: baseUnits, bestOf, ruleset });
   closeDuelModal();
 }
 
@@ -1745,13 +1872,16 @@ socket.on('duel-incoming', (data) => {
   // Show modal
   document.getElementById('duel-from-name').textContent = data.fromUsername;
   document.getElementById('duel-incoming-stake').textContent = stakeText;
+  document.getElementById('duel-incoming-series').textContent = data.bestOf > 1 ? `· Best of ${data.bestOf}` : '';
+  const rules = rulesetLabel(data.ruleset);
+  document.getElementById('duel-incoming-ruleset').textContent = rules ? `Rules: ${rules} (first to ${data.ruleset.winScore})` : '';
   document.getElementById('duel-incoming-modal').classList.remove('hidden');
 
   // Also show the persistent challenge bar
   const bar = document.getElementById('challenge-bar');
   const barText = document.getElementById('challenge-bar-text');
   if (bar && barText) {
-    barText.textContent = `${data.fromUsername} challenged you for ${stakeText}`;
+    barText.textContent = `${data.fromUsername} challenged you for ${stakeText}${data.bestOf > 1 ? ` (Bo${data.bestOf})` : ''}`;
     bar.classList.remove('hidden');
   }
 });
@@ -1797,6 +1927,81 @@ socket.on('duel-expired', (data) => {
   pendingDuelId = null;
 });
 
+// ===========================================
+// 2V2 TEAMS
+// ===========================================
+
+function inviteToTeam(targetWallet) {
+  if (!requireWallet('team up')) return;
+  socket.emit('team-invite', { targetWallet });
+}
+
+function leaveTeam() {
+  socket.emit('team-leave');
+}
+
+function isTeamCaptain() {
+  return !!(myTeam && currentUser && myTeam.captain.wallet === currentUser.wallet);
+}
+
+// Team status in the Play modal; the 2v2 options only show for a full team's captain
+function renderTeamPanel() {
+  const panel = document.getElementById('team-panel');
+  if (!panel) return;
+  panel.classList.toggle('hidden', !myTeam);
+  const fullCaptain = isTeamCaptain() && !!myTeam.partner;
+  const queueOpt = document.getElementById('team-queue-option');
+  if (queueOpt) queueOpt.classList.toggle('hidden', !fullCaptain);
+  const lobbyOpt = document.getElementById('lobby-team-option');
+  if (lobbyOpt) lobbyOpt.classList.toggle('hidden', !fullCaptain);
+  if (!myTeam) return;
+
+  const mate = isTeamCaptain() ? myTeam.partner : myTeam.captain;
+  document.getElementById('team-status').textContent = mate
+    ? `2v2 team with ${mate.username}${isTeamCaptain() ? '' : ' (captain)'}`
+    : myTeam.invited ? `Waiting for ${myTeam.invited.username} to accept...` : 'Invite a friend to team up';
+}
+
+socket.on('team-update', (data) => {
+  myTeam = data.team;
+  if (!myTeam) teamQueued = false;
+  if (data.reason) showToast(data.reason);
+  renderTeamPanel();
+});
+
+socket.on('team-invite-incoming', (data) => {
+  const accept = confirm(`${data.fromUsername} wants to team up for 2v2. Accept?`);
+  socket.emit(accept ? 'team-accept' : 'team-decline', { teamId: data.teamId });
+});
+
+socket.on('team-invite-declined', (data) => {
+  showToast(`${data.byUsername || 'Your friend'} declined the team invite`);
+});
+
+socket.on('team-left', (data) => {
+  showToast(`${data.username} left your team`);
+});
+
+socket.on('team-queue-joined', (data) => {
+  teamQueued = true;
+  currentGameTier = data.tier;
+  closeStakePicker();
+  showMatchmakingState('queue');
+  const mate = isTeamCaptain() ? myTeam.partner : myTeam && myTeam.captain;
+  document.getElementById('queue-tier-display').textContent =
+    `2v2 · ${TIER_USD_AMOUNTS[data.tier] ? formatUsd(TIER_USD_AMOUNTS[data.tier]) : data.tier} each${mate ? ` — with ${mate.username}` : ''}`;
+});
+
+socket.on('team-queue-left', () => {
+  if (!teamQueued) return;
+  teamQueued = false;
+  showMatchmakingState('select');
+});
+
+socket.on('team-error', (data) => {
+  showToast(data.error || 'Team error');
+});
+
 // ===========================================
 // CUSTOM LOBBIES
 // ===========================================
@@ -1828,7 +2033,12 @@ function createLobby() {
   const pongAmount = Math.round(usdInput / pongPriceUsd);
   const baseUnits = pongAmount * 1e6;
 
-  socket.emit('lobby-create', { stakeAmount: baseUnits });
+  const bestOf = parseInt(document.getElementById('lobby-bestof-select').value) || 1;
+  const ruleset = document.getElementById('lobby-ruleset-select').value;
+  const arena = document.getElementById('lobby-arena-select').value;
+  const teamCheck = document.getElementById('lobby-team-check');
+  const team = !!(teamCheck && teamCheck.checked && isTeamCaptain() && myTeam.partner);
+  socket.emit('lobby-create', { stakeAmount: baseUnits, bestOf, ruleset, arena, team });
 }
 
 function cancelLobby() {
@@ -1873,8 +2083,12 @@ function renderLobbies() {
     return `
       <div class="flex items-center justify-between bg-gray-800/60 rounded-lg px-3 py-2">
         <div class="flex items-center gap-2 min-w-0">
-          <span class="text-sm font-bold text-white truncate">${esc(l.username)}</span>
+          <span class="text-sm font-bold text-white truncate">${esc(l.username)}${l.team ? ` &amp; ${esc(l.team.partnerUsername)}` : ''}</span>
           <span class="text-xs text-gray-500">${shortWallet}</span>
+          ${l.team ? '<span class="text-[10px] text-emerald-300 bg-emerald-900/40 px-1.5 py-0.5 rounded">2v2</span>' : ''}
+          ${l.bestOf > 1 ? `<span class="text-[10px] text-purple-300 bg-purple-900/40 px-1.5 py-0.5 rounded">Bo${l.bestOf}</span>` : ''}
+          ${rulesetLabel(l.ruleset) ? `<span class="text-[10px] text-pink-300 bg-pink-900/40 px-1.5 py-0.5 rounded">${esc(rulesetLabel(l.ruleset))}</span>` : ''}
+          ${arenaLabel(l.arena) ? `<span class="text-[10px] text-cyan-300 bg-cyan-900/40 px-1.5 py-0.5 rounded">${esc(arenaLabel(l.arena))}</span>` : ''}
         </div>
         <div class="text-right flex-shrink-0 ml-2">
           <div class="text-sm font-bold text-yellow-400">${usdAmt}</div>
@@ -1903,7 +2117,11 @@ function updateLobbyUI() {
     if (myLobby && stakeEl) {
       const pong = myLobby.stakeAmount / 1e6;
       const usd = pongPriceUsd > 0 ? formatUsd(pong * pongPriceUsd) + ' — ' : '';
-      stakeEl.textContent = `${usd}${formatPongAmount(myLobby.stakeAmount)} $PONG`;
+      const series = myLobby.bestOf > 1 ? ` — Bo${myLobby.bestOf}` : '';
+      const rules = rulesetLabel(myLobby.ruleset) ? ` — ${rulesetLabel(myLobby.ruleset)}` : '';
+      const arena = arenaLabel(myLobby.arena) ? ` — ${arenaLabel(myLobby.arena)}` : '';
+      const team = myLobby.team ? ' — 2v2' : '';
+      stakeEl.textContent = `${usd}${formatPongAmount(myLobby.stakeAmount)} $PONG${series}${rules}${arena}${team}`;
     }
   } else {
     createSection.classList.remove('hidden');
@@ -1950,31 +2168,78 @@ socket.on('lobby-error', (data) => {
 
 let myTournamentId = null;
 let tournamentList = [];
-let myTournamentBracket = null;
+let myTournamentBracket = null;   // latest bracket state ({ format, bracket, currentRound, ... })
+
+const ordinal = (n) => n + (['th', 'st', 'nd', 'rd'][n] || 'th');   // paid places only go up to 8th
+const prizeSplitLabel = (split) => (!split || split.length <= 1 ? 'Winner takes all' : split.join('/'));
+
+const TOURNAMENT_FORMATS = {
+  'single-elimination': 'Single Elimination',
+  'double-elimination': 'Double Elimination',
+  'round-robin': 'Round Robin',
+  'swiss': 'Swiss',
+};
+
+// Free tournaments pay a sponsored prize pool instead of the players' stakes
+const isFreeTournament = (t) => !!(t.prizePool && t.prizePool.source && t.prizePool.source !== 'stakes');
+
+function tournamentEntryLabel(t) {
+  if (!isFreeTournament(t)) {
+    return pongPriceUsd > 0 ? `${formatUsd((t.stakeAmount / 1e6) * pongPriceUsd)} /player` : '-- /player';
+  }
+  const pool = pongPriceUsd > 0 ? formatUsd((t.prizePool.amount / 1e6) * pongPriceUsd) : `${formatPongAmount(t.prizePool.amount)} $PONG`;
+  return `Free — ${pool} prize`;
+}
+
+function entryRulesLabel(rules) {
+  if (!rules) return '';
+  const parts = [];
+  if (rules.minLevel > 1) parts.push(`level ${rules.minLevel}+`);
+  if (rules.minAccountAgeDays > 0) parts.push(`account ${rules.minAccountAgeDays}d+`);
+  if (rules.requireDiscord) parts.push('Discord linked');
+  return parts.length ? `Requires ${parts.join(', ')}` : '';
+}
 
 function updateTournamentPongDisplay() {
-  const usdInput = document.getElementById('tournament-usd-input').value;
+  const usdInput = document.getElementById('tournament-usd-input');
   const display = document.getElementById('tournament-pong-display');
-  if (!usdInput || pongPriceUsd <= 0) {
+  const sponsored = document.getElementById('tournament-entry-select').value === 'sponsor';
+  usdInput.placeholder = sponsored ? 'Prize pool you sponsor (USD)' : 'Stake per player (USD)';
+  if (!usdInput.value || pongPriceUsd <= 0) {
     display.textContent = pongPriceUsd <= 0 ? 'Price unavailable' : '';
     return;
   }
-  const pongAmount = Math.round(parseFloat(usdInput) / pongPriceUsd);
-  display.textContent = `≈ ${pongAmount.toLocaleString()} $PONG per player`;
+  const pongAmount = Math.round(parseFloat(usdInput.value) / pongPriceUsd);
+  display.textContent = `≈ ${pongAmount.toLocaleString()} $PONG ${sponsored ? 'prize pool' : 'per player'}`;
 }
 
 function createTournament() {
   if (!requireWallet('create a tournament')) return;
   const usdInput = parseFloat(document.getElementById('tournament-usd-input').value);
   const maxPlayers = parseInt(document.getElementById('tournament-players-input').value);
-  if (!usdInput || usdInput <= 0) return alert('Enter a valid USD stake');
+  const sponsored = document.getElementById('tournament-entry-select').value === 'sponsor';
+  if (!usdInput || usdInput <= 0) return alert(sponsored ? 'Enter a valid USD prize pool' : 'Enter a valid USD stake');
   if (!maxPlayers || maxPlayers < 2) return alert('Need at least 2 players');
   if (pongPriceUsd <= 0) return alert('Price unavailable. Try again later.');
 
   const pongAmount = Math.round(usdInput / pongPriceUsd);
   const baseUnits = pongAmount * 1e6;
 
-  socket.emit('tournament-create', { stakeAmount: baseUnits, maxPlayers });
+  const bestOf = parseInt(document.getElementById('tournament-bestof-select').value) || 1;
+  const format = document.getElementById('tournament-format-select').value;
+  const prizeSplit = document.getElementById('tournament-prize-select').value.split(',').map(Number);
+  if (prizeSplit.length > maxPlayers) return showToast(`That prize split pays ${prizeSplit.length} places`, 'error');
+  const entry = sponsored
+    ? { stakeAmount: 0, prizePool: { source: 'sponsor', amount: baseUnits } }
+    : { stakeAmount: baseUnits };
+  const startsAt = document.getElementById('tournament-start-input').value;
+  if (startsAt) {
+    socket.emit('scheduled-tournament-create', {
+      ...entry, maxPlayers, bestOf, format, prizeSplit, startsAt: new Date(startsAt).toISOString(),
+    });
+    return;
+  }
+  socket.emit('tournament-create', { ...entry, maxPlayers, bestOf, format, prizeSplit });
 }
 
 function leaveTournament() {
@@ -2003,8 +2268,8 @@ function renderTournaments() {
 
   container.innerHTML = available.map(t => {
     const pongAmt = t.stakeAmount / 1e6;
-    const usdAmt = pongPriceUsd > 0 ? formatUsd(pongAmt * pongPriceUsd) : '--';
     const totalPotUsd = pongPriceUsd > 0 ? formatUsd(pongAmt * t.maxPlayers * pongPriceUsd * 0.9) : '--';
+    const rules = entryRulesLabel(t.entryRules);
     const isOwn = currentUser && t.creator === currentUser.wallet;
     const pct = Math.round((t.currentPlayers / t.maxPlayers) * 100);
     return `
@@ -2012,16 +2277,22 @@ function renderTournaments() {
         <div class="flex items-center justify-between mb-1">
           <div class="flex items-center gap-2 min-w-0">
             <span class="text-sm font-bold text-white truncate">${esc(t.creatorUsername)}'s Tournament</span>
+            ${t.bestOf > 1 ? `<span class="text-[10px] text-yellow-300 bg-yellow-900/40 px-1.5 py-0.5 rounded">Bo${t.bestOf}</span>` : ''}
+            <span class="text-[10px] text-gray-400 bg-gray-700/60 px-1.5 py-0.5 rounded">${TOURNAMENT_FORMATS[t.format] || TOURNAMENT_FORMATS['single-elimination']}</span>
+            ${t.prizeSplit && t.prizeSplit.length > 1 ? `<span class="text-[10px] text-green-300 bg-green-900/40 px-1.5 py-0.5 rounded" title="Prize split">${prizeSplitLabel(t.prizeSplit)}</span>` : ''}
           </div>
           <div class="text-right flex-shrink-0 ml-2">
-            <div class="text-sm font-bold text-yellow-400">${usdAmt} /player</div>
-            <div class="text-[10px] text-gray-500">Prize: ~${totalPotUsd}</div>
+            <div class="text-sm font-bold text-yellow-400">${tournamentEntryLabel(t)}</div>
+            <div class="text-[10px] text-gray-500">${isFreeTournament(t)
+              ? (t.prizePool.sponsor ? `Sponsored by ${esc(t.prizePool.sponsor)}` : 'Sponsored prize')
+              : `Prize: ~${totalPotUsd}`}</div>
           </div>
         </div>
         <div class="flex items-center justify-between mt-1.5">
           <div class="flex-1 mr-3">
             <div class="flex justify-between text-[10px] text-gray-400 mb-0.5">
               <span>${t.currentPlayers}/${t.maxPlayers} players</span>
+              ${rules ? `<span>${rules}</span>` : ''}
             </div>
             <div class="w-full bg-gray-700 rounded-full h-1">
               <div class="bg-yellow-500 h-1 rounded-full transition-all" style="width:${pct}%"></div>
@@ -2048,9 +2319,9 @@ function updateTournamentUI() {
 
     const t = tournamentList.find(tt => tt.tournamentId === myTournamentId);
     if (t) {
-      const pongAmt = t.stakeAmount / 1e6;
-      const usdAmt = pongPriceUsd > 0 ? formatUsd(pongAmt * pongPriceUsd) : '';
-      document.getElementById('tournament-my-stake').textContent = `${usdAmt} per player — ${t.maxPlayers} players`;
+      const series = t.bestOf > 1 ? ` — Bo${t.bestOf} matches` : '';
+      const format = TOURNAMENT_FORMATS[t.format] || TOURNAMENT_FORMATS['single-elimination'];
+      document.getElementById('tournament-my-stake').textContent = `${tournamentEntryLabel(t)} — ${t.maxPlayers} players — ${format}${series} — ${prizeSplitLabel(t.prizeSplit)}`;
       document.getElementById('tournament-player-count').textContent = `${t.currentPlayers}/${t.maxPlayers} players`;
       document.getElementById('tournament-progress-bar').style.width = `${(t.currentPlayers / t.maxPlayers) * 100}%`;
 
@@ -2067,6 +2338,117 @@ function updateTournamentUI() {
   }
 }
 
+// --- Scheduled tournaments ---
+let scheduledTournaments = [];
+
+function scheduledAction(event, tournamentId) {
+  if (!requireWallet('sign up for a tournament')) return;
+  socket.emit(event, { tournamentId });
+}
+
+function renderScheduledTournaments() {
+  const container = document.getElementById('scheduled-tournament-list');
+  if (!container) return;
+  if (scheduledTournaments.length === 0) {
+    container.innerHTML = '<p class="text-gray-500 text-sm text-center py-4">No scheduled tournaments</p>';
+    return;
+  }
+
+  const now = Date.now();
+  container.innerHTML = scheduledTournaments.map(t => {
+    const rules = entryRulesLabel(t.entryRules);
+    const me = currentUser && t.players.find(p => p.wallet === currentUser.wallet);
+    const registrationOpen = new Date(t.registrationOpensAt).getTime() <= now;
+    const checkInOpen = new Date(t.checkInOpensAt).getTime() <= now;
+    const isOwn = currentUser && t.creator === currentUser.wallet;
+
+    let action;
+    if (me && me.checkedIn) {
+      action = '<span class="text-xs text-green-400">Checked in</span>';
+    } else if (me && checkInOpen) {
+      action = `<button onclick="scheduledAction('scheduled-tournament-check-in', '${t.tournamentId}')" class="bg-green-600 hover:bg-green-700 px-3 py-1 rounded text-xs font-medium transition">Check in</button>`;
+    } else if (me) {
+      action = `<button onclick="scheduledAction('scheduled-tournament-unregister', '${t.tournamentId}')" class="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-xs font-medium transition">Withdraw</button>`;
+    } else if (!registrationOpen) {
+      action = `<span class="text-xs text-gray-500">Opens ${new Date(t.registrationOpensAt).toLocaleString()}</span>`;
+    } else if (t.registered >= t.maxPlayers) {
+      action = '<span class="text-xs text-gray-500">Full</span>';
+    } else {
+      action = `<button onclick="scheduledAction('scheduled-tournament-register', '${t.tournamentId}')" class="bg-yellow-600 hover:bg-yellow-700 px-3 py-1 rounded text-xs font-medium transition">Register</button>`;
+    }
+    if (isOwn) {
+      action += ` <button onclick="scheduledAction('scheduled-tournament-cancel', '${t.tournamentId}')" class="text-xs text-red-400 hover:text-red-300 ml-1">Cancel</button>`;
+    }
+
+    return `
+      <div class="bg-gray-800/60 rounded-lg px-3 py-2">
+        <div class="flex items-center justify-between mb-1">
+          <div class="flex items-center gap-2 min-w-0">
+            <span class="text-sm font-bold text-white truncate">${esc(t.name || t.creatorUsername + "'s Tournament")}</span>
+            <span class="text-[10px] text-gray-400 bg-gray-700/60 px-1.5 py-0.5 rounded">${TOURNAMENT_FORMATS[t.format] || TOURNAMENT_FORMATS['single-elimination']}</span>
+            ${t.prizeSplit && t.prizeSplit.length > 1 ? `<span class="text-[10px] text-green-300 bg-green-900/40 px-1.5 py-0.5 rounded" title="Prize split">${prizeSplitLabel(t.prizeSplit)}</span>` : ''}
+          </div>
+          <div class="text-sm font-bold text-yellow-400 flex-shrink-0 ml-2">${tournamentEntryLabel(t)}</div>
+        </div>
+        <div class="flex items-center justify-between mt-1.5">
+          <div class="text-[10px] text-gray-400">
+            Starts ${new Date(t.startsAt).toLocaleString()}<br>
+            ${t.registered}/${t.maxPlayers} registered · ${t.checkedIn} checked in${checkInOpen ? '' : ` · check-in ${new Date(t.checkInOpensAt).toLocaleTimeString()}`}
+            ${t.prizePool && t.prizePool.sponsor ? `<br>Sponsored by ${esc(t.prizePool.sponsor)}` : ''}${rules ? `<br>${rules}` : ''}
+          </div>
+          <div class="flex-shrink-0 ml-2">${action}</div>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+socket.on('scheduled-tournaments', (data) => {
+  scheduledTournaments = data.tournaments || [];
+  renderScheduledTournaments();
+});
+
+socket.on('scheduled-tournament-created', (data) => {
+  document.getElementById('tournament-usd-input').value = '';
+  document.getElementById('tournament-players-input').value = '';
+  document.getElementById('tournament-start-input').value = '';
+  document.getElementById('tournament-pong-display').textContent = '';
+  showToast(`Tournament scheduled for ${new Date(data.startsAt).toLocaleString()}`);
+});
+
+socket.on('scheduled-tournament-registered', () => showToast("You're registered. Check in before the start to play."));
+socket.on('scheduled-tournament-unregistered', () => showToast('Withdrawn from the tournament'));
+socket.on('scheduled-tournament-checked-in', () => showToast("Checked in! You'll be placed in the bracket at the start."));
+
+socket.on('scheduled-tournament-escrow-required', async (data) => {
+  try {
+    const txSignature = await WalletManager.signAndSendTransaction(data.escrowTransaction);
+    socket.emit('scheduled-tournament-escrow-submit', { tournamentId: data.tournamentId, txSignature });
+    showToast('Stake submitted, verifying...');
+  } catch (err) {
+    showToast('Check-in failed: ' + err.message, 'error');
+  }
+});
+
+// Sponsoring a free tournament: sign the prize pool deposit, then create it again with the signature
+socket.on('tournament-sponsor-required', async (data) => {
+  try {
+    const depositTx = await WalletManager.signAndSendTransaction(data.escrowTransaction);
+    socket.emit(data.event, { ...data.payload, prizePool: { ...data.payload.prizePool, depositTx } });
+    showToast('Prize pool deposit submitted, verifying...');
+  } catch (err) {
+    showToast('Prize pool deposit failed: ' + err.message, 'error');
+  }
+});
+
+socket.on('scheduled-tournament-error', (data) => {
+  showToast(data.error || 'Tournament error', 'error');
+});
+
+socket.on('tournament-reminder', (data) => {
+  showToast(data.message);
+});
+
 // Socket: Tournament created
 socket.on('tournament-created', (data) => {
   myTournamentId = data.tournamentId;
@@ -2117,18 +2499,19 @@ socket.on('tournament-escrow-status', (data) => {
 
 // Socket: Tournament starting
 socket.on('tournament-starting', (data) => {
-  myTournamentBracket = data.bracket;
+  myTournamentId = data.tournamentId;   // scheduled tournaments start without a join
+  myTournamentBracket = data;
   showToast('Tournament starting!');
-  openBracketModal(data.bracket, data.currentRound, data.tournamentId);
+  openBracketModal(data);
 });
 
 // Socket: Bracket update
 socket.on('tournament-bracket-update', (data) => {
-  myTournamentBracket = data.bracket;
+  myTournamentBracket = data;
   // Update bracket modal if open
   const modal = document.getElementById('bracket-modal');
   if (modal && !modal.classList.contains('hidden')) {
-    renderBracket(data.bracket, data.currentRound);
+    renderBracket(data);
   }
 });
 
@@ -2139,13 +2522,16 @@ socket.on('tournament-waiting', (data) => {
 
 // Socket: Tournament complete
 socket.on('tournament-complete', (data) => {
-  myTournamentBracket = data.bracket;
+  myTournamentBracket = data;
   const won = data.winner === currentUser?.wallet;
-  const pongAmt = data.winnerShare / 1e6;
-  const usdAmt = pongPriceUsd > 0 ? ` (${formatUsd(pongAmt * pongPriceUsd)})` : '';
+  const mine = (data.placements || []).find(p => p.wallet === currentUser?.wallet);
+  const prize = mine ? mine.prize || 0 : data.winnerShare;
+  const usdAmt = pongPriceUsd > 0 ? ` (${formatUsd((prize / 1e6) * pongPriceUsd)})` : '';
 
   if (won) {
-    showToast(`You won the tournament! ${formatPongAmount(data.winnerShare)} $PONG${usdAmt}`);
+    showToast(`You won the tournament! ${formatPongAmount(prize)} $PONG${usdAmt}`);
+  } else if (mine) {
+    showToast(`You finished ${ordinal(mine.place)}! ${formatPongAmount(prize)} $PONG${usdAmt}`);
   } else {
     showToast(`Tournament over. ${data.winnerUsername || 'Someone'} won!`);
   }
@@ -2155,7 +2541,7 @@ socket.on('tournament-complete', (data) => {
   refreshUserData();
 
   // Show final bracket
-  openBracketModal(data.bracket, data.bracket.length - 1);
+  openBracketModal(data);
 });
 
 // Socket: Tournament cancelled
@@ -2175,85 +2561,168 @@ socket.on('tournament-error', (data) => {
 // === BRACKET MODAL ===
 
 function viewMyTournamentBracket() {
-  if (myTournamentBracket) {
-    const t = tournamentList.find(tt => tt.tournamentId === myTournamentId);
-    openBracketModal(myTournamentBracket, t ? undefined : 0);
-  }
+  if (myTournamentBracket) openBracketModal(myTournamentBracket);
 }
 
-function openBracketModal(bracket, currentRound, tournamentId) {
+function openBracketModal(state) {
   document.getElementById('bracket-modal').classList.remove('hidden');
-  renderBracket(bracket, currentRound);
+  renderBracket(state);
 }
 
 function closeBracketModal() {
   document.getElementById('bracket-modal').classList.add('hidden');
 }
 
-function renderBracket(bracket, currentRound) {
-  const container = document.getElementById('bracket-rounds');
-  if (!container || !bracket) return;
+const DECIDED_BY = {
+  forfeit: 'Forfeit',
+  walkover: 'Walkover',
+  deadline: 'Round deadline',
+  'admin-advance': 'Admin decision',
+};
 
-  const roundNames = [];
-  const totalRounds = bracket.length;
-  for (let i = 0; i < totalRounds; i++) {
-    if (i === totalRounds - 1) roundNames.push('Finals');
-    else if (i === totalRounds - 2) roundNames.push('Semis');
-    else if (i === totalRounds - 3) roundNames.push('Quarters');
-    else roundNames.push(`Round ${i + 1}`);
-  }
+function bracketMatch(match, note = '') {
+  if (match.decidedBy) note = DECIDED_BY[match.decidedBy] || note;
+  let matchClass = 'bracket-match';
+  if (match.status === 'in-progress') matchClass += ' match-live';
+  else if (match.status === 'completed') matchClass += ' match-complete';
+  else if (match.status === 'bye') matchClass += ' match-bye';
 
-  container.innerHTML = bracket.map((round, roundIndex) => {
-    const isCurrentRound = roundIndex === currentRound;
-    const roundLabel = roundNames[roundIndex] || `Round ${roundIndex + 1}`;
+  const p1Class = match.winner === match.player1Wallet ? 'winner' :
+                  (match.winner && match.winner !== match.player1Wallet ? 'loser' :
+                  (!match.player1Wallet ? 'bye' : ''));
+  const p2Class = match.winner === match.player2Wallet ? 'winner' :
+                  (match.winner && match.winner !== match.player2Wallet ? 'loser' :
+                  (!match.player2Wallet ? 'bye' : ''));
 
-    return `
-      <div class="bracket-round">
-        <div class="text-xs font-bold text-gray-400 mb-2 text-center ${isCurrentRound ? 'text-yellow-400' : ''}">
-          ${roundLabel}${isCurrentRound ? ' (Live)' : ''}
-        </div>
-        ${round.map(match => {
-          let matchClass = 'bracket-match';
-          if (match.status === 'in-progress') matchClass += ' match-live';
-          else if (match.status === 'completed') matchClass += ' match-complete';
-          else if (match.status === 'bye') matchClass += ' match-bye';
-
-          const p1Class = match.winner === match.player1Wallet ? 'winner' :
-                          (match.winner && match.winner !== match.player1Wallet ? 'loser' :
-                          (!match.player1Wallet ? 'bye' : ''));
-          const p2Class = match.winner === match.player2Wallet ? 'winner' :
-                          (match.winner && match.winner !== match.player2Wallet ? 'loser' :
-                          (!match.player2Wallet ? 'bye' : ''));
-
-          return `
-            <div class="${matchClass}">
-              <div class="bracket-player ${p1Class}">
-                <span>${esc(match.player1Username || 'TBD')}</span>
-                ${match.winner === match.player1Wallet ? '<span class="text-green-400 text-[10px]">W</span>' : ''}
-              </div>
-              <div class="border-t border-gray-700 my-1"></div>
-              <div class="bracket-player ${p2Class}">
-                <span>${esc(match.player2Username || 'TBD')}</span>
-                ${match.winner === match.player2Wallet ? '<span class="text-green-400 text-[10px]">W</span>' : ''}
-              </div>
-            </div>
-          `;
-        }).join('')}
+  return `
+    <div class="${matchClass}">
+      <div class="bracket-player ${p1Class}">
+        <span>${esc(match.player1Username || 'TBD')}</span>
+        ${match.winner === match.player1Wallet ? '<span class="text-green-400 text-[10px]">W</span>' : ''}
       </div>
-    `;
-  }).join('');
+      <div class="border-t border-gray-700 my-1"></div>
+      <div class="bracket-player ${p2Class}">
+        <span>${esc(match.player2Username || 'TBD')}</span>
+        ${match.winner === match.player2Wallet ? '<span class="text-green-400 text-[10px]">W</span>' : ''}
+      </div>
+      ${note ? `<div class="text-[10px] text-gray-500 mt-1 text-center">${note}</div>` : ''}
+    </div>
+  `;
+}
+
+// One column of matches: { label, round, matches }
+function bracketColumn(column, currentRound, note) {
+  const isCurrentRound = column.round === currentRound;
+  return `
+    <div class="bracket-round">
+      <div class="text-xs font-bold text-gray-400 mb-2 text-center ${isCurrentRound ? 'text-yellow-400' : ''}">
+        ${column.label}${isCurrentRound ? ' (Live)' : ''}
+      </div>
+      ${column.matches.map(m => bracketMatch(m, note)).join('')}
+    </div>
+  `;
+}
+
+function eliminationLabel(i, total) {
+  if (i === total - 1) return 'Finals';
+  if (i === total - 2) return 'Semis';
+  if (i === total - 3) return 'Quarters';
+  return `Round ${i + 1}`;
+}
+
+// Double elimination plays both brackets in the same rounds; draw each
+// bracket as its own row of columns
+function doubleEliminationSections(bracket, currentRound, winner) {
+  const columns = (stage, label) => bracket
+    .map((round, i) => ({ round: i, matches: round.filter(m => m.stage === stage) }))
+    .filter(c => c.matches.length)
+    .map((c, i, all) => ({ ...c, label: label(i, all.length) }));
+  const reset = bracket[bracket.length - 1][0];
+  const resetNote = reset && reset.status === 'pending' ? (winner ? 'Not needed' : 'If needed') : '';
+  const section = (title, cols) => `
+    <div>
+      <div class="text-[11px] uppercase tracking-wide text-gray-500 mb-2">${title}</div>
+      <div class="flex gap-6">${cols.join('')}</div>
+    </div>
+  `;
+  const draw = (cols, note) => cols.map(c => bracketColumn(c, currentRound, note));
+  return section('Winners bracket', draw(columns('winners', eliminationLabel)))
+    + section('Losers bracket', draw(columns('losers', (i) => `Round ${i + 1}`)))
+    + section('Grand final', [
+      ...draw(columns('final', () => 'Grand Final')),
+      ...draw(columns('reset', () => 'Reset'), resetNote),
+    ]);
+}
+
+function standingsTable(standings) {
+  return `
+    <table class="w-full text-xs">
+      <thead>
+        <tr class="text-gray-500 text-left">
+          <th class="py-1 pr-2">#</th><th class="py-1 pr-2">Player</th>
+          <th class="py-1 pr-2 text-center">W</th><th class="py-1 pr-2 text-center">L</th>
+          <th class="py-1 text-center" title="Opponents' combined wins (tiebreak)">Buchholz</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${standings.map((row, i) => `
+          <tr class="${row.wallet === currentUser?.wallet ? 'text-yellow-300' : 'text-gray-300'}">
+            <td class="py-1 pr-2">${i + 1}</td>
+            <td class="py-1 pr-2">${esc(row.username || 'Anon')}</td>
+            <td class="py-1 pr-2 text-center">${row.wins}</td>
+            <td class="py-1 pr-2 text-center">${row.losses}</td>
+            <td class="py-1 text-center">${row.buchholz}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderBracket(state) {
+  const container = document.getElementById('bracket-rounds');
+  if (!container || !state || !state.bracket) return;
+  const { bracket, currentRound } = state;
+  const format = state.format || 'single-elimination';
+  const totalRounds = state.totalRounds || bracket.length;
+  const byStandings = format === 'round-robin' || format === 'swiss';
+
+  const formatEl = document.getElementById('bracket-format');
+  if (formatEl) formatEl.textContent = TOURNAMENT_FORMATS[format] || '';
+
+  const standingsEl = document.getElementById('bracket-standings');
+  if (standingsEl) {
+    standingsEl.classList.toggle('hidden', !byStandings);
+    standingsEl.innerHTML = byStandings ? standingsTable(state.standings || []) : '';
+  }
+
+  if (format === 'double-elimination') {
+    container.className = 'flex flex-col gap-6 min-w-max';
+    container.innerHTML = doubleEliminationSections(bracket, currentRound, state.winner);
+  } else {
+    container.className = 'flex gap-6 min-w-max';
+    container.innerHTML = bracket.map((matches, i) => bracketColumn({
+      round: i,
+      matches,
+      label: byStandings ? `Round ${i + 1}` : eliminationLabel(i, bracket.length),
+    }, currentRound)).join('');
+  }
 
   // Status text
   const statusEl = document.getElementById('bracket-status-text');
   if (statusEl) {
-    const allComplete = bracket.every(r => r.every(m => m.status === 'completed' || m.status === 'bye'));
-    if (allComplete) {
-      const finalWinner = bracket[bracket.length - 1][0]?.winner;
-      const isMe = finalWinner === currentUser?.wallet;
-      statusEl.textContent = isMe ? 'You are the champion!' : 'Tournament complete';
+    if (state.winner) {
+      const isMe = state.winner === currentUser?.wallet;
+      const places = (state.placements || []).length > 1
+        ? ' — ' + state.placements.map(p => `${ordinal(p.place)} ${p.username} (${p.share}%)`).join(', ')
+        : '';
+      statusEl.textContent = (isMe ? 'You are the champion!' : 'Tournament complete') + places;
       statusEl.className = `text-sm font-bold ${isMe ? 'text-yellow-400' : 'text-gray-400'}`;
     } else {
-      statusEl.textContent = `Round ${(currentRound || 0) + 1} of ${bracket.length}`;
+      const deadline = state.roundDeadlineAt
+        ? ` · ends by ${new Date(state.roundDeadlineAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : '';
+      statusEl.textContent = `Round ${(currentRound || 0) + 1} of ${totalRounds}${deadline}`;
       statusEl.className = 'text-sm text-gray-400';
     }
   }
@@ -3304,6 +3773,11 @@ async function loadHistory() {
     container.innerHTML = res.matches.map(m => {
       const won = m.winner === currentUser.wallet;
       const opponent = m.player1 === currentUser.wallet ? m.player2Username : m.player1Username;
+      // A series links each game's replay (games resumed after a restart have none)
+      const replayLink = (id, label) => `<a href="/replay/${encodeURIComponent(id)}" target="_blank" class="text-purple-400 hover:text-purple-300 text-xs ml-2">${label}</a>`;
+      const replays = (m.bestOf || 1) > 1 && m.games && m.games.length
+        ? m.games.map((g, i) => (g.replayId ? replayLink(g.replayId, `G${i + 1}`) : '')).join('')
+        : replayLink(m.gameId, 'Replay');
       return `
         <div class="bg-arena-card rounded-lg p-3 flex items-center justify-between">
           <div>
@@ -3313,6 +3787,7 @@ async function loadHistory() {
           <div class="text-right">
             <span class="text-gray-400 text-sm">${m.score.player1} - ${m.score.player2}</span>
             <span class="text-gray-600 text-xs ml-2">${m.tier} tier</span>
+            ${replays}
           </div>
         </div>
       `;
@@ -3322,6 +3797,126 @@ async function loadHistory() {
   }
 }
 
+// ===========================================
+// STATS — detailed stats and trends (own, or a player's from their popup)
+// ===========================================
+let statsWallet = null;
+const STATS_WIN_RATE_WINDOW = 10;   // matches in the rolling win rate
+
+async function loadStats(wallet, username) {
+  if (!currentUser) return;
+  wallet = wallet || currentUser.wallet;
+  const select = document.getElementById('stats-season');
+  if (wallet !== statsWallet) {
+    // Another player's seasons: start from all time
+    select.value = '';
+    document.getElementById('stats-player').textContent =
+      wallet === currentUser.wallet ? '' : `— ${username || shortenAddress(wallet)}`;
+  }
+  statsWallet = wallet;
+  const season = select.value;
+
+  try {
+    const res = await fetch(`/api/profile/stats/${wallet}${season !== '' ? `?season=${season}` : ''}`, {
+      headers: { Authorization: getAuthHeader() }
+    }).then(r => r.json());
+    // A newer request (another player or season) owns the page now
+    if (!res.stats || statsWallet !== wallet || select.value !== season) return;
+    renderStats(res.stats);
+  } catch (err) {
+    console.error('Failed to load stats:', err);
+  }
+}
+
+function renderStats(stats) {
+  const select = document.getElementById('stats-season');
+  const selected = select.value;
+  select.innerHTML = '<option value="">All time</option>' + stats.seasons
+    .map(s => `<option value="${s.season}">${esc(s.name)}</option>`).join('');
+  select.value = selected;
+
+  const t = stats.totals;
+  const tile = (value, label, color) => `
+    <div class="bg-gray-800 rounded-lg p-3">
+      <div class="text-xl font-bold ${color}">${value}</div>
+      <div class="text-xs text-gray-500">${label}</div>
+    </div>`;
+  document.getElementById('stats-totals').innerHTML = [
+    tile(t.matches, 'Matches', 'text-white'),
+    tile(`${t.winRate}%`, `Win Rate (${t.wins}W - ${t.losses}L)`, 'text-green-400'),
+    tile(t.avgRally, 'Avg Rally (hits)', 'text-purple-400'),
+    tile(t.longestRally, 'Longest Rally', 'text-pink-400'),
+    tile(t.hitsPerMatch, 'Paddle Hits / Match', 'text-blue-400'),
+    tile(`${t.pointDiff >= 0 ? '+' : ''}${t.pointDiff}`, `Points (${t.pointsScored} - ${t.pointsConceded})`, 'text-yellow-400'),
+    tile(t.comebackWins, 'Comeback Wins', 'text-orange-400'),
+    tile(t.avgScoreSpeed, 'Ball Speed at Score', 'text-cyan-400'),
+  ].join('');
+
+  // Rolling win rate over the last STATS_WIN_RATE_WINDOW matches at each point
+  const trend = stats.trend.map((m, i, all) => {
+    const window = all.slice(Math.max(0, i - STATS_WIN_RATE_WINDOW + 1), i + 1);
+    return { ...m, winRate: Math.round((window.filter(w => w.won).length / window.length) * 100) };
+  });
+  document.getElementById('stats-charts').innerHTML = trend.length < 2
+    ? '<p class="text-gray-500 text-sm">Play a few more matches to see trends.</p>'
+    : [
+      statsChart(`Win rate (last ${STATS_WIN_RATE_WINDOW})`, trend, [{ key: 'winRate', label: '%', color: '#4ade80' }]),
+      statsChart('Points per match', trend, [
+        { key: 'pointsScored', label: 'Scored', color: '#facc15' },
+        { key: 'pointsConceded', label: 'Conceded', color: '#f87171' },
+      ]),
+      statsChart('Rallies', trend, [
+        { key: 'avgRally', label: 'Average', color: '#c084fc' },
+        { key: 'longestRally', label: 'Longest', color: '#f472b6' },
+      ]),
+      statsChart('Paddle hits and ball speed at score', trend, [
+        { key: 'paddleHits', label: 'Hits', color: '#60a5fa' },
+        { key: 'avgScoreSpeed', label: 'Speed', color: '#22d3ee' },
+      ]),
+    ].join('');
+
+  const seasonsEl = document.getElementById('stats-seasons');
+  seasonsEl.innerHTML = stats.seasons.length === 0
+    ? '<p class="text-gray-500 text-sm">No matches played yet.</p>'
+    : stats.seasons.map(s => `
+      <div class="bg-arena-card rounded-lg p-3 flex items-center justify-between text-sm">
+        <span class="font-medium">${esc(s.name)}</span>
+        <span class="text-gray-400">
+          <span class="text-green-400">${s.wins}W</span> - <span class="text-red-400">${s.losses}L</span>
+          <span class="text-gray-600 ml-2">avg rally ${s.avgRally} · longest ${s.longestRally} · ${s.comebackWins} comebacks</span>
+        </span>
+      </div>
+    `).join('');
+}
+
+// Inline SVG line chart of a trend (oldest match first), one line per series
+function statsChart(title, trend, series) {
+  const W = 600, H = 120, PAD = 6;
+  const max = Math.max(1, ...trend.flatMap(m => series.map(s => m[s.key])));
+  const x = (i) => PAD + (i / (trend.length - 1)) * (W - 2 * PAD);
+  const y = (v) => H - PAD - (v / max) * (H - 2 * PAD);
+  const lines = series.map(s => {
+    const points = trend.map((m, i) => `${x(i).toFixed(1)},${y(m[s.key]).toFixed(1)}`).join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${s.color}" stroke-width="2" vector-effect="non-scaling-stroke" />`;
+  }).join('');
+  const legend = series.map(s => `<span style="color:${s.color}">&#9679; ${s.label}</span>`).join(' ');
+  const day = (m) => new Date(m.completedAt).toLocaleDateString([], { month: 'short', day: 'numeric' });
+  return `
+    <div class="bg-arena-card rounded-xl p-4">
+      <div class="flex items-center justify-between text-xs mb-2">
+        <span class="text-gray-400 font-bold">${title}</span>
+        <span class="space-x-2">${legend}</span>
+      </div>
+      <svg viewBox="0 0 ${W} ${H}" preserveAspectRatio="none" class="w-full" style="height:120px">${lines}</svg>
+      <div class="flex justify-between text-[10px] text-gray-600 mt-1">
+        <span>${day(trend[0])}</span>
+        <span>max ${max}</span>
+        <span>${day(trend[trend.length - 1])}</span>
+      </div>
+    </div>
+  `;
+}
+
 // ===========================================
 // MATCHMAKING (via Socket.io)
 // ===========================================
@@ -3335,6 +3930,14 @@ function joinQueue(tier) {
     myLobbyId = null;
     updateLobbyUI();
   }
+  const mode = tier === FREE_TIER ? 'arcade' : queueMode;
+  if (tier === FREE_TIER) {
+    socket.emit('queue-join', { tier, mode });
+    currentGameTier = tier;
+    showMatchmakingState('queue');
+    document.getElementById('queue-tier-display').textContent = 'Free Arcade — no stake';
+    return;
+  }
   // For USD-based tiers, compute the PONG amount from live price
   const usdAmount = TIER_USD_AMOUNTS[tier];
   if (usdAmount && pongPriceUsd <= 0) {
@@ -3342,18 +3945,26 @@ function joinQueue(tier) {
   }
   const pongAmount = usdAmount ? getTierPongAmount(tier) : (TIER_PONG_AMOUNTS[tier] || 0);
 
-  socket.emit('queue-join', { tier, pongAmount });
+  const teamToggle = document.getElementById('team-queue-toggle');
+  if (teamToggle && teamToggle.checked && isTeamCaptain() && myTeam.partner) {
+    // Shown once the server confirms ('team-queue-joined')
+    return socket.emit('team-queue-join', { tier, pongAmount });
+  }
+
+  socket.emit('queue-join', { tier, pongAmount, mode });
   currentGameTier = tier;
   showMatchmakingState('queue');
+  const modeLabel = mode === 'arcade' ? 'Arcade · ' : '';
   const pongDisplay = formatPongShort(pongAmount);
   const usdDisplay = usdAmount ? formatUsd(usdAmount) : '';
-  document.getElementById('queue-tier-display').textContent = usdDisplay
+  document.getElementById('queue-tier-display').textContent = modeLabel + (usdDisplay
     ? `${usdDisplay} — ${pongDisplay} $PONG each`
-    : `${pongDisplay} $PONG each`;
+    : `${pongDisplay} $PONG each`);
 }
 
 function leaveQueue() {
-  socket.emit('queue-leave');
+  socket.emit(teamQueued ? 'team-queue-leave' : 'queue-leave');
+  teamQueued = false;
   showMatchmakingState('select');
 }
 
@@ -3380,11 +3991,30 @@ function showMatchmakingState(state) {
 
 let myPlayerSlot = null;
 let currentGameTier = null;
+let escrowOthers = null;  // 2v2: slot -> escrow status of the other three players
+
+// 2v2 payloads carry `partners: { player1, player2 }` next to the captains.
+// Slots: p1 / p2 captains, p3 / p4 their partners (p1 and p3 on the left).
+function slotOfWallet(data, wallet) {
+  if (wallet === data.player1.wallet) return 'p1';
+  if (data.partners && wallet === data.partners.player1.wallet) return 'p3';
+  if (data.partners && wallet === data.partners.player2.wallet) return 'p4';
+  return 'p2';
+}
+
+// "name" or "name & partner" for side 1 / 2
+function sideName(data, side) {
+  const captain = side === 1 ? data.player1 : data.player2;
+  const partner = data.partners && (side === 1 ? data.partners.player1 : data.partners.player2);
+  return partner ? `${captain.username} & ${partner.username}` : captain.username;
+}
 
 function updateGameStakeDisplay() {
   const el = document.getElementById('game-stake-display');
   if (!el || !currentGameTier) return;
-  if (currentGameTier === 'duel' && currentCustomStake) {
+  if (currentGameTier === FREE_TIER) {
+    el.textContent = 'Free play';
+  } else if (currentGameTier === 'duel' && currentCustomStake) {
     const pongAmt = currentCustomStake / 1e6;
     const usdAmt = pongPriceUsd > 0 ? formatUsd(pongAmt * pongPriceUsd) : '';
     el.textContent = usdAmt ? `${usdAmt} (${pongAmt.toLocaleString()} $PONG each)` : `${pongAmt.toLocaleString()} $PONG each`;
@@ -3413,6 +4043,7 @@ let currentCustomStake = null;
 
 // Socket: Match found
 socket.on('match-found', (data) => {
+  if (spectatingGameId) leaveSpectate();
   switchTab('play');
   currentGameId = data.gameId;
   pendingEscrowTx = data.escrowTransaction;
@@ -3420,7 +4051,10 @@ socket.on('match-found', (data) => {
   currentGameTier = data.tier;
   currentCustomStake = data.tier === 'duel' ? data.stake : null;
 
-  document.getElementById('escrow-opponent').textContent = data.opponent.username;
+  escrowOthers = data.opponents ? {} : null;
+  document.getElementById('escrow-opponent').textContent = data.opponents
+    ? `${data.opponents.map(o => o.username).join(' & ')} (with ${data.teammate.username})`
+    : data.opponent.username;
   const pongText = formatPong(data.stake) + ' $PONG';
   const pongDisplayAmt = data.stake / 1e6;
   const usdText = pongPriceUsd > 0 ? formatUsd(pongDisplayAmt * pongPriceUsd) : '';
@@ -3450,12 +4084,24 @@ socket.on('escrow-status', (data) => {
   const isMe = data.player === myPlayerSlot;
   const iconId = isMe ? 'escrow-you-icon' : 'escrow-opp-icon';
   const statusId = isMe ? 'escrow-you-status' : 'escrow-opp-status';
+  // 2v2: the second icon sums up the other three stakes
+  if (!isMe && escrowOthers) {
+    escrowOthers[data.player] = data.status;
+    const statuses = Object.values(escrowOthers);
+    const confirmed = statuses.filter(st => st === 'confirmed').length;
+    if (statuses.includes('failed')) setEscrowIcon(iconId, statusId, '\u2717', 'Failed', 'bg-red-900');
+    else if (confirmed === 3) setEscrowIcon(iconId, statusId, '\u2713', 'All confirmed!', 'bg-green-900');
+    else setEscrowIcon(iconId, statusId, '...', `${confirmed}/3 confirmed`, 'bg-yellow-900');
+    return;
+  }
   if (data.status === 'verifying') {
     setEscrowIcon(iconId, statusId, '...', 'Verifying...', 'bg-yellow-900');
   } else if (data.status === 'confirmed') {
     setEscrowIcon(iconId, statusId, '\u2713', 'Confirmed!', 'bg-green-900');
     if (isMe) {
-      document.getElementById('escrow-msg').textContent = 'You confirmed! Waiting for opponent...';
+      document.getElementById('escrow-msg').textContent = escrowOthers
+        ? 'You confirmed! Waiting for the other players...'
+        : 'You confirmed! Waiting for opponent...';
       document.getElementById('btn-escrow-submit').classList.add('hidden');
     }
   } else if (data.status === 'failed') {
@@ -3512,8 +4158,9 @@ function sendReady() {
 
 socket.on('ready-status', (data) => {
   if (data.gameId !== currentGameId) return;
-  const amP1 = myPlayerSlot === 'p1';
-  const myReady = amP1 ? data.p1Ready : data.p2Ready;
+  const amP1 = myPlayerSlot === 'p1' || myPlayerSlot === 'p3';
+  // 2v2: pN Ready means the whole team; our own dot is just us
+  const myReady = data.ready ? data.ready.includes(currentUser.wallet) : amP1 ? data.p1Ready : data.p2Ready;
   const oppReady = amP1 ? data.p2Ready : data.p1Ready;
 
   document.getElementById('ready-you-dot').className = `w-4 h-4 rounded-full mx-auto mb-1 ${myReady ? 'bg-green-400' : 'bg-gray-600'}`;
@@ -3551,6 +4198,14 @@ socket.on('ready-expired', (data) => {
   backToMatchmaking();
 });
 
+// A tournament match decided or restarted without being played out
+socket.on('game-aborted', (data) => {
+  if (data.gameId !== currentGameId && data.gameId !== spectatingGameId) return;
+  GameClient.cleanup();
+  alert(data.reason || 'This game was stopped.');
+  backToMatchmaking();
+});
+
 socket.on('ready-phase', (data) => {
   // Reset ready UI
   isReady = false;
@@ -3596,7 +4251,7 @@ socket.on('game-countdown', (data) => {
 
   // Determine player slot
   if (data.player1 && data.player2) {
-    myPlayerSlot = currentUser.wallet === data.player1.wallet ? 'p1' : 'p2';
+    myPlayerSlot = slotOfWallet(data, currentUser.wallet);
   }
 
   pendingP1Skin = data.player1?.skin || null;
@@ -3621,16 +4276,29 @@ socket.on('game-countdown', (data) => {
   const intermission = document.getElementById('intermission-info');
   const sidePicker = document.getElementById('side-picker');
   if (intermission && data.player1 && data.player2) {
-    const me = currentUser.wallet === data.player1.wallet ? data.player1 : data.player2;
-    const opp = currentUser.wallet === data.player1.wallet ? data.player2 : data.player1;
-    document.getElementById('intermission-you').textContent = me.username;
-    document.getElementById('intermission-opp').textContent = opp.username;
+    const mySide = ['p1', 'p3'].includes(myPlayerSlot) ? 1 : 2;
+    document.getElementById('intermission-you').textContent = sideName(data, mySide);
+    document.getElementById('intermission-opp').textContent = sideName(data, 3 - mySide);
 
-    const tierLabel = data.tier === 'duel' ? 'DUEL' : (data.tier || '').toUpperCase() + ' TIER';
+    const tierLabel = (data.partners ? '2V2 ' : '') + (data.tier === 'duel' ? 'DUEL' : (data.tier || '').toUpperCase() + ' TIER');
     const stakeUsd = pongPriceUsd > 0 && data.stakeAmount
       ? ` — ${formatUsd((data.stakeAmount / 1e6) * pongPriceUsd)} each`
       : '';
-    document.getElementById('intermission-tier').textContent = tierLabel + stakeUsd;
+    const resumed = data.resumed && data.score
+      ? ` — RESUMING AT ${data.score.p1}-${data.score.p2}`
+      : '';
+    const series = data.bestOf > 1 ? ` — BEST OF ${data.bestOf}` : '';
+    const rules = rulesetLabel(data.ruleset) ? ` — ${rulesetLabel(data.ruleset).toUpperCase()}` : '';
+    const arena = arenaLabel(data.arena) ? ` — ${arenaLabel(data.arena).toUpperCase()}` : '';
+    document.getElementById('intermission-tier').textContent = tierLabel + stakeUsd + series + rules + arena + resumed;
+
+    // Past record against this opponent (1v1 only)
+    const h2hEl = document.getElementById('intermission-h2h');
+    h2hEl.classList.add('hidden');
+    if (!data.partners) {
+      const opp = myPlayerSlot === 'p1' ? data.player2.wallet : data.player1.wallet;
+      showHeadToHead(opp, h2hEl, () => currentGameId === data.gameId);
+    }
 
     intermission.classList.remove('hidden');
     if (sidePicker) sidePicker.classList.remove('hidden');
@@ -3650,26 +4318,26 @@ socket.on('game-start', (data) => {
   showMatchmakingState('game');
   const intermission = document.getElementById('intermission-info');
   if (intermission) intermission.classList.add('hidden');
-  GameClient.setGameInfo(data.gameId, data.player1.wallet);
+  GameClient.setRuleset(data.ruleset);
+  GameClient.setArena(data.arena);
+  GameClient.setGameInfo(data.gameId, data.player1.wallet, data.partners);
 
   const p1Skin = data.player1.skin || pendingP1Skin || null;
   const p2Skin = data.player2.skin || pendingP2Skin || null;
   GameClient.setPlayerSkins(p1Skin, p2Skin);
 
-  const amP1 = (currentUser.wallet === data.player1.wallet);
+  const amP1 = ['p1', 'p3'].includes(slotOfWallet(data, currentUser.wallet));
   const myNaturalSide = amP1 ? 'left' : 'right';
-  isMirrored = (chosenSide !== myNaturalSide);
+  // Later games of a series swap sides: keep the view so the swap shows
+  if (!data.series || data.series.game === 1) isMirrored = (chosenSide !== myNaturalSide);
+  else isMirrored = !isMirrored;
   GameClient.setMirrored(isMirrored);
+  GameClient.setSeries(data.series);
 
   const leftLabel = document.getElementById('game-p1-name');
   const rightLabel = document.getElementById('game-p2-name');
-  if (isMirrored) {
-    leftLabel.textContent = data.player2.username;
-    rightLabel.textContent = data.player1.username;
-  } else {
-    leftLabel.textContent = data.player1.username;
-    rightLabel.textContent = data.player2.username;
-  }
+  leftLabel.textContent = sideName(data, isMirrored ? 2 : 1);
+  rightLabel.textContent = sideName(data, isMirrored ? 1 : 2);
 
   // Store opponent for post-game
   lastGameOpponent = amP1
@@ -3684,7 +4352,7 @@ socket.on('game-start', (data) => {
 // Socket: Game state tick
 socket.on('game-state', (data) => {
   if (data.gameId !== currentGameId) return;
-  GameClient.updateState(data.state, data.sounds);
+  GameClient.updateState(data.state, data.sounds, data.ack);
   if (isMirrored) {
     document.getElementById('game-score-p1').textContent = data.state.score.p2;
     document.getElementById('game-score-p2').textContent = data.state.score.p1;
@@ -3751,21 +4419,20 @@ socket.on('rejoin-game', (data) => {
   showMatchmakingState('game');
   const intermission = document.getElementById('intermission-info');
   if (intermission) intermission.classList.add('hidden');
-  GameClient.setGameInfo(data.gameId, data.player1.wallet);
+  GameClient.setRuleset(data.ruleset);
+  GameClient.setArena(data.arena);
+  GameClient.setGameInfo(data.gameId, data.player1.wallet, data.partners);
   GameClient.setPlayerSkins(data.player1.skin || null, data.player2.skin || null);
-  const amP1 = (currentUser.wallet === data.player1.wallet);
+  myPlayerSlot = slotOfWallet(data, currentUser.wallet);
+  const amP1 = myPlayerSlot === 'p1' || myPlayerSlot === 'p3';
   const myNaturalSide = amP1 ? 'left' : 'right';
   isMirrored = (chosenSide !== myNaturalSide);
   GameClient.setMirrored(isMirrored);
+  GameClient.setSeries(data.series);
   const leftLabel = document.getElementById('game-p1-name');
   const rightLabel = document.getElementById('game-p2-name');
-  if (isMirrored) {
-    leftLabel.textContent = data.player2.username;
-    rightLabel.textContent = data.player1.username;
-  } else {
-    leftLabel.textContent = data.player1.username;
-    rightLabel.textContent = data.player2.username;
-  }
+  leftLabel.textContent = sideName(data, isMirrored ? 2 : 1);
+  rightLabel.textContent = sideName(data, isMirrored ? 1 : 2);
   if (data.state) {
     GameClient.updateState(data.state);
     if (isMirrored) {
@@ -3789,23 +4456,28 @@ socket.on('game-over', (data) => {
   const banner = document.getElementById('disconnect-banner');
   if (banner) banner.classList.add('hidden');
   if (disconnectCountdownInterval) { clearInterval(disconnectCountdownInterval); disconnectCountdownInterval = null; }
-  const won = data.winner === currentUser.wallet;
+  const won = data.winners ? data.winners.includes(currentUser.wallet) : data.winner === currentUser.wallet;
 
   // Tournament match — show advancing message instead of normal payout
   if (data.tournamentId) {
     document.getElementById('gameover-title').textContent = won ? 'MATCH WON!' : 'ELIMINATED';
     document.getElementById('gameover-title').className = `text-2xl font-bold mb-2 ${won ? 'text-yellow-400' : 'text-red-400'}`;
-    document.getElementById('gameover-score').textContent = `Score: ${data.score.p1} - ${data.score.p2}`;
+    document.getElementById('gameover-score').textContent = `${data.series ? 'Series' : 'Score'}: ${data.score.p1} - ${data.score.p2}`;
     document.getElementById('gameover-payout').textContent = won ? 'Advancing to next round...' : 'Better luck next time!';
     document.getElementById('gameover-add-friend').classList.add('hidden');
+    resetRematchUI(false);
     showMatchmakingState('gameover');
     return;
   }
 
   document.getElementById('gameover-title').textContent = won ? 'VICTORY!' : 'DEFEAT';
   document.getElementById('gameover-title').className = `text-2xl font-bold mb-2 ${won ? 'text-green-400' : 'text-red-400'}`;
-  document.getElementById('gameover-score').textContent = `Final Score: ${data.score.p1} - ${data.score.p2}`;
-  document.getElementById('gameover-payout').textContent = won ? 'Payout processing...' : '';
+  document.getElementById('gameover-score').textContent = data.series
+    ? `Series: ${data.score.p1} - ${data.score.p2}`
+    : `Final Score: ${data.score.p1} - ${data.score.p2}`;
+  document.getElementById('gameover-payout').textContent = !won ? ''
+    : currentGameTier === FREE_TIER ? 'Free play — no payout' : 'Payout processing...';
+  resetRematchUI(true);
 
   // Show add friend button if not already friends
   const addSection = document.getElementById('gameover-add-friend');
@@ -3820,12 +4492,86 @@ socket.on('game-over', (data) => {
   showMatchmakingState('gameover');
 });
 
+// ===========================================
+// REMATCH
+// ===========================================
+
+function resetRematchUI(show) {
+  document.getElementById('gameover-rematch').classList.toggle('hidden', !show);
+  document.getElementById('gameover-rematch-buttons').classList.remove('hidden');
+  document.getElementById('gameover-rematch-offer').classList.add('hidden');
+  document.getElementById('btn-rematch-double').classList.toggle('hidden', currentGameTier === FREE_TIER);
+  document.getElementById('gameover-rematch-status').textContent = '';
+}
+
+function requestRematch(doubleOrNothing) {
+  if (!currentGameId) return;
+  socket.emit('rematch-request', { gameId: currentGameId, doubleOrNothing });
+}
+
+function respondRematch(accept) {
+  if (!currentGameId) return;
+  socket.emit(accept ? 'rematch-accept' : 'rematch-decline', { gameId: currentGameId });
+  document.getElementById('gameover-rematch-offer').classList.add('hidden');
+  if (accept) document.getElementById('gameover-rematch-status').textContent = 'Accepted — starting the rematch...';
+}
+
+function rematchStakeText(data) {
+  return data.stakeAmount ? ` for ${formatPong(data.stakeAmount)} $PONG each` : '';
+}
+
+socket.on('rematch-sent', (data) => {
+  if (data.gameId !== currentGameId) return;
+  document.getElementById('gameover-rematch-buttons').classList.add('hidden');
+  document.getElementById('gameover-rematch-status').textContent =
+    `${data.doubleOrNothing ? 'Double or nothing' : 'Rematch'} offered${rematchStakeText(data)}. Waiting for a reply...`;
+});
+
+socket.on('rematch-incoming', (data) => {
+  if (data.gameId !== currentGameId) return;
+  document.getElementById('gameover-rematch-buttons').classList.add('hidden');
+  document.getElementById('gameover-rematch-offer').classList.remove('hidden');
+  document.getElementById('gameover-rematch-status').textContent =
+    `${data.fromUsername} wants ${data.doubleOrNothing ? 'double or nothing' : 'a rematch'}${rematchStakeText(data)}`;
+});
+
+// 2v2: some of the four have accepted
+socket.on('rematch-status', (data) => {
+  if (data.gameId !== currentGameId) return;
+  document.getElementById('gameover-rematch-status').textContent = `${data.accepted.length}/4 players in...`;
+});
+
+socket.on('rematch-declined', (data) => {
+  if (data.gameId !== currentGameId) return;
+  resetRematchUI(true);
+  document.getElementById('gameover-rematch-status').textContent = `${data.byUsername} declined the rematch.`;
+});
+
+socket.on('rematch-expired', (data) => {
+  if (data.gameId !== currentGameId) return;
+  resetRematchUI(true);
+  document.getElementById('gameover-rematch-status').textContent = 'The rematch offer expired.';
+});
+
+socket.on('rematch-error', (data) => {
+  showToast(data.error || 'Rematch unavailable');
+});
+
 function addGameOpponent() {
   if (!lastGameOpponent) return;
   addFriend(lastGameOpponent.wallet);
   document.getElementById('gameover-add-friend').classList.add('hidden');
 }
 
+// Socket: Skill rating changed after a match
+socket.on('rating-update', (data) => {
+  const mine = data.ratings && currentUser && data.ratings[currentUser.wallet];
+  if (!mine) return;
+  const sign = mine.change >= 0 ? '+' : '';
+  showToast(`Rating: ${mine.rating} (${sign}${mine.change})`);
+  if (currentUser.stats) currentUser.stats.rating = mine.rating;
+});
+
 // Socket: Payout complete
 socket.on('payout-complete', (data) => {
   const won = data.winner === currentUser.wallet;
@@ -3854,6 +4600,12 @@ socket.on('game-forfeit', (data) => {
 });
 
 function backToMatchmaking() {
+  if (spectatingGameId) leaveSpectate();
+  disputeGameId = null;
+  document.getElementById('gameover-dispute').classList.add('hidden');
+  resetRematchUI(false);
+  setSpectatorUI(false);
+  setSpectatorCount(0);
   currentGameId = null;
   currentGameTier = null;
   currentCustomStake = null;
@@ -3867,6 +4619,146 @@ function backToMatchmaking() {
   showMatchmakingState('select');
 }
 
+// ===========================================
+// SPECTATOR MODE
+// ===========================================
+
+async function loadLiveGames() {
+  const container = document.getElementById('dash-live-list');
+  if (!container) return;
+  try {
+    const res = await fetch('/api/v1/live').then(r => r.json());
+    const games = (res.games || []).filter(g => g.status === 'live');
+    if (games.length === 0) {
+      container.innerHTML = '<p class="text-gray-500 text-xs">No games in progress right now.</p>';
+      return;
+    }
+    container.innerHTML = games.slice(0, 5).map(g => `
+      <div class="flex items-center gap-2 py-1 px-1">
+        <span class="text-sm flex-1 truncate">${esc(g.player1)} <span class="text-gray-500">vs</span> ${esc(g.player2)}</span>
+        <span class="text-xs text-gray-400">${g.score.p1 || 0}-${g.score.p2 || 0}</span>
+        ${g.spectators ? `<span class="text-[10px] text-gray-500">${g.spectators} watching</span>` : ''}
+        <button onclick="spectateGame('${esc(g.gameId)}')" class="bg-purple-600/20 hover:bg-purple-600/30 text-purple-300 text-[10px] px-2 py-0.5 rounded transition border border-purple-700/30">Watch</button>
+      </div>
+    `).join('');
+  } catch (err) {
+    container.innerHTML = '<p class="text-gray-500 text-xs">Could not load live games.</p>';
+  }
+}
+
+function spectateGame(gameId) {
+  if (currentGameId) return showToast('Finish your current match first.');
+  socket.emit('spectate-join', { gameId });
+}
+
+function leaveSpectate() {
+  socket.emit('spectate-leave');
+  spectatingGameId = null;
+  GameClient.cleanup();
+  setSpectatorUI(false);
+  showMatchmakingState('select');
+}
+
+// Watch-only layout: no ready overlay, chat or controls
+function setSpectatorUI(on) {
+  document.getElementById('spectate-banner').classList.toggle('hidden', !on);
+  document.getElementById('game-controls-hint').classList.toggle('hidden', on);
+  document.getElementById('game-chat-panel').classList.toggle('hidden', on);
+  document.getElementById('postgame-chat-panel').classList.toggle('hidden', on);
+  document.getElementById('intermission-info').classList.add('hidden');
+}
+
+function setSpectatorCount(count) {
+  const el = document.getElementById('game-spectator-count');
+  if (!el) return;
+  el.textContent = `${count} watching`;
+  el.classList.toggle('hidden', !count);
+}
+
+socket.on('spectate-started', (data) => {
+  spectatingGameId = data.gameId;
+  if (intermissionCountdownInterval) { clearInterval(intermissionCountdownInterval); intermissionCountdownInterval = null; }
+  switchTab('play');
+  showMatchmakingState('game');
+  setSpectatorUI(true);
+
+  GameClient.setSpectatorMode(true);
+  GameClient.setRuleset(data.ruleset);
+  GameClient.setArena(data.arena);
+  GameClient.setGameInfo(data.gameId, null, data.partners);
+  GameClient.setMirrored(false);
+  GameClient.setSeries(data.series);
+  GameClient.setPlayerSkins(data.player1.skin || null, data.player2.skin || null);
+  GameClient.updateState(data.state);
+
+  document.getElementById('game-p1-name').textContent = sideName(data, 1);
+  document.getElementById('game-p2-name').textContent = sideName(data, 2);
+  document.getElementById('game-score-p1').textContent = data.state.score.p1;
+  document.getElementById('game-score-p2').textContent = data.state.score.p2;
+  const stakeEl = document.getElementById('game-stake-display');
+  if (stakeEl) stakeEl.textContent = data.stake ? `${formatPongShort(data.stake / 1e6)} $PONG each` : '';
+  setSpectatorCount(data.spectators);
+  GameClient.startRendering();
+});
+
+socket.on('spectate-state', (data) => {
+  if (data.gameId !== spectatingGameId) return;
+  GameClient.updateState(data.state, data.sounds);
+  document.getElementById('game-score-p1').textContent = data.state.score.p1;
+  document.getElementById('game-score-p2').textContent = data.state.score.p2;
+});
+
+socket.on('spectate-over', (data) => {
+  if (data.gameId !== spectatingGameId) return;
+  spectatingGameId = null;
+  GameClient.cleanup();
+  document.getElementById('gameover-title').textContent = `${data.winnerUsername} WINS`;
+  document.getElementById('gameover-title').className = 'text-2xl font-bold mb-2 text-purple-400';
+  document.getElementById('gameover-score').textContent = `${data.series ? 'Series' : 'Final Score'}: ${data.score.p1} - ${data.score.p2}`;
+  document.getElementById('gameover-payout').textContent = '';
+  document.getElementById('gameover-add-friend').classList.add('hidden');
+  document.getElementById('spectate-banner').classList.add('hidden');
+  showMatchmakingState('gameover');
+});
+
+// Between the games of a Bo3/Bo5: show the result, then count down to the next game
+socket.on('series-intermission', (data) => {
+  if (data.gameId !== currentGameId && data.gameId !== spectatingGameId) return;
+  GameClient.stopRendering();
+  GameClient.setSeries(data.series);
+
+  const wins = data.series.wins;
+  const [w1, w2] = Object.keys(wins);
+  if (spectatingGameId) {
+    showToast(`Game ${data.series.game - 1} done (${data.game.player1}-${data.game.player2}) — series ${wins[w1]}-${wins[w2]}`);
+  } else {
+    const mine = wins[currentUser.wallet] || 0;
+    const theirs = Object.entries(wins).find(([w]) => w !== currentUser.wallet)?.[1] || 0;
+    showToast(`${data.winner === currentUser.wallet ? 'You won' : 'You lost'} game ${data.series.game - 1} — series ${mine}-${theirs}`);
+  }
+
+  let remaining = data.seconds;
+  GameClient.renderCountdown(remaining);
+  if (intermissionCountdownInterval) clearInterval(intermissionCountdownInterval);
+  intermissionCountdownInterval = setInterval(() => {
+    remaining--;
+    if (remaining <= 0) {
+      clearInterval(intermissionCountdownInterval);
+      intermissionCountdownInterval = null;
+      return;
+    }
+    GameClient.renderCountdown(remaining);
+  }, 1000);
+});
+
+// Sent to both players and spectators whenever someone starts/stops watching
+socket.on('spectator-count', (data) => {
+  if (data.gameId !== currentGameId && data.gameId !== spectatingGameId) return;
+  setSpectatorCount(data.count);
+});
+
+socket.on('spectate-error', (data) => showToast(data.error));
+
 // Socket: Online users update
 socket.on('online-users', (users) => {
   onlineUsers = users;
@@ -3893,6 +4785,42 @@ socket.on('match-error', (data) => {
   showMatchmakingState('select');
 });
 socket.on('payout-error', (data) => console.error('Payout error:', data.error));
+// Socket: Payout transfer failed once and is being retried by the server
+socket.on('payout-queued', (data) => {
+  const el = document.getElementById('gameover-payout');
+  if (el && currentUser && data.winner === currentUser.wallet) el.textContent = data.reason;
+});
+// Socket: Payout held for the dispute window (or anti-cheat review)
+socket.on('payout-held', (data) => {
+  const el = document.getElementById('gameover-payout');
+  const lost = currentUser && data.loser === currentUser.wallet;
+  if (el) {
+    el.textContent = data.disputed || !lost
+      ? data.reason
+      : `Payout to the winner releases at ${new Date(data.releaseAt).toLocaleTimeString()}.`;
+  }
+  disputeGameId = lost && !data.disputed ? data.gameId : null;
+  document.getElementById('gameover-dispute').classList.toggle('hidden', !disputeGameId);
+});
+
+async function disputeMatch() {
+  if (!disputeGameId) return;
+  const reason = prompt('What happened? An admin will review the match before the payout is released.');
+  if (!reason || !reason.trim()) return;
+  try {
+    const res = await fetch(`/api/payouts/${encodeURIComponent(disputeGameId)}/dispute`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: getAuthHeader() },
+      body: JSON.stringify({ reason: reason.trim() }),
+    }).then(r => r.json());
+    if (res.error) return showToast(res.error);
+    showToast('Dispute opened. The payout is on hold until reviewed.');
+    disputeGameId = null;
+    document.getElementById('gameover-dispute').classList.add('hidden');
+  } catch (err) {
+    showToast('Could not open dispute.');
+  }
+}
 
 // ===========================================
 // DASHBOARD
@@ -3903,6 +4831,7 @@ socket.on('payout-error', (data) => console.error('Payout error:', data.error));
 function loadDashboard() {
   loadDashboardLeaderboard(currentDashLbSort);
   loadDashboardFriends();
+  loadLiveGames();
   loadDashboardSkins();
   updateDashboardStats();
   fetchBurnedTotal();
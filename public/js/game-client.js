@@ -2,26 +2,44 @@
 // Game Client — Canvas rendering + input
 // ===========================================
 // Uses PongSim (browser global) for shared constants + prediction.
-// Own paddle: 100% local, never overwritten by server.
+// Own paddle: predicted locally; once the server has acked our latest input
+// (by sequence number) it is pulled back if it drifted past tolerance.
 // Ball: accept server position each snapshot, predict wall bounces between.
-// Opponent paddle: lerp toward latest server position.
+// Other paddles: lerp toward latest server position.
+// Paddle height and ball speed come from the match ruleset sent with
+// 'game-start' (setRuleset); everything else is fixed. Arena obstacles
+// (setArena) bounce the predicted ball too; extra balls, and in arcade mode
+// power-ups and effects, are drawn as the server sends them. In a 2v2
+// (setGameInfo with partners) there are four paddles, each player keeping
+// to their half of their side; ours is whichever index we were given.
 
 const GameClient = (() => {
   const CANVAS_W = PongSim.CANVAS_W;
   const CANVAS_H = PongSim.CANVAS_H;
   const PADDLE_W = PongSim.PADDLE_W;
-  const PADDLE_H = PongSim.PADDLE_H;
   const PADDLE_SPEED = PongSim.PADDLE_SPEED;
   const BALL_SIZE = PongSim.BALL_SIZE;
   const PHYSICS_DT = 1000 / 60;
 
   const OPP_PADDLE_LERP = 0.4;
   const SYNC_INTERVAL_MS = 16; // ~60Hz position sync (match server tick rate)
+  const RECONCILE_TOLERANCE = PADDLE_SPEED * 3; // px of own-paddle drift we accept
+  const RECONCILE_LERP = 0.5;
 
   // Skin image render dimensions (centered on paddle hitbox)
   const SKIN_DRAW_W = 60;
   const SKIN_DRAW_H = 200;
 
+  // Arcade power-up badges: [colour, label]
+  const POWERUP_STYLE = {
+    grow: ['#22c55e', '+'],
+    shrink: ['#ef4444', '−'],
+    multiball: ['#f59e0b', '••'],
+    speed: ['#eab308', '»'],
+    shield: ['#38bdf8', '◆'],
+    curve: ['#a855f7', '~'],
+  };
+
   // --- Game Sound Effects (Web Audio API) ---
   let gameAudioCtx = null;
   function getGameAudio() {
@@ -56,6 +74,21 @@ const GameClient = (() => {
         gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.3);
         osc.start(ctx.currentTime);
         osc.stop(ctx.currentTime + 0.3);
+      } else if (type === 'powerup') {
+        osc.frequency.value = 660;
+        osc.type = 'sine';
+        osc.frequency.exponentialRampToValueAtTime(1320, ctx.currentTime + 0.15);
+        gain.gain.value = 0.1;
+        gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.15);
+        osc.start(ctx.currentTime);
+        osc.stop(ctx.currentTime + 0.15);
+      } else if (type === 'shield') {
+        osc.frequency.value = 520;
+        osc.type = 'triangle';
+        gain.gain.value = 0.12;
+        gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.2);
+        osc.start(ctx.currentTime);
+        osc.stop(ctx.currentTime + 0.2);
       }
     } catch (e) { /* audio not available */ }
   }
@@ -64,11 +97,19 @@ const GameClient = (() => {
   let ctx = null;
   let myWallet = null;
   let amPlayer1 = false;
+  let myPaddle = 1;        // PongSim paddle index we control (3/4: 2v2 partners)
+  let teams = false;
   let gameId = null;
   let animFrameId = null;
   let lastFrameTime = 0;
   let skinConfig = { paddle: '#a855f7', ball: '#ffffff', background: '#0f0f2a' };
   let mirrored = false;
+  let spectating = false;
+  let leftWallet = null;   // player on the left paddle this game (server view)
+  let series = null;       // { bestOf, game, wins: { wallet: n } } for a Bo3/Bo5
+  let rules = PongSim.resolveRuleset();
+  let arcade = null;       // { powerUps, effects } from the last arcade snapshot
+  let field = { obstacles: null, extraBalls: [] };  // arena obstacles + extra balls
 
   // Skin data for both players
   let mySkin = null;
@@ -77,17 +118,20 @@ const GameClient = (() => {
   let opponentSkinImage = null;
 
   // --- Own paddle ---
-  let myY = CANVAS_H / 2 - PADDLE_H / 2;
+  let myY = CANVAS_H / 2 - rules.paddleH / 2;
+  // Spectators have no own paddle: player 1 is lerped from the server like the others
+  let myTargetY = CANVAS_H / 2 - rules.paddleH / 2;
 
-  // --- Opponent paddle (smoothed) ---
-  let oppTargetY = CANVAS_H / 2 - PADDLE_H / 2;
-  let oppDisplayY = CANVAS_H / 2 - PADDLE_H / 2;
+  // --- Other paddles (smoothed): index -> { target, display } ---
+  let others = {};
+  resetPaddles();
 
   // --- Ball: local prediction ---
   let ballX = CANVAS_W / 2;
   let ballY = CANVAS_H / 2;
   let ballVx = 0;
   let ballVy = 0;
+  let ballCurve = 0;
   let accumulator = 0;
 
   let displayScore = { p1: 0, p2: 0 };
@@ -96,6 +140,7 @@ const GameClient = (() => {
 
   const keys = {};
   let currentInput = 'stop';
+  let inputSeq = 0;      // bumped on every direction change sent to the server
 
   function init(canvasElement, wallet) {
     canvas = canvasElement;
@@ -104,12 +149,18 @@ const GameClient = (() => {
     setupInput();
   }
 
-  function setGameInfo(gId, player1Wallet) {
+  // partners: { player1, player2 } of a 2v2 (player1's partner plays paddle 3)
+  function setGameInfo(gId, player1Wallet, partners) {
     gameId = gId;
-    amPlayer1 = (myWallet === player1Wallet);
-    myY = CANVAS_H / 2 - PADDLE_H / 2;
-    oppTargetY = CANVAS_H / 2 - PADDLE_H / 2;
-    oppDisplayY = CANVAS_H / 2 - PADDLE_H / 2;
+    leftWallet = player1Wallet;
+    teams = !!partners;
+    if (spectating || myWallet === player1Wallet) myPaddle = 1;
+    else if (teams && myWallet === partners.player1.wallet) myPaddle = 3;
+    else if (teams && myWallet === partners.player2.wallet) myPaddle = 4;
+    else myPaddle = 2;
+    amPlayer1 = PongSim.paddleSide(myPaddle) === 1;
+    inputSeq = 0;
+    resetPaddles();
     ballX = CANVAS_W / 2;
     ballY = CANVAS_H / 2;
     ballVx = 0;
@@ -119,6 +170,16 @@ const GameClient = (() => {
     lastSyncTime = 0;
   }
 
+  // Every paddle back to its serve position
+  function resetPaddles() {
+    const home = PongSim.createState(rules, null, teams);
+    myY = myTargetY = home['paddle' + myPaddle].y;
+    others = {};
+    PongSim.paddleIndices(home).forEach(idx => {
+      if (idx !== myPaddle) others[idx] = { target: home['paddle' + idx].y, display: home['paddle' + idx].y };
+    });
+  }
+
   function setSkins(config) {
     if (config.paddle) skinConfig.paddle = config.paddle;
     if (config.ball) skinConfig.ball = config.ball;
@@ -155,17 +216,53 @@ const GameClient = (() => {
     }
   }
 
+  function setRuleset(ruleset) {
+    rules = PongSim.resolveRuleset(ruleset);
+    arcade = null;
+  }
+
+  // Obstacles show from the countdown on; snapshots keep them moving
+  function setArena(arena) {
+    const obstacles = PongSim.resolveArena(arena).obstacles;
+    field = { obstacles: obstacles.length ? obstacles : null, extraBalls: [] };
+  }
+
+  // What PongSim needs to size and bound paddles
+  function simView() {
+    return { rules, effects: arcade && arcade.effects, teams };
+  }
+
+  // Paddle height for a paddle, after arcade grow / shrink
+  function paddleHeight(idx) {
+    return PongSim.paddleHeight(simView(), idx);
+  }
+
+  function setSeries(val) {
+    series = val || null;
+  }
+
   function setMirrored(val) {
     mirrored = !!val;
   }
 
+  // Watch-only: no input is sent, both paddles follow the server (p1 on the left)
+  function setSpectatorMode(val) {
+    spectating = !!val;
+    if (spectating) {
+      amPlayer1 = true;
+      myPaddle = 1;
+      resetPaddles();
+      currentInput = 'stop';
+    }
+  }
+
   /**
    * Called when a server state snapshot arrives.
-   * Own paddle: NEVER touched (100% local).
+   * Own paddle: local prediction, reconciled once our inputs are acked.
    * Ball: accept server position + velocity, reset prediction.
-   * Opponent paddle: set target for smooth lerp.
+   * Other paddles: set targets for smooth lerp.
    */
-  function updateState(state, sounds) {
+  function updateState(state, sounds, ack) {
     displayScore = state.score;
     isPaused = state.paused;
 
@@ -176,18 +273,33 @@ const GameClient = (() => {
       playGameSound(state.sound);
     }
 
-    // --- Own paddle: 100% local. Server is authoritative for collisions,
-    // but client-side rendering trusts local input (identical physics). ---
+    // --- Own paddle: server integrates our direction stream and is
+    // authoritative. While inputs are in flight the server lags our
+    // prediction, so only reconcile once it has acked the latest one. ---
+    if (!spectating && ack) {
+      const ackedSeq = ack['p' + myPaddle];
+      const serverY = state['paddle' + myPaddle].y;
+      if (ackedSeq >= inputSeq && Math.abs(serverY - myY) > RECONCILE_TOLERANCE) {
+        myY += (serverY - myY) * RECONCILE_LERP;
+      }
+    }
 
-    // --- Opponent paddle: set target, display lerps toward it each frame ---
-    oppTargetY = amPlayer1 ? state.paddle2.y : state.paddle1.y;
+    // --- Other paddles: set targets, displays lerp toward them each frame ---
+    Object.keys(others).forEach(idx => {
+      if (state['paddle' + idx]) others[idx].target = state['paddle' + idx].y;
+    });
+    if (spectating) myTargetY = state.paddle1.y;
 
     // --- Ball: accept server state directly ---
     ballX = state.ball.x;
     ballY = state.ball.y;
     ballVx = state.ball.vx || 0;
     ballVy = state.ball.vy || 0;
+    ballCurve = state.ball.curve || 0;
     accumulator = 0;
+
+    arcade = state.powerUps ? { powerUps: state.powerUps, effects: state.effects } : null;
+    field = { obstacles: state.obstacles || null, extraBalls: state.extraBalls || [] };
   }
 
   function startRendering() {
@@ -218,28 +330,31 @@ const GameClient = (() => {
     while (accumulator >= PHYSICS_DT) {
       accumulator -= PHYSICS_DT;
 
-      // Own paddle: move using PongSim constants
+      // Own paddle: move using PongSim constants, within our range
       if (currentInput === 'up') {
-        myY = Math.max(0, myY - PADDLE_SPEED);
+        myY = Math.max(PongSim.paddleRange(simView(), myPaddle)[0], myY - PADDLE_SPEED);
       } else if (currentInput === 'down') {
-        myY = Math.min(CANVAS_H - PADDLE_H, myY + PADDLE_SPEED);
+        myY = Math.min(PongSim.paddleRange(simView(), myPaddle)[1], myY + PADDLE_SPEED);
       }
 
       // Ball: predict between server snapshots (full physics incl. paddle collisions)
       if (!isPaused) {
-        // Use oppTargetY (latest server position) for prediction accuracy, not lerped display
-        const p1Y = amPlayer1 ? myY : oppTargetY;
-        const p2Y = amPlayer1 ? oppTargetY : myY;
+        // Use the targets (latest server positions) for prediction accuracy, not lerped displays
         const tmpState = {
-          ball: { x: ballX, y: ballY, vx: ballVx, vy: ballVy },
-          paddle1: { y: p1Y },
-          paddle2: { y: p2Y }
+          ball: { x: ballX, y: ballY, vx: ballVx, vy: ballVy, curve: ballCurve },
+          [`paddle${myPaddle}`]: { y: spectating ? myTargetY : myY },
+          rules: rules,
+          effects: arcade ? arcade.effects : undefined,
+          obstacles: field.obstacles || undefined,
+          teams: teams || undefined
         };
+        Object.keys(others).forEach(idx => { tmpState['paddle' + idx] = { y: others[idx].target }; });
         const result = PongSim.stepBall(tmpState);
         ballX = tmpState.ball.x;
         ballY = tmpState.ball.y;
         ballVx = tmpState.ball.vx;
         ballVy = tmpState.ball.vy;
+        ballCurve = tmpState.ball.curve || 0;
 
         if (result.sound) playGameSound(result.sound);
       }
@@ -247,17 +362,24 @@ const GameClient = (() => {
 
     // Sync own paddle position to server every frame (~60Hz)
     // Server no longer moves paddles independently — this is the sole source of truth
-    if (window.socket && gameId && timestamp - lastSyncTime >= SYNC_INTERVAL_MS) {
+    if (!spectating && window.socket && gameId && timestamp - lastSyncTime >= SYNC_INTERVAL_MS) {
       lastSyncTime = timestamp;
       window.socket.emit('paddle-sync', { gameId, y: myY });
     }
 
-    // Opponent paddle: smooth lerp toward target
-    const oppDiff = oppTargetY - oppDisplayY;
-    if (Math.abs(oppDiff) < 1) {
-      oppDisplayY = oppTargetY;
-    } else {
-      oppDisplayY += oppDiff * OPP_PADDLE_LERP;
+    // Other paddles: smooth lerp toward target
+    Object.values(others).forEach(p => {
+      const diff = p.target - p.display;
+      if (Math.abs(diff) < 1) {
+        p.display = p.target;
+      } else {
+        p.display += diff * OPP_PADDLE_LERP;
+      }
+    });
+
+    if (spectating) {
+      const myDiff = myTargetY - myY;
+      myY = Math.abs(myDiff) < 1 ? myTargetY : myY + myDiff * OPP_PADDLE_LERP;
     }
 
     // Clamp ball to canvas for drawing
@@ -266,14 +388,13 @@ const GameClient = (() => {
 
     render(
       Math.round(myY),
-      Math.round(oppDisplayY),
       Math.round(drawBallX),
       Math.round(drawBallY)
     );
     animFrameId = requestAnimationFrame(renderLoop);
   }
 
-  function render(myDisplayY, oppY, bx, by) {
+  function render(myDisplayY, bx, by) {
     if (!ctx) return;
 
     ctx.fillStyle = skinConfig.background;
@@ -298,19 +419,55 @@ const GameClient = (() => {
     ctx.fillText(leftScore, CANVAS_W / 4, CANVAS_H / 2 + 50);
     ctx.fillText(rightScore, (CANVAS_W * 3) / 4, CANVAS_H / 2 + 50);
 
-    // Paddles
-    const p1Y = amPlayer1 ? myDisplayY : oppY;
-    const p2Y = amPlayer1 ? oppY : myDisplayY;
-
-    if (!mirrored) {
-      drawPaddle(PongSim.P1_X, p1Y, amPlayer1, amPlayer1 ? mySkin : opponentSkin, amPlayer1 ? mySkinImage : opponentSkinImage, false);
-      drawPaddle(PongSim.P2_LEFT, p2Y, !amPlayer1, !amPlayer1 ? mySkin : opponentSkin, !amPlayer1 ? mySkinImage : opponentSkinImage, true);
-    } else {
-      drawPaddle(PongSim.P1_X, p2Y, !amPlayer1, !amPlayer1 ? mySkin : opponentSkin, !amPlayer1 ? mySkinImage : opponentSkinImage, false);
-      drawPaddle(PongSim.P2_LEFT, p1Y, amPlayer1, amPlayer1 ? mySkin : opponentSkin, amPlayer1 ? mySkinImage : opponentSkinImage, true);
+    if (series) drawSeries();
+
+    // 2v2: each side is split between its two players
+    if (teams) {
+      ctx.setLineDash([4, 12]);
+      ctx.strokeStyle = '#1f1f45';
+      ctx.beginPath();
+      ctx.moveTo(0, CANVAS_H / 2);
+      ctx.lineTo(CANVAS_W, CANVAS_H / 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
     }
 
+    // Paddles. Skins belong to the side's captain (paddle 1 / 2); partners
+    // play in the default colours.
+    PongSim.paddleIndices({ teams }).forEach(idx => {
+      const mine = idx === myPaddle;
+      const ours = PongSim.paddleSide(idx) === PongSim.paddleSide(myPaddle);
+      const onRight = (PongSim.paddleSide(idx) === 2) !== mirrored;
+      const skinned = idx <= 2;
+      drawPaddle(
+        onRight ? PongSim.P2_LEFT : PongSim.P1_X,
+        mine ? myDisplayY : Math.round(others[idx].display),
+        paddleHeight(idx),
+        mine,
+        skinned ? (ours ? mySkin : opponentSkin) : null,
+        skinned ? (ours ? mySkinImage : opponentSkinImage) : null,
+        onRight
+      );
+    });
+
+    drawField();
+    if (arcade) drawArcade();
+
     // Ball
+    drawBall(bx, by);
+
+    // Pause overlay
+    if (isPaused) {
+      ctx.fillStyle = 'rgba(0,0,0,0.3)';
+      ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+      ctx.fillStyle = '#a855f7';
+      ctx.font = 'bold 32px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('Get Ready...', CANVAS_W / 2, CANVAS_H / 2 + 12);
+    }
+  }
+
+  function drawBall(bx, by) {
     const drawBx = mirrored ? (CANVAS_W - bx - BALL_SIZE) : bx;
     const bcx = drawBx + BALL_SIZE / 2;
     const bcy = by + BALL_SIZE / 2;
@@ -325,19 +482,63 @@ const GameClient = (() => {
     ctx.arc(bcx, bcy, BALL_SIZE / 2, 0, Math.PI * 2);
     ctx.fill();
     ctx.shadowBlur = 0;
+  }
 
-    // Pause overlay
-    if (isPaused) {
-      ctx.fillStyle = 'rgba(0,0,0,0.3)';
-      ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
-      ctx.fillStyle = '#a855f7';
-      ctx.font = 'bold 32px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.fillText('Get Ready...', CANVAS_W / 2, CANVAS_H / 2 + 12);
+  // Arena obstacles and extra balls
+  function drawField() {
+    if (field.obstacles) {
+      ctx.fillStyle = '#2d2d5e';
+      ctx.strokeStyle = '#6366f1';
+      ctx.lineWidth = 2;
+      field.obstacles.forEach(o => {
+        const x = mirrored ? CANVAS_W - o.x - o.w : o.x;
+        ctx.fillRect(x, o.y, o.w, o.h);
+        ctx.strokeRect(x + 1, o.y + 1, o.w - 2, o.h - 2);
+      });
     }
+    field.extraBalls.forEach(b => drawBall(
+      Math.max(0, Math.min(CANVAS_W - BALL_SIZE, b.x)),
+      Math.max(0, Math.min(CANVAS_H - BALL_SIZE, b.y))
+    ));
   }
 
-  function drawPaddle(x, y, isMe, skin, skinImage, isRightSide) {
+  // Power-ups on the field and goal-line shields
+  function drawArcade() {
+    const size = PongSim.POWERUP_SIZE;
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 16px monospace';
+    arcade.powerUps.forEach(p => {
+      const [color, label] = POWERUP_STYLE[p.type] || ['#ffffff', '?'];
+      const x = mirrored ? CANVAS_W - p.x - size : p.x;
+      ctx.fillStyle = color;
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 12;
+      ctx.beginPath();
+      ctx.arc(x + size / 2, p.y + size / 2, size / 2, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+      ctx.fillStyle = '#0f0f2a';
+      ctx.fillText(label, x + size / 2, p.y + size / 2 + 5);
+    });
+
+    // Shields guard paddle 1's goal (left unless mirrored) and paddle 2's
+    [1, 2].forEach(idx => {
+      const fx = arcade.effects[idx === 1 ? 'p1' : 'p2'];
+      if (!fx || fx.shield <= 0) return;
+      const onLeft = (idx === 1) !== mirrored;
+      ctx.strokeStyle = POWERUP_STYLE.shield[0];
+      ctx.shadowColor = POWERUP_STYLE.shield[0];
+      ctx.shadowBlur = 10;
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.moveTo(onLeft ? 2 : CANVAS_W - 2, 0);
+      ctx.lineTo(onLeft ? 2 : CANVAS_W - 2, CANVAS_H);
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+    });
+  }
+
+  function drawPaddle(x, y, h, isMe, skin, skinImage, isRightSide) {
     let paddleColor;
     if (skin && skin.type === 'color' && skin.cssValue) {
       paddleColor = skin.cssValue;
@@ -349,7 +550,7 @@ const GameClient = (() => {
 
     if (skin && skin.type === 'image' && skinImage) {
       const centerX = x + PADDLE_W / 2;
-      const centerY = y + PADDLE_H / 2;
+      const centerY = y + h / 2;
       const drawX = centerX - SKIN_DRAW_W / 2;
       const drawY = centerY - SKIN_DRAW_H / 2;
 
@@ -374,10 +575,10 @@ const GameClient = (() => {
     ctx.moveTo(x + r, y);
     ctx.lineTo(x + PADDLE_W - r, y);
     ctx.quadraticCurveTo(x + PADDLE_W, y, x + PADDLE_W, y + r);
-    ctx.lineTo(x + PADDLE_W, y + PADDLE_H - r);
-    ctx.quadraticCurveTo(x + PADDLE_W, y + PADDLE_H, x + PADDLE_W - r, y + PADDLE_H);
-    ctx.lineTo(x + r, y + PADDLE_H);
-    ctx.quadraticCurveTo(x, y + PADDLE_H, x, y + PADDLE_H - r);
+    ctx.lineTo(x + PADDLE_W, y + h - r);
+    ctx.quadraticCurveTo(x + PADDLE_W, y + h, x + PADDLE_W - r, y + h);
+    ctx.lineTo(x + r, y + h);
+    ctx.quadraticCurveTo(x, y + h, x, y + h - r);
     ctx.lineTo(x, y + r);
     ctx.quadraticCurveTo(x, y, x + r, y);
     ctx.closePath();
@@ -385,6 +586,30 @@ const GameClient = (() => {
     ctx.shadowBlur = 0;
   }
 
+  // "GAME 2 · BO3" with one pip per game needed to win, filled for games won
+  function drawSeries() {
+    const needed = Math.floor(series.bestOf / 2) + 1;
+    const rightWallet = Object.keys(series.wins).find(w => w !== leftWallet);
+    const left = series.wins[mirrored ? rightWallet : leftWallet] || 0;
+    const right = series.wins[mirrored ? leftWallet : rightWallet] || 0;
+
+    ctx.fillStyle = 'rgba(255,255,255,0.35)';
+    ctx.font = 'bold 13px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(`GAME ${series.game} · BO${series.bestOf}`, CANVAS_W / 2, 22);
+
+    const drawPips = (won, x0, step) => {
+      for (let i = 0; i < needed; i++) {
+        ctx.fillStyle = i < won ? '#facc15' : 'rgba(255,255,255,0.15)';
+        ctx.beginPath();
+        ctx.arc(x0 + i * step, 17, 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    };
+    drawPips(left, CANVAS_W / 2 - 70, -14);
+    drawPips(right, CANVAS_W / 2 + 70, 14);
+  }
+
   function renderCountdown(seconds) {
     if (!ctx) return;
     ctx.fillStyle = '#0f0f2a';
@@ -419,6 +644,7 @@ const GameClient = (() => {
   }
 
   function sendInput() {
+    if (spectating) return;
     let dir = 'stop';
     if (keys['w'] || keys['W'] || keys['ArrowUp']) dir = 'up';
     if (keys['s'] || keys['S'] || keys['ArrowDown']) dir = 'down';
@@ -426,7 +652,8 @@ const GameClient = (() => {
     if (dir !== currentInput) {
       currentInput = dir;
       if (window.socket && gameId) {
-        window.socket.emit('paddle-move', { gameId, direction: dir, y: myY });
+        inputSeq++;
+        window.socket.emit('paddle-move', { gameId, direction: dir, y: myY, seq: inputSeq });
       }
     }
   }
@@ -434,16 +661,24 @@ const GameClient = (() => {
   function cleanup() {
     stopRendering();
     gameId = null;
+    spectating = false;
+    series = null;
+    leftWallet = null;
+    myPaddle = 1;
+    teams = false;
+    rules = PongSim.resolveRuleset();
+    arcade = null;
+    field = { obstacles: null, extraBalls: [] };
     currentInput = 'stop';
+    inputSeq = 0;
     lastFrameTime = 0;
     accumulator = 0;
-    myY = CANVAS_H / 2 - PADDLE_H / 2;
-    oppTargetY = CANVAS_H / 2 - PADDLE_H / 2;
-    oppDisplayY = CANVAS_H / 2 - PADDLE_H / 2;
+    resetPaddles();
     ballX = CANVAS_W / 2;
     ballY = CANVAS_H / 2;
     ballVx = 0;
     ballVy = 0;
+    ballCurve = 0;
     lastSyncTime = 0;
     mySkin = null;
     opponentSkin = null;
@@ -454,7 +689,7 @@ const GameClient = (() => {
   }
 
   return {
-    init, setGameInfo, setSkins, setPlayerSkins, setMirrored, updateState,
+    init, setGameInfo, setSkins, setPlayerSkins, setMirrored, setSeries, setRuleset, setArena, setSpectatorMode, updateState,
     startRendering, stopRendering, renderCountdown,
     cleanup,
   };
@@ -0,0 +1,155 @@
+// ===========================================
+// PongReplay — Deterministic Replay Player
+// ===========================================
+// Isomorphic module: works in Node.js (require) and browser (<script>).
+// Re-drives PongSim from a recorded replay (launches + paddle frames, and
+// power-up spawns in arcade mode).
+// step() mirrors PongEngine.tick() exactly — keep the two in sync.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./pong-sim'));
+  } else {
+    root.PongReplay = factory(root.PongSim);
+  }
+}(typeof self !== 'undefined' ? self : this, function (PongSim) {
+  'use strict';
+
+  // =============================================
+  // PLAYER FACTORY
+  // =============================================
+  // replay: { launches, paddles, powerUps, paddleBuffer, winScore, ruleset, arena, teams, totalTicks }
+  function createPlayer(replay) {
+    var launches = replay.launches || [];
+    var paddles = replay.paddles || [];
+    var spawns = replay.powerUps || [];
+    var buf = replay.paddleBuffer || 0;
+    var rules = PongSim.resolveRuleset(replay.ruleset);
+    var arena = PongSim.resolveArena(replay.arena);
+    var teams = !!replay.teams;
+    var winScore = replay.winScore || rules.winScore;
+    var totalTicks = replay.totalTicks || 0;
+
+    var state, tick, launchIdx, paddleIdx, spawnIdx;
+
+    function nextLaunch() {
+      var launch = launches[launchIdx++];
+      if (launch) PongSim.launchBall(state, launch[1], launch[2]);
+    }
+
+    function reset() {
+      state = PongSim.createState(rules, arena, teams);
+      tick = 0;
+      launchIdx = 0;
+      paddleIdx = 0;
+      spawnIdx = 0;
+      // PongEngine.start() launches once before the first tick
+      nextLaunch();
+    }
+
+    // =============================================
+    // STEP — one server tick
+    // =============================================
+    // Returns stepField's { sound, scored, bonus, collected } for the tick,
+    // or null once the replay is done.
+    function step() {
+      if (isFinished()) return null;
+      state.sound = null;
+      tick++;
+
+      // Paddles hold their last recorded position until the next frame
+      // (a 2v2 frame carries paddles 3 and 4 after 1 and 2)
+      while (paddleIdx < paddles.length && paddles[paddleIdx][0] <= tick) {
+        var frame = paddles[paddleIdx];
+        state.paddle1.y = frame[1];
+        state.paddle2.y = frame[2];
+        if (teams) {
+          state.paddle3.y = frame[3];
+          state.paddle4.y = frame[4];
+        }
+        paddleIdx++;
+      }
+
+      if (state.pauseTicks > 0) {
+        if (PongSim.tickPause(state)) nextLaunch();
+        return { sound: null, scored: null };
+      }
+
+      // Power-ups appear where and when the server spawned them
+      while (spawnIdx < spawns.length && spawns[spawnIdx][0] <= tick) {
+        var spawn = spawns[spawnIdx++];
+        PongSim.spawnPowerUp(state, PongSim.POWERUP_TYPES[spawn[1]], spawn[2], spawn[3]);
+      }
+
+      var result = PongSim.stepField(state, buf);
+      state.sound = result.sound;
+
+      for (var i = 0; i < result.bonus.length; i++) {
+        if (addPoint(result.bonus[i])) return result;
+      }
+
+      if (result.scored) {
+        state.sound = 'score';
+        if (addPoint(result.scored)) return result;
+        PongSim.resetBallAfterScore(state);
+      }
+      return result;
+    }
+
+    // True when the point finished the game
+    function addPoint(scorer) {
+      if (scorer === 2) state.score.p2++;
+      else state.score.p1++;
+      if (state.score.p1 >= winScore || state.score.p2 >= winScore) {
+        state.status = 'finished';
+        return true;
+      }
+      return false;
+    }
+
+    function isFinished() {
+      return state.status === 'finished' || tick >= totalTicks;
+    }
+
+    // Fast-forward to an absolute tick (restarts if seeking backwards)
+    function seek(targetTick) {
+      if (targetTick < tick) reset();
+      while (tick < targetTick && !isFinished()) step();
+    }
+
+    reset();
+
+    return {
+      step: step,
+      seek: seek,
+      reset: reset,
+      isFinished: isFinished,
+      getTick: function () { return tick; },
+      getState: function () { return state; },
+      totalTicks: totalTicks
+    };
+  }
+
+  // =============================================
+  // VERIFY — replay to the end, compare with recorded score
+  // =============================================
+  function verify(replay) {
+    var player = createPlayer(replay);
+    while (!player.isFinished()) player.step();
+    var score = player.getState().score;
+    var recorded = replay.finalScore || { p1: 0, p2: 0 };
+    return {
+      matches: score.p1 === recorded.p1 && score.p2 === recorded.p2,
+      replayedScore: { p1: score.p1, p2: score.p2 },
+      recordedScore: { p1: recorded.p1, p2: recorded.p2 }
+    };
+  }
+
+  // =============================================
+  // PUBLIC API
+  // =============================================
+  return {
+    createPlayer: createPlayer,
+    verify: verify
+  };
+}));
@@ -2,8 +2,13 @@
 // PongSim — Shared Deterministic Physics
 // ===========================================
 // Isomorphic module: works in Node.js (require) and browser (<script>).
-// Contains zero randomness — all random values (launch angle/dir)
-// must be injected by the caller.
+// Contains zero randomness — all random values (launch angle/dir,
+// arcade power-up spawns) must be injected by the caller. Sliding arena
+// obstacles move by a fixed amount per tick.
+//
+// Paddles are numbered 1 (left) and 2 (right). A 2v2 state (createState's
+// `teams`) adds paddle 3 below paddle 1 and paddle 4 below paddle 2; each
+// paddle of a team keeps to its own half of the field.
 
 (function (root, factory) {
   if (typeof module === 'object' && module.exports) {
@@ -35,19 +40,192 @@
   var P2_LEFT = CANVAS_W - 10 - PADDLE_W; // 764
   var P2_RIGHT = CANVAS_W - 10;           // 790
 
+  // =============================================
+  // RULESETS — per-match overrides of the constants above
+  // =============================================
+  // Field size, ball size and paddle speed stay fixed so every ruleset
+  // plays on the same canvas with the same controls. `powerUps` turns on
+  // arcade mode (see POWER-UPS below).
+  var RULESETS = {
+    'classic': {
+      name: 'Classic', winScore: WIN_SCORE, paddleH: PADDLE_H,
+      ballSpeedInitial: BALL_SPEED_INITIAL, ballSpeedIncrement: BALL_SPEED_INCREMENT, ballMaxSpeed: BALL_MAX_SPEED,
+      powerUps: false
+    },
+    'blitz': {
+      name: 'Blitz to 3', winScore: 3, paddleH: PADDLE_H,
+      ballSpeedInitial: BALL_SPEED_INITIAL, ballSpeedIncrement: BALL_SPEED_INCREMENT, ballMaxSpeed: BALL_MAX_SPEED,
+      powerUps: false
+    },
+    'marathon': {
+      name: 'Marathon to 11', winScore: 11, paddleH: PADDLE_H,
+      ballSpeedInitial: BALL_SPEED_INITIAL, ballSpeedIncrement: BALL_SPEED_INCREMENT, ballMaxSpeed: BALL_MAX_SPEED,
+      powerUps: false
+    },
+    'speed-demon': {
+      name: 'Speed Demon', winScore: WIN_SCORE, paddleH: 90,
+      ballSpeedInitial: 7, ballSpeedIncrement: 0.5, ballMaxSpeed: 20,
+      powerUps: false
+    },
+    'arcade': {
+      name: 'Arcade', winScore: 7, paddleH: PADDLE_H,
+      ballSpeedInitial: BALL_SPEED_INITIAL, ballSpeedIncrement: BALL_SPEED_INCREMENT, ballMaxSpeed: BALL_MAX_SPEED,
+      powerUps: true
+    }
+  };
+  var DEFAULT_RULESET = 'classic';
+
+  // =============================================
+  // ARENAS — field layout, chosen per match alongside the ruleset
+  // =============================================
+  // All `balls` are served together: the first as usual, the others
+  // mirrored from the same injected launch. Balls beyond the first score a
+  // point and leave the field; the rally ends when the first ball scores.
+  // Obstacles are rectangles the balls bounce off; one with `vy` slides
+  // between minY and maxY (its top edge) on every tick of live play.
+  var ARENAS = {
+    'open': { name: 'Open Court', balls: 1, obstacles: [] },
+    'pillars': {
+      name: 'Pillars', balls: 1,
+      obstacles: [{ x: 384, y: 110, w: 32, h: 100 }, { x: 384, y: 390, w: 32, h: 100 }]
+    },
+    'gates': {
+      name: 'Sliding Gates', balls: 1,
+      obstacles: [
+        { x: 240, y: 60, w: 24, h: 110, vy: 2, minY: 20, maxY: 470 },
+        { x: 536, y: 430, w: 24, h: 110, vy: -2, minY: 20, maxY: 470 }
+      ]
+    },
+    'twin': { name: 'Twin Balls', balls: 2, obstacles: [] },
+    'mayhem': {
+      name: 'Mayhem', balls: 2,
+      obstacles: [{ x: 384, y: 110, w: 32, h: 100 }, { x: 384, y: 390, w: 32, h: 100 }]
+    }
+  };
+  var DEFAULT_ARENA = 'open';
+
+  // Full preset { id, ... } for a preset id or a stored object. An object's
+  // own values win over its preset's, so a ruleset or arena stored with a
+  // Match or Replay plays back as it was. Unknown ids get the default.
+  function resolvePreset(presets, defaultId, value) {
+    var id = typeof value === 'string' ? value : (value && value.id);
+    if (!presets[id]) id = defaultId;
+    var preset = presets[id];
+    var resolved = { id: id };
+    for (var key in preset) {
+      var own = value && typeof value === 'object' ? value[key] : undefined;
+      resolved[key] = own != null ? own : preset[key];
+    }
+    return resolved;
+  }
+
+  // Full ruleset { id, name, winScore, ... }; unknown ids get Classic
+  function resolveRuleset(ruleset) {
+    return resolvePreset(RULESETS, DEFAULT_RULESET, ruleset);
+  }
+
+  // Full arena { id, name, balls, obstacles }; unknown ids get Open Court
+  function resolveArena(arena) {
+    var resolved = resolvePreset(ARENAS, DEFAULT_ARENA, arena);
+    resolved.obstacles = resolved.obstacles.map(copyObstacle);
+    return resolved;
+  }
+
+  function copyObstacle(o) {
+    return { x: o.x, y: o.y, w: o.w, h: o.h, vy: o.vy || 0, minY: o.minY || 0, maxY: o.maxY || 0 };
+  }
+
+  var CLASSIC = resolveRuleset(DEFAULT_RULESET);
+  var OPEN_COURT = resolveArena(DEFAULT_ARENA);
+
+  // =============================================
+  // POWER-UPS — arcade mode (rules.powerUps)
+  // =============================================
+  // A power-up sits on the field until a ball passes over it. The player the
+  // ball is moving away from (who last hit it) collects it. Which power-up
+  // spawns and where is chosen by the caller, like the launch angle.
+  var POWERUP_TYPES = ['grow', 'shrink', 'multiball', 'speed', 'shield', 'curve'];
+  var POWERUP_SIZE = 28;
+  var POWERUP_MAX = 2;          // on the field at once
+  var EFFECT_TICKS = 600;       // grow, shrink and shield last 10 seconds
+  var GROW_FACTOR = 1.5;
+  var SHRINK_FACTOR = 0.6;
+  var SPEED_BURST = 1.6;
+  var CURVE_ACCEL = 0.18;       // vy added per tick by a curve shot
+  var MAX_EXTRA_BALLS = 2;
+
+  function createEffects() {
+    return { grow: 0, shrink: 0, shield: 0, curve: 0 };
+  }
+
+  // Effects are per side: both paddles of a 2v2 team share them
+  function effectsOf(state, playerIndex) {
+    return state.effects ? state.effects[paddleSide(playerIndex) === 1 ? 'p1' : 'p2'] : null;
+  }
+
+  // Paddle height for a player, after grow / shrink
+  function paddleHeight(state, playerIndex) {
+    var h = (state.rules || CLASSIC).paddleH;
+    var fx = effectsOf(state, playerIndex);
+    if (fx) {
+      if (fx.grow > 0) h *= GROW_FACTOR;
+      if (fx.shrink > 0) h *= SHRINK_FACTOR;
+    }
+    return h;
+  }
+
+  // Keep every paddle in its range after their heights change
+  function clampPaddles(state) {
+    var indices = paddleIndices(state);
+    for (var i = 0; i < indices.length; i++) {
+      var paddle = paddleAt(state, indices[i]);
+      paddle.y = Math.min(paddle.y, paddleRange(state, indices[i])[1]);
+    }
+  }
+
+  // =============================================
+  // PADDLES — 1 and 2, plus 3 and 4 in a 2v2
+  // =============================================
+  // Side (1 left, 2 right) a paddle plays on
+  function paddleSide(playerIndex) {
+    return playerIndex % 2 === 1 ? 1 : 2;
+  }
+
+  function paddleIndices(state) {
+    return state.teams ? [1, 2, 3, 4] : [1, 2];
+  }
+
+  function paddleAt(state, playerIndex) {
+    return state['paddle' + playerIndex];
+  }
+
+  // [min, max] of a paddle's top edge: the whole field, or in a 2v2 the
+  // top half for paddles 1 and 2 and the bottom half for 3 and 4
+  function paddleRange(state, playerIndex) {
+    var h = paddleHeight(state, playerIndex);
+    if (!state.teams) return [0, CANVAS_H - h];
+    return playerIndex > 2 ? [CANVAS_H / 2, CANVAS_H - h] : [0, CANVAS_H / 2 - h];
+  }
+
   // =============================================
   // STATE FACTORY
   // =============================================
-  function createState() {
-    return {
+  // ruleset / arena: preset id or object; omitted means Classic / Open Court.
+  // teams: true for a 2v2 (four paddles, see PADDLES)
+  function createState(ruleset, arena, teams) {
+    var rules = resolveRuleset(ruleset);
+    var field = resolveArena(arena);
+    var state = {
+      rules: rules,
+      arena: field,
       ball: {
         x: CANVAS_W / 2 - BALL_SIZE / 2,
         y: CANVAS_H / 2 - BALL_SIZE / 2,
         vx: 0,
         vy: 0
       },
-      paddle1: { y: CANVAS_H / 2 - PADDLE_H / 2 },
-      paddle2: { y: CANVAS_H / 2 - PADDLE_H / 2 },
+      paddle1: { y: CANVAS_H / 2 - rules.paddleH / 2 },
+      paddle2: { y: CANVAS_H / 2 - rules.paddleH / 2 },
       score: { p1: 0, p2: 0 },
       status: 'playing',
       winner: null,
@@ -55,35 +233,60 @@
       pauseTicks: 0,
       sound: null
     };
+    if (teams) {
+      state.teams = true;
+      state.paddle1.y = state.paddle2.y = CANVAS_H / 4 - rules.paddleH / 2;
+      state.paddle3 = { y: CANVAS_H * 3 / 4 - rules.paddleH / 2 };
+      state.paddle4 = { y: CANVAS_H * 3 / 4 - rules.paddleH / 2 };
+    }
+    if (field.obstacles.length) state.obstacles = field.obstacles.map(copyObstacle);
+    if (rules.powerUps || field.balls > 1) {
+      state.extraBalls = [];    // arena balls and multi-ball copies: { x, y, vx, vy, curve }
+    }
+    if (rules.powerUps) {
+      state.ball.curve = 0;
+      state.powerUps = [];      // [{ type, x, y }]
+      state.effects = { p1: createEffects(), p2: createEffects() };
+    }
+    return state;
   }
 
   // =============================================
   // INPUT
   // =============================================
-  // playerIndex: 1 or 2
+  // playerIndex: 1 or 2 (3 or 4 in a 2v2)
   // direction: 'up', 'down', or 'stop'
   function applyInput(state, playerIndex, direction) {
-    var paddle = playerIndex === 1 ? state.paddle1 : state.paddle2;
+    var paddle = paddleAt(state, playerIndex);
+    var range = paddleRange(state, playerIndex);
     if (direction === 'up') {
-      paddle.y = Math.max(0, paddle.y - PADDLE_SPEED);
+      paddle.y = Math.max(range[0], paddle.y - PADDLE_SPEED);
     } else if (direction === 'down') {
-      paddle.y = Math.min(CANVAS_H - PADDLE_H, paddle.y + PADDLE_SPEED);
+      paddle.y = Math.min(range[1], paddle.y + PADDLE_SPEED);
     }
   }
 
   // =============================================
   // BALL STEP — Sub-step swept collision
   // =============================================
-  // Returns { scored: null | 1 | 2, sound: null | 'wall' | 'paddle' | 'score' }
+  // Returns { scored: null | 1 | 2, sound: null | 'wall' | 'paddle' | 'score',
+  //           hit: null | paddle index that returned the ball }
   // paddleBuffer: extra pixels added top/bottom of paddle hitbox to compensate
   //               for network latency (server passes ~12, client passes 0)
+  // state.rules (from createState) sets paddle height and ball speed-up;
+  // a state without rules plays Classic.
   function stepBall(state, paddleBuffer) {
-    var ball = state.ball;
-    var paddle1 = state.paddle1;
-    var paddle2 = state.paddle2;
-    var result = { scored: null, sound: null };
+    return moveBall(state, state.ball, paddleBuffer);
+  }
+
+  // stepBall for any ball on the field (arcade mode has extra balls)
+  function moveBall(state, ball, paddleBuffer) {
+    var result = { scored: null, sound: null, hit: null };
     var buf = paddleBuffer || 0;
 
+    // A curve shot bends the ball's path a little every tick
+    if (ball.curve) ball.vy += ball.curve;
+
     // Number of sub-steps: use BALL_SIZE/2 as divisor for finer granularity
     var speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
     var steps = Math.max(1, Math.ceil(speed / (BALL_SIZE / 2)));
@@ -110,85 +313,39 @@
         result.sound = 'wall';
       }
 
-      // Effective paddle Y ranges (with latency buffer)
-      var p1Top = paddle1.y - buf;
-      var p1Bot = paddle1.y + PADDLE_H + buf;
-      var p2Top = paddle2.y - buf;
-      var p2Bot = paddle2.y + PADDLE_H + buf;
-
-      // --- Left paddle collision (player 1) ---
-      if (ball.vx < 0) {
-        // Swept test: ball left edge crossed paddle right edge this sub-step
-        if (oldX >= P1_RIGHT && ball.x < P1_RIGHT) {
-          var t = (oldX - P1_RIGHT) / (oldX - ball.x);
-          var hitY = oldY + (ball.y - oldY) * t;
-          if (hitY + BALL_SIZE >= p1Top && hitY <= p1Bot) {
-            var spd = Math.min(Math.abs(ball.vx) + BALL_SPEED_INCREMENT, BALL_MAX_SPEED);
-            ball.vx = spd;
-            ball.x = P1_RIGHT;
-            ball.y = hitY;
-            var hitPos = (ball.y + BALL_SIZE / 2 - paddle1.y) / PADDLE_H;
-            hitPos = Math.max(0, Math.min(1, hitPos));
-            ball.vy = (hitPos - 0.5) * spd * 1.5;
-            result.sound = 'paddle';
-            break;
-          }
-        }
-        // Overlap fallback
-        if (ball.x < P1_RIGHT && ball.x + BALL_SIZE > P1_X &&
-            ball.y + BALL_SIZE > p1Top && ball.y < p1Bot) {
-          var spd2 = Math.min(Math.abs(ball.vx) + BALL_SPEED_INCREMENT, BALL_MAX_SPEED);
-          ball.vx = spd2;
-          ball.x = P1_RIGHT;
-          var hitPos2 = (ball.y + BALL_SIZE / 2 - paddle1.y) / PADDLE_H;
-          hitPos2 = Math.max(0, Math.min(1, hitPos2));
-          ball.vy = (hitPos2 - 0.5) * spd2 * 1.5;
-          result.sound = 'paddle';
-          break;
-        }
+      // --- Arena obstacles ---
+      if (state.obstacles && hitObstacle(state.obstacles, ball, oldX, oldY)) {
+        result.sound = 'wall';
+        break;
       }
 
-      // --- Right paddle collision (player 2) ---
-      if (ball.vx > 0) {
-        var oldRight = oldX + BALL_SIZE;
-        var newRight = ball.x + BALL_SIZE;
-        // Swept test: ball right edge crossed paddle left edge this sub-step
-        if (oldRight <= P2_LEFT && newRight > P2_LEFT) {
-          var t2 = (P2_LEFT - oldRight) / (newRight - oldRight);
-          var hitY2 = oldY + (ball.y - oldY) * t2;
-          if (hitY2 + BALL_SIZE >= p2Top && hitY2 <= p2Bot) {
-            var spd3 = Math.min(Math.abs(ball.vx) + BALL_SPEED_INCREMENT, BALL_MAX_SPEED);
-            ball.vx = -spd3;
-            ball.x = P2_LEFT - BALL_SIZE;
-            ball.y = hitY2;
-            var hitPos3 = (ball.y + BALL_SIZE / 2 - paddle2.y) / PADDLE_H;
-            hitPos3 = Math.max(0, Math.min(1, hitPos3));
-            ball.vy = (hitPos3 - 0.5) * spd3 * 1.5;
-            result.sound = 'paddle';
-            break;
-          }
-        }
-        // Overlap fallback
-        if (ball.x + BALL_SIZE > P2_LEFT && ball.x < P2_RIGHT &&
-            ball.y + BALL_SIZE > p2Top && ball.y < p2Bot) {
-          var spd4 = Math.min(Math.abs(ball.vx) + BALL_SPEED_INCREMENT, BALL_MAX_SPEED);
-          ball.vx = -spd4;
-          ball.x = P2_LEFT - BALL_SIZE;
-          var hitPos4 = (ball.y + BALL_SIZE / 2 - paddle2.y) / PADDLE_H;
-          hitPos4 = Math.max(0, Math.min(1, hitPos4));
-          ball.vy = (hitPos4 - 0.5) * spd4 * 1.5;
-          result.sound = 'paddle';
-          break;
-        }
+      // --- Paddle collision (the side the ball is heading for) ---
+      var hit = ball.vx !== 0 ? hitPaddles(state, ball, ball.vx < 0 ? 1 : 2, oldX, oldY, buf) : 0;
+      if (hit) {
+        result.sound = 'paddle';
+        result.hit = hit;
+        break;
       }
 
-      // --- Scoring ---
+      // --- Scoring (a shield turns the ball back once) ---
       if (ball.x + BALL_SIZE < 0) {
+        if (useShield(state, 1)) {
+          ball.x = 0;
+          ball.vx = Math.abs(ball.vx);
+          result.sound = 'shield';
+          break;
+        }
         result.scored = 2; // player 2 scores
         result.sound = 'score';
         return result;
       }
       if (ball.x > CANVAS_W) {
+        if (useShield(state, 2)) {
+          ball.x = CANVAS_W - BALL_SIZE;
+          ball.vx = -Math.abs(ball.vx);
+          result.sound = 'shield';
+          break;
+        }
         result.scored = 1; // player 1 scores
         result.sound = 'score';
         return result;
@@ -198,12 +355,256 @@
     return result;
   }
 
+  // Bounce the ball off the first paddle on `side` it reaches this sub-step;
+  // returns that paddle's index, or 0
+  function hitPaddles(state, ball, side, oldX, oldY, buf) {
+    var indices = paddleIndices(state);
+    for (var i = 0; i < indices.length; i++) {
+      if (paddleSide(indices[i]) === side && hitPaddle(state, ball, indices[i], oldX, oldY, buf)) return indices[i];
+    }
+    return 0;
+  }
+
+  function hitPaddle(state, ball, playerIndex, oldX, oldY, buf) {
+    var paddle = paddleAt(state, playerIndex);
+    // Effective paddle Y range (with latency buffer)
+    var top = paddle.y - buf;
+    var bot = paddle.y + paddleHeight(state, playerIndex) + buf;
+    var hitY;
+
+    if (paddleSide(playerIndex) === 1) {
+      // Swept test: ball left edge crossed paddle right edge this sub-step
+      if (oldX >= P1_RIGHT && ball.x < P1_RIGHT) {
+        var t = (oldX - P1_RIGHT) / (oldX - ball.x);
+        hitY = oldY + (ball.y - oldY) * t;
+        if (hitY + BALL_SIZE >= top && hitY <= bot) {
+          ball.y = hitY;
+          bounceOffPaddle(state, ball, playerIndex);
+          return true;
+        }
+      }
+      // Overlap fallback
+      if (ball.x < P1_RIGHT && ball.x + BALL_SIZE > P1_X &&
+          ball.y + BALL_SIZE > top && ball.y < bot) {
+        bounceOffPaddle(state, ball, playerIndex);
+        return true;
+      }
+      return false;
+    }
+
+    var oldRight = oldX + BALL_SIZE;
+    var newRight = ball.x + BALL_SIZE;
+    // Swept test: ball right edge crossed paddle left edge this sub-step
+    if (oldRight <= P2_LEFT && newRight > P2_LEFT) {
+      var t2 = (P2_LEFT - oldRight) / (newRight - oldRight);
+      hitY = oldY + (ball.y - oldY) * t2;
+      if (hitY + BALL_SIZE >= top && hitY <= bot) {
+        ball.y = hitY;
+        bounceOffPaddle(state, ball, playerIndex);
+        return true;
+      }
+    }
+    // Overlap fallback
+    if (ball.x + BALL_SIZE > P2_LEFT && ball.x < P2_RIGHT &&
+        ball.y + BALL_SIZE > top && ball.y < bot) {
+      bounceOffPaddle(state, ball, playerIndex);
+      return true;
+    }
+    return false;
+  }
+
+  // Speed up and send the ball back; where it met the paddle sets the angle
+  function bounceOffPaddle(state, ball, playerIndex) {
+    var rules = state.rules || CLASSIC;
+    var left = paddleSide(playerIndex) === 1;
+    var spd = Math.min(Math.abs(ball.vx) + rules.ballSpeedIncrement, rules.ballMaxSpeed);
+    ball.vx = left ? spd : -spd;
+    ball.x = left ? P1_RIGHT : P2_LEFT - BALL_SIZE;
+    var hitPos = (ball.y + BALL_SIZE / 2 - paddleAt(state, playerIndex).y) / paddleHeight(state, playerIndex);
+    hitPos = Math.max(0, Math.min(1, hitPos));
+    ball.vy = (hitPos - 0.5) * spd * 1.5;
+    paddleHit(state, ball, playerIndex);
+  }
+
+  // A paddle hit straightens any curve; a stored curve shot bends the return
+  function paddleHit(state, ball, playerIndex) {
+    if (!state.effects) return;
+    ball.curve = 0;
+    var fx = effectsOf(state, playerIndex);
+    if (fx.curve > 0) {
+      fx.curve--;
+      ball.curve = CURVE_ACCEL * (ball.vy >= 0 ? -1 : 1);
+    }
+  }
+
+  function useShield(state, playerIndex) {
+    var fx = effectsOf(state, playerIndex);
+    if (!fx || fx.shield <= 0) return false;
+    fx.shield = 0;
+    return true;
+  }
+
+  // Bounce a ball off the first obstacle it overlaps, back out the side it
+  // came through (checked per sub-step, like the paddles). A ball that was
+  // already inside — a sliding obstacle ran into it — is pushed out to the
+  // nearer of top and bottom.
+  function hitObstacle(obstacles, ball, oldX, oldY) {
+    for (var i = 0; i < obstacles.length; i++) {
+      var o = obstacles[i];
+      if (ball.x + BALL_SIZE <= o.x || ball.x >= o.x + o.w ||
+          ball.y + BALL_SIZE <= o.y || ball.y >= o.y + o.h) continue;
+      if (oldX + BALL_SIZE <= o.x) {
+        ball.x = o.x - BALL_SIZE;
+        ball.vx = -Math.abs(ball.vx);
+      } else if (oldX >= o.x + o.w) {
+        ball.x = o.x + o.w;
+        ball.vx = Math.abs(ball.vx);
+      } else if (oldY + BALL_SIZE / 2 < o.y + o.h / 2) {
+        ball.y = o.y - BALL_SIZE;
+        ball.vy = -Math.abs(ball.vy);
+      } else {
+        ball.y = o.y + o.h;
+        ball.vy = Math.abs(ball.vy);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  function moveObstacles(state) {
+    for (var i = 0; i < state.obstacles.length; i++) {
+      var o = state.obstacles[i];
+      if (!o.vy) continue;
+      o.y += o.vy;
+      if (o.y <= o.minY) {
+        o.y = o.minY;
+        o.vy = Math.abs(o.vy);
+      } else if (o.y >= o.maxY) {
+        o.y = o.maxY;
+        o.vy = -Math.abs(o.vy);
+      }
+    }
+  }
+
+  // =============================================
+  // FIELD STEP — stepBall plus arenas and arcade mode
+  // =============================================
+  // Slides obstacles, counts effects down, moves every ball and hands out
+  // power-ups the balls pass over. Returns stepBall's { scored, sound, hit }
+  // for the main ball plus
+  //   bonus:     [1 | 2]  points scored by extra balls (which leave the field)
+  //   hits:      [paddle index]  every paddle hit this tick, any ball
+  //   collected: [{ type, player }]
+  // On a Classic / Open Court state it is stepBall with empty lists.
+  function stepField(state, paddleBuffer) {
+    if (state.effects) tickEffects(state);
+    if (state.obstacles) moveObstacles(state);
+
+    var result = moveBall(state, state.ball, paddleBuffer);
+    result.bonus = [];
+    result.hits = result.hit ? [result.hit] : [];
+    result.collected = [];
+    if (!state.extraBalls) return result;
+
+    var extras = state.extraBalls;
+    state.extraBalls = [];
+    for (var i = 0; i < extras.length; i++) {
+      var moved = moveBall(state, extras[i], paddleBuffer);
+      if (moved.hit) result.hits.push(moved.hit);
+      if (moved.scored) {
+        result.bonus.push(moved.scored);
+        result.sound = 'score';
+        continue;
+      }
+      if (moved.sound && !result.sound) result.sound = moved.sound;
+      state.extraBalls.push(extras[i]);
+    }
+
+    if (!state.powerUps) return result;
+    if (!result.scored) collectPowerUp(state, state.ball, result);
+    var survivors = state.extraBalls.slice();
+    for (var j = 0; j < survivors.length; j++) collectPowerUp(state, survivors[j], result);
+    return result;
+  }
+
+  function tickEffects(state) {
+    var resized = false;
+    for (var p = 1; p <= 2; p++) {
+      var fx = effectsOf(state, p);
+      if (fx.grow > 0 && --fx.grow === 0) resized = true;
+      if (fx.shrink > 0 && --fx.shrink === 0) resized = true;
+      if (fx.shield > 0) fx.shield--;
+    }
+    if (resized) clampPaddles(state);
+  }
+
+  // At most one power-up per ball per tick
+  function collectPowerUp(state, ball, result) {
+    for (var i = 0; i < state.powerUps.length; i++) {
+      var p = state.powerUps[i];
+      if (ball.x < p.x + POWERUP_SIZE && ball.x + BALL_SIZE > p.x &&
+          ball.y < p.y + POWERUP_SIZE && ball.y + BALL_SIZE > p.y) {
+        state.powerUps.splice(i, 1);
+        var player = ball.vx > 0 ? 1 : 2;
+        applyPowerUp(state, p.type, player, ball);
+        result.collected.push({ type: p.type, player: player });
+        result.sound = 'powerup';
+        return;
+      }
+    }
+  }
+
+  function applyPowerUp(state, type, player, ball) {
+    var mine = effectsOf(state, player);
+    var theirs = effectsOf(state, player === 1 ? 2 : 1);
+    if (type === 'grow') {
+      mine.grow = EFFECT_TICKS;
+      clampPaddles(state);
+    } else if (type === 'shrink') {
+      theirs.shrink = EFFECT_TICKS;
+    } else if (type === 'multiball') {
+      if (state.extraBalls.length < MAX_EXTRA_BALLS) {
+        state.extraBalls.push({
+          x: ball.x, y: ball.y, vx: ball.vx,
+          vy: ball.vy !== 0 ? -ball.vy : Math.abs(ball.vx) / 2,
+          curve: 0
+        });
+      }
+    } else if (type === 'speed') {
+      ball.vx *= SPEED_BURST;
+      ball.vy *= SPEED_BURST;
+    } else if (type === 'shield') {
+      mine.shield = EFFECT_TICKS;
+    } else if (type === 'curve') {
+      mine.curve = 1;
+    }
+  }
+
+  // Place a power-up (type from POWERUP_TYPES, top-left x/y); the caller
+  // picks all three. Ignored when the field already holds POWERUP_MAX.
+  function spawnPowerUp(state, type, x, y) {
+    if (!state.powerUps || state.powerUps.length >= POWERUP_MAX) return false;
+    state.powerUps.push({ type: type, x: x, y: y });
+    return true;
+  }
+
   // =============================================
   // BALL LAUNCH — caller injects angle + direction
   // =============================================
+  // An arena's other balls are served from the centre too, mirrored
   function launchBall(state, angle, direction) {
-    state.ball.vx = Math.cos(angle) * BALL_SPEED_INITIAL * direction;
-    state.ball.vy = Math.sin(angle) * BALL_SPEED_INITIAL;
+    var speed = (state.rules || CLASSIC).ballSpeedInitial;
+    state.ball.vx = Math.cos(angle) * speed * direction;
+    state.ball.vy = Math.sin(angle) * speed;
+    var balls = (state.arena || OPEN_COURT).balls;
+    for (var i = 1; i < balls; i++) {
+      state.extraBalls.push({
+        x: state.ball.x, y: state.ball.y,
+        vx: i % 2 ? -state.ball.vx : state.ball.vx,
+        vy: -state.ball.vy,
+        curve: 0
+      });
+    }
   }
 
   // =============================================
@@ -216,6 +617,8 @@
     state.ball.vy = 0;
     state.pauseTicks = SCORE_PAUSE_TICKS;
     state.paused = true;
+    if (state.extraBalls) state.extraBalls = [];
+    if (state.effects) state.ball.curve = 0;
   }
 
   // =============================================
@@ -236,7 +639,9 @@
   // CLONE STATE — deep copy for snapshots
   // =============================================
   function cloneState(state) {
-    return {
+    var clone = {
+      rules: state.rules,
+      arena: state.arena,
       ball: { x: state.ball.x, y: state.ball.y, vx: state.ball.vx, vy: state.ball.vy },
       paddle1: { y: state.paddle1.y },
       paddle2: { y: state.paddle2.y },
@@ -247,14 +652,39 @@
       pauseTicks: state.pauseTicks,
       sound: state.sound
     };
+    copyField(state, clone);
+    return clone;
+  }
+
+  function copyBall(ball) {
+    return { x: ball.x, y: ball.y, vx: ball.vx, vy: ball.vy, curve: ball.curve };
+  }
+
+  // 2v2 paddles and arena / arcade fields, added only to states that have them
+  function copyField(state, into) {
+    if (state.teams) {
+      into.teams = true;
+      into.paddle3 = { y: state.paddle3.y };
+      into.paddle4 = { y: state.paddle4.y };
+    }
+    if (state.obstacles) into.obstacles = state.obstacles.map(copyObstacle);
+    if (state.extraBalls) into.extraBalls = state.extraBalls.map(copyBall);
+    if (!state.powerUps) return;
+    into.ball.curve = state.ball.curve;
+    into.powerUps = state.powerUps.map(function (p) { return { type: p.type, x: p.x, y: p.y }; });
+    into.effects = {
+      p1: { grow: state.effects.p1.grow, shrink: state.effects.p1.shrink, shield: state.effects.p1.shield, curve: state.effects.p1.curve },
+      p2: { grow: state.effects.p2.grow, shrink: state.effects.p2.shrink, shield: state.effects.p2.shield, curve: state.effects.p2.curve }
+    };
   }
 
   // =============================================
   // SERIALIZE STATE — network-ready shape
   // =============================================
-  // Strips internal fields (pauseTicks) for network transmission
+  // Strips internal fields (pauseTicks, rules, arena) for network
+  // transmission; the ruleset and arena are sent once with 'game-start'
   function serializeState(state) {
-    return {
+    var out = {
       ball: { x: state.ball.x, y: state.ball.y, vx: state.ball.vx, vy: state.ball.vy },
       paddle1: { y: state.paddle1.y },
       paddle2: { y: state.paddle2.y },
@@ -264,6 +694,8 @@
       paused: state.paused,
       sound: state.sound
     };
+    copyField(state, out);
+    return out;
   }
 
   // =============================================
@@ -286,11 +718,28 @@
     P1_RIGHT: P1_RIGHT,
     P2_LEFT: P2_LEFT,
     P2_RIGHT: P2_RIGHT,
+    RULESETS: RULESETS,
+    DEFAULT_RULESET: DEFAULT_RULESET,
+    ARENAS: ARENAS,
+    DEFAULT_ARENA: DEFAULT_ARENA,
+    POWERUP_TYPES: POWERUP_TYPES,
+    POWERUP_SIZE: POWERUP_SIZE,
+    POWERUP_MAX: POWERUP_MAX,
+    EFFECT_TICKS: EFFECT_TICKS,
 
     // Functions
+    resolveRuleset: resolveRuleset,
+    resolveArena: resolveArena,
     createState: createState,
     applyInput: applyInput,
     stepBall: stepBall,
+    stepField: stepField,
+    spawnPowerUp: spawnPowerUp,
+    paddleHeight: paddleHeight,
+    paddleSide: paddleSide,
+    paddleIndices: paddleIndices,
+    paddleAt: paddleAt,
+    paddleRange: paddleRange,
     launchBall: launchBall,
     resetBallAfterScore: resetBallAfterScore,
     tickPause: tickPause,
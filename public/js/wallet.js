@@ -7,6 +7,8 @@ const WalletManager = (() => {
   let provider = null;
   let publicKey = null;
   let connected = false;
+  // 'mock' when the server runs the in-memory ledger (SOLANA_LEDGER=mock)
+  let ledgerMode = 'rpc';
 
   function getProvider() {
     if (window.phantom?.solana?.isPhantom) {
@@ -81,6 +83,19 @@ const WalletManager = (() => {
     const transaction = window.solanaWeb3.Transaction.from(txBytes);
     console.log('Transaction deserialized, instructions:', transaction.instructions.length);
 
+    // Mock ledger: sign only, and submit to the server instead of the network
+    if (ledgerMode === 'mock') {
+      const signed = await provider.signTransaction(transaction);
+      const raw = signed.serialize();
+      const res = await fetch('/api/dev/ledger/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ transaction: btoa(String.fromCharCode(...raw)) }),
+      }).then(r => r.json());
+      if (res.error) throw new Error(res.error);
+      return res.signature;
+    }
+
     // Phantom needs a real Transaction object for signAndSendTransaction
     const result = await provider.signAndSendTransaction(transaction);
     console.log('Phantom result:', JSON.stringify(result));
@@ -121,10 +136,11 @@ const WalletManager = (() => {
   }
 
   function getWallet() { return publicKey; }
+  function setLedgerMode(mode) { ledgerMode = mode === 'mock' ? 'mock' : 'rpc'; }
 
   return {
     connect, disconnect, reconnectIfTrusted, signAuthMessage,
-    signAndSendTransaction,
+    signAndSendTransaction, setLedgerMode,
     getPublicKey, isConnected, getAuthHeader, getWallet,
   };
 })();
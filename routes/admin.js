@@ -303,6 +303,7 @@ router.get('/all-skins', adminAuth, async (req, res) => {
 // ===========================================
 
 const { getConfig, setConfig } = require('../models/ServerConfig');
+const { PAYOUT_TIERS, getAllHoldSeconds, setHoldSeconds } = require('../game/payouts');
 
 // ===========================================
 // Server Config (Maintenance Mode)
@@ -313,7 +314,8 @@ router.get('/server-config', adminAuth, async (req, res) => {
   try {
     const maintenanceMode = (await getConfig('maintenanceMode')) === 'true';
     const allowedWallets = (await getConfig('allowedWallets')) || '';
-    res.json({ maintenanceMode, allowedWallets });
+    const payoutHolds = await getAllHoldSeconds();
+    res.json({ maintenanceMode, allowedWallets, payoutHolds });
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch server config' });
   }
@@ -322,13 +324,19 @@ router.get('/server-config', adminAuth, async (req, res) => {
 // PUT /api/admin/server-config — toggle maintenance mode, update allowed wallets
 router.put('/server-config', adminAuth, async (req, res) => {
   try {
-    const { maintenanceMode, allowedWallets } = req.body;
+    const { maintenanceMode, allowedWallets, payoutHolds } = req.body;
     if (maintenanceMode !== undefined) {
       await setConfig('maintenanceMode', String(!!maintenanceMode));
     }
     if (allowedWallets !== undefined) {
       await setConfig('allowedWallets', String(allowedWallets));
     }
+    if (payoutHolds && typeof payoutHolds === 'object') {
+      // { tier: seconds } — dispute window before a staked pot is paid out
+      for (const [tier, seconds] of Object.entries(payoutHolds)) {
+        if (PAYOUT_TIERS.includes(tier)) await setHoldSeconds(tier, seconds);
+      }
+    }
     res.json({ status: 'ok' });
   } catch (err) {
     res.status(500).json({ error: 'Failed to update server config' });
@@ -506,4 +514,267 @@ router.post('/seasons/:id/end', adminAuth, async (req, res) => {
   }
 });
 
+// ===========================================
+// Anti-Cheat Review (flagged matches)
+// ===========================================
+
+const Payout = require('../models/Payout');
+const { releasePayout, refundPayout, holdPayout } = require('../game/payouts');
+
+// GET /api/admin/flagged?payout=held — list flagged matches, most suspicious first
+router.get('/flagged', adminAuth, async (req, res) => {
+  try {
+    const query = { flagged: true };
+    if (req.query.payout) query.payoutStatus = req.query.payout;
+    const matches = await Match.find(query)
+      .sort({ 'suspicion.score': -1, completedAt: -1 })
+      .limit(100)
+      .select('gameId player1 player2 player1Username player2Username winner score tier stakeAmount tournamentId suspicion.score payoutStatus review completedAt')
+      .lean();
+    res.json({ matches });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch flagged matches' });
+  }
+});
+
+// GET /api/admin/flagged/:gameId — full evidence for one match
+router.get('/flagged/:gameId', adminAuth, async (req, res) => {
+  try {
+    const [match, payout] = await Promise.all([
+      Match.findOne({ gameId: req.params.gameId }).lean(),
+      Payout.findOne({ gameId: req.params.gameId }).lean(),
+    ]);
+    if (!match) return res.status(404).json({ error: 'Match not found' });
+    res.json({ match, payout, replayUrl: `/replay/${encodeURIComponent(match.gameId)}` });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch match' });
+  }
+});
+
+// POST /api/admin/flagged/:gameId/hold — confirm the hold (pot stays in the treasury)
+router.post('/flagged/:gameId/hold', adminAuth, async (req, res) => {
+  try {
+    const note = String(req.body.note || '');
+    const payout = await holdPayout(req.params.gameId, note || 'Held by admin review');
+    if (!payout) return res.status(409).json({ error: 'Match not found or payout already sent' });
+    const match = await Match.findOneAndUpdate(
+      { gameId: req.params.gameId },
+      { $set: { review: { action: 'hold', note, reviewedAt: new Date() } } },
+      { new: true }
+    );
+    res.json({ match, payout });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to hold payout' });
+  }
+});
+
+// POST /api/admin/flagged/:gameId/release — clear the match and pay the winner
+router.post('/flagged/:gameId/release', adminAuth, async (req, res) => {
+  const note = String(req.body.note || '');
+  try {
+    const result = await releasePayout(req.params.gameId, { by: 'admin', note });
+    const match = await Match.findOneAndUpdate(
+      { gameId: req.params.gameId },
+      { $set: { review: { action: 'release', note, reviewedAt: new Date() } } },
+      { new: true }
+    );
+    const { job } = result;
+    res.json({
+      match,
+      jobStatus: job.status,
+      payoutTx: job.signature || null,
+      winnerShare: job.shares ? job.shares.winnerShare : 0,
+    });
+  } catch (err) {
+    console.error('Release payout failed:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Payout failed: ' + err.message });
+  }
+});
+
+// ===========================================
+// Payout Holds & Disputes
+// ===========================================
+
+// GET /api/admin/payouts?status=disputed — payouts awaiting a decision (default: disputed + failed)
+router.get('/payouts', adminAuth, async (req, res) => {
+  try {
+    const status = req.query.status ? [req.query.status] : ['disputed', 'failed'];
+    const payouts = await Payout.find({ status: { $in: status } })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ payouts });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// POST /api/admin/payouts/:gameId/release — pay the pot to the winner
+router.post('/payouts/:gameId/release', adminAuth, async (req, res) => {
+  try {
+    const result = await releasePayout(req.params.gameId, { by: 'admin', note: String(req.body.note || '') });
+    res.json({ payout: result.payout, jobStatus: result.job.status });
+  } catch (err) {
+    console.error('Admin payout release failed:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Payout failed: ' + err.message });
+  }
+});
+
+// POST /api/admin/payouts/:gameId/refund — void the result and refund both stakes
+router.post('/payouts/:gameId/refund', adminAuth, async (req, res) => {
+  try {
+    const result = await refundPayout(req.params.gameId, { note: String(req.body.note || '') });
+    res.json({ payout: result.payout, jobStatuses: result.jobs.map(j => j.status) });
+  } catch (err) {
+    console.error('Admin payout refund failed:', err.message);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Refund failed: ' + err.message });
+  }
+});
+
+// ===========================================
+// Payout Jobs (on-chain transfer queue)
+// ===========================================
+
+const PayoutJob = require('../models/PayoutJob');
+const { retryJob, resolveJobManually } = require('../game/payoutJobs');
+
+// GET /api/admin/payout-jobs?status=failed — stuck transfers (default: failed + retrying)
+router.get('/payout-jobs', adminAuth, async (req, res) => {
+  try {
+    const query = req.query.status
+      ? { status: req.query.status }
+      : { $or: [{ status: 'failed' }, { status: { $in: ['queued', 'sending'] }, attempts: { $gt: 0 } }] };
+    const jobs = await PayoutJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+    res.json({ jobs });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch payout jobs' });
+  }
+});
+
+// POST /api/admin/payout-jobs/:key/retry — give a failed job a fresh set of attempts
+router.post('/payout-jobs/:key/retry', adminAuth, async (req, res) => {
+  try {
+    const job = await retryJob(req.params.key);
+    if (!job) return res.status(409).json({ error: 'Only failed jobs can be retried' });
+    res.json({ job });
+  } catch (err) {
+    console.error('Payout job retry failed:', err.message);
+    res.status(500).json({ error: 'Retry failed: ' + err.message });
+  }
+});
+
+// POST /api/admin/payout-jobs/:key/resolve — record a transfer support sent by hand { signature, note }
+router.post('/payout-jobs/:key/resolve', adminAuth, async (req, res) => {
+  const signature = String(req.body.signature || '').trim();
+  if (!signature) return res.status(400).json({ error: 'Transaction signature required' });
+  try {
+    const job = await resolveJobManually(req.params.key, signature, String(req.body.note || ''));
+    res.json({ job });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ===========================================
+// Scheduled Tournaments
+// ===========================================
+
+const { scheduleTournament, cancelScheduled, upcoming, ScheduleError } = require('../game/scheduledTournaments');
+
+// GET /api/admin/tournaments — upcoming scheduled tournaments
+router.get('/tournaments', adminAuth, async (req, res) => {
+  try {
+    res.json({ tournaments: await upcoming() });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch tournaments' });
+  }
+});
+
+// POST /api/admin/tournaments — schedule an event
+// { name, startsAt, registrationOpensAt?, checkInMinutes?, stakeAmount, maxPlayers, bestOf?, format?, prizeSplit?,
+//   prizePool?: { source: 'treasury'|'sponsor', amount, sponsor?, sponsorWallet?, depositTx? }, entryRules? }
+router.post('/tournaments', adminAuth, async (req, res) => {
+  try {
+    const { tournament } = await scheduleTournament(req.body);
+    res.json({ tournament });
+  } catch (err) {
+    if (err instanceof ScheduleError) return res.status(err.status).json({ error: err.message });
+    console.error('Tournament scheduling failed:', err.message);
+    res.status(500).json({ error: 'Failed to schedule tournament' });
+  }
+});
+
+// POST /api/admin/tournaments/:id/cancel — call off an upcoming event, refunding check-ins
+router.post('/tournaments/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    const tournament = await cancelScheduled(req.params.id, { reason: 'Cancelled by an admin' });
+    res.json({ tournament });
+  } catch (err) {
+    if (err instanceof ScheduleError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to cancel tournament' });
+  }
+});
+
+// ===========================================
+// Running Tournaments — Stalled matches and overrides
+// ===========================================
+
+const Tournament = require('../models/Tournament');
+const { requestTournamentOverride } = require('../game/matchmaking');
+
+// GET /api/admin/tournaments/running — in-progress tournaments: current round and decision log
+router.get('/tournaments/running', adminAuth, async (req, res) => {
+  try {
+    const running = await Tournament.find({ status: 'in-progress' })
+      .select('tournamentId name creatorUsername format bestOf bracket currentRound roundDeadlineAt decisions startedAt')
+      .sort({ startedAt: 1 })
+      .lean();
+    res.json({
+      tournaments: running.map(t => ({
+        tournamentId: t.tournamentId,
+        name: t.name || `${t.creatorUsername}'s tournament`,
+        format: t.format,
+        bestOf: t.bestOf,
+        currentRound: t.currentRound,
+        roundDeadlineAt: t.roundDeadlineAt,
+        matches: (t.bracket[t.currentRound] || []).map((m, index) => ({
+          index,
+          player1Wallet: m.player1Wallet,
+          player2Wallet: m.player2Wallet,
+          player1Username: m.player1Username,
+          player2Username: m.player2Username,
+          status: m.status,
+          winner: m.winner,
+          decidedBy: m.decidedBy || null,
+        })),
+        decisions: (t.decisions || []).slice(-20).reverse(),
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch running tournaments' });
+  }
+});
+
+// POST /api/admin/tournaments/:id/matches/:match/advance — { winner, note? } send a player through
+// POST /api/admin/tournaments/:id/matches/:match/replay  — { note? } restart the match from scratch
+// Both act on the current round and are carried out by the server running
+// the tournament, so they answer 202.
+router.post('/tournaments/:id/matches/:match/:action(advance|replay)', adminAuth, async (req, res) => {
+  try {
+    const { status, error } = await requestTournamentOverride(req.params.id, Number(req.params.match), {
+      action: req.params.action,
+      winner: req.body.winner,
+      note: req.body.note,
+    });
+    if (error) return res.status(status).json({ error });
+    res.status(202).json({ ok: true });
+  } catch (err) {
+    console.error('Tournament override failed:', err.message);
+    res.status(500).json({ error: 'Failed to override match' });
+  }
+});
+
 module.exports = router;
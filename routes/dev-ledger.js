@@ -0,0 +1,45 @@
+// ===========================================
+// Dev Ledger Routes — Local development against the mock ledger
+// ===========================================
+// Only mounted when SOLANA_LEDGER=mock. The browser wallet signs escrow and
+// purchase transactions as usual but submits them here instead of to a real
+// RPC node (see WalletManager.signAndSendTransaction).
+
+const express = require('express');
+const router = express.Router();
+const { PublicKey } = require('@solana/web3.js');
+const { getConnection, PONG_DECIMALS } = require('../solana/utils');
+
+const DEFAULT_AIRDROP = 1000000;  // whole $PONG
+
+/**
+ * POST /api/dev/ledger/send
+ * Body: { transaction } — base64 of a fully signed transaction.
+ */
+router.post('/send', async (req, res) => {
+  try {
+    const raw = Buffer.from(String(req.body.transaction || ''), 'base64');
+    const signature = await getConnection().sendRawTransaction(raw);
+    res.json({ signature });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/dev/ledger/airdrop
+ * Body: { wallet, amount? } — amount in whole $PONG (default 1,000,000).
+ */
+router.post('/airdrop', (req, res) => {
+  try {
+    const wallet = new PublicKey(req.body.wallet).toBase58();
+    const amount = Math.max(0, Number(req.body.amount) || DEFAULT_AIRDROP);
+    const ledger = getConnection();
+    ledger.airdrop(wallet, Math.floor(amount * (10 ** PONG_DECIMALS)));
+    res.json({ wallet, balance: ledger.balanceOf(wallet) });
+  } catch (err) {
+    res.status(400).json({ error: 'Invalid wallet' });
+  }
+});
+
+module.exports = router;
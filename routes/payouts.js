@@ -0,0 +1,46 @@
+// ===========================================
+// Payout Routes — Pending payout status + disputes
+// ===========================================
+
+const express = require('express');
+const router = express.Router();
+const Payout = require('../models/Payout');
+const { openDispute } = require('../game/payouts');
+
+/**
+ * GET /api/payouts/:gameId
+ * Payout state for a match the authenticated user played in.
+ */
+router.get('/:gameId', async (req, res) => {
+  try {
+    const payout = await Payout.findOne({ gameId: req.params.gameId })
+      .select('-_id -__v -lastError')
+      .lean();
+    const players = [payout && payout.winner, payout && payout.loser, ...((payout && payout.winners) || []), ...((payout && payout.losers) || [])];
+    if (!payout || !players.includes(req.wallet)) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+    res.json({ payout });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch payout' });
+  }
+});
+
+/**
+ * POST /api/payouts/:gameId/dispute
+ * Body: { reason }
+ * The losing player can dispute a match while its payout is still held.
+ * The pot then waits for an admin to release or refund it.
+ */
+router.post('/:gameId/dispute', async (req, res) => {
+  try {
+    const reason = String((req.body && req.body.reason) || '').trim();
+    if (!reason) return res.status(400).json({ error: 'Please describe what happened' });
+    const payout = await openDispute(req.params.gameId, req.wallet, reason);
+    res.json({ status: payout.status, dispute: payout.dispute });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to open dispute' });
+  }
+});
+
+module.exports = router;
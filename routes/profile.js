@@ -12,6 +12,8 @@ const Match = require('../models/Match');
 const DiscordLinkCode = require('../models/DiscordLinkCode');
 const Season = require('../models/Season');
 const { calcLevel } = require('../game/PongEngine');
+const { headToHead } = require('../game/headToHead');
+const { detailedStats } = require('../game/playerStats');
 
 // Multer config — use memory storage so it works on serverless (Vercel).
 // Uploaded images are converted to base64 data URLs and stored in MongoDB.
@@ -172,6 +174,35 @@ router.get('/history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/profile/head-to-head/:wallet/:opponent
+ * Record of any player against another (see game/headToHead.js).
+ */
+router.get('/head-to-head/:wallet/:opponent', async (req, res) => {
+  try {
+    const { wallet, opponent } = req.params;
+    if (wallet === opponent) return res.status(400).json({ error: 'Pick two different players' });
+    res.json({ headToHead: await headToHead(wallet, opponent) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch head-to-head' });
+  }
+});
+
+/**
+ * GET /api/profile/stats/:wallet?season=N
+ * Detailed stats and recent-match trends (see game/playerStats.js).
+ * Without `season`, totals are all-time.
+ */
+router.get('/stats/:wallet', async (req, res) => {
+  try {
+    const season = req.query.season !== undefined ? parseInt(req.query.season, 10) : null;
+    if (Number.isNaN(season)) return res.status(400).json({ error: 'Invalid season' });
+    res.json({ stats: await detailedStats(req.params.wallet, { season }) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
 /**
  * POST /api/profile/upload-pfp
  * Upload a profile picture. Stored as base64 data URL in MongoDB.
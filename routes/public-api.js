@@ -6,6 +6,10 @@ const express = require('express');
 const User = require('../models/User');
 const Match = require('../models/Match');
 const DiscordLinkCode = require('../models/DiscordLinkCode');
+const { DEFAULT_RATING, DEFAULT_RD } = require('../game/rating');
+const { headToHead } = require('../game/headToHead');
+const { detailedStats } = require('../game/playerStats');
+const { upcoming } = require('../game/scheduledTournaments');
 
 /**
  * Resolve a player by wallet address, Discord ID, or username/handle.
@@ -54,7 +58,10 @@ async function buildPlayerResponse(user) {
     stats: {
       wins: user.stats?.wins || 0,
       losses: user.stats?.losses || 0,
-      totalEarnings: user.stats?.totalEarnings || 0
+      totalEarnings: user.stats?.totalEarnings || 0,
+      rating: user.stats?.rating ?? DEFAULT_RATING,
+      ratingDeviation: user.stats?.ratingDeviation ?? DEFAULT_RD,
+      ratedGames: user.stats?.ratedGames || 0
     },
     winRate,
     rank,
@@ -63,11 +70,13 @@ async function buildPlayerResponse(user) {
 }
 
 function tierToDisplay(tier) {
-  const map = { t5:'$5', t10:'$10', t25:'$25', t50:'$50', t100:'$100', t250:'$250', t500:'$500', t1000:'$1000', low:'$1', medium:'$5', high:'$10', duel:'Duel' };
+  const map = { t5:'$5', t10:'$10', t25:'$25', t50:'$50', t100:'$100', t250:'$250', t500:'$500', t1000:'$1000', low:'$1', medium:'$5', high:'$10', duel:'Duel', free:'Free' };
   return map[tier] || tier;
 }
 
-module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, openTournaments) {
+// Matchmaking state is shared across nodes: `activeGames.directory` lists every
+// node's games, `tournaments` is the shared tournament directory.
+module.exports = function (io, onlineUsers, activeGames, queue, openLobbies, tournaments) {
   const router = express.Router();
 
   // --------------------------------------------------
@@ -102,6 +111,8 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
         wins: user.stats?.wins || 0,
         losses: user.stats?.losses || 0,
         totalEarnings: user.stats?.totalEarnings || 0,
+        rating: user.stats?.rating ?? DEFAULT_RATING,
+        ratingDeviation: user.stats?.ratingDeviation ?? DEFAULT_RD,
         winRate,
         rank
       });
@@ -110,6 +121,24 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
     }
   });
 
+  // --------------------------------------------------
+  // GET /api/v1/player/:identifier/stats/detailed?season=N
+  // --------------------------------------------------
+  router.get('/player/:identifier/stats/detailed', async (req, res) => {
+    try {
+      const user = await resolvePlayer(req.params.identifier);
+      if (!user) return res.status(404).json({ error: 'Player not found' });
+
+      const season = req.query.season !== undefined ? parseInt(req.query.season, 10) : null;
+      if (Number.isNaN(season)) return res.status(400).json({ error: 'Invalid season' });
+
+      const stats = await detailedStats(user.wallet, { season });
+      res.json({ ...stats, username: user.username });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to fetch stats' });
+    }
+  });
+
   // --------------------------------------------------
   // GET /api/v1/player/:identifier/matches?limit=20&offset=0
   // --------------------------------------------------
@@ -156,6 +185,29 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
     }
   });
 
+  // --------------------------------------------------
+  // GET /api/v1/head-to-head/:identifier/:opponent
+  // --------------------------------------------------
+  router.get('/head-to-head/:identifier/:opponent', async (req, res) => {
+    try {
+      const [user, opponent] = await Promise.all([
+        resolvePlayer(req.params.identifier),
+        resolvePlayer(req.params.opponent),
+      ]);
+      if (!user || !opponent) return res.status(404).json({ error: 'Player not found' });
+      if (user.wallet === opponent.wallet) return res.status(400).json({ error: 'Pick two different players' });
+
+      const record = await headToHead(user.wallet, opponent.wallet);
+      res.json({
+        ...record,
+        username: user.username,
+        opponentUsername: opponent.username,
+      });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to fetch head-to-head' });
+    }
+  });
+
   // --------------------------------------------------
   // GET /api/v1/leaderboard?sort=earnings|wins|games&limit=50
   // --------------------------------------------------
@@ -215,7 +267,7 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
         totalMatches,
         totalPlayers,
         totalBurned,
-        activeGames: activeGames.size,
+        activeGames: activeGames.directory.size,
         onlinePlayers: onlineUsers.size
       });
     } catch (err) {
@@ -229,13 +281,17 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
   router.get('/live', (req, res) => {
     try {
       const games = [];
-      for (const [gameId, game] of activeGames) {
+      for (const [gameId, game] of activeGames.directory) {
         games.push({
           gameId,
           player1: game.player1?.username || 'Unknown',
           player2: game.player2?.username || 'Unknown',
           tier: game.tier,
-          score: game.state?.score || { player1: 0, player2: 0 }
+          score: game.score || { p1: 0, p2: 0 },
+          bestOf: game.bestOf || 1,
+          series: game.series || null,
+          status: game.status,
+          spectators: game.spectators || 0
         });
       }
       res.json({ games, onlinePlayers: onlineUsers.size });
@@ -244,6 +300,24 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
     }
   });
 
+  // --------------------------------------------------
+  // GET /api/v1/tournaments/upcoming — Scheduled tournaments, soonest first
+  // --------------------------------------------------
+  router.get('/tournaments/upcoming', async (req, res) => {
+    try {
+      const list = await upcoming();
+      res.json({
+        tournaments: list.map(({ players, ...t }) => ({
+          ...t,
+          stakeDisplay: '$' + (t.stakeAmount / 1e6),
+          players: players.map(p => ({ username: p.username, checkedIn: p.checkedIn })),
+        })),
+      });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to fetch upcoming tournaments' });
+    }
+  });
+
   // --------------------------------------------------
   // POST /api/v1/discord/link — Bot verifies link code
   // --------------------------------------------------
@@ -315,13 +389,16 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
   // GET /api/v1/matchmaking — Current matchmaking activity
   // --------------------------------------------------
   router.get('/matchmaking', (req, res) => {
-    // Build queues (only non-empty tiers)
-    const queueList = [];
-    for (const [tier, players] of Object.entries(queues)) {
-      if (players.length > 0) {
-        queueList.push({ tier, players: players.length, stakeDisplay: tierToDisplay(tier) });
-      }
+    // Build queues (only non-empty tier/mode pairs)
+    const perQueue = {};
+    for (const player of queue.values()) {
+      const key = `${player.tier}:${player.mode || 'classic'}`;
+      perQueue[key] = (perQueue[key] || 0) + 1;
     }
+    const queueList = Object.entries(perQueue).map(([key, players]) => {
+      const [tier, mode] = key.split(':');
+      return { tier, mode, players, stakeDisplay: tierToDisplay(tier) };
+    });
 
     // Build lobbies
     const lobbyList = [];
@@ -337,15 +414,16 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
 
     // Build tournaments (waiting/escrow only)
     const tournamentList = [];
-    for (const [tid, t] of openTournaments) {
+    for (const [tid, t] of tournaments) {
       if (t.status === 'waiting' || t.status === 'escrow') {
         tournamentList.push({
           tournamentId: tid,
           creator: t.creatorUsername,
           maxPlayers: t.maxPlayers,
-          currentPlayers: t.players.length,
+          currentPlayers: t.currentPlayers,
           stakeAmount: t.stakeAmount,
           stakeDisplay: '$' + (t.stakeAmount / 1e6),
+          prizePool: t.prizePool || { source: 'stakes' },
           status: t.status,
           createdAt: t.createdAt,
         });
@@ -356,7 +434,7 @@ module.exports = function (io, onlineUsers, activeGames, queues, openLobbies, op
       queues: queueList,
       lobbies: lobbyList,
       tournaments: tournamentList,
-      activeGames: activeGames.size,
+      activeGames: activeGames.directory.size,
       onlinePlayers: onlineUsers.size,
     });
   });
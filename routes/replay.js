@@ -0,0 +1,56 @@
+// ===========================================
+// Replay Routes — Recorded match playback data
+// ===========================================
+
+const express = require('express');
+const router = express.Router();
+const Match = require('../models/Match');
+const Replay = require('../models/Replay');
+const { parseReplayId } = require('../game/PongEngine');
+
+/**
+ * GET /api/replay/:gameId
+ * Public endpoint — returns the recorded replay plus match info for the viewer.
+ * Games after the first of a series are `<gameId>-g<N>` (see replayIdOf in
+ * game/PongEngine.js) and report that game's own score, winner and sides.
+ */
+router.get('/:gameId', async (req, res) => {
+  try {
+    const { gameId, gameNumber, swapped } = parseReplayId(req.params.gameId);
+    const [match, replay] = await Promise.all([
+      Match.findOne({ gameId }).lean(),
+      Replay.findOne({ gameId: req.params.gameId }).select('-_id -__v').lean(),
+    ]);
+    if (!match || !replay) return res.status(404).json({ error: 'Replay not found' });
+
+    // Per-game results; a single game recorded before they were kept is the match itself
+    const bestOf = match.bestOf || 1;
+    const game = (match.games || [])[gameNumber - 1];
+    if (!game && (gameNumber > 1 || bestOf > 1)) return res.status(404).json({ error: 'Replay not found' });
+    const winner = game ? game.winner : match.winner;
+
+    res.json({
+      match: {
+        gameId: match.gameId,
+        gameNumber,
+        bestOf,
+        swapped,                     // player1 had the right paddle
+        player1Username: match.player1Username,
+        player2Username: match.player2Username,
+        winner: winner === match.player1 ? 'p1' : winner === match.player2 ? 'p2' : null,
+        score: game ? { player1: game.player1, player2: game.player2 } : match.score,
+        seriesScore: bestOf > 1 ? match.score : null,
+        tier: match.tier,
+        stakeAmount: match.stakeAmount,
+        tournamentId: match.tournamentId,
+        status: match.status,
+        completedAt: match.completedAt,
+      },
+      replay,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch replay' });
+  }
+});
+
+module.exports = router;
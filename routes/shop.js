@@ -9,7 +9,7 @@ const Skin = require('../models/Skin');
 const Crate = require('../models/Crate');
 const ShopLayout = require('../models/ShopLayout');
 const { authMiddleware, optionalAuth } = require('../middleware/auth');
-const { buildSkinPurchaseTransaction, verifyEscrowTx, burnSkinRevenue, PONG_DECIMALS } = require('../solana/utils');
+const { buildSkinPurchaseTransaction, verifyPayment, burnSkinRevenue, PONG_DECIMALS } = require('../solana/utils');
 
 /**
  * GET /api/shop
@@ -146,9 +146,11 @@ router.post('/confirm-crate', authMiddleware, async (req, res) => {
 
     // Verify on-chain
     const priceBaseUnits = crate.price * (10 ** PONG_DECIMALS);
-    const verified = await verifyEscrowTx(txSignature, priceBaseUnits, req.wallet);
-    if (!verified) {
-      return res.status(400).json({ error: 'Transaction not confirmed on-chain' });
+    const verified = await verifyPayment(txSignature, {
+      amount: priceBaseUnits, wallet: req.wallet, purpose: 'crate', ref: crateId,
+    });
+    if (!verified.ok) {
+      return res.status(400).json({ error: verified.reason });
     }
 
     // Add crate to user inventory
@@ -328,9 +330,11 @@ router.post('/confirm-skin', authMiddleware, async (req, res) => {
 
     const pongPrice = skin.price;
     const priceBaseUnits = pongPrice * (10 ** PONG_DECIMALS);
-    const verified = await verifyEscrowTx(txSignature, priceBaseUnits, req.wallet);
-    if (!verified) {
-      return res.status(400).json({ error: 'Transaction not confirmed on-chain' });
+    const verified = await verifyPayment(txSignature, {
+      amount: priceBaseUnits, wallet: req.wallet, purpose: 'skin', ref: skinId,
+    });
+    if (!verified.ok) {
+      return res.status(400).json({ error: verified.reason });
     }
 
     // Grant skin
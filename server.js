@@ -21,9 +21,16 @@ const shopRoutes = require('./routes/shop');
 const adminRoutes = require('./routes/admin');
 const leaderboardRoutes = require('./routes/leaderboard');
 const publicApiRoutes = require('./routes/public-api');
+const replayRoutes = require('./routes/replay');
+const payoutRoutes = require('./routes/payouts');
 const { authMiddleware } = require('./middleware/auth');
-const { setupMatchmaking, openTournaments, queues, openLobbies } = require('./game/matchmaking');
-const { PongEngine } = require('./game/PongEngine');
+const { initMatchmaking, setupMatchmaking, openTournaments, tournamentDirectory, queue, openLobbies } = require('./game/matchmaking');
+const { GameRegistry } = require('./game/gameRegistry');
+const { cluster, attachAdapter, STATE_STORE } = require('./state/cluster');
+const { startPayoutWorker } = require('./game/payouts');
+const { startRecoveryWorker } = require('./game/recovery');
+const { startScheduler, setupScheduledTournaments } = require('./game/scheduledTournaments');
+const { LEDGER_MODE } = require('./solana/utils');
 const { seedSkins } = require('./models/Skin');
 const Message = require('./models/Message');
 const { getConfig } = require('./models/ServerConfig');
@@ -33,6 +40,8 @@ const server = http.createServer(app);
 const io = new Server(server, {
   cors: { origin: '*', methods: ['GET', 'POST'] }
 });
+// With REDIS_URL set, emits reach sockets connected to other nodes
+attachAdapter(io);
 
 // --------------- Middleware ---------------
 app.set('trust proxy', 1);
@@ -85,6 +94,9 @@ app.get('/api/server-status', async (req, res) => {
   res.json({
     maintenance: maintenanceCache.enabled,
     allowedWallets: maintenanceCache.enabled ? maintenanceCache.allowedWallets : [],
+    ledger: LEDGER_MODE,
+    node: cluster.nodeId,
+    stateStore: STATE_STORE,
   });
 });
 
@@ -115,6 +127,10 @@ app.use('/api/friends', authMiddleware, friendRoutes);
 app.use('/api/shop', shopRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/replay', replayRoutes);
+app.use('/api/payouts', authMiddleware, payoutRoutes);
+// Local development only: submit signed transactions to the mock ledger
+if (LEDGER_MODE === 'mock') app.use('/api/dev/ledger', require('./routes/dev-ledger'));
 
 // Stats: total burned $PONG (tracked in DB from actual burns)
 const Match = require('./models/Match');
@@ -149,12 +165,28 @@ app.get('/practice', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'practice.html'));
 });
 
-// --------------- In-Memory State ---------------
-const onlineUsers = new Map();    // wallet -> { socketId, username }
-const activeGames = new Map();    // gameId -> PongEngine instance
+// Replay viewer
+app.get('/replay/:gameId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'replay.html'));
+});
+
+// --------------- Shared State ---------------
+// Shared across nodes through the state store (see state/cluster.js)
+const onlineUsers = cluster.map('online');       // wallet -> { socketId, username }
+const activeGames = new GameRegistry(cluster);    // gameId -> PongEngine on this node
+
+// Mount public API (needs access to matchmaking state)
+app.use('/api/v1', publicApiRoutes(io, onlineUsers, activeGames, queue, openLobbies, tournamentDirectory));
+
+// Release held payouts once their dispute window closes and retry queued transfers
+startPayoutWorker(io, onlineUsers);
 
-// Mount public API (needs access to in-memory state)
-app.use('/api/v1', publicApiRoutes(io, onlineUsers, activeGames, queues, openLobbies, openTournaments));
+// Refund, resume or settle matches and tournaments left behind by a dead node
+// (including this one, before a restart)
+startRecoveryWorker(io, onlineUsers, activeGames);
+
+// Remind, check in and start scheduled tournaments when their time comes
+startScheduler(io, onlineUsers, activeGames);
 
 // Catch-all: serve index.html for SPA
 app.get('*', (req, res) => {
@@ -170,6 +202,8 @@ app.use((err, req, res, next) => {
 });
 
 // --------------- Socket.io ---------------
+initMatchmaking(io, onlineUsers, activeGames);
+
 io.on('connection', (socket) => {
   console.log(`Socket connected: ${socket.id}`);
 
@@ -184,55 +218,36 @@ io.on('connection', (socket) => {
     socket.username = username;
     io.emit('online-users', Array.from(onlineUsers.keys()));
 
-    // Update socketId in any active tournament
-    for (const [tournamentId, t] of openTournaments) {
-      const player = t.players.find(p => p.wallet === wallet);
-      if (player) player.socketId = socket.id;
-    }
-
-    // Update socketId in any active game (handles reconnection)
-    for (const [gameId, game] of activeGames) {
-      const isP1 = game.player1.wallet === wallet;
-      const isP2 = game.player2.wallet === wallet;
-      if (!isP1 && !isP2) continue;
-
-      if (isP1) game.player1.socketId = socket.id;
-      if (isP2) game.player2.socketId = socket.id;
-
-      const wasDisconnected = game.isDisconnected(wallet);
-      if (wasDisconnected) {
-        game.clearDisconnect(wallet);
-        const oppSocketId = isP1 ? game.player2.socketId : game.player1.socketId;
-        io.to(oppSocketId).emit('opponent-reconnected', { gameId });
-        console.log(`${isP1 ? 'Player1' : 'Player2'} reconnected to game ${gameId}`);
-      }
-
-      socket.emit('rejoin-game', {
-        gameId,
-        player1: { wallet: game.player1.wallet, username: game.player1.username, skin: game.player1.skin || null },
-        player2: { wallet: game.player2.wallet, username: game.player2.username, skin: game.player2.skin || null },
-        tier: game.tier,
-        state: game.state,
-      });
-    }
+    // Every node re-points its tournaments and games at the new socket
+    cluster.broadcast('player-online', socket);
   });
 
   // --- Matchmaking (includes duel, ready, game-chat handlers) ---
   setupMatchmaking(io, socket, onlineUsers, activeGames);
 
-  // --- In-Game Paddle Input ---
-  socket.on('paddle-move', ({ gameId, direction, y }) => {
-    const game = activeGames.get(gameId);
-    if (!game) return;
-    game.handleInput(socket.wallet, direction, y);
+  // --- Scheduled tournaments (registration, check-in) ---
+  setupScheduledTournaments(socket);
+
+  // --- In-Game Paddle Input (runs on the node that owns the game) ---
+  socket.on('paddle-move', (payload = {}) => {
+    cluster.route(activeGames.ownerOf(payload.gameId), 'paddle-move', socket, payload);
   });
 
-  // --- Paddle position sync (prevents tick-rate drift) ---
-  socket.on('paddle-sync', ({ gameId, y }) => {
-    if (typeof y !== 'number') return;
-    const game = activeGames.get(gameId);
-    if (!game) return;
-    game._syncPaddle(socket.wallet, y);
+  // --- Paddle position report (server reconciles within tolerance) ---
+  socket.on('paddle-sync', (payload = {}) => {
+    if (typeof payload.y !== 'number') return;
+    cluster.route(activeGames.ownerOf(payload.gameId), 'paddle-sync', socket, payload);
+  });
+
+  // --- Spectator Mode ---
+  socket.on('spectate-join', ({ gameId } = {}) => {
+    leaveSpectating(socket);
+    socket.spectating = gameId;
+    cluster.route(activeGames.ownerOf(gameId), 'spectate-join', socket, { gameId });
+  });
+
+  socket.on('spectate-leave', () => {
+    leaveSpectating(socket);
   });
 
   // --- Direct Messages ---
@@ -293,35 +308,136 @@ io.on('connection', (socket) => {
 
   // --- Disconnect ---
   socket.on('disconnect', () => {
+    // Socket.io has already dropped the socket from its rooms — just recount
+    if (socket.spectating) {
+      cluster.route(activeGames.ownerOf(socket.spectating), 'spectate-recount', socket, { gameId: socket.spectating });
+    }
+
     if (socket.wallet) {
-      onlineUsers.delete(socket.wallet);
+      // A reconnect on another socket may already have replaced this entry
+      const info = onlineUsers.get(socket.wallet);
+      if (info && info.socketId === socket.id) onlineUsers.delete(socket.wallet);
       io.emit('online-users', Array.from(onlineUsers.keys()));
 
-      const wallet = socket.wallet;
-      for (const [gameId, game] of activeGames) {
-        if (game.hasPlayer(wallet)) {
-          game.setDisconnect(wallet);
-
-          const oppSocketId = wallet === game.player1.wallet
-            ? game.player2.socketId : game.player1.socketId;
-          io.to(oppSocketId).emit('opponent-disconnected', { gameId });
-
-          setTimeout(() => {
-            if (activeGames.has(gameId) && game.isDisconnected(wallet)) {
-              game.forfeit(wallet);
-              activeGames.delete(gameId);
-            }
-          }, 15000);
-        }
-      }
+      cluster.broadcast('player-offline', socket);
     }
     console.log(`Socket disconnected: ${socket.id}`);
   });
 });
 
+function leaveSpectating(socket) {
+  if (!socket.spectating) return;
+  const gameId = socket.spectating;
+  socket.leave(`spectate:${gameId}`);
+  socket.spectating = null;
+  cluster.route(activeGames.ownerOf(gameId), 'spectate-recount', socket, { gameId });
+}
+
+// --------------- Cluster Handlers ---------------
+// Run on the node that owns the game (or, for player-online/offline, on
+// every node). `socket` may stand in for a socket on another node.
+
+cluster.on('paddle-move', (socket, { gameId, direction, y, seq }) => {
+  const game = activeGames.get(gameId);
+  if (!game) return;
+  game.handleInput(socket.wallet, direction, y, seq);
+});
+
+cluster.on('paddle-sync', (socket, { gameId, y }) => {
+  const game = activeGames.get(gameId);
+  if (!game) return;
+  game.reconcilePaddle(socket.wallet, y);
+});
+
+cluster.on('spectate-join', async (socket, { gameId }) => {
+  const game = activeGames.get(gameId);
+  if (!game || !game.gameStarted || game.simState.status !== 'playing') {
+    return socket.emit('spectate-error', { error: 'That game is not live.' });
+  }
+  if (socket.wallet && game.hasPlayer(socket.wallet)) {
+    return socket.emit('spectate-error', { error: 'You are playing in this game.' });
+  }
+
+  await socket.join(game.spectatorRoom);
+  await game.updateSpectatorCount();
+  socket.emit('spectate-started', game.getSpectatorSnapshot());
+});
+
+cluster.on('spectate-recount', (socket, { gameId }) => {
+  const game = activeGames.get(gameId);
+  if (game) game.updateSpectatorCount();
+});
+
+cluster.on('player-online', (socket) => {
+  const wallet = socket.wallet;
+
+  // Update socketId in any active tournament
+  for (const [, t] of openTournaments) {
+    const player = t.players.find(p => p.wallet === wallet);
+    if (player) player.socketId = socket.id;
+  }
+
+  // Update socketId in any active game (handles reconnection)
+  for (const [gameId, game] of activeGames) {
+    const me = game.playerOf(wallet);
+    if (!me) continue;
+    me.socketId = socket.id;
+
+    const wasDisconnected = game.isDisconnected(wallet);
+    if (wasDisconnected) {
+      game.clearDisconnect(wallet);
+      // Everyone else in the game (a 2v2 partner too)
+      for (const other of game.players) {
+        if (other !== me) io.to(other.socketId).emit('opponent-reconnected', { gameId });
+      }
+      console.log(`${game.roleOf(wallet)} reconnected to game ${gameId}`);
+    }
+
+    // Left / right players of the game in play (sides swap within a series)
+    const [left, right] = [game.sidePlayer(1), game.sidePlayer(2)];
+    socket.emit('rejoin-game', {
+      gameId,
+      player1: { wallet: left.wallet, username: left.username, skin: left.skin || null },
+      player2: { wallet: right.wallet, username: right.username, skin: right.skin || null },
+      partners: game.partnersInfo(left, right),
+      tier: game.tier,
+      state: game.state,
+      ruleset: game.ruleset,
+      arena: game.arena,
+      series: game.seriesInfo(),
+    });
+  }
+});
+
+cluster.on('player-offline', (socket) => {
+  const wallet = socket.wallet;
+  for (const [gameId, game] of activeGames) {
+    if (!game.hasPlayer(wallet)) continue;
+    // Already back on a newer socket
+    const player = game.playerOf(wallet);
+    if (player.socketId !== socket.id) continue;
+
+    game.setDisconnect(wallet);
+
+    for (const other of game.players) {
+      if (other !== player) io.to(other.socketId).emit('opponent-disconnected', { gameId });
+    }
+
+    setTimeout(() => {
+      if (activeGames.has(gameId) && game.isDisconnected(wallet)) {
+        game.forfeit(wallet);
+        activeGames.delete(gameId);
+      }
+    }, 15000);
+  }
+});
+
 // --------------- MongoDB & Start ---------------
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/pong-arena';
 
+// Join the cluster: heartbeat, shared maps and routed events
+cluster.start(io).catch(err => console.error('Cluster start failed:', err.message));
+
 // Start HTTP server immediately so the host doesn't kill us while we connect to MongoDB
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
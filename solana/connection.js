@@ -0,0 +1,31 @@
+// ===========================================
+// Solana Connection — RPC node or in-memory mock ledger
+// ===========================================
+// Everything in solana/utils.js talks to the chain through one connection
+// object. It only relies on this slice of the @solana/web3.js Connection API:
+//
+//   getAccountInfo(address)            -> account or null
+//   getTokenAccountBalance(address)    -> { value: { amount } }
+//   getLatestBlockhash()               -> { blockhash, lastValidBlockHeight }
+//   sendRawTransaction(raw, opts)      -> signature
+//   confirmTransaction(sig, commitment) -> { value: { err } }
+//   getSignatureStatus(sig, opts)      -> { value: { err, confirmationStatus } | null }
+//   getParsedTransaction(sig, opts)    -> parsed transaction or null
+//
+// SOLANA_LEDGER=mock selects solana/mockLedger.js instead of SOLANA_RPC_URL.
+
+const { Connection } = require('@solana/web3.js');
+const { MockLedger } = require('./mockLedger');
+
+const LEDGER_MODE = process.env.SOLANA_LEDGER === 'mock' ? 'mock' : 'rpc';
+
+function createConnection() {
+  if (LEDGER_MODE === 'mock') {
+    console.log('⚠ SOLANA_LEDGER=mock: using the in-memory mock ledger, no real tokens move');
+    return new MockLedger({ mint: process.env.PONG_MINT_ADDRESS });
+  }
+  const rpcUrl = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
+  return new Connection(rpcUrl, 'confirmed');
+}
+
+module.exports = { LEDGER_MODE, createConnection };
@@ -0,0 +1,277 @@
+// ===========================================
+// Mock Ledger — In-memory stand-in for a Solana RPC connection
+// ===========================================
+// Implements the Connection methods solana/utils.js uses (see
+// solana/connection.js) on top of in-memory Token-2022 accounts, so escrow,
+// payout, refund, purchase and burn flows run end-to-end without devnet.
+//
+// Transactions are deserialized, signature-checked and applied atomically:
+// ATA creation, transfer, transferChecked, burn and burnChecked are
+// supported. SOL and fees are not modelled. Like an RPC node with preflight,
+// a transaction that would fail is rejected by sendRawTransaction unless it
+// was sent with { skipPreflight: true }, in which case it lands with `err`.
+//
+// Tests and local dev also get:
+//   airdrop(owner, amount)      credit PONG, creating the ATA
+//   balanceOf(owner)            PONG balance in base units
+//   injectFault('send'|'confirm', n)
+//     'send'    — the next n sends throw and nothing lands (RPC down)
+//     'confirm' — the next n sends land but confirmTransaction throws
+//                 (blockhash expired before we saw the confirmation)
+
+const crypto = require('crypto');
+const { PublicKey, Keypair, Transaction } = require('@solana/web3.js');
+const {
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  TokenInstruction,
+  decodeInstruction,
+  getAssociatedTokenAddressSync,
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+
+class LedgerError extends Error {}
+
+class MockLedger {
+  constructor({ mint, decimals = 6 } = {}) {
+    // Used as PONG_MINT when PONG_MINT_ADDRESS isn't set
+    this.defaultMint = mint ? new PublicKey(mint) : Keypair.generate().publicKey;
+    this.decimals = decimals;
+    this.accounts = new Map();      // token account -> { mint, owner, amount }
+    this.transactions = new Map();  // signature -> { slot, blockTime, err, instructions, accountKeys }
+    this.burned = 0;
+    this.slot = 0;
+    this.faults = [];
+    this.unconfirmable = new Set(); // signatures whose confirmTransaction throws
+  }
+
+  // =============================================
+  // TEST / DEV HELPERS
+  // =============================================
+  ataFor(owner, mint = this.defaultMint) {
+    return getAssociatedTokenAddressSync(
+      new PublicKey(mint), new PublicKey(owner), false, TOKEN_2022_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID
+    ).toBase58();
+  }
+
+  airdrop(owner, amount, mint = this.defaultMint) {
+    const address = this.ataFor(owner, mint);
+    const account = this.accounts.get(address)
+      || { mint: new PublicKey(mint).toBase58(), owner: new PublicKey(owner).toBase58(), amount: 0 };
+    account.amount += amount;
+    this.accounts.set(address, account);
+    return address;
+  }
+
+  balanceOf(owner, mint = this.defaultMint) {
+    const account = this.accounts.get(this.ataFor(owner, mint));
+    return account ? account.amount : 0;
+  }
+
+  injectFault(kind, count = 1) {
+    for (let i = 0; i < count; i++) this.faults.push(kind);
+  }
+
+  // =============================================
+  // CONNECTION INTERFACE
+  // =============================================
+  async getAccountInfo(address) {
+    if (!this.accounts.has(String(address))) return null;
+    return { owner: TOKEN_2022_PROGRAM_ID, lamports: 2039280, executable: false, data: Buffer.alloc(165) };
+  }
+
+  async getTokenAccountBalance(address) {
+    const account = this.accounts.get(String(address));
+    if (!account) throw new Error('failed to get token account balance: could not find account');
+    return {
+      context: { slot: this.slot },
+      value: {
+        amount: String(account.amount),
+        decimals: this.decimals,
+        uiAmount: account.amount / 10 ** this.decimals,
+      },
+    };
+  }
+
+  async getLatestBlockhash() {
+    return { blockhash: bs58.encode(crypto.randomBytes(32)), lastValidBlockHeight: this.slot + 150 };
+  }
+
+  async sendRawTransaction(raw, { skipPreflight = false } = {}) {
+    const fault = this.faults.shift();
+    if (fault === 'send') throw new Error('Mock ledger: send failed (injected fault)');
+
+    const tx = Transaction.from(raw);
+    if (!tx.signature) throw new Error('Transaction is not signed');
+    const sig = bs58.encode(tx.signature);
+    if (this.transactions.has(sig)) return sig;  // already processed
+    if (!tx.verifySignatures()) throw new Error('Transaction signature verification failure');
+
+    const signers = new Set(tx.signatures.filter(s => s.signature).map(s => s.publicKey.toBase58()));
+    let result;
+    let err = null;
+    try {
+      result = this._apply(tx.instructions, signers);
+    } catch (e) {
+      if (!(e instanceof LedgerError)) throw e;
+      if (!skipPreflight) throw new Error(`Transaction simulation failed: ${e.message}`);
+      err = { InstructionError: [e.index, e.message] };
+    }
+
+    this.slot++;
+    if (result) {
+      this.accounts = result.accounts;
+      this.burned += result.burned;
+    }
+    this.transactions.set(sig, {
+      slot: this.slot,
+      blockTime: Math.floor(Date.now() / 1000),
+      err,
+      instructions: result ? result.parsed : [],
+      accountKeys: tx.compileMessage().accountKeys.map(k => k.toBase58()),
+    });
+    if (fault === 'confirm') this.unconfirmable.add(sig);
+    return sig;
+  }
+
+  async confirmTransaction(strategy) {
+    const sig = typeof strategy === 'string' ? strategy : strategy.signature;
+    if (this.unconfirmable.delete(sig)) {
+      throw new Error(`Mock ledger: block height exceeded for ${sig} (injected fault)`);
+    }
+    const tx = this.transactions.get(sig);
+    if (!tx) throw new Error(`Transaction ${sig} was not confirmed`);
+    return { context: { slot: tx.slot }, value: { err: tx.err } };
+  }
+
+  async getSignatureStatus(sig) {
+    const tx = this.transactions.get(sig);
+    if (!tx) return { context: { slot: this.slot }, value: null };
+    return {
+      context: { slot: this.slot },
+      value: { slot: tx.slot, confirmations: null, err: tx.err, confirmationStatus: 'finalized' },
+    };
+  }
+
+  async getParsedTransaction(sig) {
+    const tx = this.transactions.get(sig);
+    if (!tx) return null;
+    return {
+      slot: tx.slot,
+      blockTime: tx.blockTime,
+      meta: { err: tx.err, fee: 5000 },
+      transaction: {
+        signatures: [sig],
+        message: {
+          accountKeys: tx.accountKeys.map(pubkey => ({ pubkey: new PublicKey(pubkey) })),
+          instructions: tx.instructions,
+        },
+      },
+    };
+  }
+
+  // =============================================
+  // INSTRUCTION PROCESSING
+  // =============================================
+  // Applies instructions to a copy of the accounts; throws LedgerError (with
+  // the failing instruction index) and leaves the ledger untouched on failure.
+  _apply(instructions, signers) {
+    const accounts = new Map();
+    for (const [address, account] of this.accounts) accounts.set(address, { ...account });
+    const parsed = [];
+    let burned = 0;
+
+    instructions.forEach((ix, index) => {
+      const fail = (message) => {
+        const e = new LedgerError(message);
+        e.index = index;
+        throw e;
+      };
+      const requireSigner = (key) => {
+        if (!signers.has(key)) fail(`missing signature for ${key}`);
+      };
+      const tokenAccount = (key, mint) => {
+        const account = accounts.get(key);
+        if (!account) fail(`token account ${key} not found`);
+        if (mint && account.mint !== mint) fail('account mint mismatch');
+        return account;
+      };
+
+      if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+        const [payer, ata, owner, mint] = ix.keys.map(k => k.pubkey.toBase58());
+        const idempotent = ix.data.length > 0 && ix.data[0] === 1;
+        requireSigner(payer);
+        if (ata !== this.ataFor(owner, mint)) fail('invalid associated token address');
+        if (accounts.has(ata)) {
+          if (!idempotent) fail('account already in use');
+        } else {
+          accounts.set(ata, { mint, owner, amount: 0 });
+        }
+        parsed.push({
+          programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+          program: 'spl-associated-token-account',
+          parsed: { type: idempotent ? 'createIdempotent' : 'create', info: { source: payer, account: ata, wallet: owner, mint } },
+        });
+        return;
+      }
+
+      if (!ix.programId.equals(TOKEN_2022_PROGRAM_ID)) fail(`unsupported program ${ix.programId.toBase58()}`);
+
+      let decoded;
+      try {
+        decoded = decodeInstruction(ix, TOKEN_2022_PROGRAM_ID);
+      } catch (e) {
+        fail(`unsupported token instruction: ${e.name || e.message}`);
+      }
+      const { keys, data } = decoded;
+      const amount = Number(data.amount);
+      const authority = keys.owner.pubkey.toBase58();
+      requireSigner(authority);
+
+      switch (data.instruction) {
+        case TokenInstruction.Transfer:
+        case TokenInstruction.TransferChecked: {
+          const source = keys.source.pubkey.toBase58();
+          const destination = keys.destination.pubkey.toBase58();
+          const mint = keys.mint ? keys.mint.pubkey.toBase58() : null;
+          const from = tokenAccount(source, mint);
+          const to = tokenAccount(destination, from.mint);
+          if (from.owner !== authority) fail('owner does not match');
+          if (from.amount < amount) fail('insufficient funds');
+          from.amount -= amount;
+          to.amount += amount;
+          parsed.push({
+            programId: TOKEN_2022_PROGRAM_ID,
+            program: 'spl-token-2022',
+            parsed: mint
+              ? { type: 'transferChecked', info: { source, destination, authority, mint, tokenAmount: { amount: String(amount), decimals: data.decimals } } }
+              : { type: 'transfer', info: { source, destination, authority, amount: String(amount) } },
+          });
+          return;
+        }
+        case TokenInstruction.Burn:
+        case TokenInstruction.BurnChecked: {
+          const address = keys.account.pubkey.toBase58();
+          const mint = keys.mint.pubkey.toBase58();
+          const account = tokenAccount(address, mint);
+          if (account.owner !== authority) fail('owner does not match');
+          if (account.amount < amount) fail('insufficient funds');
+          account.amount -= amount;
+          burned += amount;
+          parsed.push({
+            programId: TOKEN_2022_PROGRAM_ID,
+            program: 'spl-token-2022',
+            parsed: { type: data.instruction === TokenInstruction.Burn ? 'burn' : 'burnChecked', info: { account: address, mint, authority, amount: String(amount) } },
+          });
+          return;
+        }
+        default:
+          fail(`unsupported token instruction ${data.instruction}`);
+      }
+    });
+
+    return { accounts, parsed, burned };
+  }
+}
+
+module.exports = { MockLedger };
@@ -3,7 +3,6 @@
 // ===========================================
 
 const {
-  Connection,
   PublicKey,
   Keypair,
   Transaction,
@@ -18,25 +17,40 @@ const {
 } = require('@solana/spl-token');
 const bs58 = require('bs58');
 const { incrementStat } = require('../models/Stats');
+const ConsumedSignature = require('../models/ConsumedSignature');
+const { LEDGER_MODE, createConnection } = require('./connection');
 
 // Pump.fun tokens use Token-2022 (Token Extensions), NOT the legacy Token Program
 const TOKEN_PROGRAM = TOKEN_2022_PROGRAM_ID;
 
-// Load env
-const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
-const connection = new Connection(RPC_URL, 'confirmed');
+// RPC connection or mock ledger, chosen by SOLANA_LEDGER (see connection.js)
+let connection = createConnection();
 
-// Treasury keypair (loaded from env)
+/**
+ * Swap the connection, e.g. for a fresh MockLedger per test.
+ */
+function setConnection(conn) {
+  connection = conn;
+}
+
+// Treasury keypair (loaded from env). The mock ledger runs without one
+// configured by generating a throwaway treasury.
 let treasuryKeypair = null;
 function getTreasuryKeypair() {
   if (!treasuryKeypair) {
-    const secret = bs58.decode(process.env.TREASURY_PRIVATE_KEY);
-    treasuryKeypair = Keypair.fromSecretKey(secret);
+    if (!process.env.TREASURY_PRIVATE_KEY && LEDGER_MODE === 'mock') {
+      treasuryKeypair = Keypair.generate();
+      console.log(`Mock ledger treasury: ${treasuryKeypair.publicKey.toBase58()}`);
+    } else {
+      const secret = bs58.decode(process.env.TREASURY_PRIVATE_KEY);
+      treasuryKeypair = Keypair.fromSecretKey(secret);
+    }
   }
   return treasuryKeypair;
 }
 
-const PONG_MINT = () => new PublicKey(process.env.PONG_MINT_ADDRESS);
+// A mock ledger supplies its own mint when PONG_MINT_ADDRESS isn't set
+const PONG_MINT = () => new PublicKey(process.env.PONG_MINT_ADDRESS || connection.defaultMint);
 
 // Stake tiers: amounts in $PONG base units (6 decimals for pump.fun tokens)
 const PONG_DECIMALS = 6;
@@ -144,44 +158,182 @@ async function buildEscrowTransaction(playerWallet, tier) {
 }
 
 /**
- * Verify an escrow transaction was confirmed on-chain.
+ * Is this parsed instruction a PONG transfer of exactly `amount` from
+ * `source` to `destination`, signed by `authority`? Accepts both `transfer`
+ * (what buildEscrowTransaction creates) and `transferChecked`. A null
+ * source or authority matches any sender.
  */
-async function verifyEscrowTx(txSignature, expectedAmount, playerWallet) {
-  console.log(`Verifying tx: ${txSignature} for ${playerWallet}`);
+function isExpectedTransfer(ix, { source, destination, authority, amount, mint }) {
+  if (!ix.parsed || String(ix.programId) !== TOKEN_PROGRAM.toBase58()) return false;
+  const { type, info } = ix.parsed;
+  if (!info || info.destination !== destination) return false;
+  if ((source && info.source !== source) || (authority && info.authority !== authority)) return false;
+  if (type === 'transfer') return String(info.amount) === String(amount);
+  if (type === 'transferChecked') {
+    return info.mint === mint && String(info.tokenAmount?.amount) === String(amount);
+  }
+  return false;
+}
+
+// Bad signature or wallet: { ok: false, reason }, else null
+function malformed(txSignature, wallet) {
+  try {
+    new PublicKey(wallet);
+    if (bs58.decode(txSignature).length !== 64) throw new Error('bad length');
+    return null;
+  } catch {
+    return { ok: false, reason: 'Invalid transaction signature' };
+  }
+}
 
-  for (let attempt = 0; attempt < 15; attempt++) {
+// Poll for a confirmed, successful transaction containing the `expected`
+// transfer (see isExpectedTransfer). `wrongTransfer` is the reason given
+// when the transaction landed without it.
+async function findTransfer(txSignature, expected, wrongTransfer, { attempts = 15, intervalMs = 2000 } = {}) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
     try {
-      const res = await connection.getSignatureStatus(txSignature, {
-        searchTransactionHistory: true,
+      const tx = await connection.getParsedTransaction(txSignature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
       });
-      const status = res?.value;
-      console.log(`  Attempt ${attempt + 1}: ${JSON.stringify(status)}`);
-
-      if (status?.err) {
-        console.error('Transaction failed on-chain:', JSON.stringify(status.err));
-        return false;
-      }
-
-      if (status?.confirmationStatus === 'confirmed' ||
-          status?.confirmationStatus === 'finalized' ||
-          status?.confirmationStatus === 'processed') {
-        console.log('Transaction confirmed!');
-        return true;
+      if (tx) {
+        if (tx.meta?.err) {
+          console.error('Transaction failed on-chain:', JSON.stringify(tx.meta.err));
+          return { ok: false, reason: 'Transaction failed on-chain. Make sure you have enough $PONG and SOL.' };
+        }
+        const instructions = tx.transaction?.message?.instructions || [];
+        if (!instructions.some(ix => isExpectedTransfer(ix, expected))) {
+          console.error(`Transaction ${txSignature} does not pay ${expected.amount} to ${expected.destination}${expected.source ? ` from ${expected.source}` : ''}`);
+          return { ok: false, reason: wrongTransfer };
+        }
+        console.log('Transaction verified!');
+        return { ok: true };
       }
     } catch (err) {
       console.error(`  Attempt ${attempt + 1} RPC error:`, err.message);
     }
-    await new Promise(r => setTimeout(r, 2000));
+    if (attempt < attempts - 1) await new Promise(r => setTimeout(r, intervalMs));
   }
 
-  console.error('Transaction not confirmed after 15 attempts (30s)');
-  return false;
+  console.error(`Transaction not confirmed after ${attempts} attempts`);
+  return { ok: false, reason: 'Transaction not confirmed on-chain' };
+}
+
+/**
+ * Verify a player-signed escrow or purchase transaction on-chain. It must be
+ * confirmed, have succeeded, and contain a transfer of exactly expectedAmount
+ * PONG from the player's ATA to the treasury ATA, signed by the player.
+ * Does NOT check for reuse — payment flows go through verifyPayment.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+async function verifyEscrowTx(txSignature, expectedAmount, playerWallet, opts) {
+  console.log(`Verifying tx: ${txSignature} for ${playerWallet}`);
+  const invalid = malformed(txSignature, playerWallet);
+  if (invalid) return invalid;
+
+  const player = new PublicKey(playerWallet);
+  const mint = PONG_MINT();
+  const expected = {
+    source: (await getATA(mint, player)).toBase58(),
+    destination: (await getATA(mint, getTreasuryKeypair().publicKey)).toBase58(),
+    authority: player.toBase58(),
+    amount: expectedAmount,
+    mint: mint.toBase58(),
+  };
+  return findTransfer(txSignature, expected, 'Transaction does not transfer the expected $PONG to the treasury', opts);
+}
+
+/**
+ * Verify a transaction paid exactly `amount` PONG into `recipientWallet`'s
+ * account, from any sender (e.g. a transfer support made by hand).
+ * Like verifyEscrowTx, does NOT check for reuse.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+async function verifyTransferTo(txSignature, amount, recipientWallet, opts) {
+  const invalid = malformed(txSignature, recipientWallet);
+  if (invalid) return invalid;
+
+  const mint = PONG_MINT();
+  const expected = {
+    source: null,
+    destination: (await getATA(mint, new PublicKey(recipientWallet))).toBase58(),
+    authority: null,
+    amount,
+    mint: mint.toBase58(),
+  };
+  return findTransfer(txSignature, expected, 'Transaction does not transfer the expected $PONG to the recipient', opts);
+}
+
+/**
+ * Verify a payment on-chain and mark its signature as used, so the same
+ * transfer can't pay for two things.
+ * payment: { amount, wallet, purpose, ref } — see models/ConsumedSignature.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+async function verifyPayment(txSignature, { amount, wallet, purpose, ref }, opts) {
+  if (typeof txSignature !== 'string' || !txSignature) {
+    return { ok: false, reason: 'Missing transaction signature' };
+  }
+  if (await ConsumedSignature.exists({ signature: txSignature })) {
+    return { ok: false, reason: 'This transaction has already been used' };
+  }
+
+  const result = await verifyEscrowTx(txSignature, amount, wallet, opts);
+  if (!result.ok) return result;
+
+  try {
+    // Unique index settles two submissions of the same signature racing here
+    await ConsumedSignature.create({ signature: txSignature, purpose, wallet, amount, ref });
+  } catch (err) {
+    if (err.code === 11000) return { ok: false, reason: 'This transaction has already been used' };
+    throw err;
+  }
+  return { ok: true };
+}
+
+/**
+ * Where a treasury transfer stands on-chain:
+ * 'confirmed', 'failed', 'pending' (seen, not yet confirmed) or 'unknown'.
+ * Throws on RPC errors so callers never mistake "can't tell" for "not sent".
+ */
+async function getSignatureState(txSignature) {
+  const res = await connection.getSignatureStatus(txSignature, {
+    searchTransactionHistory: true,
+  });
+  const status = res?.value;
+  if (!status) return 'unknown';
+  if (status.err) return 'failed';
+  if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+    return 'confirmed';
+  }
+  return 'pending';
+}
+
+/**
+ * Sign a treasury transaction, report its signature, then send and confirm.
+ * onSignature runs (and is awaited) before anything hits the network so the
+ * caller can persist the signature and check it after a crash or timeout.
+ */
+async function sendTreasuryTransaction(tx, onSignature) {
+  const treasury = getTreasuryKeypair();
+  tx.feePayer = treasury.publicKey;
+  tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+  tx.sign(treasury);
+
+  const sig = bs58.encode(tx.signature);
+  if (onSignature) await onSignature(sig);
+
+  await connection.sendRawTransaction(tx.serialize());
+  // confirmTransaction resolves (not rejects) for a transaction that landed but failed
+  const { value } = await connection.confirmTransaction(sig, 'confirmed');
+  if (value?.err) throw new Error(`Transaction ${sig} failed: ${JSON.stringify(value.err)}`);
+  return sig;
 }
 
 /**
  * Refund a player from treasury (if opponent cancels after they escrowed).
  */
-async function refundPlayer(playerWallet, amount) {
+async function refundPlayer(playerWallet, amount, { onSignature } = {}) {
   const treasury = getTreasuryKeypair();
   const mint = PONG_MINT();
   const player = new PublicKey(playerWallet);
@@ -202,13 +354,7 @@ async function refundPlayer(playerWallet, amount) {
     treasuryATA, playerATA, treasury.publicKey, amount, [], TOKEN_PROGRAM
   ));
 
-  tx.feePayer = treasury.publicKey;
-  tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-  tx.sign(treasury);
-
-  const sig = await connection.sendRawTransaction(tx.serialize());
-  await connection.confirmTransaction(sig, 'confirmed');
-  return sig;
+  return sendTreasuryTransaction(tx, onSignature);
 }
 
 /**
@@ -217,14 +363,20 @@ async function refundPlayer(playerWallet, amount) {
  */
 const FEE_WALLET = new PublicKey('ABAhkC9TMoFxAJpnFJt2yHfAcXpkPnpoFXH6JCjT72CM');
 
-async function payoutWinner(winnerWallet, totalPot) {
+function splitPot(totalPot) {
+  return {
+    winnerShare: Math.floor(totalPot * 0.9),
+    burnShare:   Math.floor(totalPot * 0.08),
+    feeShare:    Math.floor(totalPot * 0.02),
+  };
+}
+
+async function payoutWinner(winnerWallet, totalPot, { onSignature } = {}) {
   const treasury = getTreasuryKeypair();
   const mint = PONG_MINT();
   const winner = new PublicKey(winnerWallet);
 
-  const winnerShare = Math.floor(totalPot * 0.9);
-  const burnShare  = Math.floor(totalPot * 0.08);
-  const feeShare   = Math.floor(totalPot * 0.02);
+  const { winnerShare, burnShare, feeShare } = splitPot(totalPot);
 
   const treasuryATA = await getATA(mint, treasury.publicKey);
   const winnerATA = await getATA(mint, winner);
@@ -266,12 +418,7 @@ async function payoutWinner(winnerWallet, totalPot) {
     treasuryATA, feeATA, treasury.publicKey, feeShare, [], TOKEN_PROGRAM
   ));
 
-  tx.feePayer = treasury.publicKey;
-  tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-  tx.sign(treasury);
-
-  const sig = await connection.sendRawTransaction(tx.serialize());
-  await connection.confirmTransaction(sig, 'confirmed');
+  const sig = await sendTreasuryTransaction(tx, onSignature);
 
   // Track burned amount
   incrementStat('totalBurned', burnShare).catch(() => {});
@@ -380,12 +527,7 @@ async function burnSkinRevenue(price) {
     )
   );
 
-  tx.feePayer = treasury.publicKey;
-  tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-  tx.sign(treasury);
-
-  const sig = await connection.sendRawTransaction(tx.serialize());
-  await connection.confirmTransaction(sig, 'confirmed');
+  const sig = await sendTreasuryTransaction(tx);
 
   // Track burned amount
   incrementStat('totalBurned', burnAmount).catch(() => {});
@@ -394,12 +536,19 @@ async function burnSkinRevenue(price) {
 }
 
 module.exports = {
-  connection,
+  LEDGER_MODE,
+  setConnection,
+  getConnection: () => connection,
   STAKE_TIERS,
   PONG_DECIMALS,
   buildEscrowTransaction,
   buildCustomEscrowTransaction,
+  getATA,
   verifyEscrowTx,
+  verifyTransferTo,
+  verifyPayment,
+  getSignatureState,
+  splitPot,
   payoutWinner,
   refundPlayer,
   buildSkinPurchaseTransaction,
@@ -0,0 +1,175 @@
+// ===========================================
+// Cluster — Node identity, ownership and cross-node socket routing
+// ===========================================
+// Every server process is a node with a random id and a heartbeat in the
+// state store. A game or tournament is pinned to the node that created it:
+// its PongEngine, timers and escrow state live only there.
+//
+// Socket events about a pinned game arrive on whichever node holds the
+// player's socket. route() runs the handler locally when this node owns the
+// game and otherwise forwards { event, socket, payload } to the owner, which
+// runs the same handler with a stand-in socket whose emit/join/leave reach
+// the real socket through the socket.io adapter.
+//
+// Handlers registered with on() therefore get a socket-like object and may
+// only use id, wallet, username, emit(), join() and leave().
+
+const crypto = require('crypto');
+const { SharedMap } = require('./sharedMap');
+const { STATE_STORE, createStore } = require('./store');
+
+const HEARTBEAT_MS = 5000;
+const NODE_TTL_MS = 15000;
+
+class Cluster {
+  constructor(store, { nodeId } = {}) {
+    this.store = store;
+    this.nodeId = nodeId || crypto.randomUUID().slice(0, 8);
+    this.io = null;
+    this.maps = new Map();
+    this.handlers = new Map();
+    this.owners = this.map('owners');   // "game:<id>" / "tournament:<id>" -> nodeId
+    this.heartbeat = null;
+    this.started = false;
+  }
+
+  /** A SharedMap, created on first use and hydrated by start(). */
+  map(name) {
+    if (!this.maps.has(name)) {
+      const map = new SharedMap(this.store, name, this.nodeId);
+      this.maps.set(name, map);
+      if (this.started) map.load().catch(err => console.error(`SharedMap ${name}: load failed:`, err.message));
+    }
+    return this.maps.get(name);
+  }
+
+  async start(io) {
+    this.io = io;
+    await this._beat();
+    await this.store.subscribe(`node:${this.nodeId}`, (msg) => this._dispatch(msg));
+    await this.store.subscribe('cluster', (msg) => {
+      if (msg.from !== this.nodeId) this._dispatch(msg);
+    });
+    await Promise.all([...this.maps.values()].map(m => m.load()));
+    this.started = true;
+
+    this.heartbeat = setInterval(() => {
+      this._beat().then(() => this.reap()).catch(err => console.error('Cluster heartbeat:', err.message));
+    }, HEARTBEAT_MS);
+    console.log(`Cluster node ${this.nodeId} started (${STATE_STORE} state store)`);
+  }
+
+  stop() {
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  // =============================================
+  // OWNERSHIP
+  // =============================================
+  pin(key) {
+    return this.owners.set(key, this.nodeId);
+  }
+
+  unpin(key) {
+    if (this.owners.get(key) === this.nodeId) this.owners.delete(key);
+  }
+
+  ownerOf(key) {
+    return this.owners.get(key) || null;
+  }
+
+  // =============================================
+  // ROUTING
+  // =============================================
+  on(event, handler) {
+    this.handlers.set(event, handler);
+  }
+
+  /**
+   * Run `event` on `nodeId` (this node when null or ourselves). `socket` is
+   * the real socket when called locally.
+   */
+  route(nodeId, event, socket, payload = {}) {
+    if (!nodeId || nodeId === this.nodeId) return this._run(event, socket, payload);
+    this.store.publish(`node:${nodeId}`, { event, socket: socketRef(socket), payload })
+      .catch(err => console.error(`Cluster route ${event}:`, err.message));
+  }
+
+  /** Run `event` here and on every other node. */
+  broadcast(event, socket, payload = {}) {
+    this._run(event, socket, payload);
+    this.store.publish('cluster', { from: this.nodeId, event, socket: socketRef(socket), payload })
+      .catch(err => console.error(`Cluster broadcast ${event}:`, err.message));
+  }
+
+  // =============================================
+  // LIVENESS
+  // =============================================
+  /** Remove shared entries written by nodes whose heartbeat has expired. */
+  async reap() {
+    const nodes = new Set();
+    for (const map of this.maps.values()) {
+      for (const node of map.writers.values()) if (node !== this.nodeId) nodes.add(node);
+    }
+    for (const node of nodes) {
+      if (await this.store.get(`node:${node}`)) continue;
+      let reaped = 0;
+      for (const map of this.maps.values()) reaped += await map.reap(node);
+      if (reaped) console.log(`Cluster: node ${node} is gone, dropped ${reaped} shared entries`);
+    }
+  }
+
+  _beat() {
+    return this.store.set(`node:${this.nodeId}`, Date.now(), { ttlMs: NODE_TTL_MS });
+  }
+
+  _dispatch(msg) {
+    if (!msg || !msg.event || !this.io) return;
+    this._run(msg.event, remoteSocket(this.io, msg.socket || {}), msg.payload || {});
+  }
+
+  _run(event, socket, payload) {
+    const handler = this.handlers.get(event);
+    if (!handler) return;
+    try {
+      const result = handler(socket, payload);
+      if (result && result.catch) result.catch(err => console.error(`Cluster handler ${event}:`, err.message));
+    } catch (err) {
+      console.error(`Cluster handler ${event}:`, err.message);
+    }
+  }
+}
+
+function socketRef(socket) {
+  return { id: socket.id, wallet: socket.wallet || null, username: socket.username || null };
+}
+
+// Stand-in for a socket connected to another node
+function remoteSocket(io, { id, wallet, username }) {
+  return {
+    id,
+    wallet,
+    username,
+    remote: true,
+    emit: (event, data) => io.to(id).emit(event, data),
+    join: (room) => io.in(id).socketsJoin(room),
+    leave: (room) => io.in(id).socketsLeave(room),
+  };
+}
+
+// The process-wide cluster, backed by the configured store
+const cluster = new Cluster(createStore());
+
+/**
+ * With a shared store, socket.io needs the Redis adapter so io.to(socketId)
+ * and room broadcasts reach sockets held by other nodes.
+ */
+function attachAdapter(io) {
+  if (STATE_STORE !== 'redis') return;
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const { client } = cluster.store;
+  io.adapter(createAdapter(client.duplicate(), client.duplicate(), { key: `${cluster.store.prefix}socket.io` }));
+}
+
+module.exports = { Cluster, cluster, attachAdapter, STATE_STORE };
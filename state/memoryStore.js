@@ -0,0 +1,90 @@
+// ===========================================
+// Memory Store — Single-process implementation of the state store
+// ===========================================
+// Behaves like the Redis store: values are copied through JSON on the way in
+// and out, and published messages are delivered asynchronously to every
+// subscriber (the publisher included). Several Cluster instances sharing one
+// MemoryStore act as separate nodes, which is how the tests run them.
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+class MemoryStore {
+  constructor() {
+    this.values = new Map();    // key -> { value, expiresAt }
+    this.hashes = new Map();    // key -> Map(field -> value)
+    this.channels = new Map();  // channel -> Set(handler)
+  }
+
+  async get(key) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return clone(entry.value);
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    this.values.set(key, { value: clone(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async del(key) {
+    this.values.delete(key);
+    this.hashes.delete(key);
+  }
+
+  async hget(key, field) {
+    const hash = this.hashes.get(key);
+    return hash && hash.has(field) ? clone(hash.get(field)) : null;
+  }
+
+  async hset(key, field, value) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    this.hashes.get(key).set(field, clone(value));
+  }
+
+  async hdel(key, ...fields) {
+    const hash = this.hashes.get(key);
+    if (!hash) return 0;
+    let removed = 0;
+    for (const field of fields) if (hash.delete(field)) removed++;
+    return removed;
+  }
+
+  async hgetall(key) {
+    const out = {};
+    for (const [field, value] of this.hashes.get(key) || []) out[field] = clone(value);
+    return out;
+  }
+
+  async htake(key, fields) {
+    const hash = this.hashes.get(key);
+    if (!hash || !fields.every(f => hash.has(f))) return null;
+    return fields.map(f => {
+      const value = hash.get(f);
+      hash.delete(f);
+      return value;
+    });
+  }
+
+  async publish(channel, message) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) return;
+    const raw = JSON.stringify(message);
+    setImmediate(() => {
+      for (const handler of handlers) handler(JSON.parse(raw));
+    });
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+    this.channels.get(channel).add(handler);
+  }
+
+  async close() {
+    this.channels.clear();
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,110 @@
+// ===========================================
+// Redis Store — State store over the Redis protocol
+// ===========================================
+// Works against Redis or any server that speaks its protocol. Keys and
+// channels are namespaced with `prefix` (STATE_PREFIX, default "pong:") so
+// several deployments can share a server. Subscriptions need a dedicated
+// connection, so the store holds two: `client` and `sub`.
+
+const Redis = require('ioredis');
+
+// HTAKE key field [field ...] — all-or-nothing HMGET + HDEL
+const HTAKE_SCRIPT = `
+local values = redis.call('HMGET', KEYS[1], unpack(ARGV))
+for i = 1, #values do
+  if not values[i] then return false end
+end
+redis.call('HDEL', KEYS[1], unpack(ARGV))
+return values
+`;
+
+const decode = (raw) => (raw == null ? null : JSON.parse(raw));
+
+class RedisStore {
+  constructor(url, { prefix } = {}) {
+    this.prefix = prefix || 'pong:';
+    this.client = new Redis(url);
+    this.client.defineCommand('htake', { numberOfKeys: 1, lua: HTAKE_SCRIPT });
+    this.sub = this.client.duplicate();
+    this.handlers = new Map();  // prefixed channel -> Set(handler)
+
+    this.sub.on('message', (channel, raw) => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      for (const handler of handlers) handler(message);
+    });
+    for (const conn of [this.client, this.sub]) {
+      conn.on('error', (err) => console.error('State store (redis):', err.message));
+    }
+  }
+
+  key(name) {
+    return this.prefix + name;
+  }
+
+  async get(key) {
+    return decode(await this.client.get(this.key(key)));
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    const raw = JSON.stringify(value);
+    if (ttlMs) await this.client.set(this.key(key), raw, 'PX', ttlMs);
+    else await this.client.set(this.key(key), raw);
+  }
+
+  async del(key) {
+    await this.client.del(this.key(key));
+  }
+
+  async hget(key, field) {
+    return decode(await this.client.hget(this.key(key), field));
+  }
+
+  async hset(key, field, value) {
+    await this.client.hset(this.key(key), field, JSON.stringify(value));
+  }
+
+  async hdel(key, ...fields) {
+    if (fields.length === 0) return 0;
+    return this.client.hdel(this.key(key), ...fields);
+  }
+
+  async hgetall(key) {
+    const raw = await this.client.hgetall(this.key(key));
+    const out = {};
+    for (const [field, value] of Object.entries(raw)) out[field] = decode(value);
+    return out;
+  }
+
+  async htake(key, fields) {
+    if (fields.length === 0) return [];
+    const values = await this.client.htake(this.key(key), ...fields);
+    return values ? values.map(decode) : null;
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.key(channel), JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    const name = this.key(channel);
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, new Set());
+      await this.sub.subscribe(name);
+    }
+    this.handlers.get(name).add(handler);
+  }
+
+  async close() {
+    this.handlers.clear();
+    await Promise.all([this.client.quit(), this.sub.quit()]);
+  }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,139 @@
+// ===========================================
+// Shared Map — A Map replicated across every node through the state store
+// ===========================================
+// Reads are synchronous and served from a local copy, so code that used a
+// plain Map keeps working. Writes apply locally at once, then go to a store
+// hash and are published so other nodes update their copies.
+//
+// Each entry remembers which node wrote it; when a node stops heartbeating
+// the Cluster reaps its entries (its sockets, lobbies and games are gone).
+//
+// The local copy can lag another node's writes by a round trip. Anything
+// that must happen once across the cluster (claiming a lobby, pairing two
+// queued players) uses take()/takeAll(), which go to the store atomically.
+
+class SharedMap {
+  constructor(store, name, nodeId) {
+    this.store = store;
+    this.name = name;
+    this.nodeId = nodeId;
+    this.hash = `map:${name}`;
+    this.cache = new Map();   // key -> value
+    this.writers = new Map(); // key -> nodeId that wrote it
+  }
+
+  /** Subscribe to other nodes' writes, then hydrate from the store. */
+  async load() {
+    await this.store.subscribe(this.hash, (msg) => this._onMessage(msg));
+    const entries = await this.store.hgetall(this.hash);
+    for (const [key, entry] of Object.entries(entries)) this._apply(key, entry);
+  }
+
+  // =============================================
+  // READS (local copy)
+  // =============================================
+  get(key) { return this.cache.get(key); }
+  has(key) { return this.cache.has(key); }
+  get size() { return this.cache.size; }
+  keys() { return this.cache.keys(); }
+  values() { return this.cache.values(); }
+  entries() { return this.cache.entries(); }
+  [Symbol.iterator]() { return this.cache.entries(); }
+  forEach(fn) { this.cache.forEach((value, key) => fn(value, key, this)); }
+
+  writerOf(key) { return this.writers.get(key) || null; }
+
+  // =============================================
+  // WRITES
+  // =============================================
+  set(key, value) {
+    const entry = { n: this.nodeId, v: value };
+    this._apply(key, entry);
+    return this._write(async () => {
+      await this.store.hset(this.hash, key, entry);
+      await this.store.publish(this.hash, { from: this.nodeId, op: 'set', key, entry });
+    });
+  }
+
+  delete(key) {
+    const had = this._drop(key);
+    this._write(() => this._remove([key]));
+    return had;
+  }
+
+  /**
+   * Atomically remove every key; resolves to their values, or null if any
+   * was already gone (nothing is removed, and the local copy is refreshed).
+   * Rejects if the store can't be reached, so callers can tell a lost race
+   * (worth looking again) from an outage (not worth retrying straight away).
+   */
+  async takeAll(keys) {
+    const entries = await this.store.htake(this.hash, keys);
+    if (!entries) {
+      await this.refresh(keys);
+      return null;
+    }
+    keys.forEach(k => this._drop(k));
+    this._write(() => this.store.publish(this.hash, { from: this.nodeId, op: 'del', keys }));
+    return entries.map(e => e.v);
+  }
+
+  /** Take one key; a store error counts as not getting it. */
+  async take(key) {
+    try {
+      const values = await this.takeAll([key]);
+      return values ? values[0] : null;
+    } catch (err) {
+      console.error(`SharedMap ${this.name}: take failed:`, err.message);
+      return null;
+    }
+  }
+
+  /** Re-read keys from the store (after a lost take, the local copy was stale). */
+  async refresh(keys) {
+    for (const key of keys) {
+      const entry = await this.store.hget(this.hash, key);
+      if (entry) this._apply(key, entry);
+      else this._drop(key);
+    }
+  }
+
+  /** Drop every entry written by a node that is no longer alive. */
+  async reap(deadNode) {
+    const keys = [...this.writers].filter(([, node]) => node === deadNode).map(([key]) => key);
+    if (keys.length === 0) return 0;
+    keys.forEach(k => this._drop(k));
+    await this._remove(keys);
+    return keys.length;
+  }
+
+  // =============================================
+  // INTERNALS
+  // =============================================
+  async _remove(keys) {
+    await this.store.hdel(this.hash, ...keys);
+    await this.store.publish(this.hash, { from: this.nodeId, op: 'del', keys });
+  }
+
+  _write(fn) {
+    return fn().catch(err => console.error(`SharedMap ${this.name}: write failed:`, err.message));
+  }
+
+  _apply(key, entry) {
+    this.cache.set(key, entry.v);
+    this.writers.set(key, entry.n);
+  }
+
+  _drop(key) {
+    this.writers.delete(key);
+    return this.cache.delete(key);
+  }
+
+  _onMessage(msg) {
+    if (!msg || msg.from === this.nodeId) return;
+    if (msg.op === 'set') this._apply(msg.key, msg.entry);
+    else if (msg.op === 'del') msg.keys.forEach(k => this._drop(k));
+  }
+}
+
+module.exports = { SharedMap };
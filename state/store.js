@@ -0,0 +1,32 @@
+// ===========================================
+// State Store — Shared state for running several server nodes
+// ===========================================
+// Matchmaking state that every node must agree on (who is online, queues,
+// lobbies, duel invites, which node owns a game or tournament) lives in a
+// store. Values are JSON; every method is async:
+//
+//   get(key) / set(key, value, { ttlMs }) / del(key)
+//   hget(key, field) / hset(key, field, value) / hdel(key, ...fields)
+//   hgetall(key)                 -> { field: value }
+//   htake(key, fields)           -> values, removing ALL fields atomically,
+//                                   or null (nothing removed) if any is missing
+//   publish(channel, message) / subscribe(channel, handler)
+//   close()
+//
+// REDIS_URL selects state/redisStore.js (anything that speaks the Redis
+// protocol); without it the in-memory store is used and the server runs as
+// a single node.
+
+const { MemoryStore } = require('./memoryStore');
+
+const STATE_STORE = process.env.REDIS_URL ? 'redis' : 'memory';
+
+function createStore() {
+  if (STATE_STORE === 'redis') {
+    const { RedisStore } = require('./redisStore');
+    return new RedisStore(process.env.REDIS_URL, { prefix: process.env.STATE_PREFIX });
+  }
+  return new MemoryStore();
+}
+
+module.exports = { STATE_STORE, createStore };
@@ -0,0 +1,202 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { Keypair, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { fakeIo, stubModels, flush } = require('./helpers');
+
+// Stakes really escrow, into a mock ledger with a known treasury
+const TREASURY = Keypair.generate();
+process.env.SOLANA_LEDGER = 'mock';
+process.env.TREASURY_PRIVATE_KEY = bs58.encode(TREASURY.secretKey);
+delete process.env.SKIP_ESCROW;
+
+const Match = require('../models/Match');
+const User = require('../models/User');
+const Skin = require('../models/Skin');
+const Tournament = require('../models/Tournament');
+const PayoutJob = require('../models/PayoutJob');
+const ConsumedSignature = require('../models/ConsumedSignature');
+const { MockLedger } = require('../solana/mockLedger');
+const { setConnection, buildCustomEscrowTransaction } = require('../solana/utils');
+const { PongEngine } = require('../game/PongEngine');
+const { initMatchmaking, openTournaments, tournamentDirectory } = require('../game/matchmaking');
+const { cluster } = require('../state/cluster');
+
+const STAKE = 5e6;
+const keys = [Keypair.generate(), Keypair.generate()];
+const [P1, P2] = keys.map((kp, i) => ({ wallet: kp.publicKey.toBase58(), username: `p${i + 1}`, socketId: `s${i + 1}` }));
+
+class Games extends Map {
+  isPlaying() { return false; }
+  ownerOf() { return null; }
+}
+
+const io = fakeIo();
+const onlineUsers = new Map([[P1.wallet, { socketId: 's1' }], [P2.wallet, { socketId: 's2' }]]);
+const activeGames = new Games();
+let ledger;
+
+function socketOf(player) {
+  return { id: player.socketId, wallet: player.wallet, username: player.username, emit: (e, d) => io.to(player.socketId).emit(e, d) };
+}
+
+async function settle() {
+  for (let i = 0; i < 20; i++) await flush();
+}
+
+// Sign a stake transfer as `player` and land it on the ledger
+async function stake(player, base64) {
+  const tx = Transaction.from(Buffer.from(base64 || (await buildCustomEscrowTransaction(player.wallet, STAKE)).transaction, 'base64'));
+  tx.sign(keys[player === P1 ? 0 : 1]);
+  return ledger.sendRawTransaction(tx.serialize());
+}
+
+// A fresh ledger with the treasury account open and both players funded
+function freshLedger(t) {
+  stubModels(t, Match, User, Skin, Tournament, PayoutJob, ConsumedSignature);
+  t.mock.method(console, 'log', () => {});
+  ledger = new MockLedger();
+  setConnection(ledger);
+  ledger.airdrop(TREASURY.publicKey, 0);
+  for (const player of [P1, P2]) ledger.airdrop(player.wallet, 4 * STAKE);
+}
+
+// A rematch of a finished duel, waiting for both stakes. Returns its gameId.
+async function pendingMatch(t, gameId) {
+  freshLedger(t);
+
+  const finished = new PongEngine(gameId, { ...P1 }, { ...P2 }, 'duel', io, activeGames, STAKE);
+  finished.simState.status = 'finished';
+  activeGames.set(gameId, finished);
+  io.emitted.length = 0;
+
+  cluster.route(null, 'rematch-request', socketOf(P1), { gameId });
+  cluster.route(null, 'rematch-accept', socketOf(P2), { gameId });
+  await settle();
+  const found = io.events('match-found');
+  assert.strictEqual(found.length, 2);
+  return { gameId: found[0].data.gameId, txs: Object.fromEntries(found.map(e => [e.room, e.data.escrowTransaction])) };
+}
+
+// A two-player tournament that P2's join has just put into its escrow phase
+async function escrowingTournament(t, tournamentId) {
+  freshLedger(t);
+  const tournament = {
+    tournamentId, creator: P1.wallet, creatorUsername: P1.username, status: 'waiting', maxPlayers: 2,
+    stakeAmount: STAKE, format: 'single-elimination', bestOf: 1, createdAt: new Date(),
+    players: [{ wallet: P1.wallet, username: P1.username, socketId: P1.socketId, escrowed: false, seed: 0 }],
+  };
+  openTournaments.set(tournamentId, tournament);
+  t.after(() => { openTournaments.delete(tournamentId); tournamentDirectory.delete(tournamentId); });
+  io.emitted.length = 0;
+
+  cluster.route(null, 'tournament-join', socketOf(P2), { tournamentId });
+  await settle();
+  const required = io.events('tournament-escrow-required');
+  assert.strictEqual(tournament.status, 'escrow');
+  return { tournament, txs: Object.fromEntries(required.map(e => [e.room, e.data.escrowTransaction])) };
+}
+
+const consumed = () => ConsumedSignature.create.mock.calls.map(c => c.arguments[0].signature);
+// Refunds queued for a game (queueJob's upsert; runJob's claim filters on status too)
+const refundsFor = (gameId, prefix = 'escrow') => PayoutJob.findOneAndUpdate.mock.calls
+  .map(c => c.arguments[0]).filter(f => !f.$or && f.key.startsWith(`${prefix}:${gameId}:refund:`)).map(f => f.key);
+
+before(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  initMatchmaking(io, onlineUsers, activeGames);
+});
+after(() => mock.timers.reset());
+
+describe('escrow submission', () => {
+  test('a second transfer sent while the first is verifying is turned away, not consumed', async (t) => {
+    const { gameId, txs } = await pendingMatch(t, 'twice');
+    const first = await stake(P1, txs.s1);
+    const second = await stake(P1);
+
+    cluster.route(null, 'escrow-submit', socketOf(P1), { gameId, txSignature: first });
+    cluster.route(null, 'escrow-submit', socketOf(P1), { gameId, txSignature: second });
+    await settle();
+
+    assert.match(io.events('escrow-error').find(e => e.room === 's1').data.error, /already being verified/);
+    assert.deepStrictEqual(consumed(), [first]);
+    const recorded = Match.findOneAndUpdate.mock.calls.map(c => c.arguments[1]).filter(u => u.player1EscrowTx);
+    assert.deepStrictEqual(recorded, [{ player1EscrowTx: first }]);
+  });
+
+  test('a stake verified after the match was cancelled is refunded', async (t) => {
+    const { gameId, txs } = await pendingMatch(t, 'cancelled');
+    const sig = await stake(P1, txs.s1);
+
+    cluster.route(null, 'escrow-submit', socketOf(P1), { gameId, txSignature: sig });
+    cluster.route(null, 'escrow-cancel', socketOf(P2), { gameId });
+    await settle();
+
+    assert.deepStrictEqual(refundsFor(gameId), [`escrow:${gameId}:refund:${P1.wallet}`]);
+    assert.match(io.events('escrow-error').find(e => e.room === 's1').data.error, /being refunded/);
+    assert.strictEqual(activeGames.has(gameId), false);
+  });
+
+  test('the last two stakes landing together start the game once', async (t) => {
+    const { gameId, txs } = await pendingMatch(t, 'together');
+    const sigs = [await stake(P1, txs.s1), await stake(P2, txs.s2)];
+
+    cluster.route(null, 'escrow-submit', socketOf(P1), { gameId, txSignature: sigs[0] });
+    cluster.route(null, 'escrow-submit', socketOf(P2), { gameId, txSignature: sigs[1] });
+    await settle();
+
+    const countdowns = io.events('game-countdown').filter(e => e.data.gameId === gameId);
+    assert.deepStrictEqual(countdowns.map(e => e.room), ['s1', 's2']);
+    clearTimeout(activeGames.get(gameId).readyTimeout);
+  });
+
+  test('an escrow timeout refunds the stakes that did land', async (t) => {
+    const { gameId, txs } = await pendingMatch(t, 'timeout');
+    cluster.route(null, 'escrow-submit', socketOf(P2), { gameId, txSignature: await stake(P2, txs.s2) });
+    await settle();
+
+    mock.timers.tick(60000);
+    await settle();
+
+    assert.deepStrictEqual(refundsFor(gameId), [`escrow:${gameId}:refund:${P2.wallet}`]);
+    assert.deepStrictEqual(io.events('match-cancelled').filter(e => e.data.gameId === gameId).map(e => e.room).sort(), ['s1', 's2']);
+  });
+});
+
+describe('tournament escrow submission', () => {
+  test('a second transfer sent while the first is verifying is turned away, not consumed', async (t) => {
+    const { tournament, txs } = await escrowingTournament(t, 'tournament-twice');
+    const first = await stake(P1, txs.s1);
+    const second = await stake(P1);
+
+    const submit = (txSignature) => cluster.route(null, 'tournament-escrow-submit', socketOf(P1), { tournamentId: 'tournament-twice', txSignature });
+    submit(first);
+    submit(second);
+    await settle();
+
+    assert.match(io.events('tournament-error').find(e => e.room === 's1').data.error, /already being verified/);
+    assert.deepStrictEqual(consumed(), [first]);
+    assert.strictEqual(tournament.players[0].escrowTx, first);
+  });
+
+  test('a stake verified after the escrow timeout cancelled the tournament is refunded', async (t) => {
+    const { tournament, txs } = await escrowingTournament(t, 'tournament-late');
+    const sig = await stake(P2, txs.s2);
+    // Hold verification up until the escrow timeout has fired
+    let land;
+    t.mock.method(ConsumedSignature, 'exists', () => new Promise(resolve => { land = resolve; }));
+
+    cluster.route(null, 'tournament-escrow-submit', socketOf(P2), { tournamentId: 'tournament-late', txSignature: sig });
+    await settle();
+    mock.timers.tick(90000);
+    await settle();
+    assert.strictEqual(tournament.status, 'cancelled');
+    assert.deepStrictEqual(refundsFor('tournament-late', 'tournament'), []);
+
+    land(null);
+    await settle();
+    assert.deepStrictEqual(refundsFor('tournament-late', 'tournament'), [`tournament:tournament-late:refund:${P2.wallet}`]);
+    assert.match(io.events('tournament-error').find(e => e.room === 's2').data.error, /being refunded/);
+    assert.strictEqual(tournament.players[1].escrowed, false);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');  // no database: unstubbed queries fail fast
+const { summarize } = require('../game/headToHead');
+
+function match(fields) {
+  return { player1: 'w1', player2: 'w2', tier: 'low', stakeAmount: 5e6, payoutStatus: 'completed', ...fields };
+}
+
+describe('head-to-head', () => {
+  test('counts results, stakes and margins from the first wallet\'s side', () => {
+    const record = summarize([
+      match({ winner: 'w1', score: { player1: 5, player2: 2 }, completedAt: new Date('2026-01-02') }),
+      match({ player1: 'w2', player2: 'w1', winner: 'w2', score: { player1: 5, player2: 4 }, completedAt: new Date('2026-01-03'), rematchOf: 'g1' }),
+      match({ winner: 'w1', score: { player1: 5, player2: 0 }, tier: 'tournament', completedAt: new Date('2026-01-01') }),
+    ], 'w1');
+
+    assert.deepStrictEqual(record, {
+      matches: 3, wins: 2, losses: 1,
+      // +5 for the staked win, -5 for the loss; the tournament game pays nothing
+      netPong: 0,
+      lastPlayed: new Date('2026-01-03'),
+      avgMargin: 2.33,
+      rematches: 1,
+    });
+  });
+
+  test('refunded or unsettled matches and a first meeting count nothing', () => {
+    const none = { matches: 0, wins: 0, losses: 0, netPong: 0, lastPlayed: null, avgMargin: 0, rematches: 0 };
+    assert.deepStrictEqual(summarize([], 'w1'), none);
+    // A pot handed back, a recovery tie and a match cancelled before it started
+    assert.deepStrictEqual(summarize([
+      match({ winner: 'w2', score: { player1: 3, player2: 5 }, payoutStatus: 'refunded', completedAt: new Date('2026-01-04') }),
+      match({ winner: null, score: { player1: 2, player2: 2 }, payoutStatus: 'refunded' }),
+      match({ winner: null, status: 'cancelled' }),
+    ], 'w1'), none);
+
+    const record = summarize([
+      match({ winner: 'w1', score: { player1: 5, player2: 1 } }),
+      match({ winner: 'w2', payoutStatus: 'refunded' }),
+    ], 'w1');
+    assert.deepStrictEqual([record.matches, record.wins, record.losses, record.netPong], [1, 1, 0, 5e6]);
+  });
+});
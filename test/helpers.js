@@ -0,0 +1,68 @@
+// ===========================================
+// Test helpers — fake socket.io server and mongoose model stubs
+// ===========================================
+
+const mongoose = require('mongoose');
+
+// There is no database in tests: fail unstubbed queries immediately instead
+// of buffering them (which also keeps the User index cleanup from holding
+// the process open for bufferTimeoutMS).
+mongoose.set('bufferCommands', false);
+
+/**
+ * Minimal stand-in for the socket.io server PongEngine talks to.
+ * Every emit is recorded as { room, event, data }.
+ */
+function fakeIo() {
+  const emitted = [];
+  return {
+    emitted,
+    emit(event, data) {
+      emitted.push({ room: null, event, data });
+    },
+    to(room) {
+      return { emit: (event, data) => emitted.push({ room, event, data }) };
+    },
+    in() {
+      return { socketsLeave() {}, socketsJoin() {}, fetchSockets: async () => [] };
+    },
+    events(name) {
+      return emitted.filter(e => e.event === name);
+    },
+  };
+}
+
+/**
+ * A resolved mongoose-style query: awaitable, with the chain methods the
+ * game code uses (select, lean, sort, limit) returning itself.
+ */
+function query(value) {
+  const q = Promise.resolve(value);
+  q.select = () => q;
+  q.lean = () => q;
+  q.sort = () => q;
+  q.limit = () => q;
+  return q;
+}
+
+/**
+ * Stub every database call on the given models for the duration of a test.
+ * Reads resolve to null, writes to the empty result. Individual methods can
+ * be re-mocked afterwards with t.mock.method.
+ */
+function stubModels(t, ...models) {
+  for (const Model of models) {
+    for (const name of ['findOne', 'find', 'findOneAndUpdate', 'exists']) {
+      t.mock.method(Model, name, () => query(null));
+    }
+    t.mock.method(Model, 'updateOne', () => query({ modifiedCount: 0 }));
+    t.mock.method(Model, 'create', async (doc) => doc);
+  }
+}
+
+/** Let pending promise callbacks (e.g. an async endGame) run. */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { fakeIo, query, stubModels, flush };
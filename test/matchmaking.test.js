@@ -0,0 +1,109 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { fakeIo, stubModels, query, flush } = require('./helpers');
+
+// Matches start straight into the ready phase, without building escrow transactions
+process.env.SKIP_ESCROW = 'true';
+
+const Match = require('../models/Match');
+const User = require('../models/User');
+const Skin = require('../models/Skin');
+const { PongEngine } = require('../game/PongEngine');
+const { initMatchmaking } = require('../game/matchmaking');
+const { cluster } = require('../state/cluster');
+
+const P1 = { wallet: 'wallet-one', username: 'one', socketId: 's1' };
+const P2 = { wallet: 'wallet-two', username: 'two', socketId: 's2' };
+
+class Games extends Map {
+  isPlaying() { return false; }
+  ownerOf() { return null; }
+}
+
+const io = fakeIo();
+const onlineUsers = new Map([[P1.wallet, { socketId: 's1' }], [P2.wallet, { socketId: 's2' }]]);
+const activeGames = new Games();
+
+function socketOf(player) {
+  return { id: player.socketId, wallet: player.wallet, username: player.username, emit: (e, d) => io.to(player.socketId).emit(e, d) };
+}
+
+// A finished duel still held for post-game chat
+function finishedGame(t, gameId, options) {
+  stubModels(t, Match, User, Skin);
+  t.mock.method(console, 'log', () => {});
+  const game = new PongEngine(gameId, { ...P1 }, { ...P2 }, 'duel', io, activeGames, 5e6, options);
+  game.simState.status = 'finished';
+  activeGames.set(gameId, game);
+  return game;
+}
+
+before(() => {
+  // The queue sweep interval and offer timeouts run on mocked timers
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  initMatchmaking(io, onlineUsers, activeGames);
+});
+after(() => mock.timers.reset());
+
+describe('rematch', () => {
+  test('double or nothing starts the same duel at twice the stake, chained to the last match', async (t) => {
+    finishedGame(t, 'old', { bestOf: 3, ruleset: 'blitz' });
+    t.mock.method(Match, 'findOne', () => query({ rematchChain: 'first', rematchNumber: 1 }));
+
+    cluster.route(null, 'rematch-request', socketOf(P1), { gameId: 'old', doubleOrNothing: true });
+    const incoming = io.events('rematch-incoming');
+    assert.deepStrictEqual(incoming.map(e => e.room), ['s2']);
+    assert.strictEqual(incoming[0].data.stakeAmount, 10e6);
+
+    cluster.route(null, 'rematch-accept', socketOf(P2), { gameId: 'old' });
+    await flush();
+    await flush();
+
+    const created = Match.create.mock.calls[0].arguments[0];
+    assert.strictEqual(created.stakeAmount, 10e6);
+    assert.strictEqual(created.bestOf, 3);
+    assert.strictEqual(created.ruleset.id, 'blitz');
+    assert.deepStrictEqual(
+      [created.rematchOf, created.rematchChain, created.rematchNumber, created.doubleOrNothing],
+      ['old', 'first', 2, true]
+    );
+    const countdown = io.events('game-countdown').filter(e => e.data.gameId === created.gameId);
+    assert.deepStrictEqual(countdown.map(e => e.room), ['s1', 's2']);
+    clearTimeout(activeGames.get(created.gameId).readyTimeout);
+
+    // One rematch per game
+    cluster.route(null, 'rematch-request', socketOf(P2), { gameId: 'old' });
+    assert.match(io.events('rematch-error').at(-1).data.error, /already been arranged/);
+  });
+
+  test('an offer can be declined, and otherwise expires', (t) => {
+    finishedGame(t, 'declined');
+    cluster.route(null, 'rematch-request', socketOf(P1), { gameId: 'declined' });
+    cluster.route(null, 'rematch-decline', socketOf(P2), { gameId: 'declined' });
+    assert.deepStrictEqual(io.events('rematch-declined').map(e => [e.room, e.data.byUsername]), [['s1', 'two'], ['s2', 'two']]);
+
+    cluster.route(null, 'rematch-request', socketOf(P2), { gameId: 'declined' });
+    mock.timers.tick(30000);
+    assert.strictEqual(io.events('rematch-expired').length, 2);
+    cluster.route(null, 'rematch-accept', socketOf(P1), { gameId: 'declined' });
+    assert.match(io.events('rematch-error').at(-1).data.error, /expired/);
+  });
+});
+
+describe('queue', () => {
+  test('a store outage while claiming a pair ends the sweep instead of spinning', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const queue = cluster.map('queue');
+    t.after(() => { queue.delete(P1.wallet); queue.delete(P2.wallet); });
+    for (const p of [P1, P2]) {
+      await queue.set(p.wallet, { ...p, tier: 'low', mode: 'classic', rating: 1500, joinedAt: Date.now() });
+    }
+    const htake = t.mock.method(cluster.store, 'htake', async () => { throw new Error('connection lost'); });
+
+    mock.timers.tick(2000);
+    for (let i = 0; i < 5; i++) await flush();
+
+    assert.strictEqual(htake.mock.callCount(), 1);
+    assert.ok(queue.has(P1.wallet) && queue.has(P2.wallet));
+  });
+});
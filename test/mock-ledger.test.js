@@ -0,0 +1,236 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { stubModels, query } = require('./helpers');
+
+const TREASURY = Keypair.generate();
+process.env.SOLANA_LEDGER = 'mock';
+process.env.TREASURY_PRIVATE_KEY = bs58.encode(TREASURY.secretKey);
+delete process.env.PONG_MINT_ADDRESS;
+
+const PayoutJob = require('../models/PayoutJob');
+const ConsumedSignature = require('../models/ConsumedSignature');
+const { Stats } = require('../models/Stats');
+const { MockLedger } = require('../solana/mockLedger');
+const { LEDGER_MODE, createConnection } = require('../solana/connection');
+const {
+  setConnection, getATA, getPlayerBalance, getSignatureState, verifyEscrowTx,
+  buildCustomEscrowTransaction, buildSkinPurchaseTransaction, burnSkinRevenue,
+  payoutWinner, refundPlayer, splitPot,
+} = require('../solana/utils');
+const { queueAndRun, queueJob, runJob, resolveJobManually } = require('../game/payoutJobs');
+
+const STAKE = 5e6;
+const FEE_WALLET = 'ABAhkC9TMoFxAJpnFJt2yHfAcXpkPnpoFXH6JCjT72CM';
+const ONCE = { attempts: 1 };
+let ledger;
+
+// Sign a server-built transaction as the player and land it
+async function signAndSend(keypair, { transaction }) {
+  const tx = Transaction.from(Buffer.from(transaction, 'base64'));
+  tx.sign(keypair);
+  return ledger.sendRawTransaction(tx.serialize());
+}
+
+async function escrow(keypair, amount) {
+  return signAndSend(keypair, await buildCustomEscrowTransaction(keypair.publicKey.toBase58(), amount));
+}
+
+function funded(amount) {
+  const keypair = Keypair.generate();
+  ledger.airdrop(keypair.publicKey, amount);
+  return keypair;
+}
+
+// PayoutJob documents kept in a Map, claimed the way runJob's filter does
+function jobStore(t) {
+  const jobs = new Map();
+  t.mock.method(PayoutJob, 'findOne', ({ key }) => query(jobs.get(key) || null));
+  t.mock.method(PayoutJob, 'findOneAndUpdate', (filter, update) => {
+    let job = jobs.get(filter.key);
+    if (update.$setOnInsert) {
+      if (!job) {
+        job = {
+          ...update.$setOnInsert, status: 'queued', attempts: 0, nextAttemptAt: new Date(0),
+          signatures: [], handled: false, save: async () => job,
+        };
+        jobs.set(filter.key, job);
+      }
+      return query(job);
+    }
+    const due = job && filter.$or.some(({ status, nextAttemptAt, lockedAt }) => job.status === status
+      && (!nextAttemptAt || job.nextAttemptAt <= nextAttemptAt.$lte)
+      && (!lockedAt || job.lockedAt <= lockedAt.$lte));
+    if (!due) return query(null);
+    Object.assign(job, update.$set);
+    return query(job);
+  });
+  return jobs;
+}
+
+beforeEach((t) => {
+  stubModels(t, Stats);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  ledger = new MockLedger();
+  setConnection(ledger);
+});
+
+describe('mock ledger', () => {
+  test('SOLANA_LEDGER=mock connects to a mock ledger that mints PONG', async () => {
+    assert.strictEqual(LEDGER_MODE, 'mock');
+    assert.ok(createConnection() instanceof MockLedger);
+    const owner = funded(STAKE);
+    assert.strictEqual(await getPlayerBalance(owner.publicKey.toBase58()), STAKE);
+    assert.strictEqual(await getPlayerBalance(Keypair.generate().publicKey.toBase58()), 0);
+    assert.strictEqual(ledger.ataFor(owner.publicKey), (await getATA(ledger.defaultMint, owner.publicKey)).toBase58());
+  });
+
+  test('stakes escrow to the treasury and the winner is paid 90%, 8% burned, 2% fees', async () => {
+    const [p1, p2] = [funded(2 * STAKE), funded(STAKE)];
+    const sigs = [await escrow(p1, STAKE), await escrow(p2, STAKE)];
+    for (const [sig, p] of [[sigs[0], p1], [sigs[1], p2]]) {
+      assert.deepStrictEqual(await verifyEscrowTx(sig, STAKE, p.publicKey.toBase58(), ONCE), { ok: true });
+    }
+    assert.strictEqual(ledger.balanceOf(TREASURY.publicKey), 2 * STAKE);
+
+    const { payoutTx, winnerShare, burnShare, feeShare } = await payoutWinner(p2.publicKey.toBase58(), 2 * STAKE);
+    assert.deepStrictEqual({ winnerShare, burnShare, feeShare }, splitPot(2 * STAKE));
+    assert.strictEqual(ledger.balanceOf(p2.publicKey), winnerShare);
+    assert.strictEqual(ledger.balanceOf(p1.publicKey), STAKE);
+    assert.strictEqual(ledger.balanceOf(new PublicKey(FEE_WALLET)), feeShare);
+    assert.strictEqual(ledger.burned, burnShare);
+    assert.strictEqual(ledger.balanceOf(TREASURY.publicKey), 0);
+    assert.strictEqual(await getSignatureState(payoutTx), 'confirmed');
+  });
+
+  test('a refund returns the stake, creating the account if it was closed', async () => {
+    const player = funded(STAKE);
+    await escrow(player, STAKE);
+    assert.strictEqual(ledger.balanceOf(player.publicKey), 0);
+    await refundPlayer(player.publicKey.toBase58(), STAKE);
+    assert.strictEqual(ledger.balanceOf(player.publicKey), STAKE);
+
+    const fresh = Keypair.generate();
+    ledger.airdrop(TREASURY.publicKey, STAKE);
+    await refundPlayer(fresh.publicKey.toBase58(), STAKE);
+    assert.strictEqual(ledger.balanceOf(fresh.publicKey), STAKE);
+  });
+
+  test('skin revenue is burned in full', async () => {
+    const buyer = funded(STAKE);
+    const sig = await signAndSend(buyer, await buildSkinPurchaseTransaction(buyer.publicKey.toBase58(), STAKE));
+    assert.deepStrictEqual(await verifyEscrowTx(sig, STAKE, buyer.publicKey.toBase58(), ONCE), { ok: true });
+    await burnSkinRevenue(STAKE);
+    assert.strictEqual(ledger.burned, STAKE);
+    assert.strictEqual(ledger.balanceOf(TREASURY.publicKey), 0);
+  });
+
+  test('transfers that would fail are rejected by preflight, or land failed without it', async () => {
+    // Two stakes built against one stake's balance (and an existing treasury
+    // account, so neither tries to create it): only the first can land
+    const player = funded(STAKE);
+    ledger.airdrop(TREASURY.publicKey, 0);
+    const [first, built] = [
+      await buildCustomEscrowTransaction(player.publicKey.toBase58(), STAKE),
+      await buildCustomEscrowTransaction(player.publicKey.toBase58(), STAKE),
+    ];
+    await signAndSend(player, first);
+    await assert.rejects(signAndSend(player, built), /simulation failed: insufficient funds/);
+
+    const tx = Transaction.from(Buffer.from(built.transaction, 'base64'));
+    tx.sign(player);
+    const sig = await ledger.sendRawTransaction(tx.serialize(), { skipPreflight: true });
+    assert.strictEqual(await getSignatureState(sig), 'failed');
+    assert.strictEqual(ledger.balanceOf(TREASURY.publicKey), STAKE);
+    assert.strictEqual(await getSignatureState(bs58.encode(Buffer.alloc(64, 1))), 'unknown');
+  });
+});
+
+describe('payout jobs on the mock ledger', () => {
+  const refund = (wallet) => ({ key: `escrow:g1:refund:${wallet}`, purpose: 'escrow-refund', kind: 'refund', wallet, amount: STAKE, gameId: 'g1' });
+
+  test('a send that never reached the chain is retried once its blockhash has expired', async (t) => {
+    const jobs = jobStore(t);
+    const wallet = Keypair.generate().publicKey.toBase58();
+    ledger.airdrop(TREASURY.publicKey, 2 * STAKE);
+    ledger.injectFault('send');
+
+    const job = await queueAndRun(refund(wallet));
+    assert.strictEqual(job.status, 'queued');
+    assert.match(job.lastError, /injected fault/);
+    assert.strictEqual(job.signatures.length, 1);
+    assert.strictEqual(ledger.balanceOf(new PublicKey(wallet)), 0);
+
+    // Due again, but the unsent signature could still land: wait rather than resend
+    job.nextAttemptAt = new Date(0);
+    await runJob(job.key);
+    assert.strictEqual(job.status, 'queued');
+    assert.strictEqual(job.attempts, 1);
+
+    job.nextAttemptAt = new Date(0);
+    job.lastSentAt = new Date(Date.now() - 3 * 60 * 1000);
+    await runJob(job.key);
+    assert.strictEqual(jobs.get(job.key).status, 'completed');
+    assert.strictEqual(job.attempts, 2);
+    assert.strictEqual(job.signature, job.signatures[1]);
+    assert.strictEqual(ledger.balanceOf(new PublicKey(wallet)), STAKE);
+  });
+
+  test('a send that landed unconfirmed completes from its signature without paying twice', async (t) => {
+    jobStore(t);
+    const winner = Keypair.generate().publicKey.toBase58();
+    ledger.airdrop(TREASURY.publicKey, 4 * STAKE);
+    ledger.injectFault('confirm');
+
+    const spec = { key: 'match:g2:payout', purpose: 'match-payout', kind: 'payout', wallet: winner, amount: 2 * STAKE, gameId: 'g2' };
+    const job = await queueAndRun(spec);
+    assert.strictEqual(job.status, 'queued');
+    assert.match(job.lastError, /block height exceeded/);
+    const { winnerShare } = splitPot(2 * STAKE);
+    assert.strictEqual(ledger.balanceOf(new PublicKey(winner)), winnerShare);
+
+    job.nextAttemptAt = new Date(0);
+    await runJob(spec.key);
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual([job.attempts, job.signatures.length], [1, 1]);
+    assert.strictEqual(job.signature, job.signatures[0]);
+    assert.strictEqual(ledger.balanceOf(new PublicKey(winner)), winnerShare);
+    assert.strictEqual(ledger.balanceOf(TREASURY.publicKey), 2 * STAKE);
+  });
+
+  test('a manual resolution must be an unused transfer of what the job owes into its wallet', async (t) => {
+    const jobs = jobStore(t);
+    const consumed = new Map();
+    t.mock.method(ConsumedSignature, 'create', async (doc) => {
+      if (consumed.has(doc.signature)) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      consumed.set(doc.signature, doc);
+      return doc;
+    });
+    t.mock.method(ConsumedSignature, 'findOne', ({ signature }) => query(consumed.get(signature) || null));
+
+    const [wallet, other] = [Keypair.generate(), Keypair.generate()].map(k => k.publicKey.toBase58());
+    for (const spec of [refund(wallet), { ...refund(wallet), key: `escrow:g2:refund:${wallet}`, gameId: 'g2' }]) {
+      await queueJob(spec);
+      jobs.get(spec.key).status = 'failed';
+    }
+    // What support sent by hand from the treasury
+    ledger.airdrop(TREASURY.publicKey, 4 * STAKE);
+    const [toOther, short, paid] = [
+      await refundPlayer(other, STAKE), await refundPlayer(wallet, STAKE - 1), await refundPlayer(wallet, STAKE),
+    ];
+
+    const key = refund(wallet).key;
+    await assert.rejects(resolveJobManually(key, toOther, ''), /expected \$PONG to the recipient/);
+    await assert.rejects(resolveJobManually(key, short, ''), /expected \$PONG to the recipient/);
+    const job = await resolveJobManually(key, paid, 'sent from the treasury');
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.signature, paid);
+    assert.strictEqual(job.manual.note, 'sent from the treasury');
+
+    // One transfer can't settle a second job
+    await assert.rejects(resolveJobManually(`escrow:g2:refund:${wallet}`, paid, ''), /already been used/);
+    assert.strictEqual(jobs.get(`escrow:g2:refund:${wallet}`).status, 'failed');
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID, createTransferInstruction, createTransferCheckedInstruction } = require('@solana/spl-token');
+const bs58 = require('bs58');
+const { query } = require('./helpers');
+
+const TREASURY = Keypair.generate();
+process.env.SOLANA_LEDGER = 'mock';
+process.env.TREASURY_PRIVATE_KEY = bs58.encode(TREASURY.secretKey);
+delete process.env.PONG_MINT_ADDRESS;
+
+const ConsumedSignature = require('../models/ConsumedSignature');
+const { MockLedger } = require('../solana/mockLedger');
+const { setConnection, verifyEscrowTx, verifyPayment } = require('../solana/utils');
+
+const AMOUNT = 5e6;
+const ONCE = { attempts: 1 };
+const player = Keypair.generate();
+const other = Keypair.generate();
+const wallet = player.publicKey.toBase58();
+let ledger;
+
+// Sign and land a transfer of `amount` from `from` to `to`'s PONG account
+async function pay(from, to, amount, { checked = false, skipPreflight = false } = {}) {
+  const source = new PublicKey(ledger.ataFor(from.publicKey));
+  const destination = new PublicKey(ledger.ataFor(to.publicKey));
+  const ix = checked
+    ? createTransferCheckedInstruction(source, ledger.defaultMint, destination, from.publicKey, amount, ledger.decimals, [], TOKEN_2022_PROGRAM_ID)
+    : createTransferInstruction(source, destination, from.publicKey, amount, [], TOKEN_2022_PROGRAM_ID);
+  const { blockhash } = await ledger.getLatestBlockhash();
+  const tx = new Transaction({ feePayer: from.publicKey, recentBlockhash: blockhash }).add(ix);
+  tx.sign(from);
+  return ledger.sendRawTransaction(tx.serialize(), { skipPreflight });
+}
+
+// ConsumedSignature backed by a Set, with the unique index's duplicate key error
+function consumedStore(t) {
+  const used = new Set();
+  t.mock.method(ConsumedSignature, 'exists', ({ signature }) => query(used.has(signature) ? { _id: signature } : null));
+  t.mock.method(ConsumedSignature, 'create', async (doc) => {
+    if (used.has(doc.signature)) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    used.add(doc.signature);
+    return doc;
+  });
+  return used;
+}
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  ledger = new MockLedger();
+  setConnection(ledger);
+  ledger.airdrop(player.publicKey, 10 * AMOUNT);
+  ledger.airdrop(other.publicKey, 0);
+  ledger.airdrop(TREASURY.publicKey, 0);
+});
+
+describe('verifyEscrowTx', () => {
+  test('accepts an exact transfer or transferChecked to the treasury', async () => {
+    assert.deepStrictEqual(await verifyEscrowTx(await pay(player, TREASURY, AMOUNT), AMOUNT, wallet, ONCE), { ok: true });
+    const checked = await pay(player, TREASURY, AMOUNT, { checked: true });
+    assert.deepStrictEqual(await verifyEscrowTx(checked, AMOUNT, wallet, ONCE), { ok: true });
+  });
+
+  test('rejects the wrong amount, source, destination or mint', async () => {
+    const wrongTransfer = { ok: false, reason: 'Transaction does not transfer the expected $PONG to the treasury' };
+    assert.deepStrictEqual(await verifyEscrowTx(await pay(player, TREASURY, AMOUNT - 1), AMOUNT, wallet, ONCE), wrongTransfer);
+
+    // A real stake, claimed by someone who didn't pay it
+    const stake = await pay(player, TREASURY, AMOUNT);
+    assert.deepStrictEqual(await verifyEscrowTx(stake, AMOUNT, other.publicKey.toBase58(), ONCE), wrongTransfer);
+
+    assert.deepStrictEqual(await verifyEscrowTx(await pay(player, other, AMOUNT), AMOUNT, wallet, ONCE), wrongTransfer);
+
+    // The mock ledger won't move tokens between mismatched mints, so record a
+    // landed transferChecked as if it had named another mint
+    const sig = await pay(player, TREASURY, AMOUNT, { checked: true });
+    ledger.transactions.get(sig).instructions[0].parsed.info.mint = Keypair.generate().publicKey.toBase58();
+    assert.deepStrictEqual(await verifyEscrowTx(sig, AMOUNT, wallet, ONCE), wrongTransfer);
+  });
+
+  test('rejects failed, unknown and malformed signatures', async () => {
+    const failed = await pay(player, TREASURY, 100 * AMOUNT, { skipPreflight: true });
+    assert.match((await verifyEscrowTx(failed, 100 * AMOUNT, wallet, ONCE)).reason, /failed on-chain/);
+
+    const unknown = bs58.encode(Buffer.alloc(64, 7));
+    assert.deepStrictEqual(await verifyEscrowTx(unknown, AMOUNT, wallet, ONCE), { ok: false, reason: 'Transaction not confirmed on-chain' });
+    assert.deepStrictEqual(await verifyEscrowTx('not-a-signature', AMOUNT, wallet, ONCE), { ok: false, reason: 'Invalid transaction signature' });
+  });
+});
+
+describe('verifyPayment', () => {
+  const escrow = { amount: AMOUNT, wallet, purpose: 'match-escrow', ref: 'g1' };
+  const alreadyUsed = { ok: false, reason: 'This transaction has already been used' };
+
+  test('a signature pays for one thing only', async (t) => {
+    const used = consumedStore(t);
+    const sig = await pay(player, TREASURY, AMOUNT);
+
+    assert.deepStrictEqual(await verifyPayment(sig, escrow, ONCE), { ok: true });
+    assert.ok(used.has(sig));
+    assert.deepStrictEqual(await verifyPayment(sig, { ...escrow, purpose: 'skin', ref: 'skin1' }, ONCE), alreadyUsed);
+    assert.strictEqual(ConsumedSignature.create.mock.callCount(), 1);
+  });
+
+  test('two purposes racing on one signature are settled by the unique index', async (t) => {
+    consumedStore(t);
+    const sig = await pay(player, TREASURY, AMOUNT);
+
+    const results = await Promise.all([
+      verifyPayment(sig, escrow, ONCE),
+      verifyPayment(sig, { ...escrow, purpose: 'crate', ref: 'crate1' }, ONCE),
+    ]);
+    assert.deepStrictEqual(results, [{ ok: true }, alreadyUsed]);
+    assert.strictEqual(ConsumedSignature.create.mock.callCount(), 2);
+  });
+
+  test('a payment that fails verification is not consumed', async (t) => {
+    const used = consumedStore(t);
+    const short = await pay(player, TREASURY, AMOUNT - 1);
+    assert.strictEqual((await verifyPayment(short, escrow, ONCE)).ok, false);
+    assert.strictEqual(used.size, 0);
+    assert.deepStrictEqual(await verifyPayment('', escrow, ONCE), { ok: false, reason: 'Missing transaction signature' });
+  });
+});
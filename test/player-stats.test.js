@@ -0,0 +1,34 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');  // no database: unstubbed queries fail fast
+const { MatchStats, totals } = require('../game/playerStats');
+
+describe('player stats', () => {
+  test('seasons add up, with the longest rally the best of any season', () => {
+    const all = totals([
+      { matches: 3, wins: 2, losses: 1, rallies: 20, rallyHits: 90, longestRally: 12, paddleHits: 40, pointsScored: 15, pointsConceded: 9, scoreSpeedTotal: 200, scoredBalls: 20 },
+      { matches: 1, wins: 0, losses: 1, rallies: 5, rallyHits: 10, longestRally: 4, paddleHits: 6, pointsScored: 2, pointsConceded: 5, comebackWins: 1, scoreSpeedTotal: 75, scoredBalls: 5 },
+    ]);
+    assert.deepStrictEqual(all, {
+      matches: 4, wins: 2, losses: 2, winRate: 50,
+      rallies: 25, avgRally: 4, longestRally: 12,
+      paddleHits: 46, hitsPerMatch: 11.5,
+      pointsScored: 17, pointsConceded: 14, pointDiff: 3,
+      comebackWins: 1, avgScoreSpeed: 11,
+    });
+    assert.strictEqual(totals([]).winRate, 0);
+  });
+
+  test('an extra ball\'s point counts for the players but does not end the rally', () => {
+    const stats = new MatchStats(['player1', 'player2']);
+    stats.hit('player1');
+    stats.hit('player2');
+    stats.point(2, { p1: 0, p2: 1 }, ['player2'], ['player1']);
+    stats.hit('player1');
+    stats.point(1, { p1: 1, p2: 1 }, ['player1'], ['player2'], 10);
+
+    const summary = stats.summary();
+    assert.deepStrictEqual([summary.rallies, summary.rallyHits, summary.longestRally, summary.avgScoreSpeed], [1, 3, 3, 10]);
+    assert.deepStrictEqual(summary.player2, { paddleHits: 1, pointsScored: 1, pointsConceded: 1, comebackWins: 0 });
+  });
+});
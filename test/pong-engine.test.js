@@ -0,0 +1,455 @@
+const { describe, test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { fakeIo, stubModels, query, flush } = require('./helpers');
+
+// endGame hands the pot to game/payouts.js; swap it for a stub before
+// PongEngine takes its references.
+const payouts = {
+  createPayout: mock.fn(),
+  releasePayout: mock.fn(),
+};
+const payoutsPath = require.resolve('../game/payouts');
+require.cache[payoutsPath] = { id: payoutsPath, filename: payoutsPath, loaded: true, exports: payouts };
+
+const PongSim = require('../public/js/pong-sim');
+const PongReplay = require('../public/js/pong-replay');
+const Match = require('../models/Match');
+const User = require('../models/User');
+const Replay = require('../models/Replay');
+const Season = require('../models/Season');
+const PlayerStats = require('../models/PlayerStats');
+const { PongEngine, READY_TIMEOUT_MS, STAKE_TIERS, SERIES_INTERMISSION_MS, RECONCILE_TOLERANCE } = require('../game/PongEngine');
+
+const P1 = { wallet: 'wallet-one', username: 'one', socketId: 's1' };
+const P2 = { wallet: 'wallet-two', username: 'two', socketId: 's2' };
+
+function setup(t, options) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+  stubModels(t, Match, User, Replay, Season, PlayerStats);
+  t.mock.method(console, 'log', () => {});
+  const io = fakeIo();
+  const activeGames = new Map();
+  const game = new PongEngine('game-1', P1, P2, 'medium', io, activeGames, null, options);
+  activeGames.set(game.gameId, game);
+  return { io, game, activeGames };
+}
+
+// Put the ball just past one goal line so the next tick scores
+function scorePoint(game, scorer) {
+  const s = game.simState;
+  s.pauseTicks = 0;
+  s.paused = false;
+  s.ball.y = 10;
+  s.ball.vy = 0;
+  if (scorer === 1) {
+    s.ball.x = PongSim.CANVAS_W - 1;
+    s.ball.vx = PongSim.BALL_MAX_SPEED;
+  } else {
+    s.ball.x = -PongSim.BALL_SIZE + 1;
+    s.ball.vx = -PongSim.BALL_MAX_SPEED;
+  }
+  game.tick();
+}
+
+beforeEach(() => {
+  payouts.createPayout.mock.resetCalls();
+  payouts.releasePayout.mock.resetCalls();
+  payouts.createPayout.mock.mockImplementation(async (p) => ({
+    ...p, status: 'pending', releaseAt: new Date(Date.now() + 60000),
+  }));
+  payouts.releasePayout.mock.mockImplementation(async () => ({ job: { status: 'completed' } }));
+});
+
+describe('ready phase', () => {
+  test('starts the game 5s after both players ready', (t) => {
+    const { io, game } = setup(t);
+    game.startReadyPhase();
+    game.playerReady(P1.wallet);
+    assert.strictEqual(io.events('ready-countdown').length, 0);
+
+    game.playerReady(P2.wallet);
+    assert.strictEqual(io.events('ready-countdown').length, 2);  // one per player
+    assert.strictEqual(game.gameStarted, false);
+
+    t.mock.timers.tick(5000);
+    assert.strictEqual(game.gameStarted, true);
+    assert.strictEqual(io.events('game-start').length, 2);
+
+    t.mock.timers.tick(1000);
+    const ticks = io.events('game-state').filter(e => e.room === P1.socketId).length;
+    assert.ok(ticks >= 59 && ticks <= 61, `expected ~60 ticks in 1s, got ${ticks}`);
+    clearInterval(game.interval);
+  });
+
+  test('cancels the match if a player never readies', (t) => {
+    const { io, game, activeGames } = setup(t);
+    game.startReadyPhase();
+    game.playerReady(P1.wallet);
+
+    t.mock.timers.tick(READY_TIMEOUT_MS);
+    assert.strictEqual(io.events('ready-expired').length, 2);
+    assert.strictEqual(activeGames.has(game.gameId), false);
+    assert.strictEqual(game.gameStarted, false);
+    const cancel = Match.findOneAndUpdate.mock.calls.find(c => c.arguments[1].status === 'cancelled');
+    assert.ok(cancel, 'match should be marked cancelled');
+  });
+});
+
+describe('scoring and end of game', () => {
+  test('first to WIN_SCORE wins and the pot is handed to payouts', async (t) => {
+    const { io, game } = setup(t);
+    game.start();
+    for (let i = 0; i < PongSim.WIN_SCORE - 1; i++) scorePoint(game, 2);
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 1);
+    await flush();
+
+    assert.strictEqual(game.simState.status, 'finished');
+    assert.deepStrictEqual(game.simState.score, { p1: PongSim.WIN_SCORE, p2: PongSim.WIN_SCORE - 1 });
+    const over = io.events('game-over')[0].data;
+    assert.strictEqual(over.winner, P1.wallet);
+    assert.strictEqual(over.loser, P2.wallet);
+
+    assert.strictEqual(payouts.createPayout.mock.callCount(), 1);
+    const payout = payouts.createPayout.mock.calls[0].arguments[0];
+    assert.strictEqual(payout.winner, P1.wallet);
+    assert.strictEqual(payout.stakeAmount, STAKE_TIERS.medium);
+    assert.strictEqual(payout.flagged, false);
+
+    // Pot is inside its dispute window
+    assert.strictEqual(payouts.releasePayout.mock.callCount(), 0);
+    assert.strictEqual(io.events('payout-held').length, 2);
+
+    // Ticks after the end change nothing
+    const before = JSON.stringify(game.state);
+    game.tick();
+    assert.strictEqual(JSON.stringify(game.state), before);
+  });
+
+  test('rallies, hits and comebacks go on the Match and into season totals', async (t) => {
+    const { game } = setup(t);
+    t.mock.method(Season, 'findOne', () => query({ seasonNumber: 4 }));
+    game.start();
+
+    // Player 1 returns the ball once, then player 2 scores
+    const s = game.simState;
+    s.pauseTicks = 0;
+    s.paused = false;
+    Object.assign(s.ball, { x: PongSim.P1_X + PongSim.PADDLE_W + 2, y: s.paddle1.y + 10, vx: -4, vy: 0 });
+    game.tick();
+    assert.ok(s.ball.vx > 0);
+    for (let i = 0; i < PongSim.WIN_SCORE - 1; i++) scorePoint(game, 2);
+    // ...and player 1 comes back from four down
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 1);
+    await flush();
+    await flush();
+
+    const saved = Match.updateOne.mock.calls.map(c => c.arguments[1]).find(u => u.stats).stats;
+    assert.strictEqual(saved.season, 4);
+    assert.deepStrictEqual([saved.rallies, saved.rallyHits, saved.longestRally], [2 * PongSim.WIN_SCORE - 1, 1, 1]);
+    assert.strictEqual(saved.avgScoreSpeed, PongSim.BALL_MAX_SPEED);
+    assert.deepStrictEqual(saved.player1, { paddleHits: 1, pointsScored: PongSim.WIN_SCORE, pointsConceded: PongSim.WIN_SCORE - 1, comebackWins: 1 });
+    assert.deepStrictEqual(saved.player2, { paddleHits: 0, pointsScored: PongSim.WIN_SCORE - 1, pointsConceded: PongSim.WIN_SCORE, comebackWins: 0 });
+
+    const totals = PlayerStats.findOneAndUpdate.mock.calls.map(c => c.arguments);
+    assert.deepStrictEqual(totals.map(([filter]) => filter), [{ wallet: P1.wallet, season: 4 }, { wallet: P2.wallet, season: 4 }]);
+    assert.deepStrictEqual([totals[0][1].$inc.wins, totals[0][1].$inc.comebackWins, totals[1][1].$inc.losses], [1, 1, 1]);
+  });
+
+  test('a tier with no hold is released immediately; a slow transfer reports queued', async (t) => {
+    const { io, game } = setup(t);
+    payouts.createPayout.mock.mockImplementation(async (p) => ({ ...p, status: 'pending', releaseAt: new Date(Date.now()) }));
+    payouts.releasePayout.mock.mockImplementation(async () => ({ job: { status: 'queued' } }));
+    game.start();
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 2);
+    await flush();
+
+    assert.strictEqual(payouts.releasePayout.mock.callCount(), 1);
+    assert.deepStrictEqual(payouts.releasePayout.mock.calls[0].arguments, ['game-1', { by: 'auto' }]);
+    assert.strictEqual(io.events('payout-queued')[0].data.winner, P2.wallet);
+  });
+
+  test('tournament matches skip the payout and report to the bracket', async (t) => {
+    const onTournamentMatchEnd = mock.fn();
+    const { game } = setup(t, { skipPayout: true, tournamentId: 'tourney', onTournamentMatchEnd });
+    game.start();
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 1);
+    await flush();
+
+    assert.strictEqual(payouts.createPayout.mock.callCount(), 0);
+    assert.deepStrictEqual(onTournamentMatchEnd.mock.calls[0].arguments, [P1.wallet, 'game-1']);
+  });
+});
+
+describe('series', () => {
+  test('a best-of-3 swaps sides between games and pays out once it is decided', async (t) => {
+    const { io, game } = setup(t, { bestOf: 3 });
+    game.start();
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 1);
+    await flush();
+
+    // Game 1 to player1: intermission, no payout yet
+    const pause = io.events('series-intermission')[0].data;
+    assert.deepStrictEqual(pause.series.wins, { [P1.wallet]: 1, [P2.wallet]: 0 });
+    assert.strictEqual(io.events('game-over').length, 0);
+    assert.strictEqual(payouts.createPayout.mock.callCount(), 0);
+
+    t.mock.timers.tick(SERIES_INTERMISSION_MS);
+    assert.strictEqual(game.gameNumber, 2);
+    assert.strictEqual(game.sidePlayer(1).wallet, P2.wallet);
+    assert.strictEqual(io.events('game-start').at(-1).data.player1.wallet, P2.wallet);
+
+    // Player1 now defends the right paddle and takes game 2
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 2);
+    await flush();
+
+    const over = io.events('game-over')[0].data;
+    assert.strictEqual(over.winner, P1.wallet);
+    assert.deepStrictEqual(over.score, { p1: 2, p2: 0 });
+    assert.strictEqual(payouts.createPayout.mock.callCount(), 1);
+    assert.deepStrictEqual(game.games.map(g => [g.player1, g.player2, g.replayId]), [
+      [PongSim.WIN_SCORE, 0, 'game-1'],
+      [PongSim.WIN_SCORE, 0, 'game-1-g2'],
+    ]);
+    assert.deepStrictEqual(Replay.create.mock.calls.map(c => c.arguments[0].gameId), ['game-1', 'game-1-g2']);
+  });
+});
+
+describe('rulesets', () => {
+  test('the game ends at the ruleset win score and its replay records the ruleset', async (t) => {
+    const { io, game } = setup(t, { ruleset: 'blitz' });
+    game.start();
+    assert.strictEqual(io.events('game-start')[0].data.ruleset.id, 'blitz');
+    for (let i = 0; i < 3; i++) scorePoint(game, 2);
+    await flush();
+
+    assert.strictEqual(io.events('game-over')[0].data.winner, P2.wallet);
+    const replay = Replay.create.mock.calls[0].arguments[0];
+    assert.strictEqual(replay.winScore, 3);
+    assert.strictEqual(replay.ruleset.id, 'blitz');
+  });
+});
+
+describe('arenas', () => {
+  test('the arena goes out with game-start and the replay plays it back', async (t) => {
+    const { io, game } = setup(t, { arena: 'mayhem' });
+    let seed = 11;
+    t.mock.method(Math, 'random', () => (seed = (seed * 16807) % 2147483647) / 2147483647);
+    game.start();
+    assert.strictEqual(io.events('game-start')[0].data.arena.id, 'mayhem');
+    game.handleInput(P1.wallet, 'down');
+    for (let s = 0; s < 600 && game.simState.status !== 'finished'; s++) t.mock.timers.tick(1000);
+    await flush();
+
+    assert.strictEqual(game.simState.status, 'finished');
+    const replay = Replay.create.mock.calls[0].arguments[0];
+    assert.strictEqual(replay.arena.id, 'mayhem');
+    assert.strictEqual(PongReplay.verify(replay).matches, true);
+  });
+});
+
+describe('arcade', () => {
+  test('power-up spawns are recorded so the replay plays back to the same score', async (t) => {
+    const { game } = setup(t, { ruleset: 'arcade' });
+    // Seeded Math.random: launches and spawns differ run to run only by seed
+    let seed = 7;
+    t.mock.method(Math, 'random', () => (seed = (seed * 16807) % 2147483647) / 2147483647);
+    game.start();
+    game.handleInput(P1.wallet, 'up');
+    game.handleInput(P2.wallet, 'down');
+    for (let s = 0; s < 600 && game.simState.status !== 'finished'; s++) t.mock.timers.tick(1000);
+    await flush();
+
+    assert.strictEqual(game.simState.status, 'finished');
+    const replay = Replay.create.mock.calls[0].arguments[0];
+    assert.ok(replay.powerUps.length > 0);
+    assert.strictEqual(replay.ruleset.powerUps, true);
+    assert.strictEqual(PongReplay.verify(replay).matches, true);
+  });
+
+  test('the free tier records the result without a payout', async (t) => {
+    const { io, game } = setup(t);
+    game.tier = 'free';
+    game.start();
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 1);
+    await flush();
+
+    assert.strictEqual(payouts.createPayout.mock.callCount(), 0);
+    assert.strictEqual(io.events('rating-update').length, 0);
+    const completed = Match.findOneAndUpdate.mock.calls.find(c => c.arguments[1].status === 'completed');
+    assert.strictEqual(completed.arguments[1].winner, P1.wallet);
+  });
+});
+
+describe('2v2', () => {
+  const P3 = { wallet: 'wallet-three', username: 'three', socketId: 's3' };
+  const P4 = { wallet: 'wallet-four', username: 'four', socketId: 's4' };
+
+  test('starts once all four are ready and pays the winning team', async (t) => {
+    const { io, game } = setup(t, { partner1: P3, partner2: P4 });
+    game.startReadyPhase();
+    [P1, P2, P3].forEach(p => game.playerReady(p.wallet));
+    assert.strictEqual(io.events('ready-countdown').length, 0);
+    game.playerReady(P4.wallet);
+    assert.strictEqual(io.events('ready-countdown').length, 4);
+    t.mock.timers.tick(5000);
+    clearInterval(game.interval);
+    assert.strictEqual(io.events('game-start')[0].data.partners.player1.wallet, P3.wallet);
+
+    for (let i = 0; i < PongSim.WIN_SCORE; i++) scorePoint(game, 2);
+    await flush();
+
+    const over = io.events('game-over');
+    assert.strictEqual(over.length, 4);
+    assert.deepStrictEqual(over[0].data.winners, [P2.wallet, P4.wallet]);
+    const payout = payouts.createPayout.mock.calls[0].arguments[0];
+    assert.strictEqual(payout.winner, P2.wallet);
+    assert.deepStrictEqual(payout.winners, [P2.wallet, P4.wallet]);
+    assert.deepStrictEqual(payout.losers, [P1.wallet, P3.wallet]);
+  });
+
+  test('partners move their own paddles and the replay plays back', async (t) => {
+    const { game } = setup(t, { partner1: P3, partner2: P4 });
+    let seed = 5;
+    t.mock.method(Math, 'random', () => (seed = (seed * 16807) % 2147483647) / 2147483647);
+    game.start();
+    game.handleInput(P3.wallet, 'down');
+    game.handleInput(P2.wallet, 'up');
+    t.mock.timers.tick(1000);
+    assert.strictEqual(game.simState.paddle3.y, PongSim.CANVAS_H - PongSim.PADDLE_H);
+    assert.strictEqual(game.simState.paddle2.y, 0);
+
+    for (let s = 0; s < 600 && game.simState.status !== 'finished'; s++) t.mock.timers.tick(1000);
+    await flush();
+
+    assert.strictEqual(game.simState.status, 'finished');
+    const replay = Replay.create.mock.calls[0].arguments[0];
+    assert.strictEqual(replay.teams, true);
+    assert.strictEqual(PongReplay.verify(replay).matches, true);
+  });
+});
+
+describe('forfeit', () => {
+  test('the remaining player wins and is paid', async (t) => {
+    const { io, game } = setup(t);
+    game.start();
+    scorePoint(game, 1);
+    game.forfeit(P1.wallet);
+    await flush();
+
+    assert.strictEqual(io.events('game-forfeit')[0].data.winner, P2.wallet);
+    assert.strictEqual(io.events('game-over')[0].data.winner, P2.wallet);
+    assert.strictEqual(payouts.createPayout.mock.calls[0].arguments[0].winner, P2.wallet);
+
+    // The loop is stopped
+    const states = io.events('game-state').length;
+    t.mock.timers.tick(1000);
+    assert.strictEqual(io.events('game-state').length, states);
+  });
+
+  test('forfeiting during the ready phase clears the ready timer', async (t) => {
+    const { io, game } = setup(t);
+    game.startReadyPhase();
+    game.forfeit(P2.wallet);
+    await flush();
+
+    t.mock.timers.tick(READY_TIMEOUT_MS);
+    assert.strictEqual(io.events('ready-expired').length, 0);
+    assert.strictEqual(io.events('game-over')[0].data.winner, P1.wallet);
+  });
+});
+
+describe('crash recovery', () => {
+  const checkpoints = () => Match.updateOne.mock.calls
+    .map(c => c.arguments[1].checkpoint)
+    .filter(Boolean);
+
+  test('checkpoints the score at start and on every point', (t) => {
+    const { game } = setup(t);
+    game.start();
+    scorePoint(game, 1);
+    clearInterval(game.interval);
+
+    const saved = checkpoints();
+    assert.deepStrictEqual(saved.map(c => c.score), [
+      { player1: 0, player2: 0 },
+      { player1: 1, player2: 0 },
+    ]);
+    assert.ok(saved.every(c => c.at instanceof Date));
+  });
+
+  test('a resumed game continues from the checkpoint and hands ready expiry to its owner', (t) => {
+    const onReadyExpired = mock.fn();
+    const { io, game, activeGames } = setup(t, {
+      resumeFrom: { score: { player1: 3, player2: 1 } },
+      onReadyExpired,
+    });
+    assert.deepStrictEqual(game.simState.score, { p1: 3, p2: 1 });
+
+    game.startReadyPhase();
+    t.mock.timers.tick(READY_TIMEOUT_MS);
+    assert.strictEqual(io.events('ready-expired').length, 2);
+    assert.deepStrictEqual(onReadyExpired.mock.calls[0].arguments, [game]);
+    // Not cancelled: the owner settles it by the checkpoint
+    assert.ok(activeGames.has(game.gameId));
+    assert.strictEqual(Match.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  test('a resumed game is not saved as a replay', async (t) => {
+    const { game } = setup(t, { resumeFrom: { score: { player1: 4, player2: 0 } } });
+    game.start();
+    scorePoint(game, 1);
+    await flush();
+
+    assert.strictEqual(game.simState.winner, P1.wallet);
+    assert.strictEqual(Replay.create.mock.callCount(), 0);
+  });
+
+  test('a recovery award settles the match without recording detailed stats', async (t) => {
+    const { io, game } = setup(t, { resumeFrom: { score: { player1: 4, player2: 2 } } });
+    await game.endGame(P1.wallet, { awarded: true });
+    await flush();
+
+    assert.strictEqual(io.events('game-over')[0].data.winner, P1.wallet);
+    assert.strictEqual(payouts.createPayout.mock.callCount(), 1);
+    assert.strictEqual(PlayerStats.findOneAndUpdate.mock.callCount(), 0);
+    assert.ok(!Match.updateOne.mock.calls.some(c => c.arguments[1].stats));
+  });
+});
+
+describe('paddle reconciliation', () => {
+  // The paddle is at rest ('stop'), so only reported positions can move it;
+  // ticks just advance the clock the reports are measured against
+  test('reports cannot drag the paddle further than PADDLE_SPEED allows plus the tolerance', (t) => {
+    const { game } = setup(t);
+    const paddle = PongSim.paddleAt(game.simState, game.paddleOf(P1.wallet));
+    paddle.y = 0;
+    const maxTravel = (ticks) => PongSim.PADDLE_SPEED * ticks + RECONCILE_TOLERANCE;
+    let claimed = 0;
+    const report = () => {
+      claimed += PongSim.PADDLE_SPEED * 6;
+      game.handleInput(P1.wallet, 'stop', claimed);
+    };
+
+    // Ten reports in one tick, each claiming the network slack again
+    for (let i = 0; i < 10; i++) report();
+    assert.ok(paddle.y <= maxTravel(0), `moved ${paddle.y} in a single tick`);
+    assert.ok(game.violations[P1.wallet].speed > 0);
+
+    // Then 30 reports a second for the rest of the window
+    for (let tick = 1; tick < 60; tick++) {
+      game.tickCount = tick;
+      t.mock.timers.tick(1000 / 60);
+      if (tick % 2 === 0) report();
+    }
+    assert.ok(paddle.y <= maxTravel(59), `moved ${paddle.y} in 59 ticks`);
+  });
+
+  test('small drift is corrected to the reported position', (t) => {
+    const { game } = setup(t);
+    const paddle = PongSim.paddleAt(game.simState, game.paddleOf(P1.wallet));
+    const start = paddle.y;
+    game.handleInput(P1.wallet, 'stop', start + 3);
+    assert.strictEqual(paddle.y, start + 3);
+    assert.deepStrictEqual(game.violations[P1.wallet], { speed: 0, drift: 0 });
+  });
+});
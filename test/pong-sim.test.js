@@ -0,0 +1,319 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const PongSim = require('../public/js/pong-sim');
+
+const {
+  CANVAS_W, CANVAS_H, PADDLE_H, BALL_SIZE, P1_RIGHT, P2_LEFT,
+  BALL_SPEED_INCREMENT, BALL_MAX_SPEED, SCORE_PAUSE_TICKS, PADDLE_SPEED,
+} = PongSim;
+
+// Ball centred on paddle 1 (default paddle y = 245, centre 300)
+const CENTRE_Y = CANVAS_H / 2 - BALL_SIZE / 2;
+
+function stateWithBall(ball) {
+  const state = PongSim.createState();
+  Object.assign(state.ball, ball);
+  return state;
+}
+
+// Step until something happens (hit, score) or maxSteps run out
+function stepUntilEvent(state, buffer, maxSteps = 500) {
+  for (let i = 0; i < maxSteps; i++) {
+    const result = PongSim.stepBall(state, buffer);
+    if (result.scored || result.sound === 'paddle') return result;
+  }
+  return { scored: null, sound: null };
+}
+
+describe('applyInput', () => {
+  test('moves the paddle by PADDLE_SPEED and clamps to the canvas', () => {
+    const state = PongSim.createState();
+    const start = state.paddle1.y;
+    PongSim.applyInput(state, 1, 'up');
+    assert.strictEqual(state.paddle1.y, start - PADDLE_SPEED);
+    PongSim.applyInput(state, 1, 'stop');
+    assert.strictEqual(state.paddle1.y, start - PADDLE_SPEED);
+
+    for (let i = 0; i < 200; i++) PongSim.applyInput(state, 1, 'up');
+    assert.strictEqual(state.paddle1.y, 0);
+    for (let i = 0; i < 200; i++) PongSim.applyInput(state, 2, 'down');
+    assert.strictEqual(state.paddle2.y, CANVAS_H - PADDLE_H);
+  });
+});
+
+describe('stepBall', () => {
+  test('bounces off the top and bottom walls', () => {
+    const top = stateWithBall({ x: 400, y: 2, vx: 0, vy: -4 });
+    assert.strictEqual(PongSim.stepBall(top, 0).sound, 'wall');
+    assert.strictEqual(top.ball.y, 2);
+    assert.strictEqual(top.ball.vy, 4);
+
+    const bottom = stateWithBall({ x: 400, y: CANVAS_H - BALL_SIZE - 2, vx: 0, vy: 4 });
+    assert.strictEqual(PongSim.stepBall(bottom, 0).sound, 'wall');
+    assert.strictEqual(bottom.ball.y, CANVAS_H - BALL_SIZE - 2);
+    assert.strictEqual(bottom.ball.vy, -4);
+  });
+
+  test('a centre hit reverses the ball, speeds it up and sends it straight', () => {
+    const state = stateWithBall({ x: P1_RIGHT + 4, y: CENTRE_Y, vx: -8, vy: 0 });
+    const result = PongSim.stepBall(state, 0);
+    assert.strictEqual(result.sound, 'paddle');
+    assert.strictEqual(state.ball.x, P1_RIGHT);
+    assert.strictEqual(state.ball.vx, 8 + BALL_SPEED_INCREMENT);
+    assert.strictEqual(state.ball.vy, 0);
+  });
+
+  test('a hit near the paddle edge deflects toward that edge', () => {
+    const state = stateWithBall({ x: P2_LEFT - BALL_SIZE - 4, y: PongSim.createState().paddle2.y - 4, vx: 8, vy: 0 });
+    PongSim.stepBall(state, 0);
+    assert.ok(state.ball.vx < 0);
+    assert.ok(state.ball.vy < 0, 'top-edge hit should go up');
+  });
+
+  test('does not tunnel through a paddle at any speed', () => {
+    for (const vx of [-BALL_MAX_SPEED, -40, -200]) {
+      const state = stateWithBall({ x: 300, y: CENTRE_Y, vx, vy: 0 });
+      const result = stepUntilEvent(state, 0);
+      assert.strictEqual(result.scored, null, `vx ${vx} scored through the paddle`);
+      assert.strictEqual(result.sound, 'paddle');
+      assert.ok(state.ball.vx > 0);
+    }
+    const right = stateWithBall({ x: 500, y: CENTRE_Y, vx: 200, vy: 0 });
+    assert.strictEqual(stepUntilEvent(right, 0).sound, 'paddle');
+  });
+
+  test('caps ball speed at BALL_MAX_SPEED', () => {
+    const state = stateWithBall({ x: P1_RIGHT + 4, y: CENTRE_Y, vx: -(BALL_MAX_SPEED - 0.1), vy: 0 });
+    PongSim.stepBall(state, 0);
+    assert.strictEqual(state.ball.vx, BALL_MAX_SPEED);
+  });
+
+  test('corner hits: the ball edge touching the paddle edge counts, just past it does not', () => {
+    const paddleTop = PongSim.createState().paddle1.y;
+    const touching = stateWithBall({ x: P1_RIGHT + 4, y: paddleTop - BALL_SIZE, vx: -8, vy: 0 });
+    assert.strictEqual(stepUntilEvent(touching, 0).sound, 'paddle');
+
+    const clear = stateWithBall({ x: P1_RIGHT + 4, y: paddleTop - BALL_SIZE - 0.5, vx: -8, vy: 0 });
+    assert.strictEqual(stepUntilEvent(clear, 0).scored, 2);
+
+    const paddleBottom = paddleTop + PADDLE_H;
+    const bottomEdge = stateWithBall({ x: P1_RIGHT + 4, y: paddleBottom, vx: -8, vy: 0 });
+    assert.strictEqual(stepUntilEvent(bottomEdge, 0).sound, 'paddle');
+  });
+
+  test('the paddle buffer widens the hitbox', () => {
+    const paddleTop = PongSim.createState().paddle1.y;
+    const y = paddleTop - BALL_SIZE - 10;
+    assert.strictEqual(stepUntilEvent(stateWithBall({ x: P1_RIGHT + 4, y, vx: -8, vy: 0 }), 0).scored, 2);
+    assert.strictEqual(stepUntilEvent(stateWithBall({ x: P1_RIGHT + 4, y, vx: -8, vy: 0 }), 12).sound, 'paddle');
+  });
+
+  test('scores for the opposite player when the ball leaves the canvas', () => {
+    const left = stateWithBall({ x: 100, y: 10, vx: -6, vy: 0 });
+    assert.deepStrictEqual(stepUntilEvent(left, 0), { scored: 2, sound: 'score', hit: null });
+
+    const right = stateWithBall({ x: 700, y: 10, vx: 6, vy: 0 });
+    assert.deepStrictEqual(stepUntilEvent(right, 0), { scored: 1, sound: 'score', hit: null });
+    assert.ok(right.ball.x > CANVAS_W);
+  });
+});
+
+describe('launch and score pause', () => {
+  test('launchBall uses the injected angle and direction', () => {
+    const state = PongSim.createState();
+    PongSim.launchBall(state, 0, -1);
+    assert.strictEqual(state.ball.vx, -PongSim.BALL_SPEED_INITIAL);
+    assert.strictEqual(state.ball.vy, 0);
+  });
+
+  test('the ball waits SCORE_PAUSE_TICKS after a point', () => {
+    const state = stateWithBall({ x: 10, y: 10, vx: 5, vy: 5 });
+    PongSim.resetBallAfterScore(state);
+    assert.strictEqual(state.paused, true);
+    assert.strictEqual(state.ball.vx, 0);
+    for (let i = 1; i < SCORE_PAUSE_TICKS; i++) assert.strictEqual(PongSim.tickPause(state), false);
+    assert.strictEqual(PongSim.tickPause(state), true);
+    assert.strictEqual(state.paused, false);
+    assert.strictEqual(PongSim.tickPause(state), false);
+  });
+});
+
+describe('rulesets', () => {
+  test('presets resolve by id; unknown ids and no ruleset play Classic', () => {
+    assert.strictEqual(PongSim.resolveRuleset('blitz').winScore, 3);
+    assert.strictEqual(PongSim.resolveRuleset('marathon').winScore, 11);
+    assert.strictEqual(PongSim.resolveRuleset('nope').id, 'classic');
+    assert.strictEqual(PongSim.createState().rules.winScore, PongSim.WIN_SCORE);
+    // A stored ruleset keeps its own values
+    assert.strictEqual(PongSim.resolveRuleset({ id: 'blitz', winScore: 4 }).winScore, 4);
+  });
+
+  test('paddle height and ball speeds follow the ruleset', () => {
+    const state = PongSim.createState('speed-demon');
+    const { paddleH, ballSpeedInitial, ballSpeedIncrement } = state.rules;
+    assert.strictEqual(state.paddle1.y, CANVAS_H / 2 - paddleH / 2);
+    for (let i = 0; i < 200; i++) PongSim.applyInput(state, 2, 'down');
+    assert.strictEqual(state.paddle2.y, CANVAS_H - paddleH);
+
+    PongSim.launchBall(state, 0, -1);
+    assert.strictEqual(state.ball.vx, -ballSpeedInitial);
+
+    Object.assign(state.ball, { x: P1_RIGHT + 4, y: state.paddle1.y + paddleH / 2 - BALL_SIZE / 2, vx: -8, vy: 0 });
+    PongSim.stepBall(state, 0);
+    assert.strictEqual(state.ball.vx, 8 + ballSpeedIncrement);
+  });
+});
+
+describe('arcade power-ups', () => {
+  const { EFFECT_TICKS } = PongSim;
+
+  // Arcade state with the ball in open field and a power-up right in its path
+  function arcadeWith(type, ball) {
+    const state = PongSim.createState('arcade');
+    Object.assign(state.ball, { x: 300, y: 100, vx: 5, vy: 0 }, ball);
+    PongSim.spawnPowerUp(state, type, state.ball.x + (state.ball.vx > 0 ? 10 : -10), state.ball.y);
+    return state;
+  }
+
+  test('the player who sent the ball collects; effects wear off', () => {
+    const grow = arcadeWith('grow');
+    const result = PongSim.stepField(grow, 0);
+    assert.deepStrictEqual(result.collected, [{ type: 'grow', player: 1 }]);
+    assert.strictEqual(result.sound, 'powerup');
+    assert.strictEqual(grow.powerUps.length, 0);
+    assert.strictEqual(PongSim.paddleHeight(grow, 1), PADDLE_H * 1.5);
+
+    // Grown to the bottom edge, the paddle is pulled back on when it shrinks again
+    for (let i = 0; i < 200; i++) PongSim.applyInput(grow, 1, 'down');
+    assert.strictEqual(grow.paddle1.y, CANVAS_H - PADDLE_H * 1.5);
+    grow.ball.vx = 0;
+    for (let i = 0; i < EFFECT_TICKS; i++) PongSim.stepField(grow, 0);
+    assert.strictEqual(PongSim.paddleHeight(grow, 1), PADDLE_H);
+
+    // Moving left, the ball was last hit by player 2: shrink hits player 1
+    const shrink = arcadeWith('shrink', { vx: -5 });
+    assert.deepStrictEqual(PongSim.stepField(shrink, 0).collected, [{ type: 'shrink', player: 2 }]);
+    assert.strictEqual(PongSim.paddleHeight(shrink, 1), PADDLE_H * 0.6);
+    assert.strictEqual(PongSim.paddleHeight(shrink, 2), PADDLE_H);
+  });
+
+  test('a shield turns one goal away', () => {
+    const state = PongSim.createState('arcade');
+    state.effects.p2.shield = 100;
+    Object.assign(state.ball, { x: CANVAS_W - 1, y: 10, vx: BALL_MAX_SPEED, vy: 0 });
+    const saved = PongSim.stepField(state, 0);
+    assert.strictEqual(saved.scored, null);
+    assert.strictEqual(saved.sound, 'shield');
+    assert.ok(state.ball.vx < 0);
+    assert.strictEqual(state.effects.p2.shield, 0);
+
+    Object.assign(state.ball, { x: CANVAS_W - 1, vx: BALL_MAX_SPEED });
+    assert.strictEqual(PongSim.stepField(state, 0).scored, 1);
+  });
+
+  test('multi-ball adds a ball whose goals score without stopping play', () => {
+    const state = arcadeWith('multiball', { vx: -5, vy: 1 });
+    PongSim.stepField(state, 0);
+    assert.strictEqual(state.extraBalls.length, 1);
+    assert.strictEqual(state.extraBalls[0].vy, -1);
+
+    Object.assign(state.extraBalls[0], { x: -BALL_SIZE + 1, vx: -BALL_MAX_SPEED, vy: 0 });
+    const result = PongSim.stepField(state, 0);
+    assert.deepStrictEqual(result.bonus, [2]);
+    assert.strictEqual(result.scored, null);
+    assert.strictEqual(state.extraBalls.length, 0);
+  });
+
+  test('only arcade states carry power-up fields', () => {
+    assert.strictEqual('powerUps' in PongSim.serializeState(PongSim.createState()), false);
+    const state = arcadeWith('curve');
+    const copy = PongSim.serializeState(state);
+    assert.deepStrictEqual(copy.powerUps, state.powerUps);
+    assert.notStrictEqual(copy.powerUps, state.powerUps);
+    assert.strictEqual(PongSim.spawnPowerUp(PongSim.createState(), 'grow', 0, 0), false);
+  });
+});
+
+describe('arenas', () => {
+  test('presets resolve by id; unknown ids and no arena play Open Court', () => {
+    assert.strictEqual(PongSim.resolveArena('pillars').name, 'Pillars');
+    assert.strictEqual(PongSim.resolveArena('nope').id, PongSim.DEFAULT_ARENA);
+    assert.strictEqual('obstacles' in PongSim.createState(), false);
+    // Resolved obstacles are copies: sliding one never moves the preset
+    PongSim.resolveArena('gates').obstacles[0].y = 0;
+    assert.strictEqual(PongSim.ARENAS.gates.obstacles[0].y, 60);
+  });
+
+  test('obstacles bounce the ball off the side it came from', () => {
+    const state = PongSim.createState(null, 'pillars');
+    const [pillar] = state.obstacles;
+    Object.assign(state.ball, { x: pillar.x - BALL_SIZE - 2, y: pillar.y + 40, vx: 8, vy: 0 });
+    assert.strictEqual(PongSim.stepField(state, 0).sound, 'wall');
+    assert.strictEqual(state.ball.vx, -8);
+    assert.strictEqual(state.ball.x, pillar.x - BALL_SIZE);
+
+    // From above at speed: swept, so it cannot tunnel through
+    Object.assign(state.ball, { x: pillar.x + 10, y: pillar.y - BALL_SIZE - 1, vx: 0, vy: BALL_MAX_SPEED });
+    PongSim.stepField(state, 0);
+    assert.ok(state.ball.vy < 0);
+    assert.strictEqual(state.ball.y, pillar.y - BALL_SIZE);
+  });
+
+  test('sliding gates move every live tick and turn at their limits', () => {
+    const state = PongSim.createState(null, 'gates');
+    const gate = state.obstacles[0];
+    const { minY, maxY } = gate;
+    const start = gate.y;
+    PongSim.stepField(state, 0);
+    assert.strictEqual(gate.y, start + gate.vy);
+    for (let i = 0; i < 400; i++) PongSim.stepField(state, 0);
+    assert.ok(gate.y >= minY && gate.y <= maxY);
+    assert.deepStrictEqual(PongSim.serializeState(state).obstacles, state.obstacles);
+  });
+
+  test('twin balls serve a mirrored second ball that scores on its own', () => {
+    const state = PongSim.createState(null, 'twin');
+    PongSim.launchBall(state, 0.2, 1);
+    assert.strictEqual(state.extraBalls.length, 1);
+    assert.strictEqual(state.extraBalls[0].vx, -state.ball.vx);
+    assert.strictEqual(state.extraBalls[0].vy, -state.ball.vy);
+
+    Object.assign(state.extraBalls[0], { x: -BALL_SIZE + 1, y: 10, vx: -BALL_MAX_SPEED, vy: 0 });
+    assert.deepStrictEqual(PongSim.stepField(state, 0).bonus, [2]);
+    PongSim.resetBallAfterScore(state);
+    assert.deepStrictEqual(state.extraBalls, []);
+  });
+});
+
+describe('2v2 teams', () => {
+  test('each player keeps to their half of their side', () => {
+    const state = PongSim.createState(null, null, true);
+    assert.strictEqual(state.paddle1.y, CANVAS_H / 4 - PADDLE_H / 2);
+    assert.strictEqual(state.paddle3.y, (CANVAS_H * 3) / 4 - PADDLE_H / 2);
+    assert.deepStrictEqual(PongSim.paddleIndices(state), [1, 2, 3, 4]);
+    assert.strictEqual(PongSim.createState().paddle3, undefined);
+
+    for (let i = 0; i < 200; i++) {
+      PongSim.applyInput(state, 1, 'down');
+      PongSim.applyInput(state, 3, 'up');
+      PongSim.applyInput(state, 4, 'down');
+    }
+    assert.strictEqual(state.paddle1.y, CANVAS_H / 2 - PADDLE_H);
+    assert.strictEqual(state.paddle3.y, CANVAS_H / 2);
+    assert.strictEqual(state.paddle4.y, CANVAS_H - PADDLE_H);
+  });
+
+  test('the partner paddle returns the ball on its side', () => {
+    const state = PongSim.createState(null, null, true);
+    const y = state.paddle3.y + PADDLE_H / 2 - BALL_SIZE / 2;
+    Object.assign(state.ball, { x: P1_RIGHT + 4, y, vx: -8, vy: 0 });
+    assert.deepStrictEqual(PongSim.stepBall(state, 0), { scored: null, sound: 'paddle', hit: 3 });
+    assert.ok(state.ball.vx > 0);
+
+    // Paddle 4 guards the lower right
+    const right = PongSim.createState(null, null, true);
+    Object.assign(right.ball, { x: P2_LEFT - BALL_SIZE - 4, y: right.paddle4.y + 10, vx: 8, vy: 0 });
+    assert.strictEqual(stepUntilEvent(right, 0).hit, 4);
+    assert.ok(right.ball.vx < 0);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');  // no database: unstubbed queries fail fast
+const prizePools = require('../game/prizePools');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('prize pools', () => {
+  test('a free pool needs an amount, and only admins can draw on the treasury', () => {
+    assert.deepStrictEqual(prizePools.parsePrizePool({}), { prizePool: { source: 'stakes', amount: 0 }, entryRules: null });
+    assert.match(prizePools.parsePrizePool({ prizePool: { source: 'treasury', amount: 5e6 } }).error, /Only admins/);
+    assert.match(prizePools.parsePrizePool({ prizePool: { source: 'sponsor', amount: 0 } }).error, /Invalid prize pool amount/);
+    assert.match(prizePools.parsePrizePool({ prizePool: { source: 'lottery', amount: 1 } }).error, /Unknown prize pool/);
+
+    const { prizePool, entryRules } = prizePools.parsePrizePool(
+      { prizePool: { source: 'treasury', amount: 5e6, sponsor: ' Pong Arena ' }, entryRules: { minLevel: 10 } },
+      { admin: true }
+    );
+    assert.deepStrictEqual(prizePool, { source: 'treasury', amount: 5e6, sponsor: 'Pong Arena' });
+    assert.deepStrictEqual(entryRules, { ...prizePools.DEFAULT_ENTRY_RULES, minLevel: 10 });
+  });
+
+  test('the pot is the sponsored pool for free tournaments, the stakes otherwise', () => {
+    const players = [{}, {}, {}];
+    assert.strictEqual(prizePools.tournamentPot({ stakeAmount: 2e6, players, prizePool: { source: 'stakes' } }), 6e6);
+    assert.strictEqual(prizePools.tournamentPot({ stakeAmount: 0, players, prizePool: { source: 'sponsor', amount: 9e6 } }), 9e6);
+    assert.strictEqual(prizePools.tournamentPot({ stakeAmount: 2e6, players }), 6e6);   // from before prize pools
+  });
+
+  test('entry rules turn away new, low-level and unlinked accounts', () => {
+    const rules = prizePools.DEFAULT_ENTRY_RULES;
+    const veteran = { stats: { level: 12 }, createdAt: new Date(NOW - 30 * DAY), discordId: '123456789012345678' };
+    assert.strictEqual(prizePools.entryRuleError(veteran, rules, NOW), null);
+    assert.strictEqual(prizePools.entryRuleError(null, null, NOW), null);
+
+    assert.match(prizePools.entryRuleError({ ...veteran, stats: { level: 2 } }, rules, NOW), /level 5 \(you are level 2\)/);
+    assert.match(prizePools.entryRuleError({ ...veteran, createdAt: new Date(NOW - DAY) }, rules, NOW), /7 days old/);
+    assert.match(prizePools.entryRuleError({ ...veteran, discordId: undefined }, rules, NOW), /Link your Discord/);
+    assert.strictEqual(prizePools.entryRuleError({ ...veteran, discordId: undefined }, { ...rules, requireDiscord: false }, NOW), null);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');  // no database: unstubbed queries fail fast
+const { getRating, rate, ratePeriod, rateMatch, DEFAULT_RATING, DEFAULT_RD } = require('../game/rating');
+const { ratingWindow, findQueuePair } = require('../game/matchmaking');
+
+const SECOND = 1000;
+
+describe('Glicko-2 rating', () => {
+  test("matches the worked example in Glickman's paper", () => {
+    const player = { rating: 1500, rd: 200, vol: 0.06 };
+    const next = ratePeriod(player, [
+      { opponent: { rating: 1400, rd: 30 }, score: 1 },
+      { opponent: { rating: 1550, rd: 100 }, score: 0 },
+      { opponent: { rating: 1700, rd: 300 }, score: 0 },
+    ]);
+    assert.ok(Math.abs(next.rating - 1464.06) < 0.01, `rating ${next.rating}`);
+    assert.ok(Math.abs(next.rd - 151.52) < 0.01, `rd ${next.rd}`);
+    assert.ok(Math.abs(next.vol - 0.05999) < 0.00001, `vol ${next.vol}`);
+  });
+
+  test('a single game moves the underdog further than the favourite, and new players furthest', () => {
+    const favourite = { rating: 1800, rd: 60, vol: 0.06 };
+    const underdog = { rating: 1500, rd: 60, vol: 0.06 };
+    const upset = rateMatch(underdog, favourite);
+    const expected = rateMatch(favourite, underdog);
+    assert.ok(upset.winner.rating - underdog.rating > expected.winner.rating - favourite.rating);
+    assert.ok(upset.loser.rating < favourite.rating && upset.winner.rating > underdog.rating);
+
+    const newcomer = getRating(null);
+    assert.deepStrictEqual(newcomer, { rating: DEFAULT_RATING, rd: DEFAULT_RD, vol: 0.06 });
+    const veteran = { rating: DEFAULT_RATING, rd: 60, vol: 0.06 };
+    assert.ok(rate(newcomer, veteran, 1).rating - DEFAULT_RATING > rate(veteran, newcomer, 1).rating - DEFAULT_RATING);
+  });
+});
+
+describe('rating-window pairing', () => {
+  const player = (id, rating, joinedAt) => ({ id, rating, joinedAt });
+
+  test('windows widen with time waited, then open up entirely', () => {
+    const p = player('a', 1500, 0);
+    assert.strictEqual(ratingWindow(p, 0), 100);
+    assert.strictEqual(ratingWindow(p, 30 * SECOND), 400);
+    assert.strictEqual(ratingWindow(p, 90 * SECOND), Infinity);
+  });
+
+  test('players pair once both windows cover the gap, closest rating first', () => {
+    const a = player('a', 1500, 0);
+    const b = player('b', 1700, 0);
+    assert.strictEqual(findQueuePair([a, b], 0), null);
+    assert.deepStrictEqual(findQueuePair([a, b], 10 * SECOND), [a, b]);
+
+    // b only just joined: a's wide window isn't enough on its own
+    const late = player('b', 1700, 25 * SECOND);
+    assert.strictEqual(findQueuePair([a, late], 30 * SECOND), null);
+    assert.deepStrictEqual(findQueuePair([a, late], 35 * SECOND), [a, late]);
+
+    const near = player('c', 1560, 0);
+    const nearer = player('d', 1530, 0);
+    assert.deepStrictEqual(findQueuePair([a, near, nearer], 0), [a, nearer]);
+  });
+});
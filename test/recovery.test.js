@@ -0,0 +1,41 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');  // no database: unstubbed queries fail fast
+const { decide } = require('../game/recovery');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const ago = (ms) => new Date(NOW - ms);
+
+function match(fields) {
+  return { gameId: 'g1', player1: 'w1', player2: 'w2', status: 'in-progress', ...fields };
+}
+
+describe('recovery decisions', () => {
+  test('unfinished escrow and unstarted games are refunded', () => {
+    assert.strictEqual(decide(match({ status: 'pending-escrow' }), { now: NOW }).action, 'refund');
+    assert.deepStrictEqual(decide(match({}), { now: NOW, available: true }), { action: 'refund', reason: 'not-started' });
+  });
+
+  test('a recent checkpoint resumes once both players are back', () => {
+    const m = match({ checkpoint: { score: { player1: 2, player2: 1 }, at: ago(10000) } });
+    assert.strictEqual(decide(m, { now: NOW }).action, 'wait');
+    assert.strictEqual(decide(m, { now: NOW, available: true }).action, 'resume');
+  });
+
+  test('a stale checkpoint is settled by its score', () => {
+    const lead = match({ checkpoint: { score: { player1: 1, player2: 3 }, at: ago(10 * 60000) } });
+    assert.deepStrictEqual(decide(lead, { now: NOW, available: true }),
+      { action: 'award', reason: 'led-at-checkpoint', winner: 'w2' });
+
+    const tied = match({ checkpoint: { score: { player1: 2, player2: 2 }, at: ago(10 * 60000) } });
+    assert.strictEqual(decide(tied, { now: NOW }).action, 'refund');
+  });
+
+  test('a series is settled by games won before points', () => {
+    const m = match({
+      bestOf: 3,
+      checkpoint: { series: { player1: 1, player2: 0 }, score: { player1: 0, player2: 4 }, game: 2, at: ago(10 * 60000) },
+    });
+    assert.deepStrictEqual(decide(m, { now: NOW }), { action: 'award', reason: 'led-at-checkpoint', winner: 'w1' });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { stubModels, query } = require('./helpers');
+
+const Match = require('../models/Match');
+const Replay = require('../models/Replay');
+const { replayIdOf, parseReplayId } = require('../game/PongEngine');
+const replayRoutes = require('../routes/replay');
+
+// A best-of-3 player1 won 2-1, losing game 2
+const SERIES = {
+  gameId: 'series', bestOf: 3, player1: 'w1', player2: 'w2', player1Username: 'one', player2Username: 'two',
+  winner: 'w1', score: { player1: 2, player2: 1 }, tier: 'duel', status: 'completed',
+  games: [
+    { player1: 5, player2: 3, winner: 'w1', replayId: 'series' },
+    { player1: 4, player2: 5, winner: 'w2', replayId: 'series-g2' },
+    { player1: 5, player2: 1, winner: 'w1', replayId: 'series-g3' },
+  ],
+};
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use('/api/replay', replayRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/api/replay`;
+});
+after(() => server.close());
+
+// Replays exist for every id; the series is the only match
+function stubStore(t) {
+  stubModels(t, Match, Replay);
+  t.mock.method(Match, 'findOne', ({ gameId }) => query(gameId === SERIES.gameId ? SERIES : null));
+  t.mock.method(Replay, 'findOne', ({ gameId }) => query({ gameId, winScore: 5 }));
+}
+
+describe('replay ids', () => {
+  test('game 1 keeps the gameId; later games are suffixed and played from swapped sides', () => {
+    assert.strictEqual(replayIdOf('abc-1', 1), 'abc-1');
+    assert.strictEqual(replayIdOf('abc-1', 2), 'abc-1-g2');
+    assert.deepStrictEqual(parseReplayId('abc-1-g2'), { gameId: 'abc-1', gameNumber: 2, swapped: true });
+    assert.deepStrictEqual(parseReplayId('abc-1'), { gameId: 'abc-1', gameNumber: 1, swapped: false });
+  });
+});
+
+describe('GET /api/replay/:gameId', () => {
+  test('a later series game is found and reports its own result and sides', async (t) => {
+    stubStore(t);
+    const res = await fetch(`${base}/series-g2`);
+    assert.strictEqual(res.status, 200);
+    const { match, replay } = await res.json();
+    assert.strictEqual(replay.gameId, 'series-g2');
+    assert.strictEqual(Match.findOne.mock.calls[0].arguments[0].gameId, 'series');
+    assert.deepStrictEqual(
+      [match.gameNumber, match.bestOf, match.swapped, match.winner, match.score, match.seriesScore],
+      [2, 3, true, 'p2', { player1: 4, player2: 5 }, { player1: 2, player2: 1 }]
+    );
+  });
+
+  test('game 1 of a series reports that game, not the series', async (t) => {
+    stubStore(t);
+    const { match } = await (await fetch(`${base}/series`)).json();
+    assert.deepStrictEqual([match.gameNumber, match.swapped, match.winner, match.score], [1, false, 'p1', { player1: 5, player2: 3 }]);
+  });
+
+  test('a game the series never reached is not found', async (t) => {
+    stubStore(t);
+    assert.strictEqual((await fetch(`${base}/series-g4`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/other-g2`)).status, 404);
+  });
+});
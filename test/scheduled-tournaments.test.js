@@ -0,0 +1,128 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { fakeIo, stubModels, query, flush } = require('./helpers');
+
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const PayoutJob = require('../models/PayoutJob');
+const { openTournaments, tournamentDirectory } = require('../game/matchmaking');
+const { parseSchedule, sweep, startScheduler } = require('../game/scheduledTournaments');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const MINUTE = 60000;
+
+const io = fakeIo();
+const onlineUsers = new Map([1, 2, 3, 4].map(n => [`w${n}`, { socketId: `s${n}` }]));
+
+function scheduled(players) {
+  return {
+    tournamentId: 't1',
+    name: 'Friday Cup',
+    creatorUsername: 'Pong Arena',
+    stakeAmount: 5e6,
+    maxPlayers: 8,
+    status: 'scheduled',
+    startsAt: new Date(NOW),
+    players: players.map(([wallet, checkedIn]) => ({ wallet, username: wallet, socketId: 'old', checkedIn, escrowed: false })),
+  };
+}
+
+before(() => {
+  mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+  startScheduler(io, onlineUsers, new Map());
+});
+after(() => mock.timers.reset());
+
+describe('scheduled tournaments', () => {
+  test('a schedule needs a start far enough out and check-in after registration', () => {
+    const start = new Date(NOW + 60 * MINUTE);
+    const { checkInOpensAt, registrationOpensAt } = parseSchedule({ startsAt: start }, NOW);
+    assert.strictEqual(checkInOpensAt.getTime(), NOW + 45 * MINUTE);
+    assert.strictEqual(registrationOpensAt.getTime(), NOW);
+
+    assert.throws(() => parseSchedule({}, NOW), /start time is required/);
+    assert.throws(() => parseSchedule({ startsAt: new Date(NOW + 5 * MINUTE) }, NOW), /at least 10 minutes/);
+    assert.throws(() => parseSchedule({ startsAt: new Date(NOW + 40 * 24 * 60 * MINUTE) }, NOW), /within 30 days/);
+    assert.throws(() => parseSchedule({ startsAt: start, checkInMinutes: 2 }, NOW), /Check-in must last/);
+    assert.throws(() => parseSchedule({ startsAt: start, registrationOpensAt: new Date(NOW + 50 * MINUTE) }, NOW),
+      /Registration must open before check-in/);
+  });
+
+  test('the last call only reminds players who have not checked in', async (t) => {
+    stubModels(t, Tournament, User);
+    t.mock.method(Tournament, 'find', (filter) =>
+      query(filter.remindersSent && filter.remindersSent.$ne === 'last-call' ? [{ tournamentId: 't1' }] : []));
+    t.mock.method(Tournament, 'findOneAndUpdate', (filter, update) =>
+      query(update.$addToSet ? scheduled([['w1', true], ['w2', false]]) : null));
+    io.emitted.length = 0;
+
+    await sweep(new Date(NOW - 2 * MINUTE));
+
+    const reminders = io.events('tournament-reminder');
+    assert.deepStrictEqual(reminders.map(e => [e.room, e.data.kind]), [['s2', 'last-call']]);
+  });
+
+  test('at the start, no-shows are dropped and too few check-ins cancel the event', async (t) => {
+    stubModels(t, Tournament, User);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(Tournament, 'find', (filter) =>
+      query(filter.startsAt && !filter.remindersSent ? [{ tournamentId: 't1' }] : []));
+    const claims = [];
+    t.mock.method(Tournament, 'findOneAndUpdate', (filter, update) => {
+      if (!update.$pull) return query(null);
+      claims.push(update);
+      return query(scheduled([['w1', true], ['w2', false], ['w3', false]]));
+    });
+    t.mock.method(Tournament, 'findOne', () => query(scheduled([['w1', true]])));
+    io.emitted.length = 0;
+
+    await sweep(new Date(NOW));
+    await flush();
+
+    assert.strictEqual(claims.length, 1);
+    assert.strictEqual(claims[0].status, 'escrow');
+    assert.deepStrictEqual(io.events('tournament-reminder').map(e => [e.room, e.data.kind]), [['s2', 'dropped'], ['s3', 'dropped']]);
+    assert.deepStrictEqual(io.events('tournament-cancelled').map(e => e.room), ['s1']);
+  });
+
+  test('at the start, the players who checked in are seeded into a bracket with their check-in stakes', async (t) => {
+    stubModels(t, Tournament, User, PayoutJob);
+    t.mock.method(console, 'log', () => {});
+    t.after(() => { openTournaments.delete('t1'); tournamentDirectory.delete('t1'); });
+    t.mock.method(Tournament, 'find', (filter) =>
+      query(filter.startsAt && !filter.remindersSent ? [{ tournamentId: 't1' }] : []));
+    const updates = [];
+    t.mock.method(Tournament, 'findOneAndUpdate', (filter, update) => {
+      updates.push(update);
+      return query(update.$pull ? scheduled([['w1', true], ['w2', true], ['w3', true], ['w4', false]]) : null);
+    });
+    // Checking in escrowed each stake
+    const tournament = { ...scheduled([['w1', true], ['w2', true], ['w3', true]]), format: 'single-elimination', bestOf: 1 };
+    tournament.players.forEach(p => Object.assign(p, { escrowed: true, escrowTx: `tx-${p.wallet}` }));
+    t.mock.method(Tournament, 'findOne', () => query(tournament));
+    t.mock.method(User, 'find', () => query([]));
+    io.emitted.length = 0;
+
+    await sweep(new Date(NOW));
+    await flush();
+
+    assert.strictEqual(openTournaments.get('t1'), tournament);
+    assert.strictEqual(tournament.status, 'in-progress');
+    assert.strictEqual(tournament.totalPot, 3 * 5e6);
+    assert.deepStrictEqual(tournament.players.map(p => [p.wallet, p.socketId, p.escrowTx]).sort(),
+      [['w1', 's1', 'tx-w1'], ['w2', 's2', 'tx-w2'], ['w3', 's3', 'tx-w3']]);
+
+    // Three players: one first-round match and a bye straight into the final
+    const [first, final] = tournament.bracket;
+    assert.deepStrictEqual(first.flatMap(m => [m.player1Wallet, m.player2Wallet]).filter(Boolean).sort(), ['w1', 'w2', 'w3']);
+    assert.strictEqual(first.filter(m => m.status === 'pending').length, 1);
+    assert.strictEqual(final.length, 1);
+    const saved = updates.find(u => u.status === 'in-progress');
+    assert.strictEqual(saved.totalPot, 3 * 5e6);
+    assert.strictEqual(saved.bracket, tournament.bracket);
+
+    assert.deepStrictEqual(io.events('tournament-starting').map(e => e.room).sort(), ['s1', 's2', 's3']);
+    assert.deepStrictEqual(io.events('tournament-reminder').map(e => [e.room, e.data.kind]), [['s4', 'dropped']]);
+    assert.strictEqual(PayoutJob.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
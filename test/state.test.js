@@ -0,0 +1,226 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert');
+const { fakeIo, flush } = require('./helpers');
+const { MemoryStore } = require('../state/memoryStore');
+const { Cluster } = require('../state/cluster');
+const { GameRegistry } = require('../game/gameRegistry');
+
+// The Redis store runs the same contract when a server is available, e.g.
+//   docker run --rm -p 6379:6379 redis && REDIS_URL=redis://localhost:6379 npm test
+const REDIS_URL = process.env.REDIS_URL;
+
+// Let un-awaited writes reach the store and their messages be delivered
+async function settle() {
+  for (let i = 0; i < 3; i++) await flush();
+}
+
+function storeContract(name, makeStore) {
+  describe(`${name} contract`, { skip: !makeStore && 'set REDIS_URL to run against a local server' }, () => {
+    const store = makeStore ? makeStore() : null;
+    after(() => store && store.close());
+
+    test('keys round-trip JSON and expire', async () => {
+      await store.set('k', { a: [1, 2] });
+      assert.deepStrictEqual(await store.get('k'), { a: [1, 2] });
+      await store.del('k');
+      assert.strictEqual(await store.get('k'), null);
+
+      await store.set('ttl', 1, { ttlMs: 20 });
+      assert.strictEqual(await store.get('ttl'), 1);
+      await new Promise(r => setTimeout(r, 40));
+      assert.strictEqual(await store.get('ttl'), null);
+    });
+
+    test('hashes', async () => {
+      await store.del('h');
+      await store.hset('h', 'a', { n: 1 });
+      await store.hset('h', 'b', 'two');
+      assert.deepStrictEqual(await store.hget('h', 'a'), { n: 1 });
+      assert.strictEqual(await store.hget('h', 'missing'), null);
+      assert.deepStrictEqual(await store.hgetall('h'), { a: { n: 1 }, b: 'two' });
+      assert.strictEqual(await store.hdel('h', 'a', 'missing'), 1);
+      assert.deepStrictEqual(await store.hgetall('h'), { b: 'two' });
+    });
+
+    test('htake removes all fields or none', async () => {
+      await store.del('t');
+      await store.hset('t', 'x', 1);
+      await store.hset('t', 'y', 2);
+      assert.strictEqual(await store.htake('t', ['x', 'nope']), null);
+      assert.deepStrictEqual(await store.hgetall('t'), { x: 1, y: 2 });
+      assert.deepStrictEqual(await store.htake('t', ['y', 'x']), [2, 1]);
+      assert.deepStrictEqual(await store.hgetall('t'), {});
+
+      // Two racing takes: exactly one wins
+      await store.hset('t', 'x', 1);
+      const results = await Promise.all([store.htake('t', ['x']), store.htake('t', ['x'])]);
+      assert.strictEqual(results.filter(Boolean).length, 1);
+    });
+
+    test('publish reaches subscribers', async () => {
+      const got = [];
+      await store.subscribe('chan', m => got.push(m));
+      await store.publish('chan', { hello: 'world' });
+      for (let i = 0; i < 50 && got.length === 0; i++) await new Promise(r => setTimeout(r, 10));
+      assert.deepStrictEqual(got, [{ hello: 'world' }]);
+    });
+  });
+}
+
+storeContract('MemoryStore', () => new MemoryStore());
+storeContract('RedisStore', REDIS_URL && (() => {
+  const { RedisStore } = require('../state/redisStore');
+  return new RedisStore(REDIS_URL, { prefix: `pong-test:${process.pid}:` });
+}));
+
+// Two nodes sharing one store
+async function twoNodes(t) {
+  const store = new MemoryStore();
+  const io = fakeIo();
+  const a = new Cluster(store, { nodeId: 'node-a' });
+  const b = new Cluster(store, { nodeId: 'node-b' });
+  const mapA = a.map('lobbies');
+  const mapB = b.map('lobbies');
+  t.mock.method(console, 'log', () => {});
+  await a.start(io);
+  await b.start(io);
+  t.after(() => { a.stop(); b.stop(); });
+  return { store, io, a, b, mapA, mapB };
+}
+
+describe('SharedMap', () => {
+  test('writes on one node show up on the other', async (t) => {
+    const { mapA, mapB } = await twoNodes(t);
+    await mapA.set('lobby-1', { wallet: 'w1', stakeAmount: 5 });
+    assert.deepStrictEqual(mapA.get('lobby-1'), { wallet: 'w1', stakeAmount: 5 });
+    await flush();
+    assert.deepStrictEqual(mapB.get('lobby-1'), { wallet: 'w1', stakeAmount: 5 });
+    assert.strictEqual(mapB.writerOf('lobby-1'), 'node-a');
+
+    mapB.delete('lobby-1');
+    await settle();
+    assert.strictEqual(mapA.has('lobby-1'), false);
+  });
+
+  test('a late joiner hydrates from the store', async (t) => {
+    const { store, mapA } = await twoNodes(t);
+    await mapA.set('lobby-2', { wallet: 'w2' });
+    const c = new Cluster(store, { nodeId: 'node-c' });
+    const mapC = c.map('lobbies');
+    await c.start(fakeIo());
+    t.after(() => c.stop());
+    assert.deepStrictEqual(mapC.get('lobby-2'), { wallet: 'w2' });
+  });
+
+  test('only one node can take an entry', async (t) => {
+    const { mapA, mapB } = await twoNodes(t);
+    await mapA.set('p1', { wallet: 'p1' });
+    await mapA.set('p2', { wallet: 'p2' });
+    await flush();
+
+    const [fromA, fromB] = await Promise.all([mapA.takeAll(['p1', 'p2']), mapB.takeAll(['p1', 'p2'])]);
+    assert.strictEqual([fromA, fromB].filter(Boolean).length, 1);
+    assert.strictEqual(mapA.size, 0);
+    assert.strictEqual(mapB.size, 0);
+
+    // A take that loses refreshes the stale copy
+    await mapA.set('p3', { wallet: 'p3' });
+    await flush();
+    await mapA.take('p3');
+    assert.strictEqual(await mapB.takeAll(['p3']), null);
+    assert.strictEqual(mapB.has('p3'), false);
+  });
+
+  test('a take the store fails rejects instead of looking like a lost race', async (t) => {
+    const { store, mapA } = await twoNodes(t);
+    await mapA.set('p4', { wallet: 'p4' });
+    t.mock.method(store, 'htake', async () => { throw new Error('connection lost'); });
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(mapA.takeAll(['p4']), /connection lost/);
+    assert.strictEqual(await mapA.take('p4'), null);
+    assert.strictEqual(mapA.has('p4'), true);
+  });
+});
+
+describe('Cluster', () => {
+  test('route runs locally or on the owning node with a stand-in socket', async (t) => {
+    const { io, a, b } = await twoNodes(t);
+    const ranOn = [];
+    for (const node of [a, b]) {
+      node.on('player-ready', (socket, payload) => {
+        ranOn.push(node.nodeId);
+        socket.emit('ack', { gameId: payload.gameId, wallet: socket.wallet });
+      });
+    }
+
+    const socket = { id: 'sock-1', wallet: 'w1', username: 'one', emit: () => ranOn.push('direct') };
+    a.route('node-a', 'player-ready', socket, { gameId: 'g1' });
+    assert.deepStrictEqual(ranOn, ['node-a', 'direct']);
+
+    a.route('node-b', 'player-ready', socket, { gameId: 'g1' });
+    await flush();
+    assert.deepStrictEqual(ranOn.slice(2), ['node-b']);
+    assert.deepStrictEqual(io.events('ack'), [{ room: 'sock-1', event: 'ack', data: { gameId: 'g1', wallet: 'w1' } }]);
+  });
+
+  test('broadcast runs on every node once', async (t) => {
+    const { a, b } = await twoNodes(t);
+    const ranOn = [];
+    a.on('player-online', () => ranOn.push('a'));
+    b.on('player-online', () => ranOn.push('b'));
+    a.broadcast('player-online', { id: 's', wallet: 'w' });
+    await flush();
+    assert.deepStrictEqual(ranOn.sort(), ['a', 'b']);
+  });
+
+  test('pins resolve across nodes and die with their node', async (t) => {
+    const { store, a, b, mapA } = await twoNodes(t);
+    await b.pin('game:g1');
+    await b.map('lobbies').set('lobby-b', { wallet: 'wb' });
+    await flush();
+    assert.strictEqual(a.ownerOf('game:g1'), 'node-b');
+    assert.ok(mapA.has('lobby-b'));
+
+    // node-b stops heartbeating
+    b.stop();
+    await store.del('node:node-b');
+    await a.reap();
+    assert.strictEqual(a.ownerOf('game:g1'), null);
+    assert.strictEqual(mapA.has('lobby-b'), false);
+  });
+});
+
+describe('GameRegistry', () => {
+  test('pins games and publishes summaries', async (t) => {
+    const { a, b } = await twoNodes(t);
+    const games = new GameRegistry(a);
+    const remote = new GameRegistry(b);
+    t.after(() => clearInterval(games.refreshInterval));
+
+    const game = {
+      gameId: 'g1', tier: 't5', gameStarted: false, spectatorCount: 0, gameNumber: 1,
+      player1: { wallet: 'w1', username: 'one' },
+      player2: { wallet: 'w2', username: 'two' },
+      simState: { status: 'playing', score: { p1: 0, p2: 0 } },
+      get score() { return { ...this.simState.score }; },
+    };
+    games.set('g1', game);
+    await settle();
+    assert.strictEqual(remote.ownerOf('g1'), 'node-a');
+    assert.strictEqual(remote.directory.get('g1').status, 'starting');
+    assert.strictEqual(remote.isPlaying('w1'), false);
+
+    game.gameStarted = true;
+    game.simState.score.p1 = 3;
+    games.refresh();
+    await settle();
+    assert.strictEqual(remote.isPlaying('w1'), true);
+    assert.deepStrictEqual(remote.directory.get('g1').score, { p1: 3, p2: 0 });
+
+    games.delete('g1');
+    await settle();
+    assert.strictEqual(remote.ownerOf('g1'), null);
+    assert.strictEqual(remote.directory.has('g1'), false);
+  });
+});
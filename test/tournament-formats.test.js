@@ -0,0 +1,110 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const formats = require('../game/tournamentFormats');
+
+function players(n) {
+  return Array.from({ length: n }, (_, i) => ({ wallet: `w${i}`, username: `p${i}`, seed: i, eliminatedRound: null }));
+}
+
+// Play a tournament the way matchmaking.js does; `pick(match)` names each winner
+function play(format, n, pick = (m) => (m.player1Wallet < m.player2Wallet ? m.player1Wallet : m.player2Wallet)) {
+  const t = { format, players: players(n), currentRound: 0 };
+  Object.assign(t, formats.generate(format, t.players));
+  formats.startRound(t);
+  for (;;) {
+    t.bracket[t.currentRound].forEach((m, i) => {
+      if (m.status === 'pending') formats.recordResult(t, i, pick(m));
+    });
+    const champion = formats.champion(t);
+    if (champion) return { t, champion };
+    t.currentRound++;
+    formats.startRound(t);
+  }
+}
+
+const played = (t) => t.bracket.flat().filter(m => m.status === 'completed');
+const pairKey = (m) => [m.player1Wallet, m.player2Wallet].sort().join('-');
+
+describe('tournament formats', () => {
+  test('single elimination gives the top seeds byes and ends at the final', () => {
+    const { t, champion } = play('single-elimination', 5);
+    assert.strictEqual(champion, 'w0');
+    assert.strictEqual(t.bracket.length, 3);
+    assert.strictEqual(t.bracket[0].filter(m => m.status === 'bye').length, 3);
+    assert.strictEqual(played(t).length, 4);
+    assert.deepStrictEqual(t.players.filter(p => p.eliminatedRound == null).map(p => p.wallet), ['w0']);
+  });
+
+  test('double elimination: one loss keeps you in, the grand final can reset', () => {
+    // w0 wins everything except the grand final, which w1 (from the losers bracket) takes
+    let finalPlayed = false;
+    const { t, champion } = play('double-elimination', 4, (m) => {
+      if (m.stage === 'final') { finalPlayed = true; return m.player2Wallet; }
+      return m.player1Wallet < m.player2Wallet ? m.player1Wallet : m.player2Wallet;
+    });
+    assert.ok(finalPlayed);
+    assert.strictEqual(champion, 'w0');   // won the reset
+    const reset = t.bracket[t.bracket.length - 1][0];
+    assert.deepStrictEqual([reset.status, reset.player1Wallet, reset.player2Wallet], ['completed', 'w0', 'w1']);
+    // Only the champion finishes with fewer than two losses
+    const losses = (w) => played(t).filter(m => m.winner !== w && [m.player1Wallet, m.player2Wallet].includes(w)).length;
+    assert.deepStrictEqual(['w0', 'w1', 'w2', 'w3'].map(losses), [1, 2, 2, 2]);
+  });
+
+  test('double elimination skips the reset when the winners bracket champion takes the final', () => {
+    const { t, champion } = play('double-elimination', 6);
+    assert.strictEqual(champion, 'w0');
+    assert.strictEqual(t.bracket[t.bracket.length - 1][0].status, 'pending');
+    // Everyone but the champion loses twice, except the grand final loser
+    assert.strictEqual(t.players.filter(p => p.eliminatedRound != null).length, 4);
+  });
+
+  test('double elimination with two players sends the loser straight to the grand final', () => {
+    const { t, champion } = play('double-elimination', 2, (m) => (m.stage === 'winners' ? 'w1' : 'w0'));
+    assert.strictEqual(champion, 'w0');
+    assert.strictEqual(t.bracket.length, 3);
+    assert.strictEqual(played(t).length, 3);
+  });
+
+  test('round robin pairs everyone once and ranks by wins', () => {
+    const { t, champion } = play('round-robin', 5);
+    assert.strictEqual(champion, 'w0');
+    const pairs = played(t).map(pairKey);
+    assert.strictEqual(pairs.length, 10);
+    assert.strictEqual(new Set(pairs).size, 10);
+    assert.deepStrictEqual(formats.standings(t).map(r => r.wallet), ['w0', 'w1', 'w2', 'w3', 'w4']);
+  });
+
+  test('swiss plays ceil(log2 n) rounds without rematches or repeat byes', () => {
+    const { t, champion } = play('swiss', 7);
+    assert.strictEqual(t.swissRounds, 3);
+    assert.strictEqual(t.bracket.length, 3);
+    assert.strictEqual(champion, 'w0');
+    const pairs = played(t).map(pairKey);
+    assert.strictEqual(new Set(pairs).size, pairs.length);
+    const byes = t.bracket.flat().filter(m => m.status === 'bye').map(m => m.winner);
+    assert.strictEqual(new Set(byes).size, 3);
+    assert.strictEqual(formats.totalRounds(t), 3);
+  });
+
+  test('players are seeded by rating then wins, and the top two can only meet in the final', () => {
+    const records = new Map([['w0', { rating: 1500, wins: 3 }], ['w1', { rating: 1700, wins: 0 }], ['w2', { rating: 1500, wins: 9 }]]);
+    assert.deepStrictEqual(formats.seed(players(4), records).map(p => p.wallet), ['w1', 'w2', 'w0', 'w3']);
+
+    const { bracket } = formats.generate('single-elimination', players(8));
+    assert.deepStrictEqual(bracket[0].map(pairKey), ['w0-w7', 'w3-w4', 'w1-w6', 'w2-w5']);
+  });
+
+  test('prizes follow the finishing order, with the rounding dust to the champion', () => {
+    assert.ok(formats.isValidPrizeSplit([60, 25, 10, 5], 8));
+    assert.ok(!formats.isValidPrizeSplit([60, 25, 10, 5], 3));
+    assert.ok(!formats.isValidPrizeSplit([25, 75], 8));
+    assert.ok(!formats.isValidPrizeSplit([50, 49], 8));
+
+    const { t, champion } = play('single-elimination', 8);
+    Object.assign(t, { winner: champion, totalPot: 1001, prizeSplit: [60, 25, 10, 5] });
+    const places = formats.placements(t);
+    // Semifinal losers are split by their standings: w3 lost to the champion, so has the better Buchholz
+    assert.deepStrictEqual(places.map(p => [p.wallet, p.amount]), [['w0', 601], ['w1', 250], ['w3', 100], ['w2', 50]]);
+  });
+});
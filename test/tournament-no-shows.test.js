@@ -0,0 +1,150 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { fakeIo, stubModels, query, flush } = require('./helpers');
+
+const Tournament = require('../models/Tournament');
+const Match = require('../models/Match');
+const User = require('../models/User');
+const Skin = require('../models/Skin');
+const { READY_TIMEOUT_MS } = require('../game/PongEngine');
+const tournamentFormats = require('../game/tournamentFormats');
+const { initMatchmaking, resumeTournament, openTournaments, requestTournamentOverride } = require('../game/matchmaking');
+
+const WALLETS = ['w0', 'w1', 'w2', 'w3'];
+
+class Games extends Map {
+  isPlaying() { return false; }
+  ownerOf() { return null; }
+}
+
+const io = fakeIo();
+const onlineUsers = new Map(WALLETS.map((w, i) => [w, { socketId: `s${i}` }]));
+const activeGames = new Games();
+
+async function settle() {
+  for (let i = 0; i < 20; i++) await flush();
+}
+
+// A four-player bracket picked up in its first round (resumeTournament), with both
+// of its games in the ready phase (bar any involving `offline` players).
+// Records decision log writes.
+async function roundUnderway(t, tournamentId, { offline = [] } = {}) {
+  stubModels(t, Tournament, Match, User, Skin);
+  for (const wallet of offline) {
+    const info = onlineUsers.get(wallet);
+    onlineUsers.delete(wallet);
+    t.after(() => onlineUsers.set(wallet, info));
+  }
+  t.mock.method(console, 'log', () => {});
+  t.after(() => openTournaments.delete(tournamentId));
+  const decisions = [];
+  t.mock.method(Tournament, 'updateOne', (filter, update) => {
+    if (update.$push && filter.tournamentId === tournamentId) decisions.push(update.$push.decisions);
+    return query({ modifiedCount: 1 });
+  });
+
+  const tournament = {
+    tournamentId,
+    format: 'single-elimination',
+    status: 'in-progress',
+    stakeAmount: 1e6,
+    bestOf: 1,
+    currentRound: 0,
+    players: WALLETS.map((wallet, seed) => ({ wallet, username: wallet, socketId: `s${seed}`, seed, eliminatedRound: null })),
+  };
+  Object.assign(tournament, tournamentFormats.generate(tournament.format, tournament.players));
+  tournamentFormats.startRound(tournament);
+
+  await resumeTournament(io, tournament, activeGames, onlineUsers);
+  mock.timers.tick(30000);
+  await settle();
+
+  const gameOf = (wallet) => [...activeGames.values()].find(g => g.tournamentId === tournamentId && g.hasPlayer(wallet));
+  const matchOf = (wallet) => tournament.bracket[0].find(m => m.player1Wallet === wallet || m.player2Wallet === wallet);
+  return { tournament, decisions, gameOf, matchOf };
+}
+
+before(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  initMatchmaking(io, onlineUsers, activeGames);
+});
+after(() => mock.timers.reset());
+
+describe('tournament no-shows and stalls', () => {
+  test('a player who never readies up loses by walkover; if neither does, the better seed advances', async (t) => {
+    const { tournament, decisions, gameOf, matchOf } = await roundUnderway(t, 'walkover');
+    gameOf('w0').playerReady('w0');
+    io.emitted.length = 0;
+
+    mock.timers.tick(READY_TIMEOUT_MS);
+    await settle();
+
+    assert.strictEqual(matchOf('w0').winner, 'w0');
+    assert.strictEqual(matchOf('w1').winner, 'w1');   // w1 is seeded above w2
+    assert.deepStrictEqual(tournament.bracket[0].map(m => m.decidedBy), ['walkover', 'walkover']);
+    assert.strictEqual(tournament.currentRound, 1);
+    assert.deepStrictEqual(decisions.map(d => [d.action, d.winner]).sort(), [['walkover', 'w0'], ['walkover', 'w1']]);
+    assert.match(decisions.find(d => d.winner === 'w0').reason, /w3 never readied up/);
+    assert.strictEqual(io.events('game-aborted').length, 0);   // players were already told the ready phase expired
+  });
+
+  test('at the round deadline the player ahead advances, and a level match goes to the better seed', async (t) => {
+    const { tournament, decisions, gameOf, matchOf } = await roundUnderway(t, 'deadline');
+    // Both games stall mid-match, w3 a point up on w0
+    for (const wallet of ['w0', 'w1']) clearTimeout(gameOf(wallet).readyTimeout);
+    const stalled = gameOf('w0');
+    stalled.simState.score = stalled.player1.wallet === 'w3' ? { p1: 1, p2: 0 } : { p1: 0, p2: 1 };
+    io.emitted.length = 0;
+
+    mock.timers.tick(13 * 60 * 1000);   // 5 minutes a round plus 8 per game
+    await settle();
+
+    assert.strictEqual(matchOf('w0').winner, 'w3');
+    assert.strictEqual(matchOf('w1').winner, 'w1');
+    assert.deepStrictEqual(decisions.map(d => d.action), ['deadline', 'deadline']);
+    assert.deepStrictEqual(io.events('game-aborted').map(e => e.room).filter(r => /^s\d$/.test(r)).sort(), ['s0', 's1', 's2', 's3']);
+    assert.strictEqual(gameOf('w0'), undefined);
+  });
+
+  test('admins can replay a match or advance a player, checked against the stored bracket', async (t) => {
+    const { tournament, decisions, gameOf, matchOf } = await roundUnderway(t, 'override');
+    t.mock.method(Tournament, 'findOne', () => query(tournament));
+
+    const wrongPlayer = await requestTournamentOverride('override', 0, { action: 'advance', winner: 'nobody' });
+    assert.strictEqual(wrongPlayer.status, 400);
+    const noMatch = await requestTournamentOverride('override', 7, { action: 'replay' });
+    assert.strictEqual(noMatch.status, 404);
+
+    const replayed = gameOf('w0');
+    const index = tournament.bracket[0].indexOf(matchOf('w0'));
+    assert.deepStrictEqual(await requestTournamentOverride('override', index, { action: 'replay', note: 'lag spike' }), {});
+    await settle();
+    assert.ok(replayed.aborted);
+    assert.ok(gameOf('w0') && gameOf('w0') !== replayed);
+    assert.strictEqual(matchOf('w0').gameId, gameOf('w0').gameId);
+
+    const other = tournament.bracket[0].indexOf(matchOf('w2'));
+    await requestTournamentOverride('override', other, { action: 'advance', winner: 'w2' });
+    await settle();
+    assert.strictEqual(matchOf('w2').winner, 'w2');
+    assert.strictEqual(matchOf('w2').decidedBy, 'admin-advance');
+    assert.strictEqual(gameOf('w2'), undefined);
+
+    assert.deepStrictEqual(decisions.map(d => [d.action, d.by, d.note]), [
+      ['admin-replay', 'admin', 'lag spike'],
+      ['admin-advance', 'admin', null],
+    ]);
+  });
+
+  test('a match whose players are both offline goes to the better seed', async (t) => {
+    const { tournament, decisions, gameOf, matchOf } = await roundUnderway(t, 'offline', { offline: ['w1', 'w2'] });
+    clearTimeout(gameOf('w0').readyTimeout);
+
+    assert.strictEqual(matchOf('w1').winner, 'w1');
+    assert.strictEqual(matchOf('w1').decidedBy, 'forfeit');
+    assert.strictEqual(gameOf('w1'), undefined);
+    assert.deepStrictEqual(decisions.map(d => [d.action, d.winner]), [['forfeit', 'w1']]);
+    assert.match(decisions[0].reason, /both players offline/i);
+    assert.strictEqual(tournament.currentRound, 0);
+  });
+});